@@ -0,0 +1,11 @@
+exports.up = async (knex) => {
+  await knex.schema.alterTable('webhook', table => {
+    table.jsonb('retry')
+  })
+}
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('webhook', table => {
+    table.dropColumn('retry')
+  })
+}
@@ -0,0 +1,15 @@
+exports.up = async (knex) => {
+  await knex.schema.alterTable('webhook', table => {
+    table.string('secret')
+    table.string('previousSecret')
+    table.string('previousSecretExpirationDate', 24)
+  })
+}
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('webhook', table => {
+    table.dropColumn('secret')
+    table.dropColumn('previousSecret')
+    table.dropColumn('previousSecretExpirationDate')
+  })
+}
@@ -0,0 +1,42 @@
+exports.up = async (knex) => {
+  const { schema } = knex.client.connectionSettings || {}
+  if (!schema) throw new Error('Schema name required to alter webhook event column')
+
+  await knex.schema.alterTable('webhook', table => {
+    table.dropIndex('event', 'webhook_event_index')
+  })
+
+  // `event` can now be a single event type or a list of event types and patterns
+  await knex.schema.raw(`
+    ALTER TABLE "${schema}"."webhook"
+    ALTER COLUMN "event" TYPE jsonb USING to_jsonb("event")
+  `)
+
+  await knex.schema.alterTable('webhook', table => {
+    table.text('filter')
+
+    table.index('event', 'webhook_event_gin_index', 'GIN')
+  })
+}
+
+exports.down = async (knex) => {
+  const { schema } = knex.client.connectionSettings || {}
+  if (!schema) throw new Error('Schema name required to alter webhook event column')
+
+  await knex.schema.alterTable('webhook', table => {
+    table.dropIndex('event', 'webhook_event_gin_index')
+    table.dropColumn('filter')
+  })
+
+  // only the first event type is kept for webhooks having a list of events
+  await knex.schema.raw(`
+    ALTER TABLE "${schema}"."webhook"
+    ALTER COLUMN "event" TYPE varchar(255) USING (
+      CASE WHEN jsonb_typeof("event") = 'array' THEN "event"->>0 ELSE "event"#>>'{}' END
+    )
+  `)
+
+  await knex.schema.alterTable('webhook', table => {
+    table.index('event', 'webhook_event_index')
+  })
+}
@@ -0,0 +1,30 @@
+exports.up = async (knex) => {
+  await knex.schema.alterTable('workflow', table => {
+    table.integer('revision').defaultTo(1)
+  })
+
+  await knex.schema.createTable('workflowRevision', table => {
+    table.string('id').primary()
+    table.string('createdDate', 24)
+    table.string('workflowId')
+    table.integer('revision')
+    table.string('authorId')
+    table.integer('restoredRevision')
+    table.jsonb('context')
+    table.string('event')
+    table.jsonb('run')
+    table.jsonb('computed')
+    table.string('apiVersion')
+
+    table.unique(['workflowId', 'revision'], 'workflowRevision_workflowId_revision_unique')
+    table.index(['createdDate', 'id'], 'workflowRevision_createdDate_id_index')
+  })
+}
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('workflowRevision')
+
+  await knex.schema.alterTable('workflow', table => {
+    table.dropColumn('revision')
+  })
+}
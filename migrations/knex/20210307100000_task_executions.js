@@ -0,0 +1,17 @@
+exports.up = async (knex) => {
+  await knex.schema.createTable('taskExecution', table => {
+    table.string('id').primary()
+    table.string('createdDate', 24)
+    table.string('taskId')
+    table.string('eventId')
+    table.string('scheduledDate', 24)
+    table.string('executedDate', 24)
+    table.boolean('manual').defaultTo(false)
+
+    table.index(['taskId', 'createdDate', 'id'], 'taskExecution_taskId_createdDate_id_index')
+  })
+}
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('taskExecution')
+}
@@ -0,0 +1,15 @@
+exports.up = async (knex) => {
+  await knex.schema.alterTable('task', table => {
+    table.string('recurringStartDate', 24)
+    table.string('recurringEndDate', 24)
+    table.integer('maxOccurrences')
+  })
+}
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('task', table => {
+    table.dropColumn('recurringStartDate')
+    table.dropColumn('recurringEndDate')
+    table.dropColumn('maxOccurrences')
+  })
+}
@@ -0,0 +1,19 @@
+exports.up = async (knex) => {
+  await knex.schema.alterTable('task', table => {
+    table.jsonb('action')
+  })
+
+  await knex.schema.alterTable('taskExecution', table => {
+    table.jsonb('actionResult')
+  })
+}
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('task', table => {
+    table.dropColumn('action')
+  })
+
+  await knex.schema.alterTable('taskExecution', table => {
+    table.dropColumn('actionResult')
+  })
+}
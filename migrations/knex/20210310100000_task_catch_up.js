@@ -0,0 +1,21 @@
+exports.up = async (knex) => {
+  await knex.schema.alterTable('task', table => {
+    table.string('catchUpPolicy').defaultTo('skip')
+    table.jsonb('catchUpMaxLookback')
+  })
+
+  await knex.schema.alterTable('taskExecution', table => {
+    table.boolean('catchUp').defaultTo(false)
+  })
+}
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('task', table => {
+    table.dropColumn('catchUpPolicy')
+    table.dropColumn('catchUpMaxLookback')
+  })
+
+  await knex.schema.alterTable('taskExecution', table => {
+    table.dropColumn('catchUp')
+  })
+}
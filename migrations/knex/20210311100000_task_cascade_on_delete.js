@@ -0,0 +1,12 @@
+exports.up = async (knex) => {
+  await knex.schema.alterTable('task', table => {
+    // existing tasks keep being removed with their event object
+    table.string('cascadeOnDelete').defaultTo('remove')
+  })
+}
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('task', table => {
+    table.dropColumn('cascadeOnDelete')
+  })
+}
@@ -0,0 +1,12 @@
+exports.up = async (knex) => {
+  await knex.schema.alterTable('task', table => {
+    // existing tasks fall back to their creation date
+    table.string('activatedDate', 24)
+  })
+}
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('task', table => {
+    table.dropColumn('activatedDate')
+  })
+}
@@ -131,6 +131,21 @@ process.on('uncaughtException', (err) => {
 })
 
 const restifyAuthorizationParser = restify.plugins.authorizationParser()
+const restifyGzipResponse = restify.plugins.gzipResponse()
+
+// Server-Sent Events must reach clients as soon as they are written, without compression buffering
+const uncompressedRoutes = [
+  'event.stream',
+  'event.downloadArchive' // archive files are already compressed
+]
+
+function gzipResponse (req, res, next) {
+  const route = req.getRoute()
+  if (route && uncompressedRoutes.includes(route.name)) return next()
+
+  restifyGzipResponse(req, res, next)
+}
+
 const stelaceTooling = {
   // utility functions often used
   logError,
@@ -180,7 +195,15 @@ const stelaceTooling = {
 }
 
 function loadServer () {
-  const server = restify.createServer({ name, version })
+  const server = restify.createServer({
+    name,
+    version,
+    formatters: {
+      // accepted for Server-Sent Events routes writing the response themselves,
+      // only used to format errors occurring before the stream starts
+      'text/event-stream': (req, res, body) => JSON.stringify(body)
+    }
+  })
 
   server.on('after', restify.plugins.metrics({ server }, (err, metrics, req/*, res, route */) => {
     if (err) {
@@ -210,7 +233,7 @@ function loadServer () {
 
   server.use(restify.plugins.acceptParser(server.acceptable))
   server.use(restify.plugins.queryParser())
-  server.use(restify.plugins.gzipResponse())
+  server.use(gzipResponse)
   server.use(restify.plugins.bodyParser())
 
   server.pre(cors.preflight)
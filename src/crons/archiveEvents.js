@@ -0,0 +1,163 @@
+const CronJob = require('cron').CronJob
+const Redlock = require('redlock')
+const apm = require('elastic-apm-node')
+const os = require('os')
+
+const { logError } = require('../../server/logger')
+
+const {
+  getRedisClient,
+  getPlatforms,
+  registerEventArchivesHost,
+  removeEventArchivesHost
+} = require('../redis')
+const { getEnvironments } = require('../util/environment')
+const { isArchivesPathConfigured } = require('../util/archive')
+
+let eventRequester
+
+let client
+let redlock
+
+let hostInterval
+
+// servers on the same host can share the default archives directory
+const archivesHost = `${isArchivesPathConfigured ? 'shared' : 'local'}:${os.hostname()}`
+const hostRegistrationInterval = 20 * 1000 // milliseconds
+
+const job = new CronJob(
+  '0 0 3 * * *', // archive every day, events older than the retention period are rarely created
+  archiveEvents,
+  null,
+  null,
+  'UTC'
+)
+
+// create a lock time so another server can claim the lock after that duration
+// even if the server that has the lock crashes
+// WARNING: MUST be greater than the duration of a platform environment archive run
+const lockTtl = 60 * 60 * 1000 // milliseconds
+
+async function archiveEvents () {
+  let isShared
+  let platformIds
+
+  try {
+    isShared = await checkArchivesHosts()
+  } catch (err) {
+    logError(err, { message: 'Fail to check event archives hosts' })
+    return
+  }
+
+  // archives would be split between several directories
+  if (!isShared) return
+
+  try {
+    platformIds = await getPlatforms()
+  } catch (err) {
+    logError(err, { message: 'Fail to load platforms to archive events' })
+    return
+  }
+
+  const environments = getEnvironments()
+
+  for (const platformId of platformIds) {
+    for (const env of environments) {
+      const archiveTransaction = apm.startTransaction('Archive events via cron')
+      apm.setUserContext({ id: platformId })
+      apm.addLabels({ env, platformId })
+
+      try {
+        // use redlock to ensure events are archived only by one server at a time
+        // even within a distributed system
+        const lockResource = `locks:stelace_event_archives:${platformId}_${env}`
+        const lock = await redlock.lock(lockResource, lockTtl)
+
+        try {
+          await eventRequester.send({
+            type: '_archiveEvents',
+            platformId,
+            env
+          })
+        } finally {
+          await lock.unlock()
+        }
+      } catch (err) {
+        if (err.name !== 'LockError') {
+          logError(err, { platformId, env, message: 'Fail to archive events' })
+        }
+      } finally {
+        archiveTransaction.end()
+      }
+    }
+  }
+}
+
+/**
+ * Archives must be written into a single directory so any server can serve them,
+ * the default project directory can't be used by servers on other hosts
+ * @return {Promise<Boolean>} false if archiving must be skipped
+ */
+async function checkArchivesHosts () {
+  const hosts = await registerEventArchivesHost({ host: archivesHost })
+  const otherHosts = hosts.filter(host => host !== archivesHost)
+
+  const isShared = !otherHosts.length ||
+    (isArchivesPathConfigured && otherHosts.every(host => host.startsWith('shared:')))
+
+  if (!isShared) {
+    const err = new Error('EVENT_ARCHIVES_PATH must be set to the same shared directory on all servers')
+    logError(err, {
+      custom: { archivesHost, otherHosts },
+      message: 'Event archives directory is not shared, skipping archiving'
+    })
+  }
+
+  return isShared
+}
+
+// other servers check this host is still running before archiving
+function registerArchivesHost () {
+  registerEventArchivesHost({ host: archivesHost })
+    .catch(err => logError(err, { message: 'Fail to register event archives host' }))
+}
+
+function start ({ communication }) {
+  const { getRequester } = communication
+
+  eventRequester = getRequester({
+    name: 'Archive events cron > Event Requester',
+    key: 'event'
+  })
+
+  if (!client) {
+    client = getRedisClient()
+  }
+  if (!redlock) {
+    // no retry because all servers try to archive events at the same time
+    redlock = new Redlock([client], { retryCount: 0 })
+  }
+
+  registerArchivesHost()
+  hostInterval = setInterval(registerArchivesHost, hostRegistrationInterval)
+
+  job.start()
+}
+
+function stop () {
+  eventRequester.close()
+  eventRequester = null
+
+  clearInterval(hostInterval)
+  hostInterval = null
+
+  removeEventArchivesHost({ host: archivesHost })
+    .catch(err => logError(err, { message: 'Fail to remove event archives host' }))
+
+  job.stop()
+}
+
+module.exports = {
+  start,
+  stop
+}
@@ -19,7 +19,7 @@ const {
   computeDate
 } = require('../util/time')
 
-let eventRequester
+let taskRequester
 
 let client
 let redlock
@@ -39,6 +39,9 @@ const job = new CronJob(
 // even if the server that has the lock crashes
 const lockTtl = nbMinutes * 60 * 1000 // milliseconds
 
+// catching up can take longer because several events can be emitted for the same task
+const catchUpLockTtl = 10 * 60 * 1000 // milliseconds
+
 async function emitTaskEvents () {
   let fetchEventsTransaction = apm.startTransaction('Fetch task events to emit via cron')
 
@@ -49,6 +52,7 @@ async function emitTaskEvents () {
     const taskConfigs = await getAllStelaceTasks()
 
     const filteredTaskConfigs = filterTasks(taskConfigs, refDate, nbMinutes)
+    const expiredTaskConfigs = filterExpiredTasks(taskConfigs, refDate)
 
     fetchEventsTransaction.end()
     fetchEventsTransaction = null // set null to prevent stopping a second time in the finally block
@@ -72,7 +76,14 @@ async function emitTaskEvents () {
 
         if (!alreadyExecuted) {
           await addStelaceTaskExecutionDate({ taskId: task.id, executionDate: refDate })
-          await emitTaskEvent({ platformId, env, task })
+          // event is emitted and execution is recorded by task service
+          await taskRequester.send({
+            type: '_executeTask',
+            platformId,
+            env,
+            task,
+            scheduledDate: refDate
+          })
         }
 
         await lock.unlock()
@@ -84,6 +95,24 @@ async function emitTaskEvents () {
         emitEventTransaction.end()
       }
     }
+
+    // recurring tasks whose end date has passed without being completed after an execution
+    // (e.g. no date matching the pattern between creation and end date)
+    for (let i = 0; i < expiredTaskConfigs.length; i++) {
+      const { platformId, env, task } = expiredTaskConfigs[i]
+
+      try {
+        await taskRequester.send({
+          type: '_completeTask',
+          platformId,
+          env,
+          taskId: task.id,
+          reason: 'recurringEndDate'
+        })
+      } catch (err) {
+        logError(err, { platformId, env, message: 'Fail to complete task' })
+      }
+    }
   } catch (err) {
     logError(err, { message: 'Fail to load Stelace tasks' })
   } finally {
@@ -91,6 +120,59 @@ async function emitTaskEvents () {
   }
 }
 
+// Executions missed while no server was running (e.g. during an outage) are lost
+// unless the task catch-up policy is `runOnce` or `runAll`
+async function catchUpMissedExecutions () {
+  let fetchTasksTransaction = apm.startTransaction('Fetch tasks to catch up via cron')
+
+  try {
+    // executions from this date are handled by the cron job
+    const refDate = getRoundedDate(new Date(), { nbMinutes })
+
+    const taskConfigs = await getAllStelaceTasks()
+    const catchUpTaskConfigs = filterCatchUpTasks(taskConfigs)
+
+    fetchTasksTransaction.end()
+    fetchTasksTransaction = null // set null to prevent stopping a second time in the finally block
+
+    for (let i = 0; i < catchUpTaskConfigs.length; i++) {
+      const { platformId, env, task } = catchUpTaskConfigs[i]
+
+      const catchUpTransaction = apm.startTransaction('Catch up missed task executions via cron')
+      apm.setUserContext({ id: platformId })
+      apm.addLabels({ env, platformId, eventType: task.eventType })
+      apm.setCustomContext({ taskId: task.id })
+
+      try {
+        // servers starting at the same time must not catch up the same task,
+        // task service computes missed dates from recorded executions after the lock is acquired
+        const lockResource = `locks:stelace_tasks_catch_up:${task.id}`
+        const lock = await redlock.lock(lockResource, catchUpLockTtl)
+
+        await taskRequester.send({
+          type: '_catchUpTask',
+          platformId,
+          env,
+          taskId: task.id,
+          refDate
+        })
+
+        await lock.unlock()
+      } catch (err) {
+        if (err.name !== 'LockError') {
+          logError(err, { platformId, env, message: 'Fail to catch up missed task executions' })
+        }
+      } finally {
+        catchUpTransaction.end()
+      }
+    }
+  } catch (err) {
+    logError(err, { message: 'Fail to load Stelace tasks to catch up' })
+  } finally {
+    fetchTasksTransaction && fetchTasksTransaction.end()
+  }
+}
+
 function filterTasks (taskConfigs, refDate, nbMinutes) {
   return taskConfigs.filter(taskConfig => {
     const invalidConfig = !taskConfig.platformId ||
@@ -105,6 +187,9 @@ function filterTasks (taskConfigs, refDate, nbMinutes) {
     // if task date matches exactly the ref date, then it's time to trigger the task event
     const isRecurringTask = !!task.recurringPattern
     if (isRecurringTask) {
+      if (task.recurringStartDate && refDate < task.recurringStartDate) return false
+      if (task.recurringEndDate && refDate > task.recurringEndDate) return false
+
       const intervalSeconds = nbMinutes * 30
 
       const computedRecurringDates = computeRecurringDates(task.recurringPattern, {
@@ -120,25 +205,28 @@ function filterTasks (taskConfigs, refDate, nbMinutes) {
   })
 }
 
-async function emitTaskEvent ({ platformId, env, task }) {
-  await eventRequester.send({
-    type: 'create',
-    platformId,
-    env,
-    emitter: 'task',
-    emitterId: task.id,
-    eventType: task.eventType,
-    objectId: task.eventObjectId,
-    metadata: task.eventMetadata
+function filterExpiredTasks (taskConfigs, refDate) {
+  return taskConfigs.filter(({ platformId, env, task }) => {
+    if (!platformId || !env || !task || !task.active) return false
+
+    return !!task.recurringPattern && !!task.recurringEndDate && task.recurringEndDate < refDate
+  })
+}
+
+function filterCatchUpTasks (taskConfigs) {
+  return taskConfigs.filter(({ platformId, env, task }) => {
+    if (!platformId || !env || !task || !task.active) return false
+
+    return ['runOnce', 'runAll'].includes(task.catchUpPolicy)
   })
 }
 
 function start ({ communication }) {
   const { getRequester } = communication
 
-  eventRequester = getRequester({
-    name: 'Emit task event cron > Event Requester',
-    key: 'event'
+  taskRequester = getRequester({
+    name: 'Emit task event cron > Task Requester',
+    key: 'task'
   })
 
   if (!client) {
@@ -149,11 +237,13 @@ function start ({ communication }) {
   }
 
   job.start()
+
+  catchUpMissedExecutions()
 }
 
 function stop () {
-  eventRequester.close()
-  eventRequester = null
+  taskRequester.close()
+  taskRequester = null
 
   job.stop()
 }
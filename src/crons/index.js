@@ -1,6 +1,9 @@
 const crons = {
+  archiveEvents: require('./archiveEvents'),
   checkEsReindex: require('./checkESReindex'),
-  emitTaskEvents: require('./emitTaskEvents')
+  emitTaskEvents: require('./emitTaskEvents'),
+  retryWebhookDeliveries: require('./retryWebhookDeliveries'),
+  resumeWorkflowRuns: require('./resumeWorkflowRuns')
 }
 
 function start (...args) {
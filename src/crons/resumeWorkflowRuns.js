@@ -0,0 +1,114 @@
+const CronJob = require('cron').CronJob
+const Redlock = require('redlock')
+const apm = require('elastic-apm-node')
+
+const { logError } = require('../../server/logger')
+
+const {
+  getRedisClient,
+  getDueWorkflowDelayedRuns,
+  isWorkflowDelayedRunScheduled,
+  removeWorkflowDelayedRun
+} = require('../redis')
+
+let workflowRequester
+
+let client
+let redlock
+
+const job = new CronJob(
+  '*/10 * * * * *', // check every 10 seconds
+  resumeWorkflowRuns,
+  null,
+  null,
+  'UTC'
+)
+
+// create a lock time so another server can claim the lock after that duration
+// even if the server that has the lock crashes
+const lockTtl = 10 * 1000 // milliseconds
+
+async function resumeWorkflowRuns () {
+  let fetchRunsTransaction = apm.startTransaction('Fetch delayed workflow runs via cron')
+
+  try {
+    const delayedRunConfigs = await getDueWorkflowDelayedRuns({ date: new Date().toISOString() })
+
+    fetchRunsTransaction.end()
+    fetchRunsTransaction = null // set null to prevent stopping a second time in the finally block
+
+    for (let i = 0; i < delayedRunConfigs.length; i++) {
+      const { platformId, env, delayedRun } = delayedRunConfigs[i]
+
+      const resumeRunTransaction = apm.startTransaction('Resume delayed workflow run via cron')
+      apm.setUserContext({ id: platformId })
+      apm.addLabels({ env, platformId })
+      apm.setCustomContext({ workflowId: delayedRun.workflowId, runId: delayedRun.runId })
+
+      try {
+        // use redlock to ensure the run is resumed only by one server
+        // even within a distributed system
+        const lockResource = `locks:stelace_workflow_delayed_runs:${delayedRun.runId}`
+        const lock = await redlock.lock(lockResource, lockTtl)
+
+        // the run can be resumed by another server between fetch and lock
+        const isScheduled = await isWorkflowDelayedRunScheduled({ runId: delayedRun.runId })
+
+        // removed before resuming like workflows triggered by events are run at most once,
+        // so remaining steps cannot be executed twice if resuming takes longer than the lock
+        if (isScheduled) await removeWorkflowDelayedRun({ runId: delayedRun.runId })
+
+        await lock.unlock()
+
+        if (isScheduled) {
+          await workflowRequester.send({
+            type: '_resumeDelayedRun',
+            platformId,
+            env,
+            delayedRun
+          })
+        }
+      } catch (err) {
+        if (err.name !== 'LockError') {
+          logError(err, { platformId, env, message: 'Fail to resume delayed workflow run' })
+        }
+      } finally {
+        resumeRunTransaction.end()
+      }
+    }
+  } catch (err) {
+    logError(err, { message: 'Fail to load delayed workflow runs' })
+  } finally {
+    fetchRunsTransaction && fetchRunsTransaction.end()
+  }
+}
+
+function start ({ communication }) {
+  const { getRequester } = communication
+
+  workflowRequester = getRequester({
+    name: 'Resume workflow runs cron > Workflow Requester',
+    key: 'workflow'
+  })
+
+  if (!client) {
+    client = getRedisClient()
+  }
+  if (!redlock) {
+    redlock = new Redlock([client], { retryCount: 3 })
+  }
+
+  job.start()
+}
+
+function stop () {
+  workflowRequester.close()
+  workflowRequester = null
+
+  job.stop()
+}
+
+module.exports = {
+  start,
+  stop
+}
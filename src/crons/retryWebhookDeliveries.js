@@ -0,0 +1,200 @@
+const CronJob = require('cron').CronJob
+const Redlock = require('redlock')
+const apm = require('elastic-apm-node')
+const Uuid = require('uuid')
+
+const { logError } = require('../../server/logger')
+
+const {
+  getRedisClient,
+  getDueWebhookDeliveries,
+  addWebhookDelivery,
+  isWebhookDeliveryScheduled,
+  removeWebhookDelivery,
+  getOrderedWebhookQueues,
+  removeOrderedWebhookEvent
+} = require('../redis')
+const { getNextAttemptDate } = require('../util/retry')
+
+let webhookRequester
+
+let client
+let redlock
+
+const job = new CronJob(
+  '*/10 * * * * *', // check every 10 seconds
+  retryWebhookDeliveries,
+  null,
+  null,
+  'UTC'
+)
+
+// create a lock time so another server can claim the lock after that duration
+// even if the server that has the lock crashes
+// WARNING: MUST be greater than webhook request deadline
+const lockTtl = 60 * 1000 // milliseconds
+
+async function retryWebhookDeliveries () {
+  let fetchDeliveriesTransaction = apm.startTransaction('Fetch webhook deliveries to retry via cron')
+
+  try {
+    const deliveryConfigs = await getDueWebhookDeliveries({ date: new Date().toISOString() })
+
+    fetchDeliveriesTransaction.end()
+    fetchDeliveriesTransaction = null // set null to prevent stopping a second time in the finally block
+
+    for (let i = 0; i < deliveryConfigs.length; i++) {
+      const { platformId, env, delivery } = deliveryConfigs[i]
+
+      const retryDeliveryTransaction = apm.startTransaction('Retry webhook delivery via cron')
+      apm.setUserContext({ id: platformId })
+      apm.addLabels({ env, platformId })
+      apm.setCustomContext({ webhookId: delivery.webhookId, eventId: delivery.eventId })
+
+      try {
+        // use redlock to ensure the delivery is handled only by one server at a time
+        // even within a distributed system
+        const lockResource = `locks:stelace_webhook_deliveries:${delivery.id}`
+        const lock = await redlock.lock(lockResource, lockTtl)
+
+        try {
+          // the delivery can be processed by another server between fetch and lock
+          const isScheduled = await isWebhookDeliveryScheduled({ deliveryId: delivery.id })
+
+          if (isScheduled) {
+            try {
+              await webhookRequester.send({
+                type: '_retryDelivery',
+                platformId,
+                env,
+                delivery
+              })
+            } catch (err) {
+              logError(err, { platformId, env, message: 'Fail to retry webhook delivery' })
+              await rescheduleFailedDelivery({ platformId, env, delivery })
+            }
+
+            // removed only after processing so the delivery is retried if the server crashes
+            await removeWebhookDelivery({ deliveryId: delivery.id })
+          }
+        } finally {
+          await lock.unlock()
+        }
+      } catch (err) {
+        if (err.name !== 'LockError') {
+          logError(err, { platformId, env, message: 'Fail to retry webhook delivery' })
+        }
+      } finally {
+        retryDeliveryTransaction.end()
+      }
+    }
+  } catch (err) {
+    logError(err, { message: 'Fail to load webhook deliveries' })
+  } finally {
+    fetchDeliveriesTransaction && fetchDeliveriesTransaction.end()
+  }
+
+  await processOrderedWebhookQueues()
+}
+
+// The failed processing counts as an attempt, so a delivery that always fails
+// is dropped after the max attempts of its retry policy instead of being retried forever
+async function rescheduleFailedDelivery ({ platformId, env, delivery }) {
+  const nextAttemptDate = getNextAttemptDate(delivery.attempt, delivery.retryPolicy)
+
+  if (nextAttemptDate) {
+    await addWebhookDelivery({
+      platformId,
+      env,
+      executionDate: nextAttemptDate,
+      delivery: Object.assign({}, delivery, {
+        id: Uuid.v4(),
+        attempt: delivery.attempt + 1
+      })
+    })
+  } else {
+    logError(new Error('Webhook delivery dropped after max attempts'), {
+      platformId,
+      env,
+      custom: { delivery },
+      message: 'Fail to retry webhook delivery'
+    })
+
+    // following events of the same object can be delivered
+    if (delivery.ordered) {
+      await removeOrderedWebhookEvent({
+        platformId,
+        env,
+        webhookId: delivery.webhookId,
+        objectId: delivery.objectId,
+        eventId: delivery.eventId
+      })
+    }
+  }
+}
+
+// Safety net for ordered queues whose events were queued while another server
+// was releasing the queue lock, events are usually delivered right after being queued
+async function processOrderedWebhookQueues () {
+  let queues
+
+  try {
+    queues = await getOrderedWebhookQueues()
+  } catch (err) {
+    logError(err, { message: 'Fail to load ordered webhook queues' })
+    return
+  }
+
+  for (let i = 0; i < queues.length; i++) {
+    const { platformId, env, webhookId, objectId } = queues[i]
+
+    const processQueueTransaction = apm.startTransaction('Process ordered webhook queue via cron')
+    apm.setUserContext({ id: platformId })
+    apm.addLabels({ env, platformId })
+    apm.setCustomContext({ webhookId, objectId })
+
+    try {
+      await webhookRequester.send({
+        type: '_processOrderedDeliveries',
+        platformId,
+        env,
+        webhookId,
+        objectId
+      })
+    } catch (err) {
+      logError(err, { platformId, env, message: 'Fail to process ordered webhook queue' })
+    } finally {
+      processQueueTransaction.end()
+    }
+  }
+}
+
+function start ({ communication }) {
+  const { getRequester } = communication
+
+  webhookRequester = getRequester({
+    name: 'Retry webhook deliveries cron > Webhook Requester',
+    key: 'webhook'
+  })
+
+  if (!client) {
+    client = getRedisClient()
+  }
+  if (!redlock) {
+    redlock = new Redlock([client], { retryCount: 3 })
+  }
+
+  job.start()
+}
+
+function stop () {
+  webhookRequester.close()
+  webhookRequester = null
+
+  job.stop()
+}
+
+module.exports = {
+  start,
+  stop
+}
@@ -25,7 +25,7 @@ const relatedObjectsWhitelist = [
   // 'emitterId', // Assessment
 ]
 const hasObjectRegex =
-  /_created$|_updated$|_deleted$|^password__|^token__|^assessment__signed|transaction__status_changed$|^user__organization_|^assets_/
+  /_created$|_updated$|_deleted$|^password__|^token__|^assessment__signed|transaction__status_changed$|^user__organization_|^assets_|^webhook__disabled$|^task__completed$/
 const hasRelatedObjectsIdsRegex =
   /^assets?__|_created$|_updated$|_deleted$|^password__|^token__|^assessment__signed|transaction__status_changed$|^user__organization_/
 // V Including all asset__ events except for asset__created and asset__deleted
@@ -33,6 +33,7 @@ const hasChangesRequestedRegex =
   /^(?!asset__(crea|dele)ted)asset__|_updated|organization_rights_changed$/
 
 const coreEventRegex = /^[a-z\d_]+__[a-z\d_]+$/i
+const coreEventPatternRegex = /^[a-z\d_*]+__[a-z\d_*]+$/i
 
 class Event extends Base {
   static get tableName () {
@@ -294,7 +295,11 @@ class Event extends Base {
 
       'password__changed',
       'password__reset_requested',
-      'password__reset_confirmed'
+      'password__reset_confirmed',
+
+      'webhook__disabled',
+
+      'task__completed'
     ]
   }
 
@@ -319,6 +324,51 @@ class Event extends Base {
       (!isCoreFormat && typeof event === 'string' && event)
   }
 
+  static isEventPattern (event) {
+    return typeof event === 'string' && event.includes('*')
+  }
+
+  /**
+   * Converts a glob pattern like 'transaction__*' or 'asset__*_changed' into a regex,
+   * the wildcard '*' matching any sequence of characters
+   * @param {String} pattern
+   * @return {RegExp}
+   */
+  static getEventPatternRegex (pattern) {
+    const regexSource = pattern.split('*').map(_.escapeRegExp).join('.*')
+    return new RegExp(`^${regexSource}$`)
+  }
+
+  /**
+   * Core event patterns must match at least one core event,
+   * while custom event patterns follow custom event naming rules
+   * @param {String} pattern
+   * @return {Boolean}
+   */
+  static isAllowedEventPattern (pattern) {
+    if (!this.isEventPattern(pattern)) return false
+
+    const isCoreFormat = coreEventPatternRegex.test(pattern)
+    if (!isCoreFormat) return !pattern.includes('__')
+
+    const regex = this.getEventPatternRegex(pattern)
+    return this.getListEvents().some(event => regex.test(event))
+  }
+
+  /**
+   * @param {String} eventType
+   * @param {String|String[]} events - event types or patterns
+   * @return {Boolean}
+   */
+  static matchesEvents (eventType, events) {
+    const eventsList = Array.isArray(events) ? events : [events]
+
+    return eventsList.some(event => {
+      if (!this.isEventPattern(event)) return event === eventType
+      return this.getEventPatternRegex(event).test(eventType)
+    })
+  }
+
   /**
    * Returns a config object for given object, mapping events to specific attribute checks
    * @param {String} objectType - like 'assetType'
@@ -1,5 +1,8 @@
 const Base = require('./Base')
 
+// executions missed before this duration are never caught up
+const defaultCatchUpMaxLookback = { h: 24 }
+
 class Task extends Base {
   static get tableName () {
     return 'task'
@@ -37,6 +40,20 @@ class Task extends Base {
           type: ['string', 'null'],
           default: null
         },
+        recurringStartDate: { // no execution before this date
+          type: ['string', 'null'],
+          maxLength: 24,
+          default: null
+        },
+        recurringEndDate: { // last possible execution date (included)
+          type: ['string', 'null'],
+          maxLength: 24,
+          default: null
+        },
+        maxOccurrences: { // scheduled executions only, manual runs are not counted
+          type: ['integer', 'null'],
+          default: null
+        },
         eventType: {
           type: 'string',
           maxLength: 255
@@ -49,10 +66,31 @@ class Task extends Base {
           type: ['string', 'null'],
           default: null
         },
+        cascadeOnDelete: { // 'remove', 'deactivate' or 'none' when the event object is deleted
+          type: 'string',
+          default: 'remove'
+        },
+        catchUpPolicy: { // 'skip', 'runOnce' or 'runAll' executions missed while no server was running
+          type: 'string',
+          default: 'skip'
+        },
+        catchUpMaxLookback: { // falls back to default value if null
+          type: ['object', 'null'],
+          default: null
+        },
+        action: { // workflow or API endpoint invoked after emitting the event
+          type: ['object', 'null'],
+          default: null
+        },
         active: {
           type: 'boolean',
           default: true
         },
+        activatedDate: { // last time the task was reactivated, executions aren't missed while inactive
+          type: ['string', 'null'],
+          maxLength: 24,
+          default: null
+        },
         metadata: {
           type: 'object',
           default: {}
@@ -74,9 +112,16 @@ class Task extends Base {
         'executionDate',
         'recurringPattern',
         'recurringTimezone',
+        'recurringStartDate',
+        'recurringEndDate',
+        'maxOccurrences',
         'eventType',
         'eventMetadata',
         'eventObjectId',
+        'cascadeOnDelete',
+        'catchUpPolicy',
+        'catchUpMaxLookback',
+        'action',
         'active',
         'metadata',
         'platformData',
@@ -87,6 +132,14 @@ class Task extends Base {
 
     return accessFields[access]
   }
+
+  static get defaultCatchUpMaxLookback () {
+    return defaultCatchUpMaxLookback
+  }
+
+  static getCatchUpMaxLookback (task) {
+    return task.catchUpMaxLookback || defaultCatchUpMaxLookback
+  }
 }
 
 module.exports = Task
@@ -0,0 +1,83 @@
+const Base = require('./Base')
+
+class TaskExecution extends Base {
+  static get tableName () {
+    return 'taskExecution'
+  }
+
+  static get idPrefix () {
+    return 'tkx'
+  }
+
+  static get jsonSchema () {
+    return {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string'
+        },
+        createdDate: {
+          type: 'string',
+          maxLength: 24
+        },
+        taskId: {
+          type: 'string'
+        },
+        eventId: { // emitted event
+          type: 'string'
+        },
+        scheduledDate: { // null if the task is run manually
+          type: ['string', 'null'],
+          maxLength: 24,
+          default: null
+        },
+        executedDate: {
+          type: 'string',
+          maxLength: 24
+        },
+        manual: {
+          type: 'boolean',
+          default: false
+        },
+        catchUp: { // executed after being missed, e.g. while no server was running
+          type: 'boolean',
+          default: false
+        },
+        actionResult: { // null if the task has no action, `pending: true` until the action is done
+          type: ['object', 'null'],
+          default: null
+        }
+      }
+    }
+  }
+
+  $beforeInsert () {
+    this.createdDate = new Date().toISOString()
+    // no updatedDate
+  }
+
+  $beforeUpdate () { // executions are immutable, except for the pending action result
+  }
+
+  static getAccessFields (access) {
+    const accessFields = {
+      api: [
+        'id',
+        'createdDate',
+        'taskId',
+        'eventId',
+        'scheduledDate',
+        'executedDate',
+        'manual',
+        'catchUp',
+        'actionResult',
+
+        'livemode' // added in the expose function
+      ]
+    }
+
+    return accessFields[access]
+  }
+}
+
+module.exports = TaskExecution
@@ -1,5 +1,15 @@
 const Base = require('./Base')
 
+const defaultRetryPolicy = {
+  maxAttempts: 6, // including the first delivery attempt
+  initialDelay: { m: 1 },
+  backoffFactor: 2,
+  maxDelay: { h: 6 }
+}
+
+// number of consecutive failed delivery attempts (including retries) before deactivating the webhook
+const defaultMaxConsecutiveFailures = 50
+
 class Webhook extends Base {
   static get tableName () {
     return 'webhook'
@@ -31,8 +41,15 @@ class Webhook extends Base {
         targetUrl: {
           type: 'string'
         },
-        event: {
-          type: 'string'
+        event: { // event type or list of event types and patterns like 'transaction__*'
+          type: ['string', 'array'],
+          items: {
+            type: 'string'
+          }
+        },
+        filter: { // expression evaluated against the event before delivery
+          type: ['string', 'null'],
+          default: null
         },
         apiVersion: {
           type: 'string'
@@ -41,6 +58,31 @@ class Webhook extends Base {
           type: 'boolean',
           default: true
         },
+        ordered: { // if true, events of the same object are delivered one at a time in creation order
+          type: 'boolean',
+          default: false
+        },
+        retry: { // falls back to default retry policy if null
+          type: ['object', 'null'],
+          default: null
+        },
+        maxConsecutiveFailures: { // falls back to default value if null
+          type: ['integer', 'null'],
+          default: null
+        },
+        secret: {
+          type: ['string', 'null'],
+          default: null
+        },
+        previousSecret: { // still signing deliveries until expiration date after secret rotation
+          type: ['string', 'null'],
+          default: null
+        },
+        previousSecretExpirationDate: {
+          type: ['string', 'null'],
+          maxLength: 24,
+          default: null
+        },
         metadata: {
           type: 'object',
           default: {}
@@ -62,9 +104,16 @@ class Webhook extends Base {
         'name',
         'targetUrl',
         'event',
+        'filter',
         'apiVersion',
         'active',
+        'ordered',
+        'retry',
+        'maxConsecutiveFailures',
+        'secret', // only revealed on creation and secret rotation
+        'previousSecretExpirationDate',
         'logs', // not in model, populated on the fly from WebhookLog Model
+        'stats', // not in model, computed on the fly from WebhookLog Model
         'metadata',
         'platformData',
 
@@ -74,6 +123,57 @@ class Webhook extends Base {
 
     return accessFields[access]
   }
+
+  static exposeTransform (element, field, { options }) {
+    switch (field) {
+      case 'secret':
+        if (!options || !options.revealSecret) {
+          delete element.secret
+        }
+        break
+
+      case 'previousSecretExpirationDate':
+        if (!element.previousSecret || element.previousSecretExpirationDate < new Date().toISOString()) {
+          element.previousSecretExpirationDate = null
+        }
+        break
+    }
+  }
+
+  static get defaultRetryPolicy () {
+    return defaultRetryPolicy
+  }
+
+  /**
+   * Returns the retry policy applied to failed deliveries of this webhook
+   * @param {Object} webhook
+   * @return {Object} policy - with `maxAttempts`, `initialDelay`, `backoffFactor` and `maxDelay`
+   */
+  static getRetryPolicy (webhook) {
+    return Object.assign({}, defaultRetryPolicy, webhook.retry)
+  }
+
+  static getMaxConsecutiveFailures (webhook) {
+    return webhook.maxConsecutiveFailures || defaultMaxConsecutiveFailures
+  }
+
+  /**
+   * Returns the secrets used to sign deliveries, the previous secret is kept
+   * until its expiration date so receivers can switch to the new secret without downtime
+   * @param {Object} webhook
+   * @param {String} [date = now]
+   * @return {String[]} secrets - empty for legacy webhooks created before signing
+   */
+  static getSigningSecrets (webhook, date = new Date().toISOString()) {
+    const secrets = []
+
+    if (webhook.secret) secrets.push(webhook.secret)
+    if (webhook.previousSecret && date < webhook.previousSecretExpirationDate) {
+      secrets.push(webhook.previousSecret)
+    }
+
+    return secrets
+  }
 }
 
 module.exports = Webhook
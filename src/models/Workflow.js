@@ -60,6 +60,10 @@ class Workflow extends Base {
             nbTimesRun: 0
           }
         },
+        revision: { // incremented each time a revisioned field changes, cf. WorkflowRevision
+          type: 'integer',
+          default: 1
+        },
         apiVersion: {
           type: 'string',
         },
@@ -90,6 +94,7 @@ class Workflow extends Base {
         'computed',
         'active',
         'stats',
+        'revision',
         'apiVersion',
         'logs', // not in model, populated on the fly from WorkflowLog Model
         'metadata',
@@ -0,0 +1,99 @@
+const Base = require('./Base')
+
+class WorkflowRevision extends Base {
+  static get tableName () {
+    return 'workflowRevision'
+  }
+
+  static get idPrefix () {
+    return 'wfr'
+  }
+
+  static get jsonSchema () {
+    return {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string'
+        },
+        createdDate: {
+          type: 'string',
+          maxLength: 24
+        },
+        workflowId: {
+          type: 'string'
+        },
+        revision: {
+          type: 'integer'
+        },
+        authorId: { // user or API key that changed the workflow
+          type: ['string', 'null'],
+          maxLength: 255,
+          default: null
+        },
+        restoredRevision: { // set if this revision is a rollback
+          type: ['integer', 'null'],
+          default: null
+        },
+        context: {
+          type: ['array', 'null'],
+          default: null
+        },
+        event: {
+          type: 'string'
+        },
+        run: {
+          type: ['array', 'null'],
+          default: null
+        },
+        computed: {
+          type: ['object', 'null'],
+          default: null
+        },
+        apiVersion: {
+          type: 'string'
+        }
+      }
+    }
+  }
+
+  $beforeInsert () {
+    this.createdDate = new Date().toISOString()
+    // no updatedDate
+  }
+
+  $beforeUpdate () { // revisions are immutable
+  }
+
+  static getAccessFields (access) {
+    const accessFields = {
+      api: [
+        'id',
+        'createdDate',
+        'workflowId',
+        'revision',
+        'authorId',
+        'restoredRevision',
+        'context',
+        'event',
+        'run',
+        'computed',
+        'apiVersion',
+
+        'livemode' // added in the expose function
+      ]
+    }
+
+    return accessFields[access]
+  }
+
+  /**
+   * Workflow properties saved in each revision,
+   * a new revision is created when any of them changes
+   */
+  static get revisionedFields () {
+    return ['context', 'event', 'run', 'computed', 'apiVersion']
+  }
+}
+
+module.exports = WorkflowRevision
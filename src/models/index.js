@@ -27,12 +27,14 @@ const models = {
   Role: require('./Role'),
   SavedSearch: require('./SavedSearch'),
   Task: require('./Task'),
+  TaskExecution: require('./TaskExecution'),
   Transaction: require('./Transaction'),
   User: require('./User'),
   Webhook: require('./Webhook'),
   WebhookLog: require('./WebhookLog'),
   Workflow: require('./Workflow'),
   WorkflowLog: require('./WorkflowLog'),
+  WorkflowRevision: require('./WorkflowRevision'),
 
   InternalAvailability: require('./InternalAvailability')
 }
@@ -126,7 +126,8 @@ const coreListObjectPermissions = [
       'stats:all',
       'list:all',
       'read:all',
-      'create:all'
+      'create:all',
+      'archive:all'
     ]
   },
   {
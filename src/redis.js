@@ -414,6 +414,420 @@ async function removeStelaceTaskExecutionDates ({ taskId }) {
   if (keys.length) await client.delAsync(keys)
 }
 
+/**
+ * Schedule a webhook delivery attempt
+ * @param {String} platformId
+ * @param {String} env
+ * @param {Object} delivery
+ * @param {String} delivery.id
+ * @param {String} executionDate - date from which the delivery can be attempted
+ */
+async function addWebhookDelivery ({ platformId, env, delivery, executionDate }) {
+  if (!delivery.id) {
+    throw new Error('Expected delivery ID')
+  }
+
+  const client = _getClient({ platformId, env })
+
+  const payload = {
+    platformId,
+    env,
+    delivery
+  }
+
+  await client.multi()
+    .hset('stelace_webhook_deliveries', delivery.id, JSON.stringify(payload))
+    .zadd('stelace_webhook_deliveries_date', new Date(executionDate).getTime(), delivery.id)
+    .execAsync()
+}
+
+/**
+ * Returns webhook deliveries whose execution date is before provided date,
+ * from the oldest one
+ * @param {String} date
+ * @param {Number} [limit = 100]
+ * @returns {Object[]} deliveries with `platformId`, `env` and `delivery` properties
+ */
+async function getDueWebhookDeliveries ({ date, limit = 100 }) {
+  const client = getRedisClient()
+
+  const deliveryIds = await client.zrangebyscoreAsync(
+    'stelace_webhook_deliveries_date',
+    '-inf',
+    new Date(date).getTime(),
+    'LIMIT',
+    0,
+    limit
+  )
+  if (!deliveryIds.length) return []
+
+  const payloads = await client.hmgetAsync('stelace_webhook_deliveries', deliveryIds)
+  return payloads.filter(Boolean).map(JSON.parse)
+}
+
+/**
+ * Checks if the webhook delivery is still waiting to be processed
+ * @param {String} deliveryId
+ */
+async function isWebhookDeliveryScheduled ({ deliveryId }) {
+  if (!deliveryId) {
+    throw new Error('Expected delivery ID')
+  }
+
+  const client = getRedisClient()
+
+  const res = await client.zscoreAsync('stelace_webhook_deliveries_date', deliveryId)
+  return res !== null
+}
+
+/**
+ * Remove a webhook delivery once processed
+ * @param {String} deliveryId
+ */
+async function removeWebhookDelivery ({ deliveryId }) {
+  if (!deliveryId) {
+    throw new Error('Expected delivery ID')
+  }
+
+  const client = getRedisClient()
+
+  await client.multi()
+    .zrem('stelace_webhook_deliveries_date', deliveryId)
+    .hdel('stelace_webhook_deliveries', deliveryId)
+    .execAsync()
+}
+
+/**
+ * Persist a workflow run paused by a delayed step, so it can be resumed by any server
+ * @param {String} platformId
+ * @param {String} env
+ * @param {Object} delayedRun
+ * @param {String} delayedRun.runId
+ * @param {String} executionDate - date from which the run can be resumed
+ */
+async function addWorkflowDelayedRun ({ platformId, env, delayedRun, executionDate }) {
+  if (!delayedRun.runId) {
+    throw new Error('Expected run ID')
+  }
+
+  const client = _getClient({ platformId, env })
+
+  const payload = {
+    platformId,
+    env,
+    delayedRun
+  }
+
+  await client.multi()
+    .hset('stelace_workflow_delayed_runs', delayedRun.runId, JSON.stringify(payload))
+    .zadd('stelace_workflow_delayed_runs_date', new Date(executionDate).getTime(), delayedRun.runId)
+    .execAsync()
+}
+
+/**
+ * Returns delayed workflow runs whose execution date is before provided date,
+ * from the oldest one
+ * @param {String} date
+ * @param {Number} [limit = 100]
+ * @returns {Object[]} delayed runs with `platformId`, `env` and `delayedRun` properties
+ */
+async function getDueWorkflowDelayedRuns ({ date, limit = 100 }) {
+  const client = getRedisClient()
+
+  const runIds = await client.zrangebyscoreAsync(
+    'stelace_workflow_delayed_runs_date',
+    '-inf',
+    new Date(date).getTime(),
+    'LIMIT',
+    0,
+    limit
+  )
+  if (!runIds.length) return []
+
+  const payloads = await client.hmgetAsync('stelace_workflow_delayed_runs', runIds)
+  return payloads.filter(Boolean).map(JSON.parse)
+}
+
+/**
+ * Checks if the delayed workflow run is still waiting to be resumed
+ * @param {String} runId
+ */
+async function isWorkflowDelayedRunScheduled ({ runId }) {
+  if (!runId) {
+    throw new Error('Expected run ID')
+  }
+
+  const client = getRedisClient()
+
+  const res = await client.zscoreAsync('stelace_workflow_delayed_runs_date', runId)
+  return res !== null
+}
+
+/**
+ * Remove a delayed workflow run once resumed
+ * @param {String} runId
+ */
+async function removeWorkflowDelayedRun ({ runId }) {
+  if (!runId) {
+    throw new Error('Expected run ID')
+  }
+
+  const client = getRedisClient()
+
+  await client.multi()
+    .zrem('stelace_workflow_delayed_runs_date', runId)
+    .hdel('stelace_workflow_delayed_runs', runId)
+    .execAsync()
+}
+
+/**
+ * Returns the ID of the run that has claimed the execution of the workflow for this event
+ * @param {String} platformId
+ * @param {String} env
+ * @param {String} workflowId
+ * @param {String} eventId
+ * @returns {String|null} run ID
+ */
+async function getWorkflowEventRunId ({ platformId, env, workflowId, eventId }) {
+  const client = _getClient({ platformId, env })
+
+  const res = await client.getAsync(_getWorkflowEventRunKey({ platformId, env, workflowId, eventId }))
+  return res || null
+}
+
+/**
+ * Save the run claiming the execution of the workflow for this event,
+ * claims expire as duplicate events are received shortly after the original one
+ * @param {String} platformId
+ * @param {String} env
+ * @param {String} workflowId
+ * @param {String} eventId
+ * @param {String} runId
+ * @param {Number} [ttl = 86400] - seconds
+ */
+async function addWorkflowEventRun ({ platformId, env, workflowId, eventId, runId, ttl = 24 * 60 * 60 }) {
+  if (!runId) {
+    throw new Error('Expected run ID')
+  }
+
+  const client = _getClient({ platformId, env })
+
+  await client.setAsync(_getWorkflowEventRunKey({ platformId, env, workflowId, eventId }), runId, 'EX', ttl)
+}
+
+/**
+ * Publishes a created event to stream clients connected to any server instance,
+ * as events are only received by services of the process that created them
+ * @param {Object} event
+ * @param {String} platformId
+ * @param {String} env
+ */
+async function publishStreamEvent ({ event, platformId, env }) {
+  const client = getRedisClient()
+
+  await client.publishAsync('stelace_event_stream', JSON.stringify({ event, platformId, env }))
+}
+
+/**
+ * Calls the listener with events published for stream clients
+ * @param {Object} client - exclusive Redis client, subscribed clients cannot send other commands
+ * @param {Function} listener - called with an object having `event`, `platformId` and `env` properties
+ */
+async function subscribeToStreamEvents ({ client, listener }) {
+  client.on('message', (channel, message) => {
+    if (channel === 'stelace_event_stream') listener(JSON.parse(message))
+  })
+
+  await client.subscribeAsync('stelace_event_stream')
+}
+
+/**
+ * Registers the host archiving events and returns all hosts registered recently,
+ * so servers can check they write archives into the same directory
+ * @param {String} host
+ * @param {Number} [ttl = 60] - seconds, hosts not registered again during this period are forgotten
+ * @returns {String[]} hosts
+ */
+async function registerEventArchivesHost ({ host, ttl = 60 }) {
+  if (!host) {
+    throw new Error('Expected host')
+  }
+
+  const client = getRedisClient()
+  const now = Date.now()
+
+  const [, , hosts] = await client.multi()
+    .zadd('stelace_event_archives_hosts', now, host)
+    .zremrangebyscore('stelace_event_archives_hosts', '-inf', now - ttl * 1000)
+    .zrange('stelace_event_archives_hosts', 0, -1)
+    .execAsync()
+
+  return hosts
+}
+
+/**
+ * Forget the host when the server stops archiving events
+ * @param {String} host
+ */
+async function removeEventArchivesHost ({ host }) {
+  if (!host) {
+    throw new Error('Expected host')
+  }
+
+  const client = getRedisClient()
+
+  await client.zremAsync('stelace_event_archives_hosts', host)
+}
+
+function _getWorkflowEventRunKey ({ platformId, env, workflowId, eventId }) {
+  return `stelace_workflow_event_runs:${platformId}:${env}:${workflowId}:${eventId}`
+}
+
+function _getOrderedWebhookQueueKey ({ platformId, env, webhookId, objectId }) {
+  return `stelace_webhook_ordered_queue:${platformId}:${env}:${webhookId}:${objectId}`
+}
+
+// properties order matters as the member is used to remove the queue from the set
+function _getOrderedWebhookQueueMember ({ platformId, env, webhookId, objectId }) {
+  return JSON.stringify({ platformId, env, webhookId, objectId })
+}
+
+/**
+ * Queue an event to be delivered after previous events of the same object,
+ * in event creation order.
+ * Event IDs aren't monotonic, so events created within the same millisecond
+ * are ordered by a sequence in the score, events having to be queued in creation order.
+ * @param {String} platformId
+ * @param {String} env
+ * @param {String} webhookId
+ * @param {String} objectId
+ * @param {String} eventId
+ * @param {String} eventDate
+ */
+async function addOrderedWebhookEvent ({ platformId, env, webhookId, objectId, eventId, eventDate }) {
+  const client = _getClient({ platformId, env })
+
+  const queueParams = { platformId, env, webhookId, objectId }
+
+  // score is `timestamp * 1000 + sequence`, still an exact integer in double precision
+  // numbers are formatted in Lua as the default conversion to string loses precision
+  await client.evalAsync(
+    `local minScore = tonumber(ARGV[1]) * 1000
+    local last = redis.call('zrevrangebyscore', KEYS[1], minScore + 999, minScore, 'WITHSCORES', 'LIMIT', 0, 1)
+    local score = minScore
+    if last[2] then score = tonumber(last[2]) + 1 end
+    redis.call('zadd', KEYS[1], 'NX', string.format('%.0f', score), ARGV[2])
+    return redis.call('sadd', KEYS[2], ARGV[3])`,
+    2,
+    _getOrderedWebhookQueueKey(queueParams),
+    'stelace_webhook_ordered_queues',
+    new Date(eventDate).getTime(),
+    eventId,
+    _getOrderedWebhookQueueMember(queueParams)
+  )
+}
+
+/**
+ * Returns all queues having events waiting to be delivered
+ * @returns {Object[]} queues with `platformId`, `env`, `webhookId` and `objectId` properties
+ */
+async function getOrderedWebhookQueues () {
+  const client = getRedisClient()
+
+  const members = await client.smembersAsync('stelace_webhook_ordered_queues')
+  return members.map(JSON.parse)
+}
+
+/**
+ * Returns the oldest event of the queue, or null if the queue is empty
+ * @param {String} platformId
+ * @param {String} env
+ * @param {String} webhookId
+ * @param {String} objectId
+ * @returns {String|null} eventId
+ */
+async function getNextOrderedWebhookEventId ({ platformId, env, webhookId, objectId }) {
+  const client = _getClient({ platformId, env })
+
+  const [eventId] = await client.zrangeAsync(_getOrderedWebhookQueueKey({ platformId, env, webhookId, objectId }), 0, 0)
+  return eventId || null
+}
+
+/**
+ * Remove a delivered or dead event from the queue, unblocking the queue
+ * @param {String} platformId
+ * @param {String} env
+ * @param {String} webhookId
+ * @param {String} objectId
+ * @param {String} eventId
+ */
+async function removeOrderedWebhookEvent ({ platformId, env, webhookId, objectId, eventId }) {
+  const client = _getClient({ platformId, env })
+
+  const queueParams = { platformId, env, webhookId, objectId }
+  const queueKey = _getOrderedWebhookQueueKey(queueParams)
+
+  await client.multi()
+    .zrem(queueKey, eventId)
+    .hdel('stelace_webhook_ordered_blocked', queueKey)
+    .execAsync()
+
+  // atomic check so an event queued concurrently cannot be left out of the queues set
+  await client.evalAsync(
+    `if redis.call('zcard', KEYS[1]) == 0 then
+      return redis.call('srem', KEYS[2], ARGV[1])
+    end
+    return 0`,
+    2,
+    queueKey,
+    'stelace_webhook_ordered_queues',
+    _getOrderedWebhookQueueMember(queueParams)
+  )
+}
+
+/**
+ * Remove all queued events, e.g. when the webhook is removed or deactivated
+ * @param {String} platformId
+ * @param {String} env
+ * @param {String} webhookId
+ * @param {String} objectId
+ */
+async function removeOrderedWebhookQueue ({ platformId, env, webhookId, objectId }) {
+  const client = _getClient({ platformId, env })
+
+  const queueParams = { platformId, env, webhookId, objectId }
+  const queueKey = _getOrderedWebhookQueueKey(queueParams)
+
+  await client.multi()
+    .del(queueKey)
+    .hdel('stelace_webhook_ordered_blocked', queueKey)
+    .srem('stelace_webhook_ordered_queues', _getOrderedWebhookQueueMember(queueParams))
+    .execAsync()
+}
+
+/**
+ * Block the queue until the failed delivery of its oldest event succeeds or is dead
+ * @param {String} platformId
+ * @param {String} env
+ * @param {String} webhookId
+ * @param {String} objectId
+ * @param {String} deliveryId
+ */
+async function blockOrderedWebhookQueue ({ platformId, env, webhookId, objectId, deliveryId }) {
+  const client = _getClient({ platformId, env })
+
+  const queueKey = _getOrderedWebhookQueueKey({ platformId, env, webhookId, objectId })
+  await client.hsetAsync('stelace_webhook_ordered_blocked', queueKey, deliveryId)
+}
+
+async function isOrderedWebhookQueueBlocked ({ platformId, env, webhookId, objectId }) {
+  const client = _getClient({ platformId, env })
+
+  const queueKey = _getOrderedWebhookQueueKey({ platformId, env, webhookId, objectId })
+  const res = await client.hexistsAsync('stelace_webhook_ordered_blocked', queueKey)
+  return res === 1
+}
+
 /**
  * Use HSCAN to retrieve redis `stelace_tasks` hash values matching `filterFn`.
  * @param {Function} [filterFn] - Invoked over all tasks of __all__ platforms,
@@ -474,5 +888,32 @@ module.exports = {
 
   didStelaceTaskExecute,
   addStelaceTaskExecutionDate,
-  removeStelaceTaskExecutionDates
+  removeStelaceTaskExecutionDates,
+
+  addWebhookDelivery,
+  getDueWebhookDeliveries,
+  isWebhookDeliveryScheduled,
+  removeWebhookDelivery,
+
+  addOrderedWebhookEvent,
+  getOrderedWebhookQueues,
+  getNextOrderedWebhookEventId,
+  removeOrderedWebhookEvent,
+  removeOrderedWebhookQueue,
+  blockOrderedWebhookQueue,
+  isOrderedWebhookQueueBlocked,
+
+  addWorkflowDelayedRun,
+  getDueWorkflowDelayedRuns,
+  isWorkflowDelayedRunScheduled,
+  removeWorkflowDelayedRun,
+
+  getWorkflowEventRunId,
+  addWorkflowEventRun,
+
+  publishStreamEvent,
+  subscribeToStreamEvents,
+
+  registerEventArchivesHost,
+  removeEventArchivesHost
 }
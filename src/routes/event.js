@@ -1,6 +1,29 @@
 const _ = require('lodash')
+const fs = require('fs')
+const { promisify } = require('util')
+
+const pipeline = promisify(require('stream').pipeline)
+
+const { logError } = require('../../server/logger')
+const { getEventArchiveFilePath } = require('../util/archive')
+const {
+  getRedisClient,
+  publishStreamEvent,
+  subscribeToStreamEvents
+} = require('../redis')
 
 let requester
+let eventSubscriber
+let redisSubClient
+
+// Server-Sent Events clients connected to this server
+const streamClients = new Set()
+
+// comments sent periodically so proxies don't close idle connections
+const streamHeartbeatInterval = 15000 // milliseconds
+
+// missed events are fetched by batches when resuming the stream
+const nbStreamResumeEventsPerPage = 100
 
 function init (server, { middlewares, helpers } = {}) {
   const {
@@ -132,6 +155,140 @@ function init (server, { middlewares, helpers } = {}) {
     return requester.send(params)
   }))
 
+  server.get({
+    name: 'event.stream',
+    path: '/events/stream'
+  }, checkPermissions([
+    'event:list:all'
+  ]), wrapAction(async (req, res) => {
+    // EventSource sends the ID of the last received event in this header when reconnecting
+    const lastEventId = req.headers['last-event-id'] || req.query.lastEventId
+
+    const client = {
+      res,
+      params: populateRequesterParams(req)({}),
+      filters: {
+        types: req.query.type || null,
+        objectTypes: req.query.objectType || null,
+        objectIds: req.query.objectId || null
+      },
+      isResuming: true,
+      pendingEvents: [], // live events received while resuming
+      queue: Promise.resolve()
+    }
+
+    const closed = new Promise(resolve => res.once('close', resolve))
+
+    // register the client before fetching missed events so events created in the meantime are not lost
+    streamClients.add(client)
+    closed.then(() => streamClients.delete(client))
+
+    let missedEvents = []
+
+    try {
+      if (lastEventId) missedEvents = await getMissedStreamEvents(client, lastEventId)
+    } catch (err) {
+      streamClients.delete(client)
+      throw err
+    }
+
+    res.writeHead(200, {
+      'content-type': 'text/event-stream',
+      'cache-control': 'no-store',
+      connection: 'keep-alive',
+      'x-accel-buffering': 'no', // disables proxy buffering (e.g. Nginx)
+      'x-stelace-version': req._selectedVersion,
+      'x-request-id': req._requestId
+    })
+    res.write(':\n\n') // sends headers right away
+
+    const sentEventIds = new Set()
+
+    try {
+      while (missedEvents.length) {
+        missedEvents.forEach(event => {
+          sentEventIds.add(event.id)
+          writeStreamEvent(res, event)
+        })
+
+        missedEvents = missedEvents.length === nbStreamResumeEventsPerPage
+          ? await getMissedStreamEvents(client, _.last(missedEvents).id)
+          : []
+      }
+    } catch (err) {
+      // headers are already sent so the error cannot be returned as a response,
+      // the client can reconnect to resume from the last received event
+      logError(err, {
+        platformId: client.params.platformId,
+        env: client.params.env,
+        custom: { lastEventId },
+        message: 'Fail to resume event stream'
+      })
+
+      streamClients.delete(client)
+      res.end()
+      return
+    }
+
+    client.pendingEvents
+      .filter(event => !sentEventIds.has(event.id))
+      .forEach(event => queueStreamEvent(client, event))
+
+    client.pendingEvents = []
+    client.isResuming = false
+
+    const heartbeat = setInterval(() => res.write(':\n\n'), streamHeartbeatInterval)
+
+    await closed
+    clearInterval(heartbeat)
+  }, { routeAction: false }))
+
+  server.get({
+    name: 'event.listArchives',
+    path: '/events/archives'
+  }, checkPermissions([
+    'event:archive:all'
+  ]), wrapAction(async (req, res) => {
+    const params = populateRequesterParams(req)({
+      type: 'listArchives'
+    })
+
+    return requester.send(params)
+  }))
+
+  server.get({
+    name: 'event.downloadArchive',
+    path: '/events/archives/:date'
+  }, checkPermissions([
+    'event:archive:all'
+  ]), wrapAction(async (req, res) => {
+    const { date } = req.params
+
+    const params = populateRequesterParams(req)({
+      type: 'readArchive',
+      date
+    })
+
+    const archive = await requester.send(params)
+
+    const filePath = getEventArchiveFilePath({
+      platformId: req.platformId,
+      env: req.env,
+      fileName: archive.fileName
+    })
+
+    res.writeHead(200, {
+      'content-type': 'application/gzip',
+      'content-length': archive.size,
+      'content-disposition': `attachment; filename="${archive.fileName}"`,
+      'cache-control': 'no-store',
+      'x-stelace-version': req._selectedVersion,
+      'x-request-id': req._requestId
+    })
+
+    await pipeline(fs.createReadStream(filePath), res)
+  }, { routeAction: false }))
+
   server.get({
     name: 'event.read',
     path: '/events/:id'
@@ -176,18 +333,119 @@ function init (server, { middlewares, helpers } = {}) {
   }))
 }
 
+function matchesStreamClient (client, { event, platformId, env }) {
+  const { params, filters } = client
+
+  if (params.platformId !== platformId || params.env !== env) return false
+
+  if (filters.types && !filters.types.includes(event.type)) return false
+  if (filters.objectTypes && !filters.objectTypes.includes(event.objectType)) return false
+  if (filters.objectIds && !filters.objectIds.includes(event.objectId)) return false
+
+  return true
+}
+
+function getMissedStreamEvents (client, lastEventId) {
+  const { params, filters } = client
+
+  return requester.send(Object.assign({}, params, {
+    type: '_listStreamEvents',
+    lastEventId,
+    eventType: filters.types,
+    objectType: filters.objectTypes,
+    objectId: filters.objectIds,
+    nbResults: nbStreamResumeEventsPerPage
+  }))
+}
+
+function queueStreamEvent (client, event) {
+  const { params, res } = client
+
+  // chaining promises keeps creation order even if exposing events takes variable time
+  client.queue = client.queue
+    .then(async () => {
+      const exposedEvent = await requester.send(Object.assign({}, params, {
+        type: '_exposeStreamEvent',
+        event
+      }))
+
+      writeStreamEvent(res, exposedEvent)
+    })
+    .catch(err => {
+      logError(err, {
+        platformId: params.platformId,
+        env: params.env,
+        custom: { eventId: event.id },
+        message: 'Fail to send event to stream client'
+      })
+    })
+}
+
+function writeStreamEvent (res, event) {
+  if (res.writableEnded) return
+  res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`)
+}
+
 function start ({ communication }) {
-  const { getRequester } = communication
+  const { getRequester, getSubscriber, COMMUNICATION_ID } = communication
 
   requester = getRequester({
     name: 'Event route > Event Requester',
     key: 'event'
   })
+
+  eventSubscriber = getSubscriber({
+    name: 'Event route subscriber for stream',
+    key: 'event',
+    namespace: COMMUNICATION_ID,
+    subscribesTo: [
+      'eventCreated'
+    ]
+  })
+
+  // events are only received in the process that created them (COMMUNICATION_ID namespace),
+  // so they're relayed through Redis to stream clients connected to any server instance
+  eventSubscriber.on('eventCreated', async ({ event, platformId, env } = {}) => {
+    try {
+      await publishStreamEvent({ event, platformId, env })
+    } catch (err) {
+      logError(err, {
+        platformId,
+        env,
+        custom: { eventId: event.id },
+        message: 'Fail to publish event to stream clients'
+      })
+    }
+  })
+
+  redisSubClient = getRedisClient({ exclusive: true })
+
+  subscribeToStreamEvents({
+    client: redisSubClient,
+    listener: ({ event, platformId, env }) => {
+      streamClients.forEach(client => {
+        if (!matchesStreamClient(client, { event, platformId, env })) return
+
+        if (client.isResuming) client.pendingEvents.push(event)
+        else queueStreamEvent(client, event)
+      })
+    }
+  }).catch(err => logError(err, { message: 'Fail to subscribe to stream events' }))
 }
 
 function stop () {
   requester.close()
   requester = null
+
+  eventSubscriber.close()
+  eventSubscriber = null
+
+  redisSubClient.quit()
+  redisSubClient = null
+
+  // open connections would prevent the server from stopping
+  streamClients.forEach(client => client.res.end())
+  streamClients.clear()
 }
 
 module.exports = {
@@ -64,12 +64,78 @@ function init (server, { middlewares, helpers } = {}) {
     return result
   }))
 
+  server.get({
+    name: 'task.listExecutions',
+    path: '/tasks/:id/executions'
+  }, checkPermissions([
+    'task:read:all'
+  ]), wrapAction(async (req, res) => {
+    const { id } = req.params
+
+    const fields = [
+      'orderBy',
+      'order',
+      'nbResultsPerPage',
+
+      // cursor pagination
+      'startingAfter',
+      'endingBefore',
+
+      'createdDate',
+      'manual',
+      'catchUp'
+    ]
+
+    const payload = _.pick(req.query, fields)
+
+    let params = populateRequesterParams(req)({
+      type: 'listExecutions',
+      taskId: id
+    })
+
+    params = Object.assign({}, params, payload)
+
+    const result = await requester.send(params)
+    return result
+  }))
+
+  server.get({
+    name: 'task.previewExecutionDates',
+    path: '/tasks/:id/preview'
+  }, checkPermissions([
+    'task:read:all'
+  ]), wrapAction(async (req, res) => {
+    const { id } = req.params
+
+    const fields = [
+      'nbDates'
+    ]
+
+    const payload = _.pick(req.query, fields)
+
+    let params = populateRequesterParams(req)({
+      type: 'previewExecutionDates',
+      taskId: id
+    })
+
+    params = Object.assign({}, params, payload)
+
+    const result = await requester.send(params)
+    return result
+  }))
+
   server.post({
     name: 'task.create',
     path: '/tasks'
   }, checkPermissions([
     'task:create:all'
-  ], { checkData: true }), wrapAction(async (req, res) => {
+  ], {
+    checkData: true,
+    optionalPermissions: [ // needed for endpoint actions using API keys
+      'apiKey:create:all',
+      'apiKey:edit:all'
+    ]
+  }), wrapAction(async (req, res) => {
     const fields = [
       'executionDate',
       'recurringPattern',
@@ -99,7 +165,13 @@ function init (server, { middlewares, helpers } = {}) {
     path: '/tasks/:id'
   }, checkPermissions([
     'task:edit:all'
-  ], { checkData: true }), wrapAction(async (req, res) => {
+  ], {
+    checkData: true,
+    optionalPermissions: [ // needed for endpoint actions using API keys
+      'apiKey:create:all',
+      'apiKey:edit:all'
+    ]
+  }), wrapAction(async (req, res) => {
     const { id } = req.params
 
     const fields = [
@@ -127,6 +199,40 @@ function init (server, { middlewares, helpers } = {}) {
     return result
   }))
 
+  server.post({
+    name: 'task.run',
+    path: '/tasks/:id/run'
+  }, checkPermissions([
+    'task:edit:all'
+  ]), wrapAction(async (req, res) => {
+    const { id } = req.params
+
+    const params = populateRequesterParams(req)({
+      type: 'run',
+      taskId: id
+    })
+
+    const result = await requester.send(params)
+    return result
+  }))
+
+  server.del({
+    name: 'task.removeMany',
+    path: '/tasks'
+  }, checkPermissions([
+    'task:remove:all'
+  ]), wrapAction(async (req, res) => {
+    const { eventObjectId } = req.query
+
+    const params = populateRequesterParams(req)({
+      type: 'removeMany',
+      eventObjectId
+    })
+
+    const result = await requester.send(params)
+    return result
+  }))
+
   server.del({
     name: 'task.remove',
     path: '/tasks/:id'
@@ -77,8 +77,12 @@ function init (server, { middlewares, helpers } = {}) {
       'name',
       'targetUrl',
       'event',
+      'filter',
       'apiVersion',
       'active',
+      'ordered',
+      'retry',
+      'maxConsecutiveFailures',
       'metadata',
       'platformData'
     ]
@@ -106,7 +110,11 @@ function init (server, { middlewares, helpers } = {}) {
       'name',
       'targetUrl',
       'event',
+      'filter',
       'active',
+      'ordered',
+      'retry',
+      'maxConsecutiveFailures',
       'metadata',
       'platformData'
     ]
@@ -124,6 +132,73 @@ function init (server, { middlewares, helpers } = {}) {
     return result
   }))
 
+  server.post({
+    name: 'webhook.rotateSecret',
+    path: '/webhooks/:id/rotate-secret'
+  }, checkPermissions([
+    'webhook:edit:all'
+  ]), wrapAction(async (req, res) => {
+    const webhookId = req.params.id
+    const fields = [
+      'overlapDuration'
+    ]
+
+    const payload = _.pick(req.body, fields)
+
+    let params = populateRequesterParams(req)({
+      type: 'rotateSecret',
+      webhookId
+    })
+
+    params = Object.assign({}, params, payload)
+
+    const result = await requester.send(params)
+    return result
+  }))
+
+  server.post({
+    name: 'webhook.redeliverLogs',
+    path: '/webhooks/:id/logs/redeliver'
+  }, checkPermissions([
+    'webhook:edit:all'
+  ]), wrapAction(async (req, res) => {
+    const webhookId = req.params.id
+    const fields = [
+      'createdDate',
+      'status'
+    ]
+
+    const payload = _.pick(req.body, fields)
+
+    let params = populateRequesterParams(req)({
+      type: 'redeliverLogs',
+      webhookId
+    })
+
+    params = Object.assign({}, params, payload)
+
+    const result = await requester.send(params)
+    return result
+  }))
+
+  server.post({
+    name: 'webhook.redeliverLog',
+    path: '/webhooks/:id/logs/:logId/redeliver'
+  }, checkPermissions([
+    'webhook:edit:all'
+  ]), wrapAction(async (req, res) => {
+    const { id, logId } = req.params
+
+    const params = populateRequesterParams(req)({
+      type: 'redeliverLog',
+      webhookId: id,
+      webhookLogId: logId
+    })
+
+    const result = await requester.send(params)
+    return result
+  }))
+
   server.del({
     name: 'webhook.remove',
     path: '/webhooks/:id'
@@ -151,6 +151,159 @@ function init (server, { middlewares, helpers } = {}) {
     return result
   }))
 
+  server.get({
+    name: 'workflow.listRevisions',
+    path: '/workflows/:id/revisions'
+  }, checkPermissions([
+    'workflow:read:all'
+  ]), wrapAction(async (req, res) => {
+    const workflowId = req.params.id
+    const fields = [
+      'orderBy',
+      'order',
+      'nbResultsPerPage',
+
+      // cursor pagination
+      'startingAfter',
+      'endingBefore',
+    ]
+
+    const payload = _.pick(req.query, fields)
+
+    let params = populateRequesterParams(req)({
+      type: 'listRevisions',
+      workflowId
+    })
+
+    params = Object.assign({}, params, payload)
+
+    const result = await requester.send(params)
+    return result
+  }))
+
+  server.post({
+    name: 'workflow.rollback',
+    path: '/workflows/:id/rollback'
+  }, checkPermissions([
+    'workflow:edit:all'
+  ]), wrapAction(async (req, res) => {
+    const workflowId = req.params.id
+    const fields = [
+      'revision'
+    ]
+
+    const payload = _.pick(req.body, fields)
+
+    let params = populateRequesterParams(req)({
+      type: 'rollback',
+      workflowId
+    })
+
+    params = Object.assign({}, params, payload)
+
+    const result = await requester.send(params)
+    return result
+  }))
+
+  server.post({
+    name: 'workflow.test',
+    path: '/workflows/:id/test'
+  }, checkPermissions([
+    'workflow:edit:all'
+  ]), wrapAction(async (req, res) => {
+    const workflowId = req.params.id
+    const fields = [
+      'eventId',
+      'event',
+      'mockedResponses'
+    ]
+
+    const payload = _.pick(req.body, fields)
+
+    let params = populateRequesterParams(req)({
+      type: 'test',
+      workflowId
+    })
+
+    params = Object.assign({}, params, payload)
+
+    const result = await requester.send(params)
+    return result
+  }))
+
+  server.post({
+    name: 'workflow.rerun',
+    path: '/workflows/:id/runs'
+  }, checkPermissions([
+    'workflow:edit:all'
+  ]), wrapAction(async (req, res) => {
+    const workflowId = req.params.id
+    const fields = [
+      'eventIds'
+    ]
+
+    const payload = _.pick(req.body, fields)
+
+    let params = populateRequesterParams(req)({
+      type: 'rerun',
+      workflowId
+    })
+
+    params = Object.assign({}, params, payload)
+
+    const result = await requester.send(params)
+    return result
+  }))
+
+  server.get({
+    name: 'workflow.listRuns',
+    path: '/workflows/:id/runs'
+  }, checkPermissions([
+    'workflowLog:list:all'
+  ]), wrapAction(async (req, res) => {
+    const workflowId = req.params.id
+    const fields = [
+      'orderBy',
+      'order',
+      'nbResultsPerPage',
+
+      // cursor pagination
+      'startingAfter',
+      'endingBefore',
+
+      'createdDate',
+      'eventId',
+      'outcome',
+    ]
+
+    const payload = _.pick(req.query, fields)
+
+    let params = populateRequesterParams(req)({
+      type: 'listRuns',
+      workflowId
+    })
+
+    params = Object.assign({}, params, payload)
+
+    return requester.send(params)
+  }))
+
+  server.get({
+    name: 'workflow.readRun',
+    path: '/workflows/runs/:runId'
+  }, checkPermissions([
+    'workflowLog:read:all'
+  ]), wrapAction(async (req, res) => {
+    const { runId } = req.params
+
+    const params = populateRequesterParams(req)({
+      type: 'readRun',
+      runId
+    })
+
+    return requester.send(params)
+  }))
+
   // //////////// //
   // WORKFLOW LOG //
   // //////////// //
@@ -1,11 +1,26 @@
 const createError = require('http-errors')
+const _ = require('lodash')
+const bluebird = require('bluebird')
+const fs = require('fs')
 const { getModels, getModelInfo } = require('../models')
 
 const { performListQuery, performAggregationQuery, performHistoryQuery } = require('../util/listQueryBuilder')
 const { getRetentionLimitDate } = require('../util/timeSeries')
+const { computeDate, truncateDate } = require('../util/time')
+const {
+  getEventArchiveFilePath,
+  getEventArchiveManifest,
+  saveEventArchiveManifest,
+  writeEventArchive
+} = require('../util/archive')
 
 let responder
 
+// bounds the duration of an archive run, remaining days are archived during next runs
+const maxNbArchivedDaysPerRun = 7
+
+const nbArchivedEventsPerBatch = 1000
+
 function start ({ communication }) {
   const {
     getResponder
@@ -385,6 +400,210 @@ function start ({ communication }) {
 
     return Event.expose(event, { req })
   })
+
+  // events created after the last event received by the stream client, in creation order
+  responder.on('_listStreamEvents', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Event } = await getModels({ platformId, env })
+
+    const {
+      lastEventId,
+      eventType: type,
+      objectType,
+      objectId,
+      nbResults
+    } = req
+
+    const minCreatedDate = getRetentionLimitDate()
+
+    const lastEvent = await Event.query().findById(lastEventId).where('createdTimestamp', '>=', minCreatedDate)
+    if (!lastEvent) throw createError(422, `Event ID ${lastEventId} not found`)
+
+    const queryBuilder = Event.query()
+      .where(builder => whereAfterEvent(builder, lastEvent))
+      .orderBy([
+        { column: 'createdTimestamp', order: 'asc' },
+        { column: 'id', order: 'asc' }
+      ])
+      .limit(nbResults)
+
+    if (type) queryBuilder.whereIn('type', type)
+    if (objectType) queryBuilder.whereIn('objectType', objectType)
+    if (objectId) queryBuilder.whereIn('objectId', objectId)
+
+    const events = await queryBuilder
+
+    return bluebird.mapSeries(events, event => exposeStreamEvent({ event, Event, req }))
+  })
+
+  responder.on('_exposeStreamEvent', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Event } = await getModels({ platformId, env })
+
+    return exposeStreamEvent({ event: req.event, Event, req })
+  })
+
+  responder.on('listArchives', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+
+    return getEventArchiveManifest({ platformId, env })
+  })
+
+  responder.on('readArchive', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+
+    const { date } = req
+
+    const manifest = await getEventArchiveManifest({ platformId, env })
+
+    const archive = manifest.archives.find(archive => archive.date === date)
+    if (!archive) throw createError(404)
+
+    try {
+      await fs.promises.access(getEventArchiveFilePath({ platformId, env, fileName: archive.fileName }))
+    } catch (err) {
+      throw createError(404, 'Archive file not found')
+    }
+
+    return archive
+  })
+
+  // Events older than the retention period are only stored in compressed chunks,
+  // they're exported to one archive file per day so history can be kept outside the database
+  responder.on('_archiveEvents', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Event } = await getModels({ platformId, env })
+
+    const retentionLimitDate = getRetentionLimitDate()
+
+    const manifest = await getEventArchiveManifest({ platformId, env })
+    const lastArchive = _.last(manifest.archives)
+
+    let startDate = lastArchive ? computeDate(`${lastArchive.date}T00:00:00.000Z`, '1d') : null
+    const archives = []
+
+    while (archives.length < maxNbArchivedDaysPerRun) {
+      const minDateQueryBuilder = Event.query()
+        .min('createdTimestamp as minDate')
+        .where('createdTimestamp', '<', retentionLimitDate)
+
+      if (startDate) minDateQueryBuilder.where('createdTimestamp', '>=', startDate)
+
+      const [{ minDate }] = await minDateQueryBuilder
+      if (!minDate) break
+
+      // days are complete because the retention limit date is truncated
+      const dayStartDate = truncateDate(minDate)
+      const dayEndDate = computeDate(dayStartDate, '1d')
+
+      const archive = await archiveEventsOfDay({
+        Event,
+        startDate: dayStartDate,
+        endDate: dayEndDate,
+        platformId,
+        env
+      })
+
+      // saving after each day so the progress is kept if the next day fails
+      manifest.archives.push(archive)
+      await saveEventArchiveManifest({ platformId, env, manifest })
+
+      archives.push(archive)
+      startDate = dayEndDate
+    }
+
+    return { archives }
+  })
+}
+
+/**
+ * Exports events created during the day into a gzip NDJSON file (one JSON event per line)
+ * @param {Object} params
+ * @param {Object} params.Event - Event model
+ * @param {String} params.startDate - start of the day
+ * @param {String} params.endDate - end of the day (excluded)
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @return {Promise<Object>} archive - manifest entry
+ */
+async function archiveEventsOfDay ({ Event, startDate, endDate, platformId, env }) {
+  const date = startDate.slice(0, 10)
+  const fileName = `${date}.ndjson.gz`
+
+  let nbEvents = 0
+  let firstEventDate = null
+  let lastEventDate = null
+
+  async function * getBatches () {
+    let lastEvent
+    let events
+
+    do {
+      const queryBuilder = Event.query()
+        .where('createdTimestamp', '>=', startDate)
+        .where('createdTimestamp', '<', endDate)
+        .orderBy([
+          { column: 'createdTimestamp', order: 'asc' },
+          { column: 'id', order: 'asc' }
+        ])
+        .limit(nbArchivedEventsPerBatch)
+
+      if (lastEvent) queryBuilder.where(builder => whereAfterEvent(builder, lastEvent))
+
+      events = await queryBuilder
+      if (!events.length) break
+
+      nbEvents += events.length
+      firstEventDate = firstEventDate || events[0].createdDate
+      lastEventDate = _.last(events).createdDate
+      lastEvent = _.last(events)
+
+      yield events.map(event => JSON.stringify(Event.expose(event, { namespaces: ['*'], env })))
+    } while (events.length === nbArchivedEventsPerBatch)
+  }
+
+  const { size, checksum } = await writeEventArchive({ platformId, env, fileName, batches: getBatches() })
+
+  return {
+    date,
+    fileName,
+    nbEvents,
+    firstEventDate,
+    lastEventDate,
+    size,
+    checksum,
+    createdDate: new Date().toISOString()
+  }
+}
+
+// events are ordered by creation timestamp, then ID if several events are created at the same time
+function whereAfterEvent (queryBuilder, event) {
+  return queryBuilder
+    .where('createdTimestamp', '>', event.createdTimestamp)
+    .orWhere(builder => {
+      return builder
+        .where('createdTimestamp', event.createdTimestamp)
+        .where('id', '>', event.id)
+    })
+}
+
+/**
+ * Stream clients don't get the API version transformations applied to route responses
+ * so the event is versioned here, before exposing it with the client namespaces
+ * @param {Object} params
+ * @param {Object} params.event
+ * @param {Object} params.Event - Event model
+ * @param {Object} params.req
+ * @return {Promise<Object>} exposed event
+ */
+async function exposeStreamEvent ({ event, Event, req }) {
+  const versionedEvent = await Event.getVersionedEvent(event, req._selectedVersion)
+  return Event.expose(versionedEvent, { req })
 }
 
 function stop () {
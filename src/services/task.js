@@ -1,6 +1,7 @@
 const createError = require('http-errors')
 const _ = require('lodash')
 const bluebird = require('bluebird')
+const request = require('superagent')
 
 const { getModels } = require('../models')
 
@@ -15,20 +16,39 @@ const {
 const { getObjectId } = require('stelace-util-keys')
 
 const { performListQuery } = require('../util/listQueryBuilder')
+const { encodeBase64 } = require('../util/encoding')
 
 const {
   isValidCronPattern,
   isValidTimezone,
-  getRoundedDate
+  getRoundedDate,
+  computeDate,
+  computeRecurringDates,
+  computeLastRecurringDate
 } = require('../util/time')
 
 let responder
 let eventSubscriber
+let eventRequester
+let workflowRequester
 
-function start ({ communication }) {
+let apiBase
+
+// recurring tasks without end date can run for a long time, but preview needs an end
+const previewMaxDuration = { y: 10 }
+const defaultNbPreviewDates = 10
+const maxNbPreviewDates = 100
+
+// prevents runAll policy from emitting too many events at once after a long downtime
+const maxCatchUpExecutions = 100
+
+const recurringBoundsFields = ['recurringStartDate', 'recurringEndDate', 'maxOccurrences']
+
+function start ({ communication, serverPort }) {
   const {
     getResponder,
     getSubscriber,
+    getRequester,
     COMMUNICATION_ID
   } = communication
 
@@ -46,6 +66,18 @@ function start ({ communication }) {
     ]
   })
 
+  eventRequester = getRequester({
+    name: 'Task service > Event Requester',
+    key: 'event'
+  })
+
+  workflowRequester = getRequester({
+    name: 'Task service > Workflow Requester',
+    key: 'workflow'
+  })
+
+  apiBase = `http://localhost:${serverPort}`
+
   responder.on('list', async (req) => {
     const platformId = req.platformId
     const env = req.env
@@ -155,9 +187,16 @@ function start ({ communication }) {
       'executionDate',
       'recurringPattern',
       'recurringTimezone',
+      'recurringStartDate',
+      'recurringEndDate',
+      'maxOccurrences',
       'eventType',
       'eventMetadata',
       'eventObjectId',
+      'cascadeOnDelete',
+      'catchUpPolicy',
+      'catchUpMaxLookback',
+      'action',
       'active',
       'metadata',
       'platformData'
@@ -180,6 +219,9 @@ function start ({ communication }) {
       throw createError(400, 'Cannot provide both executionDate and recurringPattern')
     }
 
+    checkRecurringBounds(payload)
+    await checkAction({ action: payload.action, req, platformId, env })
+
     if (recurringPattern && !isValidCronPattern(recurringPattern)) {
       throw createError(400, 'Invalid recurring pattern')
     }
@@ -190,6 +232,7 @@ function start ({ communication }) {
     if (executionDate) {
       createAttrs.executionDate = getRoundedDate(executionDate, { nbMinutes: 1 })
     }
+    Object.assign(createAttrs, getRoundedRecurringDates(payload))
 
     if (Event.isCoreEventFormat(eventType)) {
       throw createError(422, Event.getBadCustomEventTypeMessage())
@@ -216,9 +259,16 @@ function start ({ communication }) {
       'executionDate',
       'recurringPattern',
       'recurringTimezone',
+      'recurringStartDate',
+      'recurringEndDate',
+      'maxOccurrences',
       'eventType',
       'eventMetadata',
       'eventObjectId',
+      'cascadeOnDelete',
+      'catchUpPolicy',
+      'catchUpMaxLookback',
+      'action',
       'active',
       'metadata',
       'platformData'
@@ -240,6 +290,10 @@ function start ({ communication }) {
 
     const updateAttrs = _.omit(payload, ['metadata', 'platformData'])
 
+    if (payload.active && !task.active) {
+      updateAttrs.activatedDate = new Date().toISOString()
+    }
+
     const newExecutionDate = typeof executionDate !== 'undefined' ? executionDate : task.executionDate
     const newRecurringPattern = typeof recurringPattern !== 'undefined' ? recurringPattern : task.recurringPattern
 
@@ -247,6 +301,13 @@ function start ({ communication }) {
       throw createError(400, 'Cannot provide both executionDate and recurringPattern')
     }
 
+    checkRecurringBounds(Object.assign(
+      { recurringPattern: newRecurringPattern },
+      _.pick(task, recurringBoundsFields),
+      _.pick(payload, recurringBoundsFields)
+    ))
+    await checkAction({ action: payload.action, req, platformId, env })
+
     if (recurringPattern && !isValidCronPattern(recurringPattern)) {
       throw createError(400, 'Invalid recurring pattern')
     }
@@ -257,6 +318,7 @@ function start ({ communication }) {
     if (executionDate) {
       updateAttrs.executionDate = getRoundedDate(executionDate, { nbMinutes: 1 })
     }
+    Object.assign(updateAttrs, getRoundedRecurringDates(payload))
 
     if (eventType && Event.isCoreEventFormat(eventType)) {
       throw createError(422, Event.getBadCustomEventTypeMessage())
@@ -298,6 +360,203 @@ function start ({ communication }) {
     return { id: taskId }
   })
 
+  responder.on('removeMany', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Task } = await getModels({ platformId, env })
+
+    const { eventObjectId } = req
+
+    const tasks = await Task.query().whereIn('eventObjectId', eventObjectId)
+
+    await bluebird.map(tasks, task => removeTask({ taskId: task.id, platformId, env }), { concurrency: 5 })
+
+    return { ids: tasks.map(task => task.id) }
+  })
+
+  responder.on('listExecutions', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Task, TaskExecution } = await getModels({ platformId, env })
+
+    const {
+      taskId,
+
+      orderBy,
+      order,
+
+      nbResultsPerPage,
+
+      // cursor pagination
+      startingAfter,
+      endingBefore,
+
+      createdDate,
+      manual,
+      catchUp
+    } = req
+
+    const task = await Task.query().findById(taskId)
+    if (!task) throw createError(404)
+
+    const queryBuilder = TaskExecution.query().where({ taskId })
+
+    const paginationMeta = await performListQuery({
+      queryBuilder,
+      filters: {
+        createdDate: {
+          dbField: 'createdDate',
+          value: createdDate,
+          query: 'range'
+        },
+        manual: {
+          dbField: 'manual',
+          value: manual
+        },
+        catchUp: {
+          dbField: 'catchUp',
+          value: catchUp
+        }
+      },
+      paginationActive: true,
+      paginationConfig: {
+        nbResultsPerPage,
+
+        // cursor pagination
+        startingAfter,
+        endingBefore,
+      },
+      orderConfig: {
+        orderBy,
+        order
+      }
+    })
+
+    paginationMeta.results = TaskExecution.exposeAll(paginationMeta.results, { req })
+
+    return paginationMeta
+  })
+
+  responder.on('run', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Task, TaskExecution } = await getModels({ platformId, env })
+
+    const taskId = req.taskId
+
+    const task = await Task.query().findById(taskId)
+    if (!task) throw createError(404)
+
+    // inactive tasks can be run too, for testing purpose
+    const taskExecution = await executeTask({ task, platformId, env })
+
+    return TaskExecution.expose(taskExecution, { req })
+  })
+
+  responder.on('previewExecutionDates', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Task } = await getModels({ platformId, env })
+
+    const { taskId } = req
+
+    // computing recurring dates is expensive, so bounds also apply to requests not validated by schemas
+    const nbDates = _.clamp(parseInt(req.nbDates, 10) || defaultNbPreviewDates, 1, maxNbPreviewDates)
+
+    const task = await Task.query().findById(taskId)
+    if (!task) throw createError(404)
+
+    const now = new Date().toISOString()
+    let executionDates = []
+
+    if (task.recurringPattern) {
+      let limit = nbDates
+
+      if (task.maxOccurrences) {
+        const nbOccurrences = await getNbOccurrences({ task, platformId, env })
+        limit = Math.min(limit, Math.max(task.maxOccurrences - nbOccurrences, 0))
+      }
+
+      const startDate = _.max([now, task.recurringStartDate])
+      const endDate = task.recurringEndDate
+        ? computeDate(task.recurringEndDate, '1ms') // end date is included
+        : computeDate(startDate, previewMaxDuration)
+
+      if (limit && startDate < endDate) {
+        executionDates = computeRecurringDates(task.recurringPattern, {
+          startDate,
+          endDate,
+          timezone: task.recurringTimezone,
+          limit
+        })
+      }
+    } else if (task.executionDate && task.executionDate > now) {
+      executionDates = [task.executionDate].slice(0, nbDates)
+    }
+
+    return {
+      taskId,
+      executionDates
+    }
+  })
+
+  responder.on('_executeTask', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+
+    const {
+      task,
+      scheduledDate
+    } = req
+
+    // scheduled executions don't wait for actions so other due tasks aren't delayed
+    await executeTask({ task, scheduledDate, waitForAction: false, platformId, env })
+
+    const reason = await getRecurringTaskCompletionReason({ task, scheduledDate, platformId, env })
+    if (reason) await completeTask({ taskId: task.id, reason, platformId, env })
+  })
+
+  responder.on('_catchUpTask', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Task } = await getModels({ platformId, env })
+
+    const {
+      taskId,
+      refDate
+    } = req
+
+    const task = await Task.query().findById(taskId)
+    if (!task || !task.active) return { taskId, executionDates: [] }
+
+    const executionDates = await getMissedExecutionDates({ task, refDate, platformId, env })
+
+    for (const scheduledDate of executionDates) {
+      await executeTask({ task, scheduledDate, catchUp: true, waitForAction: false, platformId, env })
+    }
+
+    if (executionDates.length) {
+      const scheduledDate = _.last(executionDates)
+
+      const reason = await getRecurringTaskCompletionReason({ task, scheduledDate, platformId, env })
+      if (reason) await completeTask({ taskId: task.id, reason, platformId, env })
+    }
+
+    return { taskId, executionDates }
+  })
+
+  responder.on('_completeTask', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+
+    const {
+      taskId,
+      reason
+    } = req
+
+    await completeTask({ taskId, reason, platformId, env })
+  })
+
   // EVENTS
 
   eventSubscriber.on('eventCreated', async ({ event, platformId, env } = {}) => {
@@ -306,22 +565,353 @@ function start ({ communication }) {
     const isDeletingObject = Event.isCoreEventFormat(event.type) && event.type.endsWith('__deleted')
     if (!isDeletingObject || !event.objectId) return
 
-    const tasks = await Task.query().where({ eventObjectId: event.objectId })
+    const tasks = await Task.query()
+      .where({ eventObjectId: event.objectId })
+      .whereIn('cascadeOnDelete', ['remove', 'deactivate'])
 
     await bluebird.map(tasks, async (task) => {
       try {
-        await removeTask({ taskId: task.id, platformId, env })
+        if (task.cascadeOnDelete === 'deactivate') {
+          await deactivateTask({ taskId: task.id, platformId, env })
+        } else {
+          await removeTask({ taskId: task.id, platformId, env })
+        }
       } catch (err) {
-        logError(err, { platformId, env, message: `Fail to remove task ID ${task.id} after object deletion` })
+        logError(err, { platformId, env, message: `Fail to clean up task ID ${task.id} after object deletion` })
       }
     }, { concurrency: 5 })
   })
 }
 
-async function removeTask ({ taskId, platformId, env }) {
+/**
+ * Emits the task event and records the execution.
+ * Without waiting for the action, the execution is returned with a pending action result
+ * that is updated once the action is done.
+ * @param {Object} params
+ * @param {Object} params.task
+ * @param {String} [params.scheduledDate] - omitted if the task is run manually
+ * @param {Boolean} [params.catchUp = false] - true if the scheduled date was missed
+ * @param {Boolean} [params.waitForAction = true]
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @return {Promise<Object>} task execution
+ */
+async function executeTask ({ task, scheduledDate, catchUp = false, waitForAction = true, platformId, env }) {
+  const { TaskExecution } = await getModels({ platformId, env })
+
+  const event = await eventRequester.send({
+    type: 'create',
+    platformId,
+    env,
+    emitter: 'task',
+    emitterId: task.id,
+    eventType: task.eventType,
+    objectId: task.eventObjectId,
+    metadata: catchUp
+      ? Object.assign({}, task.eventMetadata, { catchUp: true })
+      : task.eventMetadata
+  })
+
+  const taskExecution = await TaskExecution.query().insert({
+    id: await getObjectId({ prefix: TaskExecution.idPrefix, platformId, env }),
+    taskId: task.id,
+    eventId: event.id,
+    scheduledDate: scheduledDate || null,
+    executedDate: event.createdDate,
+    manual: !scheduledDate,
+    catchUp,
+    actionResult: task.action ? { type: task.action.type, pending: true } : null
+  })
+
+  if (!task.action) return taskExecution
+
+  // action errors are part of the result, only the execution update can fail
+  const actionPromise = executeTaskAction({ action: task.action, event, platformId, env })
+    .then(actionResult => {
+      return TaskExecution.query().patchAndFetchById(taskExecution.id, { actionResult })
+    })
+
+  if (waitForAction) return actionPromise
+
+  actionPromise.catch(err => {
+    logError(err, {
+      platformId,
+      env,
+      custom: { taskExecutionId: taskExecution.id },
+      message: 'Fail to record task action result'
+    })
+  })
+
+  return taskExecution
+}
+
+/**
+ * Invokes the workflow or the API endpoint of the task action,
+ * errors are returned in the result so they can be recorded with the execution
+ * @param {Object} params
+ * @param {Object} params.action
+ * @param {Object} params.event - emitted task event, passed to the workflow
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @return {Promise<Object>} action result
+ */
+async function executeTaskAction ({ action, event, platformId, env }) {
+  const result = { type: action.type }
+
+  try {
+    if (action.type === 'workflow') {
+      const { runId, outcome } = await workflowRequester.send({
+        type: '_runForEvent',
+        platformId,
+        env,
+        workflowId: action.workflowId,
+        eventId: event.id
+      })
+
+      Object.assign(result, { workflowId: action.workflowId, runId, outcome })
+    } else if (action.type === 'endpoint') {
+      const { ApiKey } = await getModels({ platformId, env })
+
+      // API key can be removed after the task creation
+      const apiKey = await ApiKey.query().findById(action.apiKeyId)
+      if (!apiKey) throw createError(422, `API key ID ${action.apiKeyId} not found`)
+
+      const res = await request[action.endpointMethod.toLowerCase()](`${apiBase}${action.endpointUri}`)
+        .send(action.endpointPayload)
+        .set({
+          authorization: `Basic ${encodeBase64(apiKey.key + ':')}`,
+          'x-platform-id': platformId,
+          'x-stelace-env': env
+        })
+        .timeout({ deadline: 30000 })
+
+      result.statusCode = res.statusCode
+    }
+  } catch (err) {
+    logError(err.response ? err.response.body : err, {
+      platformId,
+      env,
+      custom: { eventId: event.id, action },
+      message: 'Fail to execute task action'
+    })
+
+    result.statusCode = err.status || err.statusCode || null
+    result.error = {
+      message: _.get(err, 'response.body.message') || err.message
+    }
+  }
+
+  return result
+}
+
+/**
+ * Returns why the recurring task is completed after the provided execution, if it is
+ * @param {Object} params
+ * @param {Object} params.task
+ * @param {String} params.scheduledDate - date of the last scheduled execution
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @return {Promise<String|null>} 'maxOccurrences' or 'recurringEndDate'
+ */
+async function getRecurringTaskCompletionReason ({ task, scheduledDate, platformId, env }) {
+  if (!task.recurringPattern) return null
+
+  if (task.maxOccurrences) {
+    const nbOccurrences = await getNbOccurrences({ task, platformId, env })
+    if (nbOccurrences >= task.maxOccurrences) return 'maxOccurrences'
+  }
+
+  if (task.recurringEndDate) {
+    const startDate = computeDate(scheduledDate, '1ms')
+    const endDate = computeDate(task.recurringEndDate, '1ms') // end date is included
+
+    const nextDates = startDate < endDate
+      ? computeRecurringDates(task.recurringPattern, {
+        startDate,
+        endDate,
+        timezone: task.recurringTimezone,
+        limit: 1
+      })
+      : []
+
+    if (!nextDates.length) return 'recurringEndDate'
+  }
+
+  return null
+}
+
+/**
+ * Deactivates the task and emits `task__completed` event,
+ * only once even if several servers complete the task at the same time
+ * @param {Object} params
+ * @param {String} params.taskId
+ * @param {String} params.reason - 'maxOccurrences' or 'recurringEndDate'
+ * @param {String} params.platformId
+ * @param {String} params.env
+ */
+async function completeTask ({ taskId, reason, platformId, env }) {
+  const { Event, Task } = await getModels({ platformId, env })
+
+  // filtering on active tasks ensures only one server emits the event
+  const nbCompletedTasks = await Task.query()
+    .patch({ active: false })
+    .where({ id: taskId, active: true })
+
+  if (!nbCompletedTasks) return
+
+  await removeStelaceTask({ platformId, env, taskId })
+
+  const task = await Task.query().findById(taskId)
+
+  await Event.createEvent({
+    type: 'task__completed',
+    objectId: task.id,
+    object: Task.expose(task, { namespaces: ['*'] }),
+    metadata: {
+      reason,
+      nbOccurrences: await getNbOccurrences({ task, platformId, env })
+    }
+  }, { platformId, env })
+}
+
+/**
+ * Returns the scheduled dates missed before the reference date, e.g. while no server was running,
+ * depending on the task catch-up policy and only within the max lookback window
+ * @param {Object} params
+ * @param {Object} params.task
+ * @param {String} params.refDate - excluded, executions from this date are handled as usual
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @return {Promise<String[]>} dates to execute in chronological order
+ */
+async function getMissedExecutionDates ({ task, refDate, platformId, env }) {
+  if (!['runOnce', 'runAll'].includes(task.catchUpPolicy)) return []
+
+  const { Task, TaskExecution } = await getModels({ platformId, env })
+
+  const lastExecution = await TaskExecution.query()
+    .where({ taskId: task.id, manual: false })
+    .orderBy('scheduledDate', 'desc')
+    .first()
+
+  const maxLookback = Task.getCatchUpMaxLookback(task)
+
+  // dates before the task creation, reactivation or the last scheduled execution aren't missed
+  const startDate = _.max([
+    computeDate(refDate, _.mapValues(maxLookback, value => -value)),
+    task.createdDate,
+    task.activatedDate,
+    task.recurringStartDate,
+    lastExecution && computeDate(lastExecution.scheduledDate, '1ms')
+  ])
+
+  if (!task.recurringPattern) {
+    const isMissed = !lastExecution &&
+      !!task.executionDate &&
+      startDate <= task.executionDate &&
+      task.executionDate < refDate
+
+    return isMissed ? [task.executionDate] : []
+  }
+
+  const endDate = task.recurringEndDate
+    ? _.min([refDate, computeDate(task.recurringEndDate, '1ms')]) // end date is included
+    : refDate
+
+  if (endDate <= startDate) return []
+
+  let dates
+
+  if (task.catchUpPolicy === 'runOnce') {
+    const lastDate = computeLastRecurringDate(task.recurringPattern, {
+      startDate,
+      endDate,
+      timezone: task.recurringTimezone
+    })
+    dates = lastDate ? [lastDate] : []
+  } else {
+    dates = computeRecurringDates(task.recurringPattern, {
+      startDate,
+      endDate,
+      timezone: task.recurringTimezone
+    }).slice(-maxCatchUpExecutions)
+  }
+
+  if (task.maxOccurrences) {
+    const nbOccurrences = await getNbOccurrences({ task, platformId, env })
+    dates = dates.slice(0, Math.max(task.maxOccurrences - nbOccurrences, 0))
+  }
+
+  return dates
+}
+
+async function getNbOccurrences ({ task, platformId, env }) {
+  const { TaskExecution } = await getModels({ platformId, env })
+
+  const [{ count }] = await TaskExecution.query()
+    .where({ taskId: task.id, manual: false })
+    .count()
+
+  return parseInt(count, 10)
+}
+
+async function checkAction ({ action, req, platformId, env }) {
+  if (!action) return
+
+  // endpoint actions call the API with any API key, including secret ones,
+  // so only callers that could create or reveal this key can use it
+  if (action.type === 'endpoint') {
+    const canUseApiKey = req._matchedPermissions['apiKey:create:all'] ||
+      req._matchedPermissions['apiKey:edit:all']
+
+    if (!canUseApiKey) {
+      throw createError(403, 'Missing permission apiKey:create:all or apiKey:edit:all to use an API key in task action')
+    }
+  }
+
+  const { ApiKey, Workflow } = await getModels({ platformId, env })
+
+  if (action.type === 'workflow') {
+    const workflow = await Workflow.query().findById(action.workflowId)
+    if (!workflow) throw createError(422, `Workflow ID ${action.workflowId} not found`)
+  } else if (action.type === 'endpoint') {
+    const apiKey = await ApiKey.query().findById(action.apiKeyId)
+    if (!apiKey) throw createError(422, `API key ID ${action.apiKeyId} not found`)
+  }
+}
+
+function checkRecurringBounds ({ recurringPattern, recurringStartDate, recurringEndDate, maxOccurrences }) {
+  const hasBounds = recurringStartDate || recurringEndDate || maxOccurrences
+  if (hasBounds && !recurringPattern) {
+    throw createError(400, 'recurringStartDate, recurringEndDate and maxOccurrences require recurringPattern')
+  }
+
+  if (recurringStartDate && recurringEndDate && recurringEndDate < recurringStartDate) {
+    throw createError(400, 'recurringEndDate cannot be before recurringStartDate')
+  }
+}
+
+function getRoundedRecurringDates ({ recurringStartDate, recurringEndDate }) {
+  const dates = {}
+
+  if (recurringStartDate) dates.recurringStartDate = getRoundedDate(recurringStartDate, { nbMinutes: 1 })
+  if (recurringEndDate) dates.recurringEndDate = getRoundedDate(recurringEndDate, { nbMinutes: 1 })
+
+  return dates
+}
+
+async function deactivateTask ({ taskId, platformId, env }) {
   const { Task } = await getModels({ platformId, env })
 
+  await Task.query().patch({ active: false }).where({ id: taskId })
+  await removeStelaceTask({ platformId, env, taskId })
+}
+
+async function removeTask ({ taskId, platformId, env }) {
+  const { Task, TaskExecution } = await getModels({ platformId, env })
+
   await Task.query().deleteById(taskId)
+  await TaskExecution.query().delete().where({ taskId })
 
   await removeStelaceTask({ platformId, env, taskId })
   await removeStelaceTaskExecutionDates({ taskId })
@@ -333,6 +923,12 @@ function stop () {
 
   eventSubscriber.close()
   eventSubscriber = null
+
+  eventRequester.close()
+  eventRequester = null
+
+  workflowRequester.close()
+  workflowRequester = null
 }
 
 module.exports = {
@@ -1,20 +1,53 @@
 const http = require('http')
+const _ = require('lodash')
 const createError = require('http-errors')
 const bluebird = require('bluebird')
 const request = require('superagent')
+const Uuid = require('uuid')
+const { raw } = require('objection')
+const Redlock = require('redlock')
 
 const { logError } = require('../../server/logger')
 const { getModels } = require('../models')
 
-const { getObjectId } = require('stelace-util-keys')
+const { getObjectId, getRandomString } = require('stelace-util-keys')
 
 const { apiVersions } = require('../versions')
 
 const { performListQuery } = require('../util/listQueryBuilder')
 const { getRetentionLimitDate } = require('../util/timeSeries')
+const { getNextAttemptDate } = require('../util/retry')
+const { computeDate } = require('../util/time')
+const { getWebhookSignatureHeaders, compileWebhookFilter } = require('../util/webhook')
+
+const {
+  getRedisClient,
+  addWebhookDelivery,
+  addOrderedWebhookEvent,
+  getNextOrderedWebhookEventId,
+  removeOrderedWebhookEvent,
+  removeOrderedWebhookQueue,
+  blockOrderedWebhookQueue,
+  isOrderedWebhookQueueBlocked
+} = require('../redis')
 
 let responder
 let eventSubscriber
+let redlock
+
+const secretLength = 40
+const defaultRedeliveryStatuses = ['error', 'dead']
+const maxBulkRedeliveries = 1000
+// redelivered events would be sent out of the ordered webhook queue, after more recent events
+const orderedRedeliveryMessage = 'Cannot redeliver events of an ordered webhook'
+const defaultSecretOverlapDuration = { h: 24 }
+
+// lock extended before each ordered delivery
+// WARNING: MUST be greater than webhook request deadline
+const orderedDeliveryLockTtl = 60 * 1000 // milliseconds
+
+// last turn taken by events of each object to be added to ordered webhook queues
+const orderedQueueTurns = new Map()
 
 function start ({ communication }) {
   const {
@@ -28,6 +61,9 @@ function start ({ communication }) {
     key: 'webhook'
   })
 
+  // no need to wait long for the lock, the server holding it will deliver queued events
+  redlock = new Redlock([getRedisClient()], { retryCount: 2, retryDelay: 100 })
+
   eventSubscriber = getSubscriber({
     name: 'Webhook subscriber for events',
     key: 'event',
@@ -80,11 +116,12 @@ function start ({ communication }) {
           value: updatedDate,
           query: 'range'
         },
-        events: {
-          dbField: 'event',
+        events: { // matches webhooks listening to any of these event types, patterns aren't expanded
           value: event,
           transformValue: 'array',
-          query: 'inList',
+          query: (queryBuilder, events) => {
+            queryBuilder.whereRaw(`?? \\?| array[${events.map(() => '?').join(',')}]`, ['event', ...events])
+          }
         },
         active: {
           dbField: 'active',
@@ -131,6 +168,8 @@ function start ({ communication }) {
       webhook.logs = webhookLogs
     }
 
+    webhook.stats = await getDeliveryStats({ webhook, platformId, env })
+
     return Webhook.expose(webhook, { req })
   })
 
@@ -146,17 +185,18 @@ function start ({ communication }) {
       name,
       targetUrl,
       event,
+      filter,
       apiVersion,
       active,
+      ordered,
+      retry,
+      maxConsecutiveFailures,
       metadata,
       platformData
     } = req
 
-    if (event) {
-      const isAllowedEvent = Event.isAllowedEvent(event)
-
-      if (!isAllowedEvent) throw createError(422, `Invalid ${event} event`)
-    }
+    if (event) checkEvents(Event, event)
+    if (filter) checkFilter(filter)
     if (apiVersion && !apiVersions.includes(apiVersion)) {
       // Safeguard as it is already handled during Joi validation
       throw createError(400, 'Invalid API version', {
@@ -171,14 +211,20 @@ function start ({ communication }) {
       name,
       targetUrl,
       event,
+      filter,
       // Falling back to default platform version (req._platformVersion)
       apiVersion: apiVersion || req._platformVersion || latestApiVersion,
       active,
+      ordered,
+      retry,
+      maxConsecutiveFailures,
+      secret: await getRandomString(secretLength),
       metadata,
       platformData
     })
 
-    return Webhook.expose(webhook, { req })
+    // the secret is revealed only once
+    return Webhook.expose(webhook, { req, options: { revealSecret: true } })
   })
 
   responder.on('update', async (req) => {
@@ -193,8 +239,12 @@ function start ({ communication }) {
       webhookId,
       name,
       event,
+      filter,
       apiVersion,
       active,
+      ordered,
+      retry,
+      maxConsecutiveFailures,
       metadata,
       platformData
     } = req
@@ -204,11 +254,8 @@ function start ({ communication }) {
       throw createError(404)
     }
 
-    if (event) {
-      const isAllowedEvent = Event.isAllowedEvent(event)
-
-      if (!isAllowedEvent) throw createError(422, `Invalid ${event} event`)
-    }
+    if (event) checkEvents(Event, event)
+    if (filter) checkFilter(filter)
     if (apiVersion && !apiVersions.includes(apiVersion)) {
       throw createError(422, 'Invalid API version', {
         public: {
@@ -220,7 +267,11 @@ function start ({ communication }) {
     const updateAttrs = {
       name,
       event,
-      active
+      filter,
+      active,
+      ordered,
+      retry,
+      maxConsecutiveFailures
     }
 
     if (metadata) {
@@ -235,6 +286,37 @@ function start ({ communication }) {
     return Webhook.expose(webhook, { req })
   })
 
+  responder.on('rotateSecret', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Webhook } = await getModels({ platformId, env })
+
+    const {
+      webhookId,
+      overlapDuration = defaultSecretOverlapDuration
+    } = req
+
+    let webhook = await Webhook.query().findById(webhookId)
+    if (!webhook) {
+      throw createError(404)
+    }
+
+    const now = new Date().toISOString()
+    const previousSecretExpirationDate = computeDate(now, overlapDuration)
+
+    // legacy webhooks don’t have any secret to keep during the overlap window
+    const keepPreviousSecret = webhook.secret && previousSecretExpirationDate > now
+
+    webhook = await Webhook.query().patchAndFetchById(webhookId, {
+      secret: await getRandomString(secretLength),
+      previousSecret: keepPreviousSecret ? webhook.secret : null,
+      previousSecretExpirationDate: keepPreviousSecret ? previousSecretExpirationDate : null
+    })
+
+    // the new secret is revealed only once
+    return Webhook.expose(webhook, { req, options: { revealSecret: true } })
+  })
+
   responder.on('remove', async (req) => {
     const platformId = req.platformId
     const env = req.env
@@ -359,20 +441,285 @@ function start ({ communication }) {
     return WebhookLog.expose(webhookLog, { req })
   })
 
+  responder.on('redeliverLog', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Event, Webhook, WebhookLog } = await getModels({ platformId, env })
+
+    const {
+      webhookId,
+      webhookLogId
+    } = req
+
+    const minCreatedDate = getRetentionLimitDate()
+
+    const [
+      webhook,
+      webhookLog
+    ] = await Promise.all([
+      Webhook.query().findById(webhookId),
+      // without this filter, compressed chunk would be queried so the response would be long
+      WebhookLog.query()
+        .findById(webhookLogId)
+        .where('createdTimestamp', '>=', minCreatedDate)
+    ])
+
+    if (!webhook) {
+      throw createError(404, 'Webhook not found')
+    }
+    if (!webhook.active) {
+      throw createError(422, 'Cannot redeliver events of an inactive webhook')
+    }
+    if (webhook.ordered) {
+      throw createError(422, orderedRedeliveryMessage)
+    }
+    if (!webhookLog || webhookLog.webhookId !== webhook.id) {
+      throw createError(404, 'Webhook log not found')
+    }
+
+    const event = await Event.query().findById(webhookLog.eventId)
+    if (!event) {
+      throw createError(422, 'The event of this webhook log cannot be found')
+    }
+
+    const newWebhookLog = await callWebhook({
+      webhook,
+      event,
+      platformId,
+      env,
+      originalWebhookLogId: webhookLog.id
+    })
+
+    return WebhookLog.expose(newWebhookLog, { req })
+  })
+
+  responder.on('redeliverLogs', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Webhook, WebhookLog } = await getModels({ platformId, env })
+
+    const {
+      webhookId,
+      createdDate,
+      status = defaultRedeliveryStatuses
+    } = req
+
+    const webhook = await Webhook.query().findById(webhookId)
+    if (!webhook) {
+      throw createError(404)
+    }
+    // inactive webhooks deliveries are skipped by the retry cron
+    if (!webhook.active) {
+      throw createError(422, 'Cannot redeliver events of an inactive webhook')
+    }
+    if (webhook.ordered) {
+      throw createError(422, orderedRedeliveryMessage)
+    }
+
+    const minCreatedDate = getRetentionLimitDate()
+
+    const schema = WebhookLog.defaultSchema
+
+    const queryBuilder = WebhookLog.query()
+      .where({ webhookId: webhook.id })
+      // redeliver each event only once, from its most recent matching attempt
+      .select(raw('DISTINCT ON ("eventId") *'))
+      // events successfully delivered later by a retry or a previous redelivery are skipped
+      .whereNotExists(function () {
+        this.select(1)
+          .from(`${schema}.webhookLog as successLog`)
+          .where('successLog.webhookId', webhook.id)
+          .where('successLog.status', 'success')
+          .where('successLog.createdTimestamp', '>=', minCreatedDate)
+          .whereColumn('successLog.eventId', 'webhookLog.eventId')
+          .whereColumn('successLog.createdTimestamp', '>', 'webhookLog.createdTimestamp')
+      })
+      // fetching one more event to detect truncation
+      .limit(maxBulkRedeliveries + 1)
+
+    const webhookLogs = await performListQuery({
+      queryBuilder,
+      filters: {
+        createdDate: {
+          dbField: 'createdDate',
+          value: createdDate,
+          query: 'range',
+          defaultValue: { gte: minCreatedDate },
+          minValue: minCreatedDate
+        },
+        statuses: {
+          dbField: 'status',
+          value: status,
+          transformValue: 'array',
+          query: 'inList'
+        },
+      },
+      // DISTINCT ON requires the ordering to start with `eventId`
+      beforeQueryFn: ({ queryBuilder }) => queryBuilder.orderBy('eventId'),
+      paginationActive: false,
+      orderConfig: {
+        orderBy: 'createdDate',
+        order: 'desc'
+      }
+    })
+
+    if (webhookLogs.length > maxBulkRedeliveries) {
+      throw createError(422, `Cannot redeliver more than ${maxBulkRedeliveries} events at once, please narrow the createdDate range`)
+    }
+
+    // deliveries are sent asynchronously by the cron handling retries
+    const executionDate = new Date().toISOString()
+
+    await bluebird.map(webhookLogs, webhookLog => {
+      return addWebhookDelivery({
+        platformId,
+        env,
+        executionDate,
+        delivery: {
+          id: Uuid.v4(),
+          deliveryId: Uuid.v4(),
+          webhookId: webhook.id,
+          eventId: webhookLog.eventId,
+          attempt: 1,
+          retryPolicy: Webhook.getRetryPolicy(webhook),
+          originalWebhookLogId: webhookLog.id
+        }
+      })
+    }, { concurrency: 10 })
+
+    return {
+      webhookId: webhook.id,
+      webhookLogIds: webhookLogs.map(webhookLog => webhookLog.id)
+    }
+  })
+
+  // INTERNAL
+
+  responder.on('_retryDelivery', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Event, Webhook } = await getModels({ platformId, env })
+
+    const { delivery } = req
+
+    const [
+      webhook,
+      event
+    ] = await Promise.all([
+      Webhook.query().findById(delivery.webhookId),
+      Event.query().findById(delivery.eventId)
+    ])
+
+    const queueParams = delivery.ordered
+      ? { platformId, env, webhookId: delivery.webhookId, objectId: delivery.objectId }
+      : null
+
+    // do not retry if the webhook has been removed or deactivated in the meantime
+    if (!webhook || !webhook.active || !event) {
+      if (queueParams) {
+        await removeOrderedWebhookEvent({ ...queueParams, eventId: delivery.eventId })
+        processNextOrderedDeliveries(queueParams)
+      }
+      return { id: delivery.id }
+    }
+
+    const webhookLog = await callWebhook({ webhook, event, platformId, env, delivery })
+
+    // following events of the same object can be delivered once this one is delivered or dead
+    if (queueParams && webhookLog.status !== 'error') {
+      await removeOrderedWebhookEvent({ ...queueParams, eventId: event.id })
+      processNextOrderedDeliveries(queueParams)
+    }
+
+    return { id: delivery.id }
+  })
+
+  responder.on('_processOrderedDeliveries', async (req) => {
+    const {
+      platformId,
+      env,
+      webhookId,
+      objectId
+    } = req
+
+    await processOrderedDeliveries({ platformId, env, webhookId, objectId })
+
+    return { webhookId, objectId }
+  })
+
   // EVENTS
 
   eventSubscriber.on('eventCreated', async ({ event, platformId, env } = {}) => {
+    // taken before any asynchronous operation, events being received in creation order
+    const queueTurn = event.objectId
+      ? takeOrderedQueueTurn({ platformId, env, objectId: event.objectId })
+      : null
+
     try {
-      const { Webhook } = await getModels({ platformId, env })
+      const { Event, Webhook } = await getModels({ platformId, env })
+
+      const [
+        exactWebhooks,
+        patternWebhooks
+      ] = await Promise.all([
+        // `event` column is a JSON string or array, both matched by `?` operator using GIN index
+        Webhook.query()
+          .where({ active: true })
+          .whereRaw('"event" \\? ?', [event.type]),
+
+        // event patterns can't be matched at database level
+        Webhook.query()
+          .where({ active: true })
+          .whereRaw('"event"::text LIKE \'%*%\'')
+      ])
+
+      const webhooks = _.uniqBy(
+        exactWebhooks.concat(
+          patternWebhooks.filter(webhook => Event.matchesEvents(event.type, webhook.event))
+        ),
+        'id'
+      )
+
+      const deliveries = await bluebird.map(webhooks, async (webhook) => {
+        const versionedEvent = await Event.getVersionedEvent(event, webhook.apiVersion)
+        if (!passFilter({ webhook, versionedEvent, platformId, env })) return null
+
+        return { webhook, versionedEvent }
+      })
 
-      const webhooks = await Webhook.query()
-        .where({
-          active: true,
-          event: event.type
-        })
+      // events without objectId cannot be ordered
+      const [
+        orderedDeliveries,
+        unorderedDeliveries
+      ] = _.partition(_.compact(deliveries), ({ webhook }) => webhook.ordered && event.objectId)
+
+      const orderedQueuesParams = orderedDeliveries.map(({ webhook }) => {
+        return { platformId, env, webhookId: webhook.id, objectId: event.objectId }
+      })
+
+      const queueOrderedDeliveries = async () => {
+        if (orderedQueuesParams.length) {
+          // previous events of the same object must be queued first
+          await queueTurn.previousTurn
+
+          await bluebird.map(orderedQueuesParams, queueParams => {
+            return addOrderedWebhookEvent({ ...queueParams, eventId: event.id, eventDate: event.createdDate })
+          })
+        }
+        if (queueTurn) queueTurn.release()
+
+        await bluebird.map(orderedQueuesParams, queueParams => processOrderedDeliveries(queueParams))
+      }
 
-      await bluebird.map(webhooks, webhook => callWebhook({ webhook, platformId, env, event }))
+      await Promise.all([
+        queueOrderedDeliveries(),
+        bluebird.map(unorderedDeliveries, ({ webhook, versionedEvent }) => {
+          return callWebhook({ webhook, platformId, env, event, versionedEvent })
+        })
+      ])
     } catch (err) {
+      if (queueTurn) queueTurn.release()
+
       logError(err, {
         platformId,
         env,
@@ -383,44 +730,129 @@ function start ({ communication }) {
   })
 }
 
+/**
+ * Events of the same object are added to ordered webhook queues one after another,
+ * in the order they are received, even if the handling of a previous event takes longer.
+ * The turn must be released even if the event isn't queued, so following events can be queued.
+ * @param {Object} params
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @param {String} params.objectId
+ * @return {Object} turn - with `previousTurn` promise and `release()` function
+ */
+function takeOrderedQueueTurn ({ platformId, env, objectId }) {
+  const key = `${platformId}:${env}:${objectId}`
+  const previousTurn = orderedQueueTurns.get(key) || Promise.resolve()
+
+  let resolveTurn
+  const turn = new Promise(resolve => { resolveTurn = resolve })
+  orderedQueueTurns.set(key, turn)
+
+  turn.then(() => {
+    if (orderedQueueTurns.get(key) === turn) orderedQueueTurns.delete(key)
+  })
+
+  return {
+    previousTurn,
+    // following events cannot be queued before previous ones, even if this event is released early
+    release: () => previousTurn.then(resolveTurn)
+  }
+}
+
 /**
  * Calls webhook remote address, handles errors.
+ * If the delivery fails, a new attempt is scheduled as long as the webhook retry policy allows it,
+ * otherwise the delivery is considered as dead.
  * @param {Object} params
  * @param {Object} params.webhook
  * @param {Object} params.event
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @param {Object} [params.delivery] - provided when retrying a failed delivery
+ * @param {String} params.delivery.deliveryId - shared by all attempts of the same delivery
+ * @param {Number} params.delivery.attempt
+ * @param {String} [params.delivery.originalWebhookLogId]
+ * @param {Boolean} [params.delivery.ordered]
+ * @param {String} [params.originalWebhookLogId] - provided when manually redelivering a logged event
+ * @param {Boolean} [params.ordered] - true if the event is delivered from an ordered queue
+ * @param {Object} [params.versionedEvent] - computed from event and webhook API version if not provided
  * @return {Promise} webhook log
  */
-async function callWebhook ({ webhook, event, platformId, env }) {
+async function callWebhook ({
+  webhook,
+  event,
+  platformId,
+  env,
+  delivery,
+  originalWebhookLogId,
+  versionedEvent,
+  ordered
+}) {
   const {
     Event,
+    Webhook,
     WebhookLog
   } = await getModels({ platformId, env })
 
-  let exposedEvent = Event.expose(event, { namespaces: ['*'] })
-  exposedEvent = await Event.getVersionedEvent(event, webhook.apiVersion)
+  const exposedEvent = versionedEvent || await Event.getVersionedEvent(event, webhook.apiVersion)
+
+  const retryPolicy = Webhook.getRetryPolicy(webhook)
+  const deliveryId = delivery ? delivery.deliveryId : Uuid.v4()
+  const attempt = delivery ? delivery.attempt : 1
+  if (delivery && delivery.originalWebhookLogId) {
+    originalWebhookLogId = delivery.originalWebhookLogId
+  }
+  if (delivery && delivery.ordered) {
+    ordered = true
+  }
 
   const payload = {
     event: exposedEvent
   }
+  // serialize the payload ourselves so the signature is computed over the exact sent body
+  const body = JSON.stringify(payload)
   const log = {
     date: new Date().toISOString(),
     targetUrl: webhook.targetUrl,
-    eventObjectId: exposedEvent.objectId
+    eventObjectId: exposedEvent.objectId,
+    deliveryId,
+    attempt,
+    maxAttempts: retryPolicy.maxAttempts
+  }
+  if (originalWebhookLogId) {
+    log.originalWebhookLogId = originalWebhookLogId
   }
+  let isError = false
+
+  const signingSecrets = Webhook.getSigningSecrets(webhook)
+  const signatureHeaders = signingSecrets.length
+    ? getWebhookSignatureHeaders({ secrets: signingSecrets, body })
+    : {}
+
+  const startTime = Date.now()
 
   return request.post(webhook.targetUrl)
-    .send(payload)
+    .type('json')
+    .send(body)
     .set({
-      'x-webhook-source': 'stelace'
+      'x-webhook-source': 'stelace',
+      ...signatureHeaders
+    })
+    .timeout({
+      deadline: 30000 // ensures a stuck target cannot hold the delivery indefinitely
     })
     .catch(err => {
+      isError = true
+
       logError(err.response ? err.response.body : err, {
         platformId,
         env,
         custom: {
           webhookId: webhook.id,
           eventId: event.id,
-          objectId: event.objectId
+          objectId: event.objectId,
+          deliveryId,
+          attempt
         },
         message: 'Fail to send webhook event'
       })
@@ -429,23 +861,297 @@ async function callWebhook ({ webhook, event, platformId, env }) {
       if (parseInt(statusCode, 10)) {
         log.statusCode = statusCode
         log.statusCodeName = http.STATUS_CODES[statusCode]
+      } else {
+        // network error like unreachable target
+        log.message = err.message
       }
 
       return log
     })
     .then(async () => {
+      let status = 'success'
+      log.duration = Date.now() - startTime // milliseconds
+
+      if (isError) {
+        const nextAttemptDate = getNextAttemptDate(attempt, retryPolicy)
+
+        if (nextAttemptDate) {
+          status = 'error'
+          log.nextAttemptDate = nextAttemptDate
+
+          await addWebhookDelivery({
+            platformId,
+            env,
+            executionDate: nextAttemptDate,
+            delivery: {
+              id: Uuid.v4(),
+              deliveryId,
+              webhookId: webhook.id,
+              eventId: event.id,
+              attempt: attempt + 1,
+              retryPolicy,
+              originalWebhookLogId,
+              ordered,
+              objectId: ordered ? event.objectId : undefined
+            }
+          })
+        } else {
+          status = 'dead'
+        }
+      }
+
       const webhookLog = await WebhookLog.query().insert({
         id: await getObjectId({ prefix: WebhookLog.idPrefix, platformId, env }),
         webhookId: webhook.id,
         eventId: exposedEvent.id,
-        status: log.statusCode ? 'error' : 'success',
+        status,
         metadata: log
       })
 
+      if (isError) {
+        await disableWebhookIfFailing({ webhook, platformId, env })
+      }
+
       return webhookLog
     })
 }
 
+/**
+ * Delivers queued events of an object one at a time, in event creation order.
+ * The queue is blocked while the delivery of its oldest event is being retried.
+ * Only one server processes a given queue at a time.
+ * @param {Object} params
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @param {String} params.webhookId
+ * @param {String} params.objectId
+ */
+async function processOrderedDeliveries ({ platformId, env, webhookId, objectId }) {
+  const queueParams = { platformId, env, webhookId, objectId }
+
+  let lock
+  try {
+    lock = await redlock.lock(
+      `locks:stelace_webhook_ordered_queue:${platformId}:${env}:${webhookId}:${objectId}`,
+      orderedDeliveryLockTtl
+    )
+  } catch (err) {
+    if (err.name === 'LockError') return // the queue is being processed by another server
+    throw err
+  }
+
+  try {
+    const { Event, Webhook } = await getModels({ platformId, env })
+
+    const webhook = await Webhook.query().findById(webhookId)
+    if (!webhook || !webhook.active) {
+      await removeOrderedWebhookQueue(queueParams)
+      return
+    }
+
+    while (!await isOrderedWebhookQueueBlocked(queueParams)) {
+      const eventId = await getNextOrderedWebhookEventId(queueParams)
+      if (!eventId) break
+
+      const event = await Event.query().findById(eventId)
+
+      if (event) {
+        lock = await lock.extend(orderedDeliveryLockTtl)
+
+        const webhookLog = await callWebhook({ webhook, event, platformId, env, ordered: true })
+
+        // a new attempt is scheduled, next events must wait for it
+        if (webhookLog.status === 'error') {
+          await blockOrderedWebhookQueue({ ...queueParams, deliveryId: webhookLog.metadata.deliveryId })
+          break
+        }
+      }
+
+      await removeOrderedWebhookEvent({ ...queueParams, eventId })
+    }
+  } finally {
+    await lock.unlock()
+  }
+}
+
+// not awaited so the retry delivery is acknowledged before its lock expires
+function processNextOrderedDeliveries ({ platformId, env, webhookId, objectId }) {
+  processOrderedDeliveries({ platformId, env, webhookId, objectId })
+    .catch(err => {
+      logError(err, {
+        platformId,
+        env,
+        custom: { webhookId, objectId },
+        message: 'Fail to process ordered webhook deliveries'
+      })
+    })
+}
+
+/**
+ * Counts failed delivery attempts since the last successful one.
+ * Any webhook update like reactivation resets the count.
+ * @param {Object} params
+ * @param {Object} params.webhook
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @return {Promise<Number>}
+ */
+async function getNbConsecutiveFailures ({ webhook, platformId, env }) {
+  const { WebhookLog } = await getModels({ platformId, env })
+
+  // without this filter, compressed chunks would be queried
+  const minCreatedDate = getRetentionLimitDate()
+
+  const lastSuccessLog = await WebhookLog.query()
+    .where({ webhookId: webhook.id, status: 'success' })
+    .where('createdTimestamp', '>=', minCreatedDate)
+    .orderBy('createdTimestamp', 'desc')
+    .first()
+
+  const fromDates = [minCreatedDate, webhook.updatedDate]
+  if (lastSuccessLog) fromDates.push(lastSuccessLog.createdDate)
+
+  const { count } = await WebhookLog.query()
+    .where({ webhookId: webhook.id })
+    .whereIn('status', ['error', 'dead'])
+    .where('createdTimestamp', '>', _.max(fromDates))
+    .count()
+    .first()
+
+  return parseInt(count, 10)
+}
+
+/**
+ * Computes delivery stats over the log retention period
+ * @param {Object} params
+ * @param {Object} params.webhook
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @return {Promise<Object>} stats
+ * @return {Number} stats.nbAttempts
+ * @return {Number|null} stats.successRate - between 0 and 1, null if there is no attempt
+ * @return {Object} stats.latency - p50 and p95 in milliseconds
+ * @return {Number} stats.nbConsecutiveFailures
+ */
+async function getDeliveryStats ({ webhook, platformId, env }) {
+  const { WebhookLog } = await getModels({ platformId, env })
+
+  const minCreatedDate = getRetentionLimitDate()
+
+  const durationSql = '("metadata"->>\'duration\')::numeric'
+
+  const [
+    result,
+    nbConsecutiveFailures
+  ] = await Promise.all([
+    WebhookLog.query()
+      .where({ webhookId: webhook.id })
+      .where('createdTimestamp', '>=', minCreatedDate)
+      .select(
+        raw('count(*) as "nbAttempts"'),
+        raw('count(*) filter (where "status" = \'success\') as "nbSuccesses"'),
+        raw(`percentile_cont(0.5) within group (order by ${durationSql}) as "p50"`),
+        raw(`percentile_cont(0.95) within group (order by ${durationSql}) as "p95"`)
+      )
+      .first(),
+    getNbConsecutiveFailures({ webhook, platformId, env })
+  ])
+
+  const nbAttempts = parseInt(result.nbAttempts, 10)
+  const nbSuccesses = parseInt(result.nbSuccesses, 10)
+  const getLatency = value => _.isNil(value) ? null : Math.round(value)
+
+  return {
+    nbAttempts,
+    successRate: nbAttempts ? nbSuccesses / nbAttempts : null,
+    latency: {
+      p50: getLatency(result.p50),
+      p95: getLatency(result.p95)
+    },
+    nbConsecutiveFailures
+  }
+}
+
+async function disableWebhookIfFailing ({ webhook, platformId, env }) {
+  const { Event, Webhook } = await getModels({ platformId, env })
+
+  const nbConsecutiveFailures = await getNbConsecutiveFailures({ webhook, platformId, env })
+  if (nbConsecutiveFailures < Webhook.getMaxConsecutiveFailures(webhook)) return
+
+  // filtering on active webhooks ensures only one concurrent delivery emits the event
+  const nbDisabledWebhooks = await Webhook.query()
+    .patch({ active: false })
+    .where({ id: webhook.id, active: true })
+
+  if (!nbDisabledWebhooks) return
+
+  const disabledWebhook = await Webhook.query().findById(webhook.id)
+
+  await Event.createEvent({
+    type: 'webhook__disabled',
+    objectId: disabledWebhook.id,
+    object: Webhook.expose(disabledWebhook, { namespaces: ['*'] }),
+    metadata: {
+      nbConsecutiveFailures
+    }
+  }, { platformId, env })
+}
+
+function checkEvents (Event, event) {
+  const events = Array.isArray(event) ? event : [event]
+
+  events.forEach(e => {
+    const isAllowedEvent = Event.isEventPattern(e)
+      ? Event.isAllowedEventPattern(e)
+      : Event.isAllowedEvent(e)
+
+    if (!isAllowedEvent) throw createError(422, `Invalid ${e} event`)
+  })
+}
+
+function checkFilter (filter) {
+  try {
+    compileWebhookFilter(filter)
+  } catch (err) {
+    throw createError(422, 'Invalid filter expression', {
+      public: { message: err.message }
+    })
+  }
+}
+
+/**
+ * Evaluates the webhook filter expression against the event that would be delivered,
+ * event properties are exposed as variables (e.g. `object.assetTypeId === 'typ_x'`)
+ * and the compiled filter is cached across events
+ * @param {Object} params
+ * @param {Object} params.webhook
+ * @param {Object} params.versionedEvent
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @return {Boolean}
+ */
+function passFilter ({ webhook, versionedEvent, platformId, env }) {
+  if (!webhook.filter) return true
+
+  try {
+    const evaluate = compileWebhookFilter(webhook.filter)
+    return evaluate(versionedEvent)
+  } catch (err) {
+    logError(err, {
+      platformId,
+      env,
+      custom: {
+        webhookId: webhook.id,
+        eventId: versionedEvent.id,
+        filter: webhook.filter
+      },
+      message: 'Fail to evaluate webhook filter'
+    })
+
+    return false
+  }
+}
+
 function stop () {
   responder.close()
   responder = null
@@ -5,12 +5,15 @@ const bluebird = require('bluebird')
 const _ = require('lodash')
 const request = require('superagent')
 const apm = require('elastic-apm-node')
+const Redlock = require('redlock')
 
 const { getLocalInstanceKey } = require('../auth')
 const { logError } = require('../../server/logger')
 const { getModels, getModelInfo } = require('../models')
+const { transaction } = require('objection')
 
 const { isValidObjectId } = require('../util/validation')
+const { getRealCurrentUserId } = require('../util/user')
 
 const { getObjectId } = require('stelace-util-keys')
 
@@ -18,11 +21,71 @@ const { apiVersions, applyObjectChanges } = require('../versions')
 
 const { performListQuery, performHistoryQuery } = require('../util/listQueryBuilder')
 const { getRetentionLimitDate } = require('../util/timeSeries')
+const { convertToMs, isDateString } = require('../util/time')
+const { computeBackoffDelay } = require('../util/retry')
 
-// Stelace Workflows: reuse sandbox for performance
-const { VM } = require('vm2')
+const {
+  getRedisClient,
+  addWorkflowDelayedRun,
+  getWorkflowEventRunId,
+  addWorkflowEventRun
+} = require('../redis')
+
+// Stelace Workflows: one sandbox per workflow run, reused across steps for performance
+const { createSandbox } = require('../util/sandbox')
 
 const debug = require('debug')('stelace:api')
+
+// maximum number of workflows triggered by the same event running at the same time
+const workflowConcurrency = parseInt(process.env.WORKFLOW_CONCURRENCY, 10) || 5
+
+// resource limits of the sandbox of each workflow run, cf. `createSandbox`
+const sandboxScriptTimeout = 1000 // milliseconds
+const sandboxWallClockLimit = parseInt(process.env.WORKFLOW_SANDBOX_WALL_CLOCK_LIMIT, 10) || 10000
+const sandboxMaxHeapSizeMb = parseInt(process.env.WORKFLOW_SANDBOX_MAX_HEAP_SIZE_MB, 10) || 64
+
+// applied to steps with a `retry` block, partially overridden by step values
+const defaultStepRetryPolicy = {
+  maxAttempts: 3, // including the first attempt
+  initialDelay: '1s',
+  backoffFactor: 2,
+  maxDelay: '30s',
+  statusCodes: [408, 429, 500, 502, 503, 504]
+}
+
+// errors without status code are only retried if the connection failed before any response,
+// timeouts are not retried since the endpoint may have processed the request
+const retryableErrorCodes = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN']
+
+const maxStepRetryDelay = 5 * 60 * 1000 // milliseconds
+
+// longer retry delays pause the run like delayed steps, so the sandbox and concurrency slot
+// are not held meanwhile and the retry survives server restarts
+const maxInProcessRetryDelay = 5000 // milliseconds
+
+// maximum number of steps run in a single run, including steps run several times with `next` jumps
+const maxStepsPerRun = 100
+
+// maximum number of endpoint calls in a single step using forEach, like batch endpoint
+const maxForEachItems = 100
+
+// outcome of a workflow run depending on the type of its last step log
+const runOutcomesByLogType = {
+  action: 'success',
+  stopped: 'stop',
+  skipped: 'skip',
+  runError: 'error',
+  preRunError: 'error',
+  delayed: 'delayed', // waiting to be resumed
+  retry: 'running' // waiting for the next attempt
+}
+
+// step delay can be a duration like '24h' instead of an expression
+const delayDurationRegex = /^\d+[smhd]$/
+
+// event objects that can be fetched again when resuming a delayed run (cf. fetchRelatedObjects)
+const refreshedObjectTypes = ['asset', 'assetType', 'category', 'transaction', 'user']
+
 let apiBase
 
 let localInstanceKey
@@ -30,6 +93,10 @@ let localInstanceKey
 let responder
 let eventSubscriber
 let configRequester
+let redlock
+
+// lock only held while checking and saving the claim of a workflow run for an event
+const runClaimLockTtl = 10 * 1000 // milliseconds
 
 function start ({ communication, serverPort }) {
   const {
@@ -58,6 +125,9 @@ function start ({ communication, serverPort }) {
     key: 'config'
   })
 
+  // a few retries are enough as the lock is released right after claiming the run
+  redlock = new Redlock([getRedisClient()], { retryCount: 2, retryDelay: 100 })
+
   apiBase = `http://localhost:${serverPort}`
 
   localInstanceKey = getLocalInstanceKey()
@@ -167,7 +237,11 @@ function start ({ communication, serverPort }) {
                 .whereJsonSupersetOf('step', { handleErrors: true })
             })
         })
-      const startedACountQueryBuilder = queryBuilder.clone().whereNotIn('type', ['notification', 'preRunError'])
+      // failed attempts that are retried are not counted, only the final outcome,
+      // nor duplicate runs skipped because another server has already claimed them
+      const startedACountQueryBuilder = queryBuilder.clone()
+        .whereNotIn('type', ['notification', 'preRunError', 'retry'])
+        .whereJsonNotSupersetOf('metadata', { reason: 'duplicateRun' })
       const notificationCountQueryBuilder = queryBuilder.clone().whereIn('type', ['notification'])
 
       const [
@@ -227,20 +301,33 @@ function start ({ communication, serverPort }) {
 
     const latestApiVersion = apiVersions[0]
 
-    const workflow = await Workflow.query().insert({
-      id: await getObjectId({ prefix: Workflow.idPrefix, platformId, env }),
-      name,
-      description,
-      context,
-      notifyUrl,
-      event,
-      run,
-      computed,
-      // Falling back to current platform version (req._platformVersion)
-      apiVersion: apiVersion || req._platformVersion || latestApiVersion,
-      active,
-      metadata,
-      platformData
+    const knex = Workflow.knex()
+    let workflow
+
+    await transaction(knex, async (trx) => {
+      workflow = await Workflow.query(trx).insert({
+        id: await getObjectId({ prefix: Workflow.idPrefix, platformId, env }),
+        name,
+        description,
+        context,
+        notifyUrl,
+        event,
+        run,
+        computed,
+        // Falling back to current platform version (req._platformVersion)
+        apiVersion: apiVersion || req._platformVersion || latestApiVersion,
+        active,
+        metadata,
+        platformData
+      })
+
+      await createWorkflowRevision({
+        workflow,
+        authorId: getAuthorId(req),
+        trx,
+        platformId,
+        env
+      })
     })
 
     return Workflow.expose(workflow, { req })
@@ -306,7 +393,98 @@ function start ({ communication, serverPort }) {
       updateAttrs.platformData = Workflow.rawJsonbMerge('platformData', platformData)
     }
 
-    workflow = await Workflow.query().patchAndFetchById(workflowId, updateAttrs)
+    workflow = await updateWorkflow({
+      workflow,
+      updateAttrs,
+      authorId: getAuthorId(req),
+      platformId,
+      env
+    })
+
+    return Workflow.expose(workflow, { req })
+  })
+
+  responder.on('listRevisions', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Workflow, WorkflowRevision } = await getModels({ platformId, env })
+
+    const {
+      workflowId,
+
+      orderBy,
+      order,
+
+      nbResultsPerPage,
+
+      // cursor pagination
+      startingAfter,
+      endingBefore,
+    } = req
+
+    const workflow = await Workflow.query().findById(workflowId)
+    if (!workflow) throw createError(404)
+
+    const queryBuilder = WorkflowRevision.query()
+
+    const paginationMeta = await performListQuery({
+      queryBuilder,
+      filters: {
+        workflowIds: {
+          dbField: 'workflowId',
+          value: workflowId,
+          transformValue: 'array',
+          query: 'inList'
+        },
+      },
+      paginationActive: true,
+      paginationConfig: {
+        nbResultsPerPage,
+
+        // cursor pagination
+        startingAfter,
+        endingBefore,
+      },
+      orderConfig: {
+        orderBy,
+        order
+      }
+    })
+
+    paginationMeta.results = WorkflowRevision.exposeAll(paginationMeta.results, { req })
+
+    return paginationMeta
+  })
+
+  responder.on('rollback', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Workflow, WorkflowRevision } = await getModels({ platformId, env })
+
+    const {
+      workflowId,
+      revision
+    } = req
+
+    let workflow = await Workflow.query().findById(workflowId)
+    if (!workflow) throw createError(404)
+
+    const workflowRevision = await WorkflowRevision.query().findOne({ workflowId, revision })
+    if (!workflowRevision) throw createError(404, `Revision ${revision} not found`)
+
+    if (revision === workflow.revision) {
+      throw createError(422, `Revision ${revision} is already the current one`)
+    }
+
+    // rollback creates a new revision so history is never rewritten
+    workflow = await updateWorkflow({
+      workflow,
+      updateAttrs: _.pick(workflowRevision, WorkflowRevision.revisionedFields),
+      authorId: getAuthorId(req),
+      restoredRevision: revision,
+      platformId,
+      env
+    })
 
     return Workflow.expose(workflow, { req })
   })
@@ -314,7 +492,7 @@ function start ({ communication, serverPort }) {
   responder.on('remove', async (req) => {
     const platformId = req.platformId
     const env = req.env
-    const { Workflow } = await getModels({ platformId, env })
+    const { Workflow, WorkflowRevision } = await getModels({ platformId, env })
 
     const {
       workflowId
@@ -325,7 +503,12 @@ function start ({ communication, serverPort }) {
       return { id: workflowId }
     }
 
-    await Workflow.query().deleteById(workflowId)
+    const knex = Workflow.knex()
+
+    await transaction(knex, async (trx) => {
+      await WorkflowRevision.query(trx).delete().where({ workflowId })
+      await Workflow.query(trx).deleteById(workflowId)
+    })
 
     return { id: workflowId }
   })
@@ -531,279 +714,508 @@ function start ({ communication, serverPort }) {
     return WorkflowLog.expose(workflowLog, { req })
   })
 
-  // EVENTS
+  responder.on('listRuns', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Event, Workflow, WorkflowLog } = await getModels({ platformId, env })
 
-  eventSubscriber.on('eventCreated', async ({ event, platformId, env } = {}) => {
-    // APM transaction needs to be created for customRequester
-    // Note: APM transactions cannot be nested
-    const prepareWorkflowsTransaction = apm.startTransaction('Prepare Workflows', 'workflow')
-    apm.setUserContext({ id: platformId })
-    apm.addLabels({ platformId, env, eventType: event.type })
+    const {
+      workflowId,
 
-    /*
-    Objects to be shared across ALL workflows for this single event
-    Remember that these can be mutated/overwritten by each of them
-    */
-    let runId
-    let workflowsCtx = {} // shared and same for all current event’s workflows
-    let vm
+      orderBy,
+      order,
 
-    try {
-      const {
-        Event,
-        Workflow,
-        WorkflowLog
-      } = await getModels({ platformId, env })
-      const exposedEvent = Event.expose(event, { namespaces: ['*'] })
-      const envVariables = {}
+      nbResultsPerPage,
 
-      const latestVersion = apiVersions[0]
-      const fromVersion = event.apiVersion
+      // cursor pagination
+      startingAfter,
+      endingBefore,
 
-      const workflows = await Workflow.query()
-        .where({
-          active: true,
-          event: event.type
-        })
+      createdDate,
+      eventId,
+      outcome,
+    } = req
+
+    const workflow = await Workflow.query().findById(workflowId)
+    if (!workflow) throw createError(404)
+
+    const minCreatedDate = getRetentionLimitDate()
 
-      const workflowApiVersions = workflows.map(workflow => workflow.apiVersion || latestVersion)
+    // Objection.js isn't used because `defaultSchema` would also apply to the subquery
+    const knex = WorkflowLog.knex()
+
+    // logs grouped by run, with the type of the last log (notification excluded) to get the outcome
+    const runsQueryBuilder = knex
+      .select([
+        'runId as id',
+        'workflowId',
+        'eventId',
+        knex.raw('min("createdDate") as "createdDate"'),
+        knex.raw(`(array_agg("type" ORDER BY "createdTimestamp" DESC)
+          FILTER (WHERE "type" <> 'notification'))[1] as "lastType"`)
+      ])
+      .from(knex.raw('??.??', [WorkflowLog.defaultSchema, WorkflowLog.tableName]))
+      .where('workflowId', workflowId)
+      // without this filter, compressed chunks would be queried so the response would be long
+      .where('createdTimestamp', '>=', minCreatedDate)
+      .whereNotNull('runId')
+      .groupBy('runId', 'workflowId', 'eventId')
 
-      if (workflows.length) {
-        workflowsCtx = await bluebird.reduce(workflowApiVersions, async (ctx, apiVersion) => {
-          const versionedEvent = await Event.getVersionedEvent(exposedEvent, apiVersion)
-          ctx[apiVersion] = Object.assign({}, versionedEvent)
+    const queryBuilder = knex.select('*').from(runsQueryBuilder.as('run'))
 
-          // current custom events have no object type
-          if (versionedEvent.objectType) {
-            ctx[apiVersion][versionedEvent.objectType] = ctx[apiVersion].object
+    const paginationMeta = await performListQuery({
+      queryBuilder,
+      filters: {
+        createdDate: {
+          dbField: 'createdDate',
+          value: createdDate,
+          query: 'range',
+          defaultValue: { gte: minCreatedDate },
+          minValue: minCreatedDate
+        },
+        eventIds: {
+          dbField: 'eventId',
+          value: eventId,
+          transformValue: 'array',
+          query: 'inList'
+        },
+        outcomes: {
+          value: outcome,
+          transformValue: 'array',
+          query: (queryBuilder, outcomes) => {
+            const types = _.keys(_.pickBy(runOutcomesByLogType, o => outcomes.includes(o)))
+            queryBuilder.whereIn('lastType', types)
           }
+        },
+      },
+      paginationActive: true,
+      paginationConfig: {
+        nbResultsPerPage,
 
-          return ctx
-        }, {})
+        // cursor pagination
+        startingAfter,
+        endingBefore,
+      },
+      orderConfig: {
+        orderBy,
+        order
       }
+    })
 
-      if (workflows.length && !_.isEmpty(event.relatedObjectsIds)) {
-        const {
-          objectsTypes,
-          objectsPromises: relatedObjectsPromises
-        } = await fetchRelatedObjects({
-          relatedObjectsObject: event.relatedObjectsIds,
-          platformId,
-          env
-        })
+    paginationMeta.results = await getWorkflowRuns({
+      runIds: _.map(paginationMeta.results, 'id'),
+      Event,
+      WorkflowLog,
+      req
+    })
 
-        // related objects fetches happen concurrently
-        const relatedObjects = await bluebird.props(relatedObjectsPromises)
-
-        // apply versioning for each related object by workflow api version
-        await bluebird.map(workflowApiVersions, async (apiVersion) => {
-          const versionedObjects = await bluebird.reduce(Object.keys(objectsTypes), async (versioned, type) => {
-            const objectType = objectsTypes[type]
-            const object = relatedObjects[type]
-            let versionedObject
-
-            if (object) {
-              versionedObject = await applyObjectChanges({
-                fromVersion,
-                toVersion: apiVersion,
-                target: objectType,
-                params: {
-                  result: _.cloneDeep(object) // to avoid mutating the same object during transformation
-                }
-              })
-              versionedObject = versionedObject.result
-            }
+    return paginationMeta
+  })
 
-            versioned[type] = object ? versionedObject : null
-            return versioned
-          }, {})
+  responder.on('readRun', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Event, WorkflowLog } = await getModels({ platformId, env })
 
-          Object.assign(workflowsCtx[apiVersion], versionedObjects)
-        })
-      }
+    const [run] = await getWorkflowRuns({
+      runIds: [req.runId],
+      Event,
+      WorkflowLog,
+      req
+    })
 
-      const workflowsHaveEnvVariables = workflows.some(w => !_.isEmpty(w.context))
-      if (workflowsHaveEnvVariables) {
-        const { stelace: systemConfig } = await configRequester.send({
-          type: '_getConfig',
-          platformId,
-          env,
-          access: 'private'
-        })
+    if (!run) throw createError(404)
 
-        if (systemConfig.workflow) {
-          const { contexts } = systemConfig.workflow
-          workflows.forEach(w => {
-            if (_.isEmpty(w.context)) return
-            envVariables[w.id] = w.context.reduce((env, c) => Object.assign(env, contexts[c]), {})
-          })
-        }
-      }
+    return run
+  })
 
-      if (workflows.length) {
-        vm = new VM({
-          timeout: 1000,
-          sandbox: {
-            computed: {},
-            body: {},
-            ctx: workflowsCtx,
-            endpointUri: '',
-            lastResponses: [],
-            responses: {},
-            statusCode: null,
-            env: {} // envVariables selectively populated for each workflow
-          }
-        })
+  responder.on('test', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Event, Workflow } = await getModels({ platformId, env })
 
-        // Expose all lodash methods, version 4.7.x
-        // Users must be informed before any major or minor version updates
-        // but (security) patch updates should be applied on an ongoing basis.
-        vm.freeze(_, '_')
+    const {
+      workflowId,
+      eventId,
+      event: inlineEvent,
+      mockedResponses
+    } = req
 
-        // Expose Intl with all loaded locales
-        vm.freeze(global.Intl, 'Intl')
-      }
+    const workflow = await Workflow.query().findById(workflowId)
+    if (!workflow) throw createError(404)
 
-      let currentWorkflowId
+    let event
 
-      prepareWorkflowsTransaction.end()
+    if (eventId) {
+      event = await Event.query().findById(eventId)
+      if (!event) throw createError(422, `Event ID ${eventId} not found`)
+    } else {
+      // synthetic event is expected to be in the workflow API version
+      event = Object.assign({
+        id: null,
+        createdDate: new Date().toISOString(),
+        emitter: Event.isCoreEventFormat(inlineEvent.type) ? 'core' : 'custom',
+        objectId: _.get(inlineEvent, 'object.id', null),
+        object: null,
+        metadata: {},
+      }, inlineEvent, {
+        apiVersion: workflow.apiVersion
+      })
 
-      let apmSpans = {}
+      if (_.isEmpty(event.relatedObjectsIds) && !_.isEmpty(event.object)) {
+        event.relatedObjectsIds = _.pick(event.object, Event.relatedObjectsWhitelist)
+      }
+      if (!event.objectType && Event.isCoreEventFormat(event.type)) {
+        event.objectType = _.camelCase(event.type.split('__')[0])
+      }
+    }
 
-      // use mapSeries to save some logging and debugging headaches
-      // Otherwise runId and currentWorkflowId can be overwritten by concurrent workflows
-      await bluebird.mapSeries(workflows, async workflow => {
-        if (_.isEmpty(workflow.run)) return
+    const exposedEvent = Event.expose(event, { namespaces: ['*'] })
 
-        const singleWorkflowTransaction = apm.startTransaction('Execute Workflow', 'workflow')
-        singleWorkflowTransaction.action = workflow.name
-        apm.setUserContext({ id: platformId })
-        apm.addLabels({ env, platformId, eventType: event.type })
-        apm.setCustomContext({ workflowId: workflow.id })
+    const {
+      workflowsCtx,
+      envVariables,
+      allowedHosts
+    } = await prepareWorkflowsRun({ workflows: [workflow], event, exposedEvent, platformId, env })
 
-        apmSpans.fetchStats = apm.startSpan('Update nbTimesRun')
+    const sandbox = createWorkflowSandbox({ workflow, workflowsCtx })
 
-        runId = Uuid.v4()
-        currentWorkflowId = workflow.id
+    let steps
+    try {
+      steps = await runWorkflow({
+        workflow,
+        event,
+        sandbox,
+        envVariables,
+        allowedHosts,
+        runId: Uuid.v4(),
+        platformId,
+        env,
+        dryRun: true,
+        mockedResponses
+      })
+    } finally {
+      await sandbox.terminate()
+    }
 
-        const initialComputedScript = _getComputedValuesScript(workflow.computed, { reset: true })
-        const lastResponses = [] // array of responses
-        const responses = {} // step name -> response
+    return {
+      workflowId: workflow.id,
+      eventId: event.id,
+      steps
+    }
+  })
 
-        const knex = Workflow.knex()
-        await Workflow.query().where('id', currentWorkflowId).patch({
-          stats: knex.raw(
-            // Playground http://www.sqlfiddle.com/#!17/1f4566/8
-            'jsonb_set(stats, \'{nbTimesRun}\', (COALESCE(stats->>\'nbTimesRun\',\'0\')::int + 1)::text::jsonb)'
-          )
-        })
+  responder.on('rerun', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Event, Workflow, WorkflowLog } = await getModels({ platformId, env })
 
-        apmSpans.fetchStats && apmSpans.fetchStats.end()
+    const { workflowId } = req
+    const eventIds = _.uniq(req.eventIds)
 
-        apmSpans.allRuns = apm.startSpan('Workflow run steps')
+    const workflow = await Workflow.query().findById(workflowId)
+    if (!workflow) throw createError(404)
+    if (!workflow.active) {
+      throw createError(422, 'Cannot rerun an inactive workflow')
+    }
 
-        try {
-          // Execute each workflow run step serially
-          await bluebird.reduce(workflow.run, async (previousStepLog, workflowStep, i) => {
-            const runApmSpan = apm.startSpan(`Run step ${i}`)
+    // events older than retention period may be dropped, and bounding the time range
+    // avoids scanning all event chunks
+    const events = await Event.query()
+      .whereIn('id', eventIds)
+      .where('createdTimestamp', '>=', getRetentionLimitDate())
+    const indexedEvents = _.keyBy(events, 'id')
 
-            const handledErr = i > 0 && workflow.run[i - 1].handleErrors
+    const missingEventIds = eventIds.filter(id => !indexedEvents[id])
+    if (missingEventIds.length) {
+      throw createError(422, `Event IDs not found: ${missingEventIds.join(', ')}`)
+    }
 
-            const isPreviousStepStopped = previousStepLog.type === 'stopped'
-            const hasPreviousStepError = ['preRunError', 'runError'].includes(previousStepLog.type)
+    const invalidEvents = events.filter(e => e.type !== workflow.event)
+    if (invalidEvents.length) {
+      throw createError(422, `Event IDs ${_.map(invalidEvents, 'id').join(', ')} cannot trigger this workflow ` +
+        `listening to ${workflow.event} events`)
+    }
 
-            if (isPreviousStepStopped) return previousStepLog
-            if (hasPreviousStepError && !handledErr) return previousStepLog
+    // first run of the workflow for each event, new runs are linked to it
+    // even if the event has already been re-run
+    const previousLogs = await WorkflowLog.query()
+      .select('eventId', 'runId')
+      .where({ workflowId })
+      .whereIn('eventId', eventIds)
+      .whereNotNull('runId')
+      .orderBy('createdTimestamp', 'asc')
+
+    const originalRunIds = previousLogs.reduce((runIds, log) => {
+      if (!runIds[log.eventId]) runIds[log.eventId] = log.runId
+      return runIds
+    }, {})
+
+    const runs = []
+
+    // events are processed serially in the requested order, like they were emitted
+    for (const eventId of eventIds) {
+      const event = indexedEvents[eventId]
+      const exposedEvent = Event.expose(event, { namespaces: ['*'] })
 
-            // update computed object in each step
-            const currentStepComputedScript = _getComputedValuesScript(workflowStep.computed)
-            const computedScript = `${i === 0 ? initialComputedScript : ''};${currentStepComputedScript}`
+      const runId = Uuid.v4()
+      const originalRunId = originalRunIds[eventId] || null
 
-            const prepareWorkflowSpan = apm.startSpan('Prepare workflow step')
+      try {
+        // context is rebuilt like when the event was emitted,
+        // with related objects and API version transforms
+        const {
+          workflowsCtx,
+          envVariables,
+          allowedHosts
+        } = await prepareWorkflowsRun({ workflows: [workflow], event, exposedEvent, platformId, env })
+
+        await executeWorkflowRun({
+          workflow,
+          event,
+          exposedEvent,
+          workflowsCtx,
+          envVariables,
+          allowedHosts,
+          runId,
+          originalRunId,
+          platformId,
+          env
+        })
+      } catch (err) {
+        logError(err.response ? err.response.body : err, {
+          platformId,
+          env,
+          custom: { workflowId, eventId, runId, originalRunId },
+          message: 'Fail to re-run stelace workflow'
+        })
+      }
 
-            const {
-              passFilter,
-              skipStep,
-              endpointUri,
-              endpointPayload,
-              endpointHeaders,
-              prepareWorkflowError
-            } = prepareWorkflowStep({
-              workflow,
-              workflowStep,
-              previousStepLog,
-              envVariables,
-              computedScript,
-              lastResponses,
-              responses
-            })
+      runs.push({ eventId, runId, originalRunId })
+    }
 
-            prepareWorkflowSpan && prepareWorkflowSpan.end()
-
-            try {
-              if (prepareWorkflowError) {
-                return WorkflowLog.query().insert({
-                  id: await getObjectId({ prefix: WorkflowLog.idPrefix, platformId, env }),
-                  workflowId: currentWorkflowId,
-                  eventId: event.id,
-                  runId,
-                  type: 'preRunError',
-                  statusCode: prepareWorkflowError.statusCode || null,
-                  step: _getWorkflowLogStep({ error: true }),
-                  metadata: _.omit(prepareWorkflowError, 'statusCode')
-                })
-              }
-
-              if (passFilter && !skipStep) {
-                debug(`endpointUri: ${endpointUri}\n`)
-                debug(`endpointPayload: ${JSON.stringify(endpointPayload, null, 2)}\n`)
-                debug(`endpointHeaders: ${JSON.stringify(endpointHeaders, null, 2)}\n`)
-
-                return executeWorkflowStep({
-                  workflow,
-                  workflowStep,
-                  endpointUri,
-                  endpointPayload,
-                  endpointHeaders,
-                  lastResponses,
-                  responses,
-                  WorkflowLog
-                })
-              } else {
-                debug(`passFilter: ${passFilter}\nskipStep: ${skipStep}`)
-              }
-
-              let type
-              if (!passFilter) type = 'stopped'
-              else if (skipStep) type = 'skipped'
-
-              return WorkflowLog.query().insert({
-                id: await getObjectId({ prefix: WorkflowLog.idPrefix, platformId, env }),
-                workflowId: currentWorkflowId,
-                eventId: event.id,
-                runId,
-                type,
-                step: _getWorkflowLogStep({ workflowStep }),
-                metadata: _getWorkflowLogMetadata({ workflowStep, endpointUri, endpointHeaders, event })
-              })
-            } finally {
-              runApmSpan && runApmSpan.end()
-            }
-          }, { // init reduce’s memo to some value to start running steps
-            type: 'success'
-          }).then(lastLog => {
-            if (workflow.notifyUrl) {
-              return notifyAfterCompleted({
-                workflow,
-                lastLog,
-                event,
-                exposedEvent,
-                WorkflowLog,
-                runId,
-                platformId,
-                env
-              })
-            }
+    return {
+      workflowId,
+      runs
+    }
+  })
+
+  responder.on('_runForEvent', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Event, Workflow } = await getModels({ platformId, env })
+
+    const {
+      workflowId,
+      eventId
+    } = req
+
+    const workflow = await Workflow.query().findById(workflowId)
+    if (!workflow) throw createError(422, `Workflow ID ${workflowId} not found`)
+    if (!workflow.active) throw createError(422, `Workflow ID ${workflowId} is inactive`)
+
+    const event = await Event.query().findById(eventId)
+    if (!event) throw createError(422, `Event ID ${eventId} not found`)
+
+    const exposedEvent = Event.expose(event, { namespaces: ['*'] })
+
+    const runId = Uuid.v4()
+
+    // the workflow can also listen to this event, it must not run twice
+    const claimedRunId = await claimWorkflowRun({ workflowId, eventId, runId, platformId, env })
+    if (claimedRunId !== runId) {
+      return { workflowId, runId: claimedRunId, outcome: null }
+    }
+
+    const {
+      workflowsCtx,
+      envVariables,
+      allowedHosts
+    } = await prepareWorkflowsRun({ workflows: [workflow], event, exposedEvent, platformId, env })
+
+    const lastLog = await executeWorkflowRun({
+      workflow,
+      event,
+      exposedEvent,
+      workflowsCtx,
+      envVariables,
+      allowedHosts,
+      runId,
+      platformId,
+      env
+    })
+
+    return {
+      workflowId,
+      runId,
+      outcome: runOutcomesByLogType[lastLog.type] || null
+    }
+  })
+
+  responder.on('_resumeDelayedRun', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Event, Workflow, WorkflowLog } = await getModels({ platformId, env })
+
+    const { delayedRun } = req
+    const { runId, originalRunId, workflowId, eventId } = delayedRun
+
+    const workflow = await Workflow.query().findById(workflowId)
+
+    // cancel the run if the workflow has been removed, deactivated or has fewer steps now
+    if (!workflow || !workflow.active || !workflow.run[delayedRun.stepIndex]) return
+
+    const event = await Event.query().findById(eventId)
+    if (!event) return
+
+    const exposedEvent = Event.expose(event, { namespaces: ['*'] })
+
+    // related objects are fetched again so step conditions are based on current data,
+    // event object is also exposed in its current state (e.g. `transaction`)
+    // while `object` still refers to the object when the event was emitted
+    const relatedObjectsIds = Object.assign({}, event.relatedObjectsIds)
+    if (refreshedObjectTypes.includes(event.objectType) && event.objectId) {
+      relatedObjectsIds[`${event.objectType}Id`] = event.objectId
+    }
+
+    let sandbox
+
+    try {
+      const {
+        workflowsCtx,
+        envVariables,
+        allowedHosts
+      } = await prepareWorkflowsRun({
+        workflows: [workflow],
+        event: Object.assign({}, event, { relatedObjectsIds }),
+        exposedEvent,
+        platformId,
+        env
+      })
+
+      sandbox = createWorkflowSandbox({ workflow, workflowsCtx })
+
+      const lastLog = await runWorkflow({
+        workflow,
+        event,
+        sandbox,
+        envVariables,
+        allowedHosts,
+        runId,
+        originalRunId,
+        platformId,
+        env,
+        delayedRun
+      })
+
+      if (workflow.notifyUrl && lastLog.type !== 'delayed') {
+        await notifyAfterCompleted({
+          workflow,
+          lastLog,
+          event,
+          exposedEvent,
+          WorkflowLog,
+          runId,
+          originalRunId,
+          platformId,
+          env
+        })
+      }
+    } catch (err) {
+      logError(err.response ? err.response.body : err, {
+        platformId,
+        env,
+        custom: { workflowId, eventId, runId },
+        message: 'Fail to resume delayed stelace workflow'
+      })
+    } finally {
+      if (sandbox) await sandbox.terminate()
+    }
+  })
+
+  // EVENTS
+
+  eventSubscriber.on('eventCreated', async ({ event, platformId, env } = {}) => {
+    // APM transaction needs to be created for customRequester
+    // Note: APM transactions cannot be nested
+    const prepareWorkflowsTransaction = apm.startTransaction('Prepare Workflows', 'workflow')
+    apm.setUserContext({ id: platformId })
+    apm.addLabels({ platformId, env, eventType: event.type })
+
+    try {
+      const {
+        Event,
+        Workflow
+      } = await getModels({ platformId, env })
+      const exposedEvent = Event.expose(event, { namespaces: ['*'] })
+
+      const workflows = await Workflow.query()
+        .where({
+          active: true,
+          event: event.type
+        })
+
+      const {
+        workflowsCtx, // versioned event and related objects fetched once for all current event’s workflows
+        envVariables,
+        allowedHosts
+      } = await prepareWorkflowsRun({ workflows, event, exposedEvent, platformId, env })
+
+      prepareWorkflowsTransaction.end()
+
+      // workflows run concurrently, each one in its own sandbox
+      // so a workflow can neither delay nor overwrite globals of another one
+      await bluebird.map(workflows, async workflow => {
+        if (_.isEmpty(workflow.run)) return
+
+        const singleWorkflowTransaction = apm.startTransaction('Execute Workflow', 'workflow')
+        singleWorkflowTransaction.action = workflow.name
+        apm.setUserContext({ id: platformId })
+        apm.addLabels({ env, platformId, eventType: event.type })
+        apm.setCustomContext({ workflowId: workflow.id })
+
+        const runId = Uuid.v4()
+
+        try {
+          // the same event can be received by several servers during scale-out or reconnections,
+          // the workflow must not run twice (e.g. double payouts)
+          const claimedRunId = await claimWorkflowRun({
+            workflowId: workflow.id,
+            eventId: event.id,
+            runId,
+            platformId,
+            env
+          })
+
+          if (claimedRunId !== runId) {
+            const { WorkflowLog } = await getModels({ platformId, env })
+
+            await WorkflowLog.query().insert({
+              id: await getObjectId({ prefix: WorkflowLog.idPrefix, platformId, env }),
+              workflowId: workflow.id,
+              eventId: event.id,
+              runId,
+              type: 'skipped',
+              step: _getWorkflowLogStep({}),
+              metadata: Object.assign({
+                reason: 'duplicateRun',
+                claimedRunId, // null if the run was being claimed by another server
+                eventObjectId: event.objectId
+              }, _getRunLogMetadata({ workflow }))
+            })
+            return
+          }
+
+          await executeWorkflowRun({
+            workflow,
+            event,
+            exposedEvent,
+            workflowsCtx,
+            envVariables,
+            allowedHosts,
+            runId,
+            platformId,
+            env
           })
         } catch (err) {
           apm.captureError(err)
@@ -812,18 +1224,16 @@ function start ({ communication, serverPort }) {
             platformId,
             env,
             custom: {
-              workflowId: currentWorkflowId.id,
+              workflowId: workflow.id,
               eventId: event.id,
               runId
             },
             message: 'Fail to execute stelace workflow'
           })
         } finally {
-          if (apmSpans.allRuns) apmSpans.allRuns.end()
-          apmSpans = {} // clean for garbage collection
           singleWorkflowTransaction.end()
         }
-      })
+      }, { concurrency: workflowConcurrency })
     } catch (err) {
       logError(err, {
         platformId,
@@ -832,373 +1242,1310 @@ function start ({ communication, serverPort }) {
         message: `Fail to handle ${event.type} event in workflow service`
       })
     }
+  })
+}
+
+function getAuthorId (req) {
+  return getRealCurrentUserId(req) || req._apiKeyId || null
+}
+
+/**
+ * Saves workflow revisioned fields as an immutable revision
+ * @param {Object} params
+ * @param {Object} params.workflow
+ * @param {String} [params.authorId]
+ * @param {Number} [params.restoredRevision] - if the revision is a rollback
+ * @param {Object} [params.trx] - transaction
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @return {Object} workflow revision
+ */
+async function createWorkflowRevision ({
+  workflow,
+  authorId = null,
+  restoredRevision = null,
+  trx,
+  platformId,
+  env
+}) {
+  const { WorkflowRevision } = await getModels({ platformId, env })
+
+  return WorkflowRevision.query(trx).insert(Object.assign({
+    id: await getObjectId({ prefix: WorkflowRevision.idPrefix, platformId, env }),
+    workflowId: workflow.id,
+    revision: workflow.revision,
+    authorId,
+    restoredRevision
+  }, _.pick(workflow, WorkflowRevision.revisionedFields)))
+}
+
+/**
+ * Updates the workflow and creates a new revision if any revisioned field changes
+ * @param {Object} params
+ * @param {Object} params.workflow
+ * @param {Object} params.updateAttrs
+ * @param {String} [params.authorId]
+ * @param {Number} [params.restoredRevision]
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @return {Object} updated workflow
+ */
+async function updateWorkflow ({
+  workflow,
+  updateAttrs,
+  authorId,
+  restoredRevision,
+  platformId,
+  env
+}) {
+  const { Workflow, WorkflowRevision } = await getModels({ platformId, env })
+
+  const hasRevisionChanges = WorkflowRevision.revisionedFields.some(field => {
+    return !_.isUndefined(updateAttrs[field]) && !_.isEqual(updateAttrs[field], workflow[field])
+  })
+
+  if (!hasRevisionChanges) {
+    return Workflow.query().patchAndFetchById(workflow.id, updateAttrs)
+  }
+
+  const knex = Workflow.knex()
+  let updatedWorkflow
+
+  await transaction(knex, async (trx) => {
+    // workflows created before revisions were introduced have no saved revision yet
+    const currentRevision = await WorkflowRevision.query(trx)
+      .findOne({ workflowId: workflow.id, revision: workflow.revision })
+
+    if (!currentRevision) {
+      await createWorkflowRevision({ workflow, trx, platformId, env })
+    }
 
-    async function fetchRelatedObjects ({
-      relatedObjectsObject = {},
+    // incrementing in database locks the row so concurrent updates get distinct revisions
+    updatedWorkflow = await Workflow.query(trx).patchAndFetchById(
+      workflow.id,
+      Object.assign({}, updateAttrs, { revision: knex.raw('?? + 1', ['revision']) })
+    )
+
+    await createWorkflowRevision({
+      workflow: updatedWorkflow,
+      authorId,
+      restoredRevision,
+      trx,
       platformId,
       env
-    }) {
-      const Models = await getModels({ platformId, env })
-
-      // map property to object type for versioning
-      // (key: value) => (owner: 'user')
-      const objectsTypes = {}
-
-      const objectsPromises = {}
-
-      for (const objectId in relatedObjectsObject) {
-        const objectType = objectId.replace(/Id$/, '')
-
-        // we need the model type below for related resources versioning
-        const modelType = ((type) => {
-          // cf. Event relatedObjectsWhitelist
-          if (/^assetType/.test(type)) return 'assetType'
-          else if (/^category/.test(type)) return 'category'
-          else if (/^asset/.test(type)) return 'asset'
-          else if (/^owner|^taker|^user/.test(type)) return 'user'
-          else if (/^transaction/.test(type)) return 'transaction'
-        })(objectType)
-
-        objectsTypes[objectType] = modelType
-
-        const { Model } = getModelInfo({ objectType: modelType, Models })
-
-        if (Model) {
-          const id = relatedObjectsObject[objectId]
-          const { idPrefix } = getModelInfo({ objectId: id })
-
-          // the model ID can be a non-UUID
-          // because we allow external IDs for object user
-          // so the PostgreSQL query will fail
-          // in this case, set the object to `null`
-          const isValidRelatedObjectId = isValidObjectId({
-            id,
-            prefix: idPrefix || Model.idPrefix,
-            platformId,
-            env
-          })
-          if (isValidRelatedObjectId) {
-            objectsPromises[objectType] = Model.query()
-              .findById(id)
-              .execute()
-          } else {
-            objectsPromises[objectType] = Promise.resolve(null)
-          }
-        } else {
-          const error = new Error(`Unknown event related object ${objectId} that can’t be mapped to a Model`)
+    })
+  })
 
-          logError(error, {
-            platformId,
-            env,
-            custom: {
-              relatedObjectsIds: relatedObjectsObject,
-              eventId: event.id
-            },
-            message: error.message
+  return updatedWorkflow
+}
+
+/**
+ * Builds objects shared by all workflows triggered by the same event:
+ * context with versioned event and related objects for each workflow API version,
+ * environment variables of each workflow and external hosts steps can call.
+ * @param {Object} params
+ * @param {Object[]} params.workflows
+ * @param {Object} params.event
+ * @param {Object} params.exposedEvent
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @return {Object} { workflowsCtx, envVariables, allowedHosts }
+ */
+async function prepareWorkflowsRun ({ workflows, event, exposedEvent, platformId, env }) {
+  const { Event } = await getModels({ platformId, env })
+
+  const latestVersion = apiVersions[0]
+  const fromVersion = event.apiVersion
+
+  let workflowsCtx = {}
+  const envVariables = {}
+
+  if (!workflows.length) return { workflowsCtx, envVariables }
+
+  const workflowApiVersions = workflows.map(workflow => workflow.apiVersion || latestVersion)
+
+  workflowsCtx = await bluebird.reduce(workflowApiVersions, async (ctx, apiVersion) => {
+    const versionedEvent = await Event.getVersionedEvent(exposedEvent, apiVersion)
+    ctx[apiVersion] = Object.assign({}, versionedEvent)
+
+    // current custom events have no object type
+    if (versionedEvent.objectType) {
+      ctx[apiVersion][versionedEvent.objectType] = ctx[apiVersion].object
+    }
+
+    return ctx
+  }, {})
+
+  if (!_.isEmpty(event.relatedObjectsIds)) {
+    const {
+      objectsTypes,
+      objectsPromises: relatedObjectsPromises
+    } = await fetchRelatedObjects({
+      relatedObjectsObject: event.relatedObjectsIds,
+      event,
+      platformId,
+      env
+    })
+
+    // related objects fetches happen concurrently
+    const relatedObjects = await bluebird.props(relatedObjectsPromises)
+
+    // apply versioning for each related object by workflow api version
+    await bluebird.map(workflowApiVersions, async (apiVersion) => {
+      const versionedObjects = await bluebird.reduce(Object.keys(objectsTypes), async (versioned, type) => {
+        const objectType = objectsTypes[type]
+        const object = relatedObjects[type]
+        let versionedObject
+
+        if (object) {
+          versionedObject = await applyObjectChanges({
+            fromVersion,
+            toVersion: apiVersion,
+            target: objectType,
+            params: {
+              result: _.cloneDeep(object) // to avoid mutating the same object during transformation
+            }
           })
+          versionedObject = versionedObject.result
         }
-      }
 
-      return {
-        objectsTypes,
-        objectsPromises
-      }
+        versioned[type] = object ? versionedObject : null
+        return versioned
+      }, {})
+
+      Object.assign(workflowsCtx[apiVersion], versionedObjects)
+    })
+  }
+
+  let allowedHosts = []
+
+  const workflowsHaveEnvVariables = workflows.some(w => !_.isEmpty(w.context))
+  // endpoint URI can also be a template string like "${computed.url}"
+  const workflowsMayCallExternalEndpoints = workflows.some(w => {
+    return (w.run || []).some(step => !_.startsWith(step.endpointUri, '/'))
+  })
+
+  if (workflowsHaveEnvVariables || workflowsMayCallExternalEndpoints) {
+    const { stelace: systemConfig } = await configRequester.send({
+      type: '_getConfig',
+      platformId,
+      env,
+      access: 'private'
+    })
+
+    if (systemConfig.workflow) {
+      const { contexts } = systemConfig.workflow
+      workflows.forEach(w => {
+        if (_.isEmpty(w.context)) return
+        envVariables[w.id] = w.context.reduce((env, c) => Object.assign(env, contexts[c]), {})
+      })
+
+      allowedHosts = systemConfig.workflow.allowedHosts || []
     }
+  }
 
-    /**
-     * Prepares single workflow step, handles vm errors.
-     * @param {Object} params
-     * @param {Object} params.workflow
-     * @param {Object} params.workflowStep
-     * @param {Object} params.previousStepLog - useful for custom error handling
-     * @param {Object} params.envVariables
-     * @param {Object} params.computedScript
-     * @param {Array} params.lastResponses
-     * @param {Object} params.responses - keys are step names mapping to response objects,
-     *   making use and maintenance much easier than with `lastResponses` array.
-     * @return {Object}
-     */
-    function prepareWorkflowStep ({
-      workflow,
-      workflowStep,
-      previousStepLog,
-      envVariables,
-      computedScript,
-      lastResponses,
-      responses
-    }) {
-      let error, prepareWorkflowError
-      let passFilter, skipStep
+  return { workflowsCtx, envVariables, allowedHosts }
+}
+
+/**
+ * Runs all steps of a workflow triggered by an event in a new sandbox,
+ * and notifies the workflow `notifyUrl` once completed.
+ * @param {Object} params
+ * @param {Object} params.workflow
+ * @param {Object} params.event
+ * @param {Object} params.exposedEvent
+ * @param {Object} params.workflowsCtx
+ * @param {Object} params.envVariables
+ * @param {String[]} params.allowedHosts
+ * @param {String} params.runId
+ * @param {String} [params.originalRunId] - when re-running the workflow for the same event
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @return {Promise<Object>} last workflow log
+ */
+async function executeWorkflowRun ({
+  workflow,
+  event,
+  exposedEvent,
+  workflowsCtx,
+  envVariables,
+  allowedHosts,
+  runId,
+  originalRunId,
+  platformId,
+  env
+}) {
+  const { Workflow, WorkflowLog } = await getModels({ platformId, env })
+
+  const apmSpans = {}
 
-      let endpointUri, endpointHeaders, endpointPayload
+  apmSpans.fetchStats = apm.startSpan('Update nbTimesRun')
 
-      // ensure clean payload object
-      vm.run(`apiVersion = "${workflow.apiVersion}"; body = {};`)
+  const knex = Workflow.knex()
+  await Workflow.query().where('id', workflow.id).patch({
+    stats: knex.raw(
+      // Playground http://www.sqlfiddle.com/#!17/1f4566/8
+      'jsonb_set(stats, \'{nbTimesRun}\', (COALESCE(stats->>\'nbTimesRun\',\'0\')::int + 1)::text::jsonb)'
+    )
+  })
+
+  apmSpans.fetchStats && apmSpans.fetchStats.end()
 
-      // Payload can have nested object and array values we need to reproduce in evaluated script
-      const payloadScript = _populateScriptObjectValues(workflowStep.endpointPayload)
+  apmSpans.allRuns = apm.startSpan('Workflow run steps')
 
-      const headersScript = _.reduce(workflowStep.endpointHeaders || {}, (script, v, k) => {
-        const headerName = k.toLowerCase()
-        // header values are expected to be (template) strings without extra quotes
-        return `${script};headers['${headerName}'] = \`${v}\``
-      }, 'var headers = {}')
+  const sandbox = createWorkflowSandbox({ workflow, workflowsCtx })
+
+  try {
+    const lastLog = await runWorkflow({
+      workflow,
+      event,
+      sandbox,
+      envVariables,
+      allowedHosts,
+      runId,
+      originalRunId,
+      platformId,
+      env
+    })
 
-      const now = new Date()
-      debug('\nstart running vm (0ms)\n')
+    // delayed runs notify once resumed and completed
+    if (workflow.notifyUrl && lastLog.type !== 'delayed') {
+      await notifyAfterCompleted({
+        workflow,
+        lastLog,
+        event,
+        exposedEvent,
+        WorkflowLog,
+        runId,
+        originalRunId,
+        platformId,
+        env
+      })
+    }
 
-      vm.run(`lastResponses = ${
-        JSON.stringify(lastResponses)
-      };ctx[apiVersion].lastResponses = lastResponses`)
-      vm.run(`responses = ${JSON.stringify(responses)};ctx[apiVersion].responses = responses`)
+    return lastLog
+  } finally {
+    await sandbox.terminate()
 
-      vm.run(`statusCode = ${previousStepLog.statusCode}`)
+    if (apmSpans.allRuns) apmSpans.allRuns.end()
+  }
+}
 
-      // TODO: push syntax errors in try/catch statements below in an array
-      // Instead of logging only the last one
+/**
+ * Claims the run of a workflow triggered by an event, so the workflow runs at most once per event
+ * even if the event is received by several servers.
+ * Only one server can check and save the claim at a time thanks to redlock.
+ * @param {Object} params
+ * @param {String} params.workflowId
+ * @param {String} params.eventId
+ * @param {String} params.runId - run claiming the execution
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @return {Promise<String|null>} ID of the run having claimed the execution,
+ *   or null if the execution is being claimed by another server
+ */
+async function claimWorkflowRun ({ workflowId, eventId, runId, platformId, env }) {
+  const claimParams = { platformId, env, workflowId, eventId }
+
+  let lock
+  try {
+    lock = await redlock.lock(
+      `locks:stelace_workflow_event_runs:${platformId}:${env}:${workflowId}:${eventId}`,
+      runClaimLockTtl
+    )
+  } catch (err) {
+    if (err.name === 'LockError') return null
+    throw err
+  }
+
+  try {
+    const claimedRunId = await getWorkflowEventRunId(claimParams)
+    if (claimedRunId) return claimedRunId
+
+    await addWorkflowEventRun(Object.assign({ runId }, claimParams))
+    return runId
+  } finally {
+    await lock.unlock()
+  }
+}
+
+/**
+ * Creates the sandbox running all steps of a single workflow,
+ * with its own copy of the context so it cannot be altered by other workflows.
+ * Sandbox is reused across steps for performance, and must be terminated after the run.
+ * @param {Object} params
+ * @param {Object} params.workflow
+ * @param {Object} params.workflowsCtx - context by API version
+ * @return {Object} sandbox
+ */
+function createWorkflowSandbox ({ workflow, workflowsCtx }) {
+  const apiVersion = workflow.apiVersion || apiVersions[0]
+
+  // `_` and `Intl` are exposed by the sandbox worker
+  return createSandbox({
+    timeout: sandboxScriptTimeout, // applies to each script run independently
+    wallClockLimit: sandboxWallClockLimit,
+    maxHeapSizeMb: sandboxMaxHeapSizeMb,
+    sandbox: {
+      computed: {},
+      body: {},
+      ctx: _.pick(workflowsCtx, apiVersion), // copied when sent to the worker
+      endpointUri: '',
+      lastResponses: [],
+      responses: {},
+      statusCode: null,
+      env: {} // envVariables populated for the workflow
+    }
+  })
+}
+
+async function fetchRelatedObjects ({
+  relatedObjectsObject = {},
+  event,
+  platformId,
+  env
+}) {
+  const Models = await getModels({ platformId, env })
+
+  // map property to object type for versioning
+  // (key: value) => (owner: 'user')
+  const objectsTypes = {}
+
+  const objectsPromises = {}
+
+  for (const objectId in relatedObjectsObject) {
+    const objectType = objectId.replace(/Id$/, '')
+
+    // we need the model type below for related resources versioning
+    const modelType = ((type) => {
+      // cf. Event relatedObjectsWhitelist
+      if (/^assetType/.test(type)) return 'assetType'
+      else if (/^category/.test(type)) return 'category'
+      else if (/^asset/.test(type)) return 'asset'
+      else if (/^owner|^taker|^user/.test(type)) return 'user'
+      else if (/^transaction/.test(type)) return 'transaction'
+    })(objectType)
+
+    objectsTypes[objectType] = modelType
+
+    const { Model } = getModelInfo({ objectType: modelType, Models })
+
+    if (Model) {
+      const id = relatedObjectsObject[objectId]
+      const { idPrefix } = getModelInfo({ objectId: id })
+
+      // the model ID can be a non-UUID
+      // because we allow external IDs for object user
+      // so the PostgreSQL query will fail
+      // in this case, set the object to `null`
+      const isValidRelatedObjectId = isValidObjectId({
+        id,
+        prefix: idPrefix || Model.idPrefix,
+        platformId,
+        env
+      })
+      if (isValidRelatedObjectId) {
+        objectsPromises[objectType] = Model.query()
+          .findById(id)
+          .execute()
+      } else {
+        objectsPromises[objectType] = Promise.resolve(null)
+      }
+    } else {
+      const error = new Error(`Unknown event related object ${objectId} that can’t be mapped to a Model`)
+
+      logError(error, {
+        platformId,
+        env,
+        custom: {
+          relatedObjectsIds: relatedObjectsObject,
+          eventId: event.id
+        },
+        message: error.message
+      })
+    }
+  }
+
+  return {
+    objectsTypes,
+    objectsPromises
+  }
+}
+
+/**
+ * Runs workflow steps serially and logs each of them.
+ * Steps are run in order unless a step jumps to another one with `next` branches.
+ * The run is paused when reaching a delayed step, and resumed later from this step
+ * with the state saved in `delayedRun`.
+ * In dry run mode, no endpoint is called and nothing is logged:
+ * evaluated steps are returned instead, fed with mocked responses.
+ * @param {Object} params
+ * @param {Object} params.workflow
+ * @param {Object} params.event
+ * @param {Object} params.sandbox - dedicated to this workflow run
+ * @param {Object} params.envVariables
+ * @param {String[]} [params.allowedHosts] - external hosts that steps can call
+ * @param {String} params.runId
+ * @param {String} [params.originalRunId] - when re-running the workflow for the same event
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @param {Object} [params.delayedRun] - to resume a paused run, with `stepIndex`, `previousStepIndex`,
+ *   `nbStepsRun`, `computed`, `lastResponses`, `responses` and `previousStepLog`
+ * @param {Boolean} [params.dryRun = false]
+ * @param {Object[]} [params.mockedResponses] - only in dry run mode, indexed like workflow steps
+ * @return {Promise<Object|Object[]>} last workflow log, or evaluated steps in dry run mode
+ */
+async function runWorkflow ({
+  workflow,
+  event,
+  sandbox,
+  envVariables,
+  allowedHosts = [],
+  runId,
+  originalRunId,
+  platformId,
+  env,
+  delayedRun,
+  dryRun = false,
+  mockedResponses = []
+}) {
+  const { WorkflowLog } = await getModels({ platformId, env })
+
+  const startStepIndex = delayedRun ? delayedRun.stepIndex : 0
+  const startNbStepsRun = delayedRun ? delayedRun.nbStepsRun || 0 : 0
+
+  // restore computed values saved before pausing, otherwise reset them for this new run
+  const initialComputedScript = delayedRun
+    ? `computed = ${JSON.stringify(delayedRun.computed)}; ctx[apiVersion].computed = computed;`
+    : _getComputedValuesScript(workflow.computed, { reset: true })
+  const lastResponses = delayedRun ? delayedRun.lastResponses : [] // array of responses
+  const responses = delayedRun ? delayedRun.responses : {} // step name -> response
+
+  const dryRunSteps = []
+
+  const createLog = async (attrs, dryRunDetails = {}) => {
+    // record the workflow revision that is executed
+    attrs = Object.assign({}, attrs, {
+      metadata: Object.assign({}, attrs.metadata, _getRunLogMetadata({ workflow, originalRunId }))
+    })
+
+    if (dryRun) {
+      const dryRunStep = Object.assign({}, _.pick(attrs, ['type', 'statusCode', 'step', 'metadata']), dryRunDetails)
+      dryRunSteps.push(dryRunStep)
+      return dryRunStep
+    }
+
+    return WorkflowLog.query().insert(Object.assign({
+      id: await getObjectId({ prefix: WorkflowLog.idPrefix, platformId, env }),
+      workflowId: workflow.id,
+      eventId: event.id,
+      runId
+    }, attrs))
+  }
+
+  // errors stopping the run between steps
+  const createFlowErrorLog = ({ workflowStep, err }) => {
+    logError(err, {
+      platformId,
+      env,
+      custom: {
+        workflowId: workflow.id,
+        run: workflowStep,
+        runId,
+        eventId: event.id
+      },
+      message: 'Fail to run Stelace Workflow'
+    })
+
+    const log = _updatedLogWithErrorDetails({
+      log: _getWorkflowLogMetadata({ workflowStep, event }),
+      err
+    })
+
+    return createLog({
+      type: 'preRunError',
+      statusCode: log.statusCode || null,
+      step: _getWorkflowLogStep({ workflowStep }),
+      metadata: _.omit(log, 'statusCode')
+    })
+  }
+
+  const runStep = async ({ workflowStep, i, previousStepLog, previousStepIndex, nbStepsRun }) => {
+    const runApmSpan = apm.startSpan(`Run step ${i}`)
+
+    // update computed object in each step
+    const isFirstStep = nbStepsRun === startNbStepsRun
+    const currentStepComputedScript = _getComputedValuesScript(workflowStep.computed)
+    const computedScript = `${isFirstStep ? initialComputedScript : ''};${currentStepComputedScript}`
+    const isResumedStep = Boolean(delayedRun) && isFirstStep
+
+    const prepareWorkflowSpan = apm.startSpan('Prepare workflow step')
+
+    const {
+      passFilter,
+      skipStep,
+      resumeDate,
+      computed,
+      iterations,
+      endpointUri,
+      endpointPayload,
+      endpointHeaders,
+      prepareWorkflowError
+    } = await prepareWorkflowStep({
+      sandbox,
+      workflow,
+      workflowStep,
+      previousStepLog,
+      envVariables,
+      allowedHosts,
+      computedScript,
+      lastResponses,
+      responses,
+      ignoreDelay: isResumedStep,
+      event,
+      runId,
+      platformId,
+      env
+    })
+
+    prepareWorkflowSpan && prepareWorkflowSpan.end()
+
+    const dryRunDetails = dryRun ? {
+      index: i,
+      passFilter: Boolean(passFilter),
+      skipStep: Boolean(skipStep),
+      resumeDate: resumeDate || null,
+      computed
+    } : undefined
+
+    try {
+      if (prepareWorkflowError) {
+        return createLog({
+          type: 'preRunError',
+          statusCode: prepareWorkflowError.statusCode || null,
+          step: _getWorkflowLogStep({ error: true }),
+          metadata: _.omit(prepareWorkflowError, 'statusCode')
+        }, dryRunDetails)
+      }
+
+      // step conditions are evaluated again when resuming, so the run can be stopped meanwhile
+      const pauseRun = async ({ resumeDate, stepAttempt }) => {
+        await addWorkflowDelayedRun({
+          platformId,
+          env,
+          delayedRun: {
+            runId,
+            workflowId: workflow.id,
+            eventId: event.id,
+            originalRunId,
+            stepIndex: i,
+            stepAttempt,
+            previousStepIndex,
+            nbStepsRun,
+            computed,
+            lastResponses,
+            responses,
+            previousStepLog: _.pick(previousStepLog, ['type', 'statusCode'])
+          },
+          executionDate: resumeDate
+        })
+
+        return createLog({
+          type: 'delayed',
+          step: _getWorkflowLogStep({ workflowStep }),
+          metadata: Object.assign(
+            _getWorkflowLogMetadata({ workflowStep, event }),
+            { resumeDate },
+            stepAttempt ? { attempt: stepAttempt } : {}
+          )
+        })
+      }
+
+      const shouldDelay = !dryRun && passFilter && !skipStep &&
+        resumeDate && resumeDate > new Date().toISOString()
+
+      if (shouldDelay) return pauseRun({ resumeDate })
+
+      if (passFilter && !skipStep) {
+        debug(`endpointUri: ${endpointUri}\n`)
+        debug(`endpointPayload: ${JSON.stringify(endpointPayload, null, 2)}\n`)
+        debug(`endpointHeaders: ${JSON.stringify(endpointHeaders, null, 2)}\n`)
+
+        const executeStep = ({
+          endpointUri,
+          endpointPayload,
+          endpointHeaders,
+          forEachIndex,
+          forEachResponses
+        }) => {
+          if (dryRun) {
+            return mockWorkflowStep({
+              workflowStep,
+              endpointUri,
+              endpointPayload,
+              endpointHeaders,
+              mockedResponse: mockedResponses[i] || {},
+              lastResponses,
+              responses,
+              forEachIndex,
+              forEachResponses,
+              event,
+              createLog: attrs => createLog(attrs, dryRunDetails)
+            })
+          }
+
+          return executeWorkflowStep({
+            workflow,
+            workflowStep,
+            endpointUri,
+            endpointPayload,
+            endpointHeaders,
+            lastResponses,
+            responses,
+            forEachIndex,
+            forEachResponses,
+            // failed attempts before the run was paused to retry the step
+            previousAttempts: isResumedStep ? delayedRun.stepAttempt || 0 : 0,
+            WorkflowLog,
+            event,
+            runId,
+            originalRunId,
+            platformId,
+            env
+          })
+        }
+
+        if (!iterations) {
+          const stepLog = await executeStep({ endpointUri, endpointPayload, endpointHeaders })
+
+          // the step is retried after a long delay by resuming the run
+          if (stepLog.type === 'retry') {
+            return pauseRun({
+              resumeDate: new Date(Date.now() + stepLog.metadata.retryDelay).toISOString(),
+              stepAttempt: stepLog.metadata.attempt
+            })
+          }
+
+          return stepLog
+        }
+
+        // step response is the array of item responses, in the same order as items
+        const forEachResponses = []
+        const iterationLogs = await bluebird.map(
+          iterations,
+          iteration => executeStep(Object.assign({ forEachResponses }, iteration)),
+          { concurrency: dryRun ? 1 : workflowStep.concurrency || 1 }
+        )
+
+        lastResponses.unshift(forEachResponses)
+        if (workflowStep.name) responses[workflowStep.name] = forEachResponses
+
+        // like single endpoint calls, run is stopped if any item fails unless errors are handled
+        return iterationLogs.find(log => log.type === 'runError') || _.last(iterationLogs)
+      } else {
+        debug(`passFilter: ${passFilter}\nskipStep: ${skipStep}`)
+      }
+
+      let type
+      if (!passFilter) type = 'stopped'
+      else if (skipStep) type = 'skipped'
+
+      return createLog({
+        type,
+        step: _getWorkflowLogStep({ workflowStep }),
+        metadata: _getWorkflowLogMetadata({ workflowStep, endpointUri, endpointHeaders, event })
+      }, dryRunDetails)
+    } finally {
+      runApmSpan && runApmSpan.end()
+    }
+  }
+
+  let stepIndex = startStepIndex
+  let previousStepIndex = delayedRun ? _.defaultTo(delayedRun.previousStepIndex, stepIndex - 1) : null
+  let nbStepsRun = startNbStepsRun
+  let lastLog = delayedRun ? delayedRun.previousStepLog : { type: 'success' }
+
+  // Execute workflow steps serially, in `run` order unless jumping to another step with `next`
+  while (stepIndex < workflow.run.length) {
+    const workflowStep = workflow.run[stepIndex]
+
+    // loop protection, steps can be run several times when jumping to previous steps
+    if (nbStepsRun >= maxStepsPerRun) {
+      lastLog = await createFlowErrorLog({
+        workflowStep,
+        err: createError(422, `Workflow run exceeded ${maxStepsPerRun} steps, it may be an infinite loop`, {
+          cause: 'stepsLimit'
+        })
+      })
+      break
+    }
+
+    lastLog = await runStep({ workflowStep, i: stepIndex, previousStepLog: lastLog, previousStepIndex, nbStepsRun })
+    nbStepsRun++
+
+    const isStopped = ['stopped', 'delayed'].includes(lastLog.type)
+    const hasError = ['preRunError', 'runError'].includes(lastLog.type)
+    if (isStopped || (hasError && !workflowStep.handleErrors)) break
+
+    previousStepIndex = stepIndex
+
+    try {
+      stepIndex = await getNextStepIndex({
+        sandbox,
+        workflow,
+        workflowStep,
+        stepIndex,
+        stepLog: lastLog,
+        lastResponses,
+        responses
+      })
+    } catch (err) {
+      lastLog = await createFlowErrorLog({ workflowStep, err })
+      break
+    }
+  }
+
+  return dryRun ? dryRunSteps : lastLog
+}
+
+/**
+ * Prepares single workflow step, handles sandbox errors.
+ * Errors due to sandbox resource limits are reported like script errors, with a `cause`.
+ * @param {Object} params
+ * @param {Object} params.sandbox
+ * @param {Object} params.workflow
+ * @param {Object} params.workflowStep
+ * @param {Object} params.previousStepLog - useful for custom error handling
+ * @param {Object} params.envVariables
+ * @param {String[]} params.allowedHosts
+ * @param {Object} params.computedScript
+ * @param {Array} params.lastResponses
+ * @param {Object} params.responses - keys are step names mapping to response objects,
+ *   making use and maintenance much easier than with `lastResponses` array.
+ * @param {Boolean} [params.ignoreDelay = false] - true when resuming a delayed step
+ * @param {Object} params.event
+ * @param {String} params.runId
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @return {Promise<Object>}
+ */
+async function prepareWorkflowStep ({
+  sandbox,
+  workflow,
+  workflowStep,
+  previousStepLog,
+  envVariables,
+  allowedHosts,
+  computedScript,
+  lastResponses,
+  responses,
+  ignoreDelay = false,
+  event,
+  runId,
+  platformId,
+  env
+}) {
+  let error, prepareWorkflowError
+  let passFilter, skipStep, resumeDate, computed, iterations
+  let ctxKeys = []
+
+  let endpointUri, endpointHeaders, endpointPayload
+
+  // Payload can have nested object and array values we need to reproduce in evaluated script
+  const payloadScript = _populateScriptObjectValues(workflowStep.endpointPayload)
+
+  const headersScript = _.reduce(workflowStep.endpointHeaders || {}, (script, v, k) => {
+    const headerName = k.toLowerCase()
+    // header values are expected to be (template) strings without extra quotes
+    return `${script};headers['${headerName}'] = \`${v}\``
+  }, 'var headers = {}')
+
+  const now = new Date()
+  debug('\nstart running sandbox (0ms)\n')
+
+  try {
+    // ensure clean payload object
+    await sandbox.run(`apiVersion = "${workflow.apiVersion}"; body = {};`)
+
+    await _exposeStepResponses({ sandbox, lastResponses, responses, statusCode: previousStepLog.statusCode })
+
+    // TODO: push syntax errors in try/catch statements below in an array
+    // Instead of logging only the last one
+
+    // Run once for each workflow
+    if (envVariables[workflow.id]) {
+      const envVariablesScript = _getEnvironmentVariablesScript(envVariables[workflow.id])
+      try {
+        // Debugging with keys only for security reasons even if this should not be used
+        // in production environment
+        debug(`envVariables:\n ${
+          Object.keys(envVariables[workflow.id]).join('\n')
+        }\n`)
+        await sandbox.run(envVariablesScript)
+      } catch (err) {
+        error = _transformVmError({
+          err,
+          when: 'in computed properties',
+          script: process.env.NODE_ENV !== 'test' ? '[REDACTED]' : envVariablesScript
+        })
+      }
+    }
+
+    // We save keys to reset to undefined once we’re done with this workflow (step).
+    ctxKeys = await _exposeContextGlobals({ sandbox })
+
+    try {
+      debug(`\ncomputedScript ${computedScript}\n`)
+      await sandbox.run(computedScript)
+    } catch (err) {
+      error = _transformVmError({
+        err,
+        when: 'in computed properties',
+        script: computedScript
+      })
+    }
+    try {
+      const stop = workflowStep.stop && Boolean(await sandbox.run(workflowStep.stop))
+      passFilter = !stop && (!workflowStep.filter || Boolean(await sandbox.run(workflowStep.filter)))
+      skipStep = workflowStep.skip && Boolean(await sandbox.run(workflowStep.skip))
+    } catch (err) {
+      error = _transformVmError({
+        err,
+        when: 'in filters',
+        script: {
+          filter: workflowStep.filter,
+          stop: workflowStep.stop,
+          skip: workflowStep.skip
+        }
+      })
+    }
+
+    // Scripts must not evaluated as filters can be used to avoid reference errors
+    if (!passFilter || skipStep) return errorOrResult()
+
+    if (workflowStep.delay && !ignoreDelay) {
+      try {
+        resumeDate = await _getDelayedStepResumeDate({ sandbox, delay: workflowStep.delay })
+      } catch (err) {
+        error = _transformVmError({
+          err,
+          when: 'when computing step delay',
+          script: workflowStep.delay
+        })
+      }
+    }
+
+    if (workflowStep.forEach) {
+      let nbItems = 0
+      try {
+        nbItems = await _getForEachItemsCount({ sandbox, forEach: workflowStep.forEach })
+      } catch (err) {
+        error = _transformVmError({
+          err,
+          when: 'when evaluating forEach items',
+          script: workflowStep.forEach
+        })
+      }
+
+      // nothing to iterate over
+      if (!error && !nbItems) skipStep = true
+
+      iterations = []
+
+      // endpoint is built for each item serially as sandbox globals are shared
+      for (let index = 0; index < nbItems && !error; index++) {
+        await sandbox.run(`var item = forEachItems[${index}]; var index = ${index};`)
+        await buildEndpoint()
+
+        iterations.push({ forEachIndex: index, endpointUri, endpointPayload, endpointHeaders })
+      }
+    } else {
+      await buildEndpoint()
+    }
+
+    if (debug.enabled) {
+      debug(`sandbox apiVersion: ${await sandbox.run('apiVersion')}\n\n`)
+      debug(`sandbox ctx: ${JSON.stringify(await sandbox.run('ctx[apiVersion]'), null, 2)}\n\n`)
+      debug(`sandbox computed: ${JSON.stringify(await sandbox.run('computed'), null, 2)}\n\n`)
+    }
+  } catch (err) {
+    // sandbox is terminated when exceeding its resource limits
+    error = _transformVmError({ err, when: 'when preparing step' })
+  }
+
+  return errorOrResult()
+
+  async function buildEndpoint () {
+    // ensure clean payload object
+    await sandbox.run('body = {};')
+
+    try {
+      debug(`\npayloadScript ${payloadScript}\n`)
+      await sandbox.run(payloadScript)
+    } catch (err) {
+      error = _transformVmError({
+        err,
+        when: 'when building endpoint payload',
+        script: payloadScript
+      })
+    }
+    try { await sandbox.run(headersScript) } catch (err) {
+      error = _transformVmError({
+        err,
+        when: 'when building endpoint headers',
+        script: headersScript
+      })
+    }
+    try {
+      await sandbox.run(`endpointUri = \`${workflowStep.endpointUri}\``)
+    } catch (err) {
+      error = _transformVmError({
+        err,
+        when: 'when building endpoint URL',
+        script: workflowStep.endpointUri
+      })
+    }
+
+    endpointUri = await sandbox.run('endpointUri')
+    endpointPayload = await sandbox.run('body')
+    endpointHeaders = await sandbox.run('headers')
+
+    if (!endpointUri.startsWith('/')) {
+      try {
+        _checkExternalEndpointUri({ endpointUri, allowedHosts })
+      } catch (err) {
+        error = err
+      }
+    }
+  }
+
+  async function errorOrResult () {
+    try {
+      // needed to resume delayed runs and for dry runs
+      computed = await sandbox.run('computed')
+      // Deleting globals for next runs
+      await _resetContextGlobals({ sandbox, ctxKeys })
+      if (workflowStep.forEach) {
+        await sandbox.run('forEachItems = undefined; item = undefined; index = undefined;')
+      }
+    } catch (err) {
+      if (!error) error = _transformVmError({ err, when: 'when preparing step' })
+    }
+    debug(`\n\nstop running sandbox (+${new Date() - now}ms)\n\n`)
+
+    if (error) {
+      logError(error, {
+        platformId,
+        env,
+        custom: {
+          workflowId: workflow.id,
+          run: workflowStep,
+          runId,
+          eventId: event.id,
+          objectId: event.objectId
+        },
+        message: 'Fail to prepare Stelace Workflow'
+      })
+
+      const log = _getWorkflowLogMetadata({
+        workflowStep,
+        endpointUri,
+        endpointHeaders,
+        endpointPayload,
+        event
+      })
+
+      prepareWorkflowError = _updatedLogWithErrorDetails({ log, err: error })
+    }
+
+    return {
+      passFilter,
+      skipStep,
+      resumeDate,
+      computed: computed || {},
+      iterations,
+      endpointUri,
+      endpointPayload,
+      endpointHeaders,
+      prepareWorkflowError
+    }
+  }
+}
+
+/**
+ * Chooses the step to run after the current one, with the first `next` branch
+ * whose `if` condition is met, or without condition.
+ * Conditions are evaluated with the response of the current step.
+ * @param {Object} params
+ * @param {Object} params.sandbox
+ * @param {Object} params.workflow
+ * @param {Object} params.workflowStep
+ * @param {Number} params.stepIndex
+ * @param {Object} params.stepLog - log of the current step
+ * @param {Array} params.lastResponses
+ * @param {Object} params.responses
+ * @return {Promise<Number>} index of the next step, greater than last index if the run is over
+ */
+async function getNextStepIndex ({
+  sandbox,
+  workflow,
+  workflowStep,
+  stepIndex,
+  stepLog,
+  lastResponses,
+  responses
+}) {
+  const branches = _getStepBranches(workflowStep)
+  if (!branches.length) return stepIndex + 1
 
-      // Run once for each workflow
-      if (envVariables[workflow.id]) {
-        const envVariablesScript = _getEnvironmentVariablesScript(envVariables[workflow.id])
-        try {
-          // Debugging with keys only for security reasons even if this should not be used
-          // in production environment
-          debug(`envVariables:\n ${
-            Object.keys(envVariables[workflow.id]).join('\n')
-          }\n`)
-          vm.run(envVariablesScript)
-        } catch (err) {
-          error = _transformVmError({
-            err,
-            when: 'in computed properties',
-            script: process.env.NODE_ENV !== 'test' ? '[REDACTED]' : envVariablesScript
-          })
-        }
-      }
+  let ctxKeys = []
+  let branch
 
-      // Exposing these as globals.
-      // We save keys to reset to undefined once we’re done with this workflow (step).
-      const ctxKeys = vm.run(
-        `Object.keys(ctx[apiVersion]).filter(k => !['${
-          // already globals
-          ['apiVersion', 'computed', 'lastResponses', 'responses'].join("', '")
-        }'].includes(k))`
-      )
-      vm.run(`${ctxKeys.map(k => `var ${k} = ctx[apiVersion].${k};`).join('')}`)
+  try {
+    await _exposeStepResponses({ sandbox, lastResponses, responses, statusCode: stepLog.statusCode })
+    ctxKeys = await _exposeContextGlobals({ sandbox })
 
-      try {
-        debug(`\ncomputedScript ${computedScript}\n`)
-        vm.run(computedScript)
-      } catch (err) {
-        error = _transformVmError({
-          err,
-          when: 'in computed properties',
-          script: computedScript
-        })
-      }
-      try {
-        const stop = workflowStep.stop && Boolean(vm.run(workflowStep.stop))
-        passFilter = !stop && (!workflowStep.filter || Boolean(vm.run(workflowStep.filter)))
-        skipStep = workflowStep.skip && Boolean(vm.run(workflowStep.skip))
-      } catch (err) {
-        error = _transformVmError({
-          err,
-          when: 'in filters',
-          script: {
-            filter: workflowStep.filter,
-            stop: workflowStep.stop,
-            skip: workflowStep.skip
-          }
-        })
+    for (const b of branches) {
+      if (!b.if || await sandbox.run(b.if)) {
+        branch = b
+        break
       }
+    }
 
-      // Scripts must not evaluated as filters can be used to avoid reference errors
-      if (!passFilter || skipStep) return errorOrResult()
+    await _resetContextGlobals({ sandbox, ctxKeys })
+  } catch (err) {
+    throw _transformVmError({
+      err,
+      when: 'when choosing next step',
+      script: _.map(branches, 'if')
+    })
+  }
 
-      try {
-        debug(`\npayloadScript ${payloadScript}\n`)
-        vm.run(payloadScript)
-      } catch (err) {
-        error = _transformVmError({
-          err,
-          when: 'when building endpoint payload',
-          script: payloadScript
-        })
-      }
-      try { vm.run(headersScript) } catch (err) {
-        error = _transformVmError({
-          err,
-          when: 'when building endpoint headers',
-          script: headersScript
-        })
-      }
-      try {
-        vm.run(`endpointUri = \`${workflowStep.endpointUri}\``)
-      } catch (err) {
-        error = _transformVmError({
-          err,
-          when: 'when building endpoint URL',
-          script: workflowStep.endpointUri
-        })
-      }
+  if (!branch) return stepIndex + 1
 
-      /* eslint-disable prefer-const */
-      endpointUri = vm.run('endpointUri')
-      endpointPayload = vm.run('body')
-      endpointHeaders = vm.run('headers')
-      /* eslint-enable prefer-const */
+  const nextStepIndex = workflow.run.findIndex(step => step.name === branch.goto)
+  if (nextStepIndex < 0) throw createError(422, `Step ${branch.goto} not found`)
 
-      debug(`vm apiVersion: ${vm.run('apiVersion')}\n\n`)
-      // debug(`vm lastResponses: ${JSON.stringify(vm.run('lastResponses'), null, 2)}\n\n`)
-      debug(`vm ctx: ${JSON.stringify(vm.run('ctx[apiVersion]'), null, 2)}\n\n`)
-      debug(`vm computed: ${JSON.stringify(vm.run('computed'), null, 2)}\n\n`)
+  return nextStepIndex
+}
 
-      return errorOrResult()
+/**
+ * Executes single workflow step, handles errors, retries and logging
+ * @param {Object} params
+ * @param {Object} params.workflow
+ * @param {Object} params.workflowStep
+ * @param {String} params.endpointUri
+ * @param {Object} params.endpointPayload
+ * @param {Object} params.endpointHeaders
+ * @param {Array} params.lastResponses
+ * @param {Object} params.responses
+ * @param {Number} [params.forEachIndex] - index of the item if the step iterates with `forEach`
+ * @param {Array} [params.forEachResponses] - populated instead of `lastResponses` and `responses`
+ *   for each item if the step iterates with `forEach`
+ * @param {Number} [params.previousAttempts = 0] - when resuming a run paused to retry this step
+ * @param {Object} params.WorkflowLog - Model
+ * @param {Object} params.event
+ * @param {String} params.runId
+ * @param {String} [params.originalRunId]
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @return {Promise} workflow log, with 'retry' type if the run must be paused
+ *   until `metadata.retryDelay` is over to retry the step
+ */
+async function executeWorkflowStep ({
+  workflow,
+  workflowStep,
+  endpointUri,
+  endpointPayload,
+  endpointHeaders,
+  lastResponses,
+  responses,
+  forEachIndex,
+  forEachResponses,
+  previousAttempts = 0,
+  WorkflowLog,
+  event,
+  runId,
+  originalRunId,
+  platformId,
+  env
+}) {
+  const method = workflowStep.endpointMethod.toLowerCase()
+
+  const isInternalApiEndpoint = endpointUri.startsWith('/')
+  const stelaceHeaders = isInternalApiEndpoint ? {
+    // WARNING: internal values must not be exposed
+    'x-platform-id': platformId,
+    'x-stelace-env': env,
+    'x-stelace-workflow-key': localInstanceKey,
+    'x-stelace-version': workflow.apiVersion
+    // 'x-stelace-workflows': '' // TODO: sequence of workflows to avoid infinite loops
+  } : {
+    'x-webhook-source': 'stelace'
+  }
 
-      function errorOrResult () {
-        // Deleting globals for next runs
-        vm.run(`${ctxKeys.map(k => `${k} = undefined;`).join('')}`)
-        debug(`\n\nstop running vm (+${new Date() - now}ms)\n\n`)
+  const headers = Object.assign({}, endpointHeaders, stelaceHeaders)
 
-        if (error) {
-          logError(error, {
-            platformId,
-            env,
-            custom: {
-              workflowId: workflow.id,
-              run: workflowStep,
-              runId,
-              eventId: event.id,
-              objectId: event.objectId
-            },
-            message: 'Fail to prepare Stelace Workflow'
-          })
+  const endpointUrl = isInternalApiEndpoint ? `${apiBase}${endpointUri}` : endpointUri
+  const retryPolicy = _getStepRetryPolicy(workflowStep)
 
-          const log = _getWorkflowLogMetadata({
-            workflowStep,
-            endpointUri,
-            endpointHeaders,
-            endpointPayload,
-            event
-          })
+  const insertLog = async (attrs) => WorkflowLog.query().insert(Object.assign({
+    id: await getObjectId({ prefix: WorkflowLog.idPrefix, platformId, env }),
+    workflowId: workflow.id,
+    eventId: event.id,
+    runId,
+    step: _getWorkflowLogStep({ workflowStep })
+  }, attrs))
 
-          prepareWorkflowError = _updatedLogWithErrorDetails({ log, err: error })
-        }
+  let attempt = previousAttempts
 
-        return {
-          passFilter,
-          skipStep,
-          endpointUri,
-          endpointPayload,
-          endpointHeaders,
-          prepareWorkflowError
-        }
-      }
-    }
+  // transient failures (e.g. 503 or refused connections) are retried if the step has a retry policy,
+  // each failed attempt is logged with 'retry' type so only the final outcome counts as an action
+  while (true) {
+    attempt++
 
-    /**
-     * Executes single workflow step, handles errors and logging
-     * @param {Object} params
-     * @param {Object} params.workflow
-     * @param {Object} params.workflowStep
-     * @param {String} params.endpointUri
-     * @param {Object} params.endpointPayload
-     * @param {Object} params.endpointHeaders
-     * @param {Array} params.lastResponses
-     * @param {Object} params.WorkflowLog - Model
-     * @return {Promise} workflow log
-     */
-    async function executeWorkflowStep ({
-      workflow,
+    const log = _getWorkflowLogMetadata({
       workflowStep,
       endpointUri,
-      endpointPayload,
       endpointHeaders,
-      lastResponses,
-      responses,
-      WorkflowLog
-    }) {
-      const method = workflowStep.endpointMethod.toLowerCase()
-
-      const isInternalApiEndpoint = endpointUri.startsWith('/')
-      const stelaceHeaders = isInternalApiEndpoint ? {
-        // WARNING: internal values must not be exposed
-        'x-platform-id': platformId,
-        'x-stelace-env': env,
-        'x-stelace-workflow-key': localInstanceKey,
-        'x-stelace-version': workflow.apiVersion
-        // 'x-stelace-workflows': '' // TODO: sequence of workflows to avoid infinite loops
-      } : {
-        'x-webhook-source': 'stelace'
-      }
+      endpointPayload,
+      event
+    })
+    let isError, errorStatus, errorCode
+
+    const attemptStartTime = Date.now()
+
+    const res = await request[method](endpointUrl)
+      .send(endpointPayload) // superagent converts this to query string when using GET method
+      .set(headers)
+      // following redirects could lead to external hosts that are not allowed
+      .redirects(isInternalApiEndpoint ? 5 : 0)
+      .timeout({
+        // Should be enough for Stelace batch call endpoint with 100 objects (currently maximum)
+        response: 15000, // For concurrency of 4 in batch service it takes (100/4) * 400ms = 10000ms
+        deadline: 30000 // Twice as much in case of slow response download
+        // but we need reasonable value as well to prevent huge file download / infinite buffering
+      })
+      .catch(err => {
+        isError = true
+        errorStatus = err.status
+        errorCode = err.code
+        _updatedLogWithErrorDetails({ log, err })
 
-      const headers = Object.assign({}, endpointHeaders, stelaceHeaders)
+        if (err.status) return err.response // let user handle HTTP error if they want to
 
-      const log = _getWorkflowLogMetadata({
-        workflowStep,
-        endpointUri,
-        endpointHeaders,
-        endpointPayload,
-        event
-      })
-      const endpointUrl = isInternalApiEndpoint ? `${apiBase}${endpointUri}` : endpointUri
-      let isError
-
-      return request[method](endpointUrl)
-        .send(endpointPayload) // superagent converts this to query string when using GET method
-        .set(headers)
-        .timeout({
-          // Should be enough for Stelace batch call endpoint with 100 objects (currently maximum)
-          response: 15000, // For concurrency of 4 in batch service it takes (100/4) * 400ms = 10000ms
-          deadline: 30000 // Twice as much in case of slow response download
-          // but we need reasonable value as well to prevent huge file download / infinite buffering
+        // If there is no status it’s probably related to unhandled Workflow code error,
+        // or it’s a Stelace error.
+        logError(err.response ? err.response.body : err, {
+          platformId,
+          env,
+          custom: {
+            workflowId: workflow.id,
+            run: workflowStep,
+            runId,
+            eventId: event.id,
+            objectId: event.objectId
+          },
+          message: 'Fail to execute Stelace Workflow'
         })
-        .catch(err => {
-          isError = true
-          _updatedLogWithErrorDetails({ log, err })
 
-          if (err.status) return err.response // let user handle HTTP error if they want to
+        return {} // no response body to save below
+      })
 
-          // If there is no status it’s probably related to unhandled Workflow code error,
-          // or it’s a Stelace error.
-          logError(err.response ? err.response.body : err, {
-            platformId,
-            env,
-            custom: {
-              workflowId: workflow.id,
-              run: workflowStep,
-              runId,
-              eventId: event.id,
-              objectId: event.objectId
-            },
-            message: 'Fail to execute Stelace Workflow'
-          })
+    const metadata = Object.assign(
+      _.omit(log, 'statusCode'),
+      { duration: Date.now() - attemptStartTime }, // milliseconds
+      _getRunLogMetadata({ workflow, originalRunId }),
+      retryPolicy ? { attempt } : {},
+      forEachResponses ? { forEachIndex } : {}
+    )
+
+    const isRetryable = isError && retryPolicy && attempt < retryPolicy.maxAttempts &&
+      (errorStatus
+        ? retryPolicy.statusCodes.includes(errorStatus)
+        : retryableErrorCodes.includes(errorCode)
+      )
 
-          return {} // no response body to save below
-        })
-        // ensuring length consistency when response is missing due to error
-        // but some steps can still be skipped and not included in responses/lastResponses
-        .then(async (res) => {
-          const body = res.body || null
-          lastResponses.unshift(body)
+    if (isRetryable) {
+      let retryDelay = Math.min(computeBackoffDelay(attempt, retryPolicy), maxStepRetryDelay)
 
-          const stepName = workflowStep.name
-          if (stepName) responses[stepName] = body
+      // a single item cannot be retried once the run is paused, so items are retried sooner
+      if (forEachResponses) retryDelay = Math.min(retryDelay, maxInProcessRetryDelay)
 
-          const workflowLog = await WorkflowLog.query().insert({
-            id: await getObjectId({ prefix: WorkflowLog.idPrefix, platformId, env }),
-            workflowId: workflow.id,
-            eventId: event.id,
-            runId,
-            type: isError ? 'runError' : 'action',
-            statusCode: log.statusCode || res.statusCode,
-            step: _getWorkflowLogStep({ workflowStep }),
-            metadata: _.omit(log, 'statusCode')
-          })
+      const retryLog = await insertLog({
+        type: 'retry',
+        statusCode: log.statusCode || res.statusCode || null,
+        metadata: Object.assign(metadata, { retryDelay })
+      })
 
-          return workflowLog
-        })
+      if (retryDelay > maxInProcessRetryDelay) return retryLog
+
+      await bluebird.delay(retryDelay)
+      continue
     }
+
+    // ensuring length consistency when response is missing due to error
+    // but some steps can still be skipped and not included in responses/lastResponses
+    const body = res.body || null
+    _saveStepResponse({ body, workflowStep, lastResponses, responses, forEachIndex, forEachResponses })
+
+    return insertLog({
+      type: isError ? 'runError' : 'action',
+      statusCode: log.statusCode || res.statusCode,
+      metadata
+    })
+  }
+}
+
+/**
+ * Simulates single workflow step execution in dry run mode,
+ * mocked response is used as if it were returned by the endpoint
+ * @param {Object} params
+ * @param {Object} params.workflowStep
+ * @param {String} params.endpointUri
+ * @param {Object} params.endpointPayload
+ * @param {Object} params.endpointHeaders
+ * @param {Object} params.mockedResponse - with `statusCode` (defaults to 200) and `body`
+ * @param {Array} params.lastResponses
+ * @param {Object} params.responses
+ * @param {Number} [params.forEachIndex]
+ * @param {Array} [params.forEachResponses]
+ * @param {Object} params.event
+ * @param {Function} params.createLog
+ * @return {Promise} simulated workflow log
+ */
+async function mockWorkflowStep ({
+  workflowStep,
+  endpointUri,
+  endpointPayload,
+  endpointHeaders,
+  mockedResponse,
+  lastResponses,
+  responses,
+  forEachIndex,
+  forEachResponses,
+  event,
+  createLog
+}) {
+  const statusCode = mockedResponse.statusCode || 200
+  const body = _.isUndefined(mockedResponse.body) ? null : mockedResponse.body
+  const isError = statusCode >= 400
+
+  const log = _getWorkflowLogMetadata({
+    workflowStep,
+    endpointUri,
+    endpointHeaders,
+    endpointPayload,
+    event
+  })
+
+  _saveStepResponse({ body, workflowStep, lastResponses, responses, forEachIndex, forEachResponses })
+
+  return createLog({
+    type: isError ? 'runError' : 'action',
+    statusCode,
+    step: _getWorkflowLogStep({ workflowStep }),
+    metadata: Object.assign(log, { response: body }, forEachResponses ? { forEachIndex } : {})
   })
 }
 
@@ -1212,6 +2559,7 @@ function start ({ communication, serverPort }) {
  * @param {Object} params.exposedEvent
  * @param {Object} params.WorkflowLog - Model
  * @param {String} params.runId
+ * @param {String} [params.originalRunId]
  * @param {String} params.platformId
  * @param {String} params.env
  * @return {Object} created workflowLog
@@ -1223,6 +2571,7 @@ async function notifyAfterCompleted ({
   exposedEvent,
   WorkflowLog,
   runId,
+  originalRunId,
   platformId,
   env
 }) {
@@ -1281,13 +2630,51 @@ async function notifyAfterCompleted ({
         type: 'notification', // isError ? 'notificationError' : 'notification'
         statusCode: logDetails.statusCode || statusCode,
         step: _getWorkflowLogStep({ name: 'workflowWebhook' }),
-        metadata: _.omit(logDetails, 'statusCode')
+        metadata: Object.assign(_.omit(logDetails, 'statusCode'), _getRunLogMetadata({ workflow, originalRunId }))
       })
 
       return workflowLog
     })
 }
 
+/**
+ * Groups workflow logs by run to get the execution timeline of each run
+ * @param {Object} params
+ * @param {String[]} params.runIds
+ * @param {Object} params.Event - Model
+ * @param {Object} params.WorkflowLog - Model
+ * @param {Object} params.req - used to expose triggering events
+ * @return {Promise<Object[]>} runs in `runIds` order, runs without logs within retention period are omitted
+ */
+async function getWorkflowRuns ({ runIds, Event, WorkflowLog, req }) {
+  if (!runIds.length) return []
+
+  // without this filter, compressed chunks would be queried so the response would be long
+  const logs = await WorkflowLog.query()
+    .whereIn('runId', runIds)
+    .where('createdTimestamp', '>=', getRetentionLimitDate())
+    .orderBy('createdTimestamp', 'asc')
+
+  const logsByRunId = _.groupBy(logs, 'runId')
+
+  const eventIds = _.uniq(_.map(logs, 'eventId'))
+  const events = eventIds.length ? await Event.query().whereIn('id', eventIds) : []
+  const indexedEvents = _.keyBy(events, 'id')
+
+  return runIds
+    .filter(runId => logsByRunId[runId])
+    .map(runId => {
+      const runLogs = logsByRunId[runId]
+      const event = indexedEvents[runLogs[0].eventId]
+
+      return _getWorkflowRunSummary({
+        runId,
+        logs: runLogs,
+        exposedEvent: event ? Event.expose(event, { req }) : null
+      })
+    })
+}
+
 function _getWorkflowLogMetadata ({
   workflowStep = { endpointMethod: 'POST' }, // notification type
   event = {},
@@ -1298,7 +2685,10 @@ function _getWorkflowLogMetadata ({
 }) {
   const details = {
     endpointMethod: (workflowStep.endpointMethod || '').toUpperCase(),
-    endpointHeaders: endpointHeaders || workflowStep.endpointHeaders,
+    endpointHeaders: _redactSecretHeaders({
+      endpointHeaders: endpointHeaders || workflowStep.endpointHeaders,
+      workflowStep
+    }),
     endpointPayload: endpointPayload || workflowStep.endpointPayload,
     endpointUri: endpointUri || workflowStep.endpointUri,
     eventObjectId: event.objectId
@@ -1311,6 +2701,200 @@ function _getWorkflowLogMetadata ({
   return details
 }
 
+/**
+ * Headers built from environment variables (e.g. "Bearer ${env.SERVICE_TOKEN}")
+ * usually include secrets that must not be saved in workflow logs
+ * @private
+ * @param {Object} params
+ * @param {Object} [params.endpointHeaders]
+ * @param {Object} params.workflowStep
+ * @return {Object} headers
+ */
+function _redactSecretHeaders ({ endpointHeaders, workflowStep }) {
+  if (_.isEmpty(endpointHeaders)) return endpointHeaders
+
+  const secretHeaders = _.reduce(workflowStep.endpointHeaders, (names, value, name) => {
+    if (/\benv\b/.test(value)) names.push(name.toLowerCase())
+    return names
+  }, [])
+
+  return _.mapValues(endpointHeaders, (value, name) => {
+    return secretHeaders.includes(name.toLowerCase()) ? '[REDACTED]' : value
+  })
+}
+
+/**
+ * External endpoints can only be called if their host is allowed
+ * in private config (`stelace.workflow.allowedHosts`).
+ * Allowed hosts can start with a wildcard like "*.example.com" to include all subdomains.
+ * @private
+ * @param {Object} params
+ * @param {String} params.endpointUri
+ * @param {String[]} params.allowedHosts
+ */
+function _checkExternalEndpointUri ({ endpointUri, allowedHosts }) {
+  let url
+  try {
+    url = new URL(endpointUri)
+  } catch (err) {
+    throw createError(422, `Invalid endpoint URL: ${endpointUri}`)
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw createError(422, `Endpoint URL protocol ${url.protocol} is not supported`)
+  }
+
+  const hostname = url.hostname.toLowerCase()
+  const isAllowedHost = allowedHosts.some(allowedHost => {
+    allowedHost = allowedHost.toLowerCase()
+
+    if (allowedHost.startsWith('*.')) return hostname.endsWith(allowedHost.slice(1))
+    return hostname === allowedHost
+  })
+
+  if (!isAllowedHost) {
+    throw createError(422, `Endpoint host ${hostname} is not allowed in workflow private config`)
+  }
+}
+
+/**
+ * Returns the retry policy of a workflow step, or null if failed attempts must not be retried
+ * @private
+ * @param {Object} workflowStep
+ * @return {Object|null} policy - with `maxAttempts`, `initialDelay`, `backoffFactor`,
+ *   `maxDelay` and `statusCodes`
+ */
+function _getStepRetryPolicy (workflowStep) {
+  if (!workflowStep.retry) return null
+
+  return Object.assign({}, defaultStepRetryPolicy, _.omitBy(workflowStep.retry, _.isNil))
+}
+
+/**
+ * `next` can be a single step name, a branch object or an array of branches
+ * @private
+ * @param {Object} workflowStep
+ * @return {Object[]} branches - with `goto` step name and optional `if` condition
+ */
+function _getStepBranches (workflowStep) {
+  if (!workflowStep.next) return []
+
+  return _.castArray(workflowStep.next).map(branch => {
+    return typeof branch === 'string' ? { goto: branch } : branch
+  })
+}
+
+/**
+ * Exposes the endpoint response to next steps.
+ * Responses of steps iterating with `forEach` are exposed all at once after the last item.
+ * @private
+ * @param {Object} params
+ * @param {Object} params.body
+ * @param {Object} params.workflowStep
+ * @param {Array} params.lastResponses
+ * @param {Object} params.responses
+ * @param {Number} [params.forEachIndex]
+ * @param {Array} [params.forEachResponses]
+ */
+function _saveStepResponse ({ body, workflowStep, lastResponses, responses, forEachIndex, forEachResponses }) {
+  if (forEachResponses) {
+    forEachResponses[forEachIndex] = body
+    return
+  }
+
+  lastResponses.unshift(body)
+
+  const stepName = workflowStep.name
+  if (stepName) responses[stepName] = body
+}
+
+/**
+ * Metadata shared by all logs of a workflow run
+ * @private
+ * @param {Object} params
+ * @param {Object} params.workflow
+ * @param {String} [params.originalRunId]
+ * @return {Object} metadata
+ */
+function _getRunLogMetadata ({ workflow, originalRunId }) {
+  const metadata = { workflowRevision: workflow.revision }
+  if (originalRunId) metadata.originalRunId = originalRunId
+
+  return metadata
+}
+
+/**
+ * Builds the execution timeline of a workflow run from its logs
+ * @private
+ * @param {Object} params
+ * @param {String} params.runId
+ * @param {Object[]} params.logs - ordered by creation date
+ * @param {Object} [params.exposedEvent] - event triggering the run
+ * @return {Object} run
+ */
+function _getWorkflowRunSummary ({ runId, logs, exposedEvent }) {
+  const firstLog = _.first(logs)
+  const notificationLog = logs.find(log => log.type === 'notification')
+  const stepLogs = logs.filter(log => log.type !== 'notification')
+  const lastStepLog = _.last(stepLogs)
+
+  const steps = stepLogs.map(log => {
+    const metadata = log.metadata || {}
+    const hasCalledEndpoint = ['action', 'runError', 'retry'].includes(log.type)
+    const hasError = ['runError', 'preRunError', 'retry'].includes(log.type)
+
+    return {
+      name: _.get(log.step, 'name', null),
+      type: log.type,
+      status: log.type === 'retry' ? 'retry' : runOutcomesByLogType[log.type] || null,
+      createdDate: log.createdDate,
+      duration: _.defaultTo(metadata.duration, null), // milliseconds
+      attempt: _.defaultTo(metadata.attempt, null),
+      forEachIndex: _.defaultTo(metadata.forEachIndex, null),
+      request: hasCalledEndpoint ? {
+        method: metadata.endpointMethod,
+        uri: metadata.endpointUri
+      } : null,
+      response: hasCalledEndpoint ? {
+        statusCode: log.statusCode,
+        statusCodeName: http.STATUS_CODES[log.statusCode] || null
+      } : null,
+      error: hasError ? {
+        statusCode: log.statusCode,
+        message: metadata.message || null,
+        cause: metadata.cause || null
+      } : null
+    }
+  })
+
+  const outcome = lastStepLog ? runOutcomesByLogType[lastStepLog.type] || null : null
+  const isCompleted = !['delayed', 'running'].includes(outcome)
+
+  // first log is created once the first step is done
+  const firstStepDuration = _.get(firstLog.metadata, 'duration') || 0
+  const startDate = new Date(new Date(firstLog.createdDate).getTime() - firstStepDuration).toISOString()
+  const endDate = isCompleted ? _.last(logs).createdDate : null
+
+  return {
+    id: runId,
+    workflowId: firstLog.workflowId,
+    eventId: firstLog.eventId,
+    event: exposedEvent || null,
+    originalRunId: _.get(firstLog.metadata, 'originalRunId', null),
+    workflowRevision: _.get(firstLog.metadata, 'workflowRevision', null),
+    outcome,
+    startDate,
+    endDate,
+    duration: endDate ? new Date(endDate).getTime() - new Date(startDate).getTime() : null,
+    steps,
+    notification: notificationLog ? {
+      createdDate: notificationLog.createdDate,
+      statusCode: notificationLog.statusCode,
+      message: _.get(notificationLog.metadata, 'message', null)
+    } : null
+  }
+}
+
 function _getWorkflowLogStep ({ workflowStep = {}, name }) {
   return {
     name: name || workflowStep.name || null,
@@ -1327,7 +2911,7 @@ function _getWorkflowLogStep ({ workflowStep = {}, name }) {
  * @return {Object} updated log
  */
 function _updatedLogWithErrorDetails ({ log, err }) {
-  const logWhitelist = ['statusCode', 'message', 'script']
+  const logWhitelist = ['statusCode', 'message', 'script', 'cause']
 
   _.defaults(
     log,
@@ -1339,14 +2923,30 @@ function _updatedLogWithErrorDetails ({ log, err }) {
   return log
 }
 
+/**
+ * Converts errors thrown by the sandbox into errors that can be logged,
+ * with a `cause` to tell script errors apart from sandbox resource limits
+ * ('timeout', 'wallClockLimit', 'memoryLimit' or 'terminated', cf. `createSandbox`).
+ * @private
+ * @param {Object} params
+ * @param {Object} params.err
+ * @param {String} params.when
+ * @param {String|Object} [params.script]
+ * @return {Object} error
+ */
 function _transformVmError ({ err, when, script }) {
   let newError
-  if (err.statusCode === 422) {
+  if (err.statusCode === 422 && err.cause) {
+    newError = createError(422, `${err.message} ${when}`, { script, cause: err.cause })
+  } else if (err.statusCode === 422) {
     newError = err // keep own precise error message
   } else if (err.message.includes('timed out')) {
-    newError = createError(422, `Script execution timed out ${when}`, { script })
+    newError = createError(422, `Script execution timed out ${when}`, { script, cause: 'timeout' })
   } else if (err.name.includes('Error')) {
-    newError = createError(err.statusCode || 422, `${err.name} ${when}: ${err.message}`, { script })
+    newError = createError(err.statusCode || 422, `${err.name} ${when}: ${err.message}`, {
+      script,
+      cause: 'scriptError'
+    })
   } else {
     newError = _.defaults(err, { statusCode: 500 })
   }
@@ -1354,6 +2954,79 @@ function _transformVmError ({ err, when, script }) {
   return newError
 }
 
+/**
+ * Step delay is either a duration like '24h' or an expression evaluated in the sandbox
+ * like `transaction.startDate`, returning a duration or an ISO date
+ * @private
+ * @param {Object} params
+ * @param {Object} params.sandbox
+ * @param {String} params.delay
+ * @return {Promise<String>} ISO date when the step can be run
+ */
+async function _getDelayedStepResumeDate ({ sandbox, delay }) {
+  const value = delayDurationRegex.test(delay) ? delay : await sandbox.run(delay)
+
+  if (typeof value === 'string' && delayDurationRegex.test(value)) {
+    return new Date(Date.now() + convertToMs(value)).toISOString()
+  }
+  if (isDateString(value)) return value
+
+  throw createError(422, `Step delay must be a duration like "24h" or an ISO date, got ${JSON.stringify(value)}`)
+}
+
+async function _exposeStepResponses ({ sandbox, lastResponses, responses, statusCode }) {
+  await sandbox.run(`lastResponses = ${
+    JSON.stringify(lastResponses)
+  };ctx[apiVersion].lastResponses = lastResponses`)
+  await sandbox.run(`responses = ${JSON.stringify(responses)};ctx[apiVersion].responses = responses`)
+
+  await sandbox.run(`statusCode = ${statusCode}`)
+}
+
+/**
+ * Exposes context properties like `asset` or `metadata` as sandbox globals
+ * @private
+ * @param {Object} params
+ * @param {Object} params.sandbox
+ * @return {Promise<String[]>} exposed keys
+ */
+async function _exposeContextGlobals ({ sandbox }) {
+  const ctxKeys = await sandbox.run(
+    `Object.keys(ctx[apiVersion]).filter(k => !['${
+      // already globals
+      ['apiVersion', 'computed', 'lastResponses', 'responses'].join("', '")
+    }'].includes(k))`
+  )
+  await sandbox.run(`${ctxKeys.map(k => `var ${k} = ctx[apiVersion].${k};`).join('')}`)
+
+  return ctxKeys
+}
+
+async function _resetContextGlobals ({ sandbox, ctxKeys }) {
+  await sandbox.run(`${ctxKeys.map(k => `${k} = undefined;`).join('')}`)
+}
+
+/**
+ * Evaluates forEach expression in the sandbox, exposing items as `forEachItems` global
+ * @private
+ * @param {Object} params
+ * @param {Object} params.sandbox
+ * @param {String} params.forEach - expression returning an array
+ * @return {Promise<Number>} number of items
+ */
+async function _getForEachItemsCount ({ sandbox, forEach }) {
+  const nbItems = await sandbox.run(
+    `var forEachItems = (${forEach}); Array.isArray(forEachItems) ? forEachItems.length : -1`
+  )
+
+  if (nbItems < 0) throw createError(422, 'forEach expression must return an array')
+  if (nbItems > maxForEachItems) {
+    throw createError(422, `forEach expression must return at most ${maxForEachItems} items, got ${nbItems}`)
+  }
+
+  return nbItems
+}
+
 function _getComputedValuesScript (computedObject, { reset } = {}) {
   const script = reset ? 'computed = {}; ctx[apiVersion].computed = computed;' : ''
 
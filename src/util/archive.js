@@ -0,0 +1,122 @@
+const fs = require('fs')
+const path = require('path')
+const zlib = require('zlib')
+const crypto = require('crypto')
+const { once } = require('events')
+const { promisify } = require('util')
+
+const pipeline = promisify(require('stream').pipeline)
+
+// WARNING: with several servers, this must be a shared volume so any server can serve archives
+const archivesPath = process.env.EVENT_ARCHIVES_PATH || path.join(__dirname, '../../archives')
+const isArchivesPathConfigured = Boolean(process.env.EVENT_ARCHIVES_PATH)
+
+const manifestFileName = 'manifest.json'
+
+function getEventArchivesDirectory ({ platformId, env }) {
+  return path.join(archivesPath, platformId, env, 'events')
+}
+
+function getEventArchiveFilePath ({ platformId, env, fileName }) {
+  return path.join(getEventArchivesDirectory({ platformId, env }), fileName)
+}
+
+/**
+ * The manifest describes all archive files of the platform environment,
+ * so archives can still be used without the database
+ * @param {Object} params
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @return {Promise<Object>} manifest - with `archives` sorted by ascending date
+ */
+async function getEventArchiveManifest ({ platformId, env }) {
+  const filePath = getEventArchiveFilePath({ platformId, env, fileName: manifestFileName })
+
+  try {
+    const content = await fs.promises.readFile(filePath, 'utf8')
+    return JSON.parse(content)
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err
+
+    return {
+      platformId,
+      env,
+      updatedDate: null,
+      archives: []
+    }
+  }
+}
+
+async function saveEventArchiveManifest ({ platformId, env, manifest }) {
+  const filePath = getEventArchiveFilePath({ platformId, env, fileName: manifestFileName })
+  const tmpFilePath = `${filePath}.tmp`
+
+  const content = Object.assign({}, manifest, { updatedDate: new Date().toISOString() })
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+
+  // renaming is atomic so the manifest is never read partially written
+  await fs.promises.writeFile(tmpFilePath, JSON.stringify(content, null, 2))
+  await fs.promises.rename(tmpFilePath, filePath)
+}
+
+/**
+ * Writes lines into a gzip file, the file is only visible under its name once complete
+ * @param {Object} params
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @param {String} params.fileName
+ * @param {AsyncIterable<String[]>} params.batches - lines without line breaks
+ * @return {Promise<Object>} file - with `size` in bytes and SHA-256 `checksum`
+ */
+async function writeEventArchive ({ platformId, env, fileName, batches }) {
+  const filePath = getEventArchiveFilePath({ platformId, env, fileName })
+  const tmpFilePath = `${filePath}.tmp`
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+
+  const gzip = zlib.createGzip()
+  const hash = crypto.createHash('sha256')
+  let size = 0
+
+  gzip.on('data', chunk => {
+    hash.update(chunk)
+    size += chunk.length
+  })
+
+  const writing = pipeline(gzip, fs.createWriteStream(tmpFilePath))
+
+  try {
+    for await (const lines of batches) {
+      if (!lines.length) continue
+
+      const canContinue = gzip.write(lines.join('\n') + '\n')
+      if (!canContinue) await once(gzip, 'drain')
+    }
+
+    gzip.end()
+    await writing
+  } catch (err) {
+    gzip.destroy(err)
+    await writing.catch(() => {})
+    await fs.promises.unlink(tmpFilePath).catch(() => {})
+
+    throw err
+  }
+
+  await fs.promises.rename(tmpFilePath, filePath)
+
+  return {
+    size,
+    checksum: hash.digest('hex')
+  }
+}
+
+module.exports = {
+  isArchivesPathConfigured,
+
+  getEventArchiveFilePath,
+  getEventArchiveManifest,
+  saveEventArchiveManifest,
+  writeEventArchive
+}
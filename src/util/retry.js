@@ -0,0 +1,49 @@
+const { convertToMs } = require('./time')
+
+/**
+ * Computes the delay to wait before the next attempt, using exponential backoff
+ * @param {Number} attempt - number of the attempt that has just failed, starting from 1
+ * @param {Object} params
+ * @param {Object|String} params.initialDelay - delay after the first failed attempt
+ *   (object or string duration, cf. `convertToMs`)
+ * @param {Number} [params.backoffFactor = 2] - multiplier applied to the delay after each new attempt
+ * @param {Object|String} [params.maxDelay] - upper bound for any computed delay
+ * @return {Number} milliseconds
+ */
+function computeBackoffDelay (attempt, { initialDelay, backoffFactor = 2, maxDelay } = {}) {
+  if (!Number.isInteger(attempt) || attempt < 1) {
+    throw new Error('Positive integer attempt expected')
+  }
+
+  const initialDelayMs = convertToMs(initialDelay)
+  if (!initialDelayMs) throw new Error('Missing initial delay')
+
+  const delay = initialDelayMs * Math.pow(backoffFactor, attempt - 1)
+  const maxDelayMs = convertToMs(maxDelay)
+
+  return maxDelayMs ? Math.min(delay, maxDelayMs) : delay
+}
+
+/**
+ * Returns the date of the next attempt, or null if there is no attempt left
+ * @param {Number} attempt - number of the attempt that has just failed, starting from 1
+ * @param {Object} policy
+ * @param {Number} policy.maxAttempts - including the first attempt
+ * @param {Object|String} policy.initialDelay
+ * @param {Number} [policy.backoffFactor]
+ * @param {Object|String} [policy.maxDelay]
+ * @param {Object} [options]
+ * @param {String} [options.fromDate = now]
+ * @return {String|null} ISO date
+ */
+function getNextAttemptDate (attempt, policy, { fromDate = new Date().toISOString() } = {}) {
+  if (attempt >= policy.maxAttempts) return null
+
+  const delay = computeBackoffDelay(attempt, policy)
+  return new Date(new Date(fromDate).getTime() + delay).toISOString()
+}
+
+module.exports = {
+  computeBackoffDelay,
+  getNextAttemptDate,
+}
@@ -0,0 +1,151 @@
+const path = require('path')
+const { Worker } = require('worker_threads')
+const createError = require('http-errors')
+
+const workerPath = path.join(__dirname, 'sandboxWorker.js')
+
+const defaultTimeout = 1000 // milliseconds
+const defaultWallClockLimit = 10000 // milliseconds
+const defaultMaxHeapSizeMb = 64
+
+// worker can take a while to start if the server is busy
+const startTimeout = 10000 // milliseconds
+
+// extra time given to the worker to stop a timed out script by itself before being terminated
+const timeoutMargin = 500 // milliseconds
+
+/**
+ * Creates a sandbox running scripts in a dedicated worker thread,
+ * so scripts exhausting memory or CPU cannot impact the API process.
+ * Scripts are isolated in a V8 context of the worker only having sandbox globals, lodash and Intl.
+ * Each script execution is stopped after `timeout`, and the worker is terminated
+ * when it exceeds its heap size or when all executions exceed `wallClockLimit`.
+ * Errors due to resource limits have a `cause` property:
+ * 'timeout', 'wallClockLimit', 'memoryLimit' or 'terminated'.
+ * @param {Object} params
+ * @param {Object} [params.sandbox] - global variables, must be serializable
+ * @param {Number} [params.timeout = 1000] - milliseconds, for each script
+ * @param {Number} [params.wallClockLimit = 10000] - milliseconds, for all scripts
+ * @param {Number} [params.maxHeapSizeMb = 64]
+ * @return {Object} sandbox with async methods `run(script)` and `terminate()`
+ */
+function createSandbox ({
+  sandbox = {},
+  timeout = defaultTimeout,
+  wallClockLimit = defaultWallClockLimit,
+  maxHeapSizeMb = defaultMaxHeapSizeMb
+} = {}) {
+  const worker = new Worker(workerPath, {
+    workerData: {
+      sandbox: JSON.parse(JSON.stringify(sandbox)),
+      timeout
+    },
+    resourceLimits: {
+      maxOldGenerationSizeMb: maxHeapSizeMb,
+      maxYoungGenerationSizeMb: Math.ceil(maxHeapSizeMb / 4)
+    }
+  })
+
+  const pendingRuns = new Map()
+  let lastRunId = 0
+  let elapsedTime = 0
+  let terminationError // set once scripts cannot be run anymore
+
+  let resolveReady
+  const ready = new Promise(resolve => { resolveReady = resolve })
+  const startTimer = setTimeout(() => {
+    stop(createError(422, `Sandbox failed to start within ${startTimeout}ms`, { cause: 'timeout' }))
+  }, startTimeout)
+
+  worker.on('message', ({ ready, id, value, error }) => {
+    if (ready) {
+      clearTimeout(startTimer)
+      resolveReady()
+      return
+    }
+
+    const pendingRun = pendingRuns.get(id)
+    if (!pendingRun) return
+
+    pendingRuns.delete(id)
+    clearTimeout(pendingRun.timer)
+    elapsedTime += Date.now() - pendingRun.startTime
+
+    if (error) {
+      const err = new Error(error.message)
+      err.name = error.name
+      if (error.message.includes('timed out')) err.cause = 'timeout'
+
+      pendingRun.reject(err)
+    } else {
+      pendingRun.resolve(typeof value === 'undefined' ? value : JSON.parse(value))
+    }
+  })
+
+  worker.on('error', err => {
+    if (err.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+      stop(createError(422, `Script exceeded memory limit of ${maxHeapSizeMb}MB`, { cause: 'memoryLimit' }))
+    } else {
+      stop(err)
+    }
+  })
+
+  worker.on('exit', () => {
+    stop(createError(422, 'Sandbox was terminated', { cause: 'terminated' }))
+  })
+
+  function stop (err) {
+    if (!terminationError) terminationError = err
+
+    clearTimeout(startTimer)
+    resolveReady()
+
+    pendingRuns.forEach(({ reject, timer }) => {
+      clearTimeout(timer)
+      reject(terminationError)
+    })
+    pendingRuns.clear()
+
+    return worker.terminate()
+  }
+
+  async function run (script) {
+    await ready
+
+    const remainingTime = wallClockLimit - elapsedTime
+    if (!terminationError && remainingTime <= 0) {
+      stop(createError(422, `Scripts exceeded wall-clock limit of ${wallClockLimit}ms`, { cause: 'wallClockLimit' }))
+    }
+    if (terminationError) throw terminationError
+
+    return new Promise((resolve, reject) => {
+      const id = ++lastRunId
+      const isWallClockLimited = remainingTime < timeout + timeoutMargin
+
+      // scripts timing out are normally stopped by the worker itself,
+      // the worker is terminated if it cannot respond in time (e.g. stuck in garbage collection)
+      const timer = setTimeout(() => {
+        stop(isWallClockLimited
+          ? createError(422, `Scripts exceeded wall-clock limit of ${wallClockLimit}ms`, { cause: 'wallClockLimit' })
+          : createError(422, `Script execution timed out after ${timeout}ms`, { cause: 'timeout' })
+        )
+      }, isWallClockLimited ? remainingTime : timeout + timeoutMargin)
+
+      pendingRuns.set(id, { resolve, reject, timer, startTime: Date.now() })
+      worker.postMessage({ id, script })
+    })
+  }
+
+  async function terminate () {
+    await stop(createError(422, 'Sandbox was terminated', { cause: 'terminated' }))
+  }
+
+  return {
+    run,
+    terminate
+  }
+}
+
+module.exports = {
+  createSandbox
+}
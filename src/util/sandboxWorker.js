@@ -0,0 +1,63 @@
+// Worker thread script for sandboxes created in ./sandbox.js
+const fs = require('fs')
+const vm = require('vm')
+const { parentPort, workerData } = require('worker_threads')
+
+// The worker thread only limits resources, it shares the process with the API.
+// Scripts run in a dedicated V8 context only having the globals created inside of it:
+// no object of this thread is ever exposed, so scripts cannot reach `process` or `require`
+// through prototype chains (e.g. `obj.constructor.constructor('return process')()`).
+const context = vm.createContext(Object.create(null), {
+  codeGeneration: { wasm: false },
+  microtaskMode: 'afterEvaluate' // promise jobs are covered by timeout
+})
+
+// Expose all lodash methods, version 4.7.x
+// Users must be informed before any major or minor version updates
+// but (security) patch updates should be applied on an ongoing basis.
+// Lodash is evaluated inside the context so its functions belong to the context.
+const lodashSource = fs.readFileSync(require.resolve('lodash/lodash.min.js'), 'utf8')
+
+// lodash finds the global object with `global`, removed once lodash is loaded
+vm.runInContext('this.global = this', context)
+vm.runInContext(lodashSource, context)
+vm.runInContext('delete this.global; Object.freeze(_)', context)
+
+// Intl is built into every context, with all loaded locales
+
+// globals are only passed as JSON to be created by the context itself
+context.__sandboxJson = JSON.stringify(workerData.sandbox)
+vm.runInContext('Object.assign(this, JSON.parse(__sandboxJson)); delete this.__sandboxJson', context)
+
+parentPort.on('message', ({ id, script }) => {
+  let message
+
+  try {
+    const value = vm.runInContext(script, context, { timeout: workerData.timeout })
+
+    // results are serialized as they are sent back to the main thread
+    message = { id, value: typeof value === 'undefined' ? value : JSON.stringify(value) }
+  } catch (err) {
+    message = {
+      id,
+      error: {
+        name: getErrorProperty(err, 'name') || 'Error',
+        message: typeof err === 'string' ? err : (getErrorProperty(err, 'message') || 'Script error')
+      }
+    }
+  }
+
+  parentPort.postMessage(message)
+})
+
+// scripts can throw anything, including objects with throwing getters
+function getErrorProperty (err, prop) {
+  try {
+    const value = err && err[prop]
+    return typeof value === 'string' ? value : null
+  } catch (e) {
+    return null
+  }
+}
+
+parentPort.postMessage({ ready: true })
@@ -177,9 +177,10 @@ function isValidCronPattern (pattern, { allowSeconds = false } = {}) {
  * @param {String} attrs.endDate - exclusive
  * @param {String} [attrs.timezone='UTC'] - https://en.wikipedia.org/wiki/List_of_tz_database_time_zones
  *                  if `null`, `timezone` will also be set to the default value ('UTC')
+ * @param {Number} [attrs.limit] - stop after this number of dates, useful for distant end dates
  * @returns {String[]} ISO Dates
  */
-function computeRecurringDates (pattern, { startDate, endDate, timezone = 'UTC' } = {}) {
+function computeRecurringDates (pattern, { startDate, endDate, timezone = 'UTC', limit } = {}) {
   if (_.isNil(timezone)) timezone = 'UTC'
 
   if (!isDateString(startDate) || !isDateString(endDate)) {
@@ -205,12 +206,51 @@ function computeRecurringDates (pattern, { startDate, endDate, timezone = 'UTC'
 
     if (continueLoop) {
       dates.push(cronISODate)
+      if (limit && dates.length >= limit) continueLoop = false
     }
   }
 
   return dates
 }
 
+/**
+ * Searches backwards from `endDate` in growing windows
+ * to avoid computing all recurring dates since a distant `startDate`
+ * @param {String} pattern
+ * @param {Object} attrs
+ * @param {String} attrs.startDate - inclusive
+ * @param {String} attrs.endDate - exclusive
+ * @param {String} [attrs.timezone='UTC']
+ * @returns {String|null} ISO Date
+ */
+function computeLastRecurringDate (pattern, { startDate, endDate, timezone = 'UTC' } = {}) {
+  if (!isDateString(startDate) || !isDateString(endDate)) {
+    throw new Error('Expected start and end dates')
+  }
+  if (endDate < startDate) {
+    throw new Error('Invalid dates')
+  }
+
+  const startTime = new Date(startDate).getTime()
+  const endTime = new Date(endDate).getTime()
+  let windowDuration = 60 * 1000
+
+  for (;;) {
+    const windowStartTime = Math.max(endTime - windowDuration, startTime)
+
+    const dates = computeRecurringDates(pattern, {
+      startDate: new Date(windowStartTime).toISOString(),
+      endDate,
+      timezone
+    })
+
+    if (dates.length) return _.last(dates)
+    if (windowStartTime === startTime) return null
+
+    windowDuration *= 2
+  }
+}
+
 /**
 * @param {String} pattern
 * @param {Object} options
@@ -271,6 +311,7 @@ module.exports = {
   isValidTimezone,
   isValidCronPattern,
   computeRecurringDates,
+  computeLastRecurringDate,
   computeRecurringPeriods,
 
   diffDates,
@@ -0,0 +1,332 @@
+const crypto = require('crypto')
+
+const signatureVersion = 'v1'
+
+const timestampHeader = 'x-stelace-webhook-timestamp'
+const signatureHeader = 'x-stelace-webhook-signature'
+
+const maxCachedFilters = 1000
+
+// compiled filters are reused across events, the least recently added are evicted first
+const compiledFilters = new Map()
+
+// operators by increasing precedence
+const logicalOperators = ['||', '&&']
+const comparisonOperators = ['===', '!==', '==', '!=', '<=', '>=', '<', '>']
+
+const filterLiterals = {
+  true: true,
+  false: false,
+  null: null,
+  undefined: undefined
+}
+
+// only methods without side effects can be called on strings and arrays
+const filterMethods = ['startsWith', 'endsWith', 'includes']
+
+/**
+ * Signs the webhook payload with HMAC-SHA256.
+ * The timestamp is part of the signed content so receivers can reject replayed deliveries.
+ * @param {Object} params
+ * @param {String} params.secret
+ * @param {Number} params.timestamp - Unix timestamp in seconds
+ * @param {String} params.body - raw JSON body sent to the target
+ * @return {String} hex signature
+ */
+function computeWebhookSignature ({ secret, timestamp, body }) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex')
+}
+
+/**
+ * Returns the headers to set on the webhook request.
+ * There is one signature per secret so receivers can verify deliveries during secret rotation.
+ * @param {Object} params
+ * @param {String[]} params.secrets
+ * @param {String} params.body
+ * @param {Number} [params.timestamp = now]
+ * @return {Object} headers
+ */
+function getWebhookSignatureHeaders ({ secrets, body, timestamp = Math.floor(Date.now() / 1000) }) {
+  const signatures = secrets.map(secret => {
+    return `${signatureVersion}=${computeWebhookSignature({ secret, timestamp, body })}`
+  })
+
+  return {
+    [timestampHeader]: String(timestamp),
+    [signatureHeader]: signatures.join(',')
+  }
+}
+
+/**
+ * Compiles the webhook filter expression once, so it can be evaluated against many events.
+ * Event properties are exposed as variables (e.g. `object.assetTypeId === 'typ_x'`),
+ * as well as the whole event as `event`.
+ * Filters are not run as JavaScript code: only property access, literals, comparison
+ * and logical operators and a few string and array methods are supported,
+ * so evaluating a filter is fast and cannot reach anything else than the event.
+ * @param {String} filter
+ * @return {Function} evaluate - `(event) => Boolean`
+ * @throws {SyntaxError} if the filter is invalid
+ */
+function compileWebhookFilter (filter) {
+  const cachedFilter = compiledFilters.get(filter)
+  if (cachedFilter) return cachedFilter
+
+  const tokens = tokenizeFilter(filter)
+  const parser = { tokens, index: 0 }
+
+  const node = parseFilterExpression(parser, 0)
+  if (parser.index < tokens.length) {
+    throw new SyntaxError(`Unexpected token ${tokens[parser.index].value}`)
+  }
+
+  const evaluate = (event) => {
+    const variables = Object.assign({}, event, { event })
+    return Boolean(evaluateFilterNode(node, variables))
+  }
+
+  if (compiledFilters.size >= maxCachedFilters) {
+    compiledFilters.delete(compiledFilters.keys().next().value)
+  }
+  compiledFilters.set(filter, evaluate)
+
+  return evaluate
+}
+
+function tokenizeFilter (filter) {
+  const tokens = []
+  const punctuators = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '<', '>', '!', '(', ')', '[', ']', '.', ',']
+
+  let i = 0
+
+  while (i < filter.length) {
+    const rest = filter.slice(i)
+
+    const whitespace = rest.match(/^\s+/)
+    const number = rest.match(/^\d+(\.\d+)?/)
+    const identifier = rest.match(/^[A-Za-z_$][\w$]*/)
+    const string = rest.match(/^'((?:[^'\\]|\\.)*)'|^"((?:[^"\\]|\\.)*)"/)
+    const punctuator = punctuators.find(p => rest.startsWith(p))
+
+    if (whitespace) {
+      i += whitespace[0].length
+    } else if (number) {
+      tokens.push({ type: 'literal', value: Number(number[0]) })
+      i += number[0].length
+    } else if (identifier) {
+      const name = identifier[0]
+      tokens.push(Object.prototype.hasOwnProperty.call(filterLiterals, name)
+        ? { type: 'literal', value: filterLiterals[name] }
+        : { type: 'identifier', value: name }
+      )
+      i += name.length
+    } else if (string) {
+      const content = typeof string[1] === 'string' ? string[1] : string[2]
+      tokens.push({ type: 'literal', value: content.replace(/\\(.)/g, '$1') })
+      i += string[0].length
+    } else if (punctuator) {
+      tokens.push({ type: 'punctuator', value: punctuator })
+      i += punctuator.length
+    } else {
+      throw new SyntaxError(`Unexpected character ${filter[i]}`)
+    }
+  }
+
+  return tokens
+}
+
+function parseFilterExpression (parser, level) {
+  if (level === logicalOperators.length) return parseFilterComparison(parser)
+
+  let node = parseFilterExpression(parser, level + 1)
+
+  while (isFilterPunctuator(parser, logicalOperators[level])) {
+    const operator = parser.tokens[parser.index++].value
+    node = { type: 'logical', operator, left: node, right: parseFilterExpression(parser, level + 1) }
+  }
+
+  return node
+}
+
+function parseFilterComparison (parser) {
+  const left = parseFilterUnary(parser)
+
+  const operator = comparisonOperators.find(o => isFilterPunctuator(parser, o))
+  if (!operator) return left
+
+  parser.index++
+  return { type: 'comparison', operator, left, right: parseFilterUnary(parser) }
+}
+
+function parseFilterUnary (parser) {
+  if (isFilterPunctuator(parser, '!')) {
+    parser.index++
+    return { type: 'not', argument: parseFilterUnary(parser) }
+  }
+
+  let node = parseFilterPrimary(parser)
+
+  for (;;) {
+    if (isFilterPunctuator(parser, '.')) {
+      parser.index++
+      const property = expectFilterToken(parser, 'identifier').value
+
+      if (isFilterPunctuator(parser, '(')) {
+        if (!filterMethods.includes(property)) throw new SyntaxError(`Unsupported method ${property}`)
+
+        parser.index++
+        node = { type: 'call', object: node, method: property, args: parseFilterList(parser, ')') }
+      } else {
+        node = { type: 'member', object: node, property }
+      }
+    } else if (isFilterPunctuator(parser, '[')) {
+      parser.index++
+      const property = expectFilterToken(parser, 'literal').value
+      expectFilterToken(parser, 'punctuator', ']')
+
+      node = { type: 'member', object: node, property: String(property) }
+    } else {
+      return node
+    }
+  }
+}
+
+function parseFilterPrimary (parser) {
+  const token = parser.tokens[parser.index++]
+  if (!token) throw new SyntaxError('Unexpected end of filter')
+
+  if (token.type === 'literal') return { type: 'literal', value: token.value }
+  if (token.type === 'identifier') return { type: 'variable', name: token.value }
+
+  if (token.value === '(') {
+    const node = parseFilterExpression(parser, 0)
+    expectFilterToken(parser, 'punctuator', ')')
+    return node
+  }
+  if (token.value === '[') {
+    return { type: 'array', elements: parseFilterList(parser, ']') }
+  }
+
+  throw new SyntaxError(`Unexpected token ${token.value}`)
+}
+
+function parseFilterList (parser, closingPunctuator) {
+  const nodes = []
+
+  while (!isFilterPunctuator(parser, closingPunctuator)) {
+    if (nodes.length) expectFilterToken(parser, 'punctuator', ',')
+    nodes.push(parseFilterExpression(parser, 0))
+  }
+
+  parser.index++
+  return nodes
+}
+
+function isFilterPunctuator (parser, value) {
+  const token = parser.tokens[parser.index]
+  return Boolean(token) && token.type === 'punctuator' && token.value === value
+}
+
+function expectFilterToken (parser, type, value) {
+  const token = parser.tokens[parser.index++]
+
+  if (!token || token.type !== type || (typeof value !== 'undefined' && token.value !== value)) {
+    throw new SyntaxError(`Expected ${value || type}`)
+  }
+
+  return token
+}
+
+function evaluateFilterNode (node, variables) {
+  switch (node.type) {
+    case 'literal':
+      return node.value
+
+    case 'variable':
+      return getFilterProperty(variables, node.name)
+
+    case 'member':
+      return getFilterProperty(evaluateFilterNode(node.object, variables), node.property)
+
+    case 'array':
+      return node.elements.map(element => evaluateFilterNode(element, variables))
+
+    case 'call': {
+      const object = evaluateFilterNode(node.object, variables)
+      if (typeof object !== 'string' && !Array.isArray(object)) return undefined
+
+      const args = node.args.map(arg => evaluateFilterNode(arg, variables))
+      return object[node.method](...args)
+    }
+
+    case 'not':
+      return !evaluateFilterNode(node.argument, variables)
+
+    case 'logical': {
+      const left = evaluateFilterNode(node.left, variables)
+
+      if (node.operator === '&&') return left && evaluateFilterNode(node.right, variables)
+      return left || evaluateFilterNode(node.right, variables)
+    }
+
+    case 'comparison':
+      return compareFilterValues(
+        node.operator,
+        evaluateFilterNode(node.left, variables),
+        evaluateFilterNode(node.right, variables)
+      )
+  }
+}
+
+// only own properties of event data are reachable, not prototypes (e.g. `constructor`)
+function getFilterProperty (value, property) {
+  if (value === null || typeof value === 'undefined') return undefined
+
+  if (property === 'length' && (typeof value === 'string' || Array.isArray(value))) {
+    return value.length
+  }
+  if (typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, property)) {
+    return undefined
+  }
+
+  return value[property]
+}
+
+// objects are only compared by reference so no conversion is triggered,
+// `==` and `!=` are strict too but consider `null` and `undefined` as equal
+function compareFilterValues (operator, left, right) {
+  const isNil = value => value === null || typeof value === 'undefined'
+  const isPrimitive = value => value === null || typeof value !== 'object'
+
+  const isEqual = left === right || (['==', '!='].includes(operator) && isNil(left) && isNil(right))
+
+  switch (operator) {
+    case '===':
+    case '==':
+      return isEqual
+    case '!==':
+    case '!=':
+      return !isEqual
+  }
+
+  if (!isPrimitive(left) || !isPrimitive(right)) return false
+
+  switch (operator) {
+    case '<=': return left <= right
+    case '>=': return left >= right
+    case '<': return left < right
+    case '>': return left > right
+  }
+}
+
+module.exports = {
+  timestampHeader,
+  signatureHeader,
+
+  computeWebhookSignature,
+  getWebhookSignatureHeaders,
+
+  compileWebhookFilter,
+}
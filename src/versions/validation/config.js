@@ -124,6 +124,13 @@ schemas['2019-05-20'].updatePrivate = {
           ).allow(null),
           replyTo: emailSchema.allow(null)
         }).allow(null)
+      }).allow(null),
+
+      workflow: Joi.object().keys({
+        // environment variables exposed as `env` in workflows, grouped by context name
+        contexts: Joi.object().pattern(Joi.string(), singleLvlObjectSchema.allow(null)),
+        // hosts like "hooks.slack.com" or "*.example.com" that workflow steps can call
+        allowedHosts: Joi.array().unique().items(Joi.string().max(255)).max(100).allow(null)
       }).allow(null)
     }).unknown()
   }).required()
@@ -76,6 +76,22 @@ schemas['2020-08-10'].list = () => ({
       .fork('orderBy', () => Joi.string().valid(...orderByFields).default('createdDate'))
   )
 })
+schemas['2020-08-10'].stream = {
+  query: Joi.object().keys({
+    // resumes the stream after this event, like Last-Event-ID header sent by EventSource on reconnection
+    lastEventId: Joi.string(),
+
+    // filters
+    type: Joi.array().unique().items(Joi.string()).single(),
+    objectType: Joi.array().unique().items(Joi.string()).single(),
+    objectId: Joi.array().unique().items(Joi.string()).single()
+  })
+}
+schemas['2020-08-10'].downloadArchive = {
+  params: Joi.object().keys({
+    date: Joi.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'day like 2021-01-31').required()
+  })
+}
 
 // ////////// //
 // 2019-05-20 //
@@ -154,6 +170,14 @@ const validationVersions = {
       target: 'event.list',
       schema: schemas['2020-08-10'].list
     },
+    {
+      target: 'event.stream',
+      schema: schemas['2020-08-10'].stream
+    },
+    {
+      target: 'event.downloadArchive',
+      schema: schemas['2020-08-10'].downloadArchive
+    },
   ],
 
   '2019-05-20': [
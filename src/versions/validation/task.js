@@ -11,6 +11,41 @@ const orderByFields = [
   'updatedDate',
 ]
 
+const forTypeEndpoint = schema => Joi.when('type', {
+  is: 'endpoint',
+  then: schema.required(),
+  otherwise: Joi.forbidden()
+})
+
+const actionSchema = Joi.object().keys({
+  type: Joi.string().valid('workflow', 'endpoint').required(),
+  workflowId: Joi.when('type', {
+    is: 'workflow',
+    then: Joi.string().required(),
+    otherwise: Joi.forbidden()
+  }),
+  // only Stelace API endpoints, called with the permissions of the API key
+  endpointMethod: forTypeEndpoint(Joi.string().valid('GET', 'POST', 'PATCH', 'PUT', 'DELETE')),
+  endpointUri: forTypeEndpoint(Joi.string().regex(/^\//, 'API endpoint like "/assets"')),
+  endpointPayload: Joi.when('type', {
+    is: 'endpoint',
+    then: Joi.object().unknown(),
+    otherwise: Joi.forbidden()
+  }),
+  apiKeyId: forTypeEndpoint(Joi.string())
+})
+
+// limited to a week as all missed dates in lookback period are computed when catching up
+const catchUpMaxLookbackSchema = Joi.object().keys({
+  m: Joi.number().integer().min(1).max(7 * 24 * 60),
+  h: Joi.number().integer().min(1).max(7 * 24),
+  d: Joi.number().integer().min(1).max(7)
+}).length(1)
+
+const executionOrderByFields = [
+  'createdDate',
+]
+
 const oldPaginationOrderByFields = [
   'name',
   'createdDate',
@@ -34,6 +69,35 @@ schemas['2020-08-10'].list = () => ({
   )
 })
 
+schemas['2020-08-10'].removeMany = {
+  query: Joi.object().keys({
+    eventObjectId: Joi.array().unique().items(Joi.string()).single().required()
+  })
+}
+schemas['2020-08-10'].listExecutions = {
+  params: objectIdParamsSchema,
+  query: Joi.object()
+    .keys({
+      // order
+      orderBy: Joi.string().valid(...executionOrderByFields).default('createdDate'),
+      order: Joi.string().valid('asc', 'desc').default('desc'),
+
+      // cursor pagination
+      startingAfter: Joi.string(),
+      endingBefore: Joi.string(),
+      nbResultsPerPage: Joi.number().integer().min(1).max(100).default(DEFAULT_NB_RESULTS_PER_PAGE),
+
+      // filters
+      createdDate: getRangeFilter(Joi.string().isoDate()),
+      manual: Joi.boolean(),
+      catchUp: Joi.boolean()
+    })
+    .oxor('startingAfter', 'endingBefore')
+}
+schemas['2020-08-10'].run = {
+  params: objectIdParamsSchema
+}
+
 // ////////// //
 // 2019-05-20 //
 // ////////// //
@@ -65,9 +129,16 @@ schemas['2019-05-20'].create = {
     executionDate: Joi.string().isoDate().allow(null),
     recurringPattern: Joi.string().allow(null),
     recurringTimezone: Joi.string().allow(null),
+    recurringStartDate: Joi.string().isoDate().allow(null),
+    recurringEndDate: Joi.string().isoDate().allow(null),
+    maxOccurrences: Joi.number().integer().min(1).allow(null),
     eventType: Joi.string().required(),
     eventMetadata: Joi.object().unknown(),
     eventObjectId: Joi.string().allow(null),
+    cascadeOnDelete: Joi.string().valid('remove', 'deactivate', 'none'),
+    catchUpPolicy: Joi.string().valid('skip', 'runOnce', 'runAll'),
+    catchUpMaxLookback: catchUpMaxLookbackSchema.allow(null),
+    action: actionSchema.allow(null),
     active: Joi.boolean(),
     metadata: Joi.object().unknown(),
     platformData: Joi.object().unknown()
@@ -81,6 +152,12 @@ schemas['2019-05-20'].update = {
 schemas['2019-05-20'].remove = {
   params: objectIdParamsSchema
 }
+schemas['2019-05-20'].previewExecutionDates = {
+  params: objectIdParamsSchema,
+  query: Joi.object().keys({
+    nbDates: Joi.number().integer().min(1).max(100).default(10)
+  })
+}
 
 const validationVersions = {
   '2020-08-10': [
@@ -88,6 +165,18 @@ const validationVersions = {
       target: 'task.list',
       schema: schemas['2020-08-10'].list
     },
+    {
+      target: 'task.removeMany',
+      schema: schemas['2020-08-10'].removeMany
+    },
+    {
+      target: 'task.listExecutions',
+      schema: schemas['2020-08-10'].listExecutions
+    },
+    {
+      target: 'task.run',
+      schema: schemas['2020-08-10'].run
+    },
   ],
 
   '2019-05-20': [
@@ -110,6 +199,10 @@ const validationVersions = {
     {
       target: 'task.remove',
       schema: schemas['2019-05-20'].remove
+    },
+    {
+      target: 'task.previewExecutionDates',
+      schema: schemas['2019-05-20'].previewExecutionDates
     }
   ]
 }
@@ -2,6 +2,18 @@ const { Joi, objectIdParamsSchema, getRangeFilter } = require('../../util/valida
 const { apiVersions } = require('../util')
 const { DEFAULT_NB_RESULTS_PER_PAGE } = require('../../util/pagination')
 
+const retryDelaySchema = Joi.object().pattern(
+  Joi.string().valid('m', 'h', 'd'),
+  Joi.number().integer().min(1)
+).length(1)
+
+const retrySchema = Joi.object().keys({
+  maxAttempts: Joi.number().integer().min(1).max(20), // including the first delivery attempt
+  initialDelay: retryDelaySchema,
+  backoffFactor: Joi.number().min(1).max(10),
+  maxDelay: retryDelaySchema,
+})
+
 const schemas = {}
 
 const webhookOrderByFields = [
@@ -65,6 +77,32 @@ schemas['2020-08-10'].readLog = {
   params: objectIdParamsSchema
 }
 
+schemas['2020-08-10'].rotateSecret = {
+  params: objectIdParamsSchema,
+  body: Joi.object().keys({
+    // previous secret keeps signing deliveries during this duration, can be 0 to revoke it immediately
+    overlapDuration: Joi.object().pattern(
+      Joi.string().valid('m', 'h', 'd'),
+      Joi.number().integer().min(0)
+    ).length(1)
+  })
+}
+
+schemas['2020-08-10'].redeliverLog = {
+  params: Joi.object().keys({
+    id: Joi.string().required(),
+    logId: Joi.string().required()
+  }).required()
+}
+
+schemas['2020-08-10'].redeliverLogs = {
+  params: objectIdParamsSchema,
+  body: Joi.object().keys({
+    createdDate: getRangeFilter(Joi.string().isoDate()),
+    status: Joi.array().unique().items(Joi.string().valid('error', 'dead')).single(),
+  })
+}
+
 // ////////// //
 // 2019-05-20 //
 // ////////// //
@@ -77,9 +115,17 @@ schemas['2019-05-20'].create = {
   body: Joi.object().keys({
     name: Joi.string().max(255).required(),
     targetUrl: Joi.string().uri(),
-    event: Joi.string(),
+    event: Joi.alternatives().try(
+      Joi.string(),
+      Joi.array().unique().items(Joi.string()).min(1).max(100)
+    ),
+    filter: Joi.string().max(2048).allow(null, ''),
     apiVersion: Joi.string().valid(...apiVersions),
     active: Joi.boolean(),
+    ordered: Joi.boolean(),
+    retry: retrySchema.allow(null),
+    // failed delivery attempts in a row before deactivating the webhook, falls back to default value if null
+    maxConsecutiveFailures: Joi.number().integer().min(1).max(1000).allow(null),
     metadata: Joi.object().unknown(),
     platformData: Joi.object().unknown()
   }).required()
@@ -108,6 +154,18 @@ const validationVersions = {
       target: 'webhook.readLog',
       schema: schemas['2020-08-10'].readLog
     },
+    {
+      target: 'webhook.rotateSecret',
+      schema: schemas['2020-08-10'].rotateSecret
+    },
+    {
+      target: 'webhook.redeliverLog',
+      schema: schemas['2020-08-10'].redeliverLog
+    },
+    {
+      target: 'webhook.redeliverLogs',
+      schema: schemas['2020-08-10'].redeliverLogs
+    },
   ],
 
   '2019-05-20': [
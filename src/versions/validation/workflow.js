@@ -6,6 +6,16 @@ const computedSchema = Joi.object().max(20)
 const contextSchema = Joi.array().unique().items(Joi.string()).single()
 const descriptionSchema = Joi.string().max(2048).allow('', null)
 const booleanExpressionSchema = Joi.string().max(1024).allow('', null)
+// short durations like "500ms", "10s" or "1m" as retries are performed during the run
+const retryDelaySchema = Joi.string().regex(/^\d+(ms|s|m)$/, 'duration like "10s"')
+
+const retrySchema = Joi.object().keys({
+  maxAttempts: Joi.number().integer().min(1).max(10), // including the first attempt
+  initialDelay: retryDelaySchema,
+  backoffFactor: Joi.number().min(1).max(10),
+  maxDelay: retryDelaySchema,
+  statusCodes: Joi.array().unique().items(Joi.number().integer().min(400).max(599)).max(20)
+})
 
 const workflowOrderByFields = [
   'createdDate',
@@ -16,22 +26,111 @@ const workflowLogOrderByFields = [
   'createdDate',
 ]
 
+const workflowRunOrderByFields = [
+  'createdDate',
+]
+
+const workflowRunOutcomes = [
+  'success',
+  'stop',
+  'skip',
+  'error',
+  'delayed',
+  'running',
+]
+
+const workflowRevisionOrderByFields = [
+  'createdDate',
+]
+
+const stepNameSchema = Joi.string().max(255)
+
+// step to run once the current step is completed, if the optional `if` condition is met
+const nextBranchSchema = Joi.alternatives().try(
+  stepNameSchema,
+  Joi.object().keys({
+    if: booleanExpressionSchema,
+    goto: stepNameSchema.required()
+  })
+)
+
 const runSchema = Joi.array().items(Joi.object({
-  name: Joi.string().max(255),
+  name: stepNameSchema,
   description: descriptionSchema,
   computed: computedSchema,
   filter: booleanExpressionSchema,
   stop: booleanExpressionSchema,
   skip: booleanExpressionSchema,
   handleErrors: Joi.boolean(),
-  endpointMethod: Joi.string().valid('GET', 'PATCH', 'POST', 'DELETE').required(),
+  // duration like "24h" or expression evaluated to a duration or an ISO date
+  delay: Joi.string().max(1024).allow('', null),
+  // retries failed attempts with exponential backoff, cf. default policy in workflow service
+  retry: retrySchema.allow(null),
+  // expression returning an array, endpoint is called for each `item` at `index`
+  forEach: Joi.string().max(1024).allow('', null),
+  // number of items processed at the same time with forEach
+  concurrency: Joi.number().integer().min(1).max(10),
+  endpointMethod: Joi.string().valid('GET', 'PATCH', 'POST', 'PUT', 'DELETE').required(),
   endpointUri: Joi.string()
     // allow leading $ for template strings in workflows (endpointUri: "${computed.url}")
     .regex(/^(\/|http|\$)/, 'full external URL like "https://your.api.com" or Stelace endpoint path like "/assets"')
     .required(),
   endpointPayload: Joi.object(),
-  endpointHeaders: Joi.object().pattern(Joi.string(), Joi.string())
-})).single().max(10)
+  endpointHeaders: Joi.object().pattern(Joi.string(), Joi.string()),
+  // first matching branch is followed, otherwise next step in `run` array is run
+  next: Joi.array().items(nextBranchSchema).single().max(10).allow(null)
+})).single().max(10).custom(validateStepsFlow, 'steps flow')
+
+/**
+ * Jumps must target existing steps with unique names,
+ * and steps cannot loop forever without any condition that can stop or change the flow
+ * (`filter`, `stop` or conditional `next` branch).
+ */
+function validateStepsFlow (run, helpers) {
+  const getBranches = step => (step.next ? [].concat(step.next) : [])
+    .map(branch => typeof branch === 'string' ? { goto: branch } : branch)
+
+  for (const step of run) {
+    for (const { goto } of getBranches(step)) {
+      const nbTargets = run.filter(s => s.name === goto).length
+
+      if (!nbTargets) {
+        return helpers.message({ custom: '{#label} step {#goto} used in "next" does not exist' }, { goto })
+      }
+      if (nbTargets > 1) {
+        return helpers.message({ custom: '{#label} step name {#goto} used in "next" is not unique' }, { goto })
+      }
+    }
+  }
+
+  // step run by default after each step, null at the end of the run
+  const defaultNextIndexes = run.map((step, i) => {
+    const unconditionalBranch = getBranches(step).find(branch => !branch.if)
+    if (unconditionalBranch) return run.findIndex(s => s.name === unconditionalBranch.goto)
+
+    return i + 1 < run.length ? i + 1 : null
+  })
+  const hasExitCondition = step => Boolean(step.filter || step.stop) ||
+    getBranches(step).some(branch => branch.if)
+
+  for (let i = 0; i < run.length; i++) {
+    const cycle = []
+    let index = i
+
+    while (index !== null && !cycle.includes(index)) {
+      cycle.push(index)
+      index = defaultNextIndexes[index]
+    }
+
+    const isInCycle = index === i
+    if (isInCycle && !cycle.some(stepIndex => hasExitCondition(run[stepIndex]))) {
+      const steps = cycle.map(stepIndex => run[stepIndex].name || stepIndex).join(', ')
+      return helpers.message({ custom: '{#label} steps {#steps} loop without any exit condition' }, { steps })
+    }
+  }
+
+  return run
+}
 
 const schemas = {}
 
@@ -110,6 +209,79 @@ schemas['2020-08-10'].listLogs = {
 schemas['2020-08-10'].readLog = {
   params: objectIdParamsSchema
 }
+schemas['2020-08-10'].listRuns = {
+  params: objectIdParamsSchema,
+  query: Joi.object()
+    .keys({
+      // order
+      orderBy: Joi.string().valid(...workflowRunOrderByFields).default('createdDate'),
+      order: Joi.string().valid('asc', 'desc').default('desc'),
+
+      // cursor pagination
+      startingAfter: Joi.string(),
+      endingBefore: Joi.string(),
+      nbResultsPerPage: Joi.number().integer().min(1).max(100).default(DEFAULT_NB_RESULTS_PER_PAGE),
+
+      // filters
+      createdDate: getRangeFilter(Joi.string().isoDate()),
+      eventId: Joi.array().unique().items(Joi.string()).single(),
+      outcome: Joi.array().unique().items(Joi.string().valid(...workflowRunOutcomes)).single(),
+    })
+    .oxor('startingAfter', 'endingBefore')
+}
+schemas['2020-08-10'].readRun = {
+  params: Joi.object().keys({
+    runId: Joi.string().required()
+  }).required()
+}
+schemas['2020-08-10'].listRevisions = {
+  params: objectIdParamsSchema,
+  query: Joi.object()
+    .keys({
+      // order
+      orderBy: Joi.string().valid(...workflowRevisionOrderByFields).default('createdDate'),
+      order: Joi.string().valid('asc', 'desc').default('desc'),
+
+      // cursor pagination
+      startingAfter: Joi.string(),
+      endingBefore: Joi.string(),
+      nbResultsPerPage: Joi.number().integer().min(1).max(100).default(DEFAULT_NB_RESULTS_PER_PAGE),
+    })
+    .oxor('startingAfter', 'endingBefore')
+}
+schemas['2020-08-10'].rollback = {
+  params: objectIdParamsSchema,
+  body: Joi.object().keys({
+    revision: Joi.number().integer().min(1).required()
+  }).required()
+}
+schemas['2020-08-10'].test = {
+  params: objectIdParamsSchema,
+  body: Joi.object().keys({
+    eventId: Joi.string(),
+    event: Joi.object().keys({
+      type: Joi.string().required(),
+      objectId: Joi.string().allow(null),
+      object: Joi.object().unknown().allow(null),
+      relatedObjectsIds: Joi.object().pattern(Joi.string(), Joi.string()).allow(null),
+      changesRequested: Joi.object().unknown().allow(null),
+      metadata: Joi.object().unknown()
+    }),
+    // mocked endpoint responses, matching workflow steps by index
+    mockedResponses: Joi.array().items(Joi.object({
+      statusCode: Joi.number().integer().min(100).max(599),
+      body: Joi.any()
+    }).allow(null)).max(10)
+  })
+    .xor('eventId', 'event')
+    .required()
+}
+schemas['2020-08-10'].rerun = {
+  params: objectIdParamsSchema,
+  body: Joi.object().keys({
+    eventIds: Joi.array().unique().items(Joi.string()).single().min(1).max(10).required()
+  }).required()
+}
 
 // ////////// //
 // 2019-05-20 //
@@ -161,6 +333,30 @@ const validationVersions = {
       target: 'workflow.readLog',
       schema: schemas['2020-08-10'].readLog
     },
+    {
+      target: 'workflow.listRuns',
+      schema: schemas['2020-08-10'].listRuns
+    },
+    {
+      target: 'workflow.readRun',
+      schema: schemas['2020-08-10'].readRun
+    },
+    {
+      target: 'workflow.listRevisions',
+      schema: schemas['2020-08-10'].listRevisions
+    },
+    {
+      target: 'workflow.rollback',
+      schema: schemas['2020-08-10'].rollback
+    },
+    {
+      target: 'workflow.test',
+      schema: schemas['2020-08-10'].test
+    },
+    {
+      target: 'workflow.rerun',
+      schema: schemas['2020-08-10'].rerun
+    },
   ],
 
   '2019-05-20': [
@@ -582,6 +582,7 @@ module.exports = {
               OTHER_ENV_VARIABLE: 'Overwritten "too"'
             }
           },
+          allowedHosts: ['localhost', 'api.stelace.com']
         }
       },
       custom: {},
@@ -2,9 +2,12 @@ require('dotenv').config()
 
 const test = require('ava')
 const request = require('supertest')
+const http = require('http')
+const zlib = require('zlib')
+const ms = require('ms')
 
 const { before, beforeEach, after } = require('../../lifecycle')
-const { getAccessTokenHeaders } = require('../../auth')
+const { getAccessTokenHeaders, getApiKey } = require('../../auth')
 const {
   computeDate,
   checkOffsetPaginatedStatsObject,
@@ -16,6 +19,9 @@ const {
   checkCursorPaginatedListObject,
 } = require('../../util')
 
+const { encodeBase64 } = require('../../../src/util/encoding')
+const { publishStreamEvent } = require('../../../src/redis')
+
 test.before(async t => {
   await before({ name: 'event' })(t)
   await beforeEach()(t)
@@ -23,6 +29,47 @@ test.before(async t => {
 // test.beforeEach(beforeEach()) // Concurrent tests are much faster
 test.after(after())
 
+/**
+ * Opens a Server-Sent Events connection and collects received events
+ * @param {Object} params
+ * @param {Object} params.t - AVA test object
+ * @param {String} [params.query] - like '?type=asset_viewed'
+ * @param {Object} params.headers
+ * @return {Promise<Object>} stream - with `statusCode`, `events` array filled over time and `close` function
+ */
+const openEventStream = ({ t, query = '', headers }) => {
+  return new Promise((resolve, reject) => {
+    const events = []
+
+    const req = http.get(`${t.context.serverUrl}/events/stream${query}`, {
+      headers: Object.assign({ accept: 'text/event-stream' }, headers)
+    }, (res) => {
+      let buffer = ''
+
+      res.setEncoding('utf8')
+      res.on('data', chunk => {
+        buffer += chunk
+
+        const messages = buffer.split('\n\n')
+        buffer = messages.pop()
+
+        messages.forEach(message => {
+          const dataLine = message.split('\n').find(line => line.startsWith('data: '))
+          if (dataLine) events.push(JSON.parse(dataLine.slice('data: '.length)))
+        })
+      })
+
+      resolve({
+        statusCode: res.statusCode,
+        events,
+        close: () => req.destroy()
+      })
+    })
+
+    req.on('error', reject)
+  })
+}
+
 const dateFilterErrorRegexp = /createdDate value cannot be lower than \d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}.\d{3}Z/i
 
 // run this test serially because there is no filter and some other tests create events
@@ -937,6 +984,223 @@ test('finds an event', async (t) => {
   t.is(event.id, 'evt_WWRfQps1I3a1gJYz2I3a')
 })
 
+test('streams created events with filters', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'event:list:all',
+      'event:create:all'
+    ]
+  })
+
+  const createEvent = async (type) => {
+    const { body: event } = await request(t.context.serverUrl)
+      .post('/events')
+      .set(authorizationHeaders)
+      .send({ type, metadata: { streamed: true } })
+      .expect(200)
+
+    return event
+  }
+
+  const waitForEvents = () => new Promise(resolve => setTimeout(resolve, 1000))
+
+  const stream = await openEventStream({ t, query: '?type=stream_event', headers: authorizationHeaders })
+  t.is(stream.statusCode, 200)
+
+  const event1 = await createEvent('stream_event')
+  await createEvent('other_stream_event')
+  const event2 = await createEvent('stream_event')
+
+  await waitForEvents()
+  stream.close()
+
+  t.deepEqual(stream.events.map(e => e.id), [event1.id, event2.id])
+  t.is(stream.events[0].type, 'stream_event')
+  t.true(stream.events[0].metadata.streamed)
+  t.false(stream.events[0].livemode)
+
+  // events created after the last received one are sent before new events
+  const resumedStream = await openEventStream({
+    t,
+    query: '?type=stream_event',
+    headers: Object.assign({ 'last-event-id': event1.id }, authorizationHeaders)
+  })
+  t.is(resumedStream.statusCode, 200)
+
+  const event3 = await createEvent('stream_event')
+
+  await waitForEvents()
+  resumedStream.close()
+
+  t.deepEqual(resumedStream.events.map(e => e.id), [event2.id, event3.id])
+})
+
+test('streams events created by other server instances', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['event:list:all'] })
+
+  const stream = await openEventStream({
+    t,
+    query: '?type[]=remote_stream_event&type[]=other_remote_stream_event',
+    headers: authorizationHeaders
+  })
+  t.is(stream.statusCode, 200)
+
+  // events created by other instances are only received through Redis
+  const remoteEvent = {
+    id: 'evt_remoteStreamEvent',
+    createdDate: new Date().toISOString(),
+    type: 'remote_stream_event',
+    objectType: null,
+    objectId: null,
+    object: null,
+    changesRequested: null,
+    emitter: 'custom',
+    emitterId: null,
+    apiVersion: '2020-08-10',
+    metadata: {},
+    platformData: {}
+  }
+
+  await publishStreamEvent({ event: remoteEvent, platformId: t.context.platformId, env: t.context.env })
+  await publishStreamEvent({ event: remoteEvent, platformId: 'otherPlatform', env: t.context.env })
+
+  await new Promise(resolve => setTimeout(resolve, 1000))
+  stream.close()
+
+  t.deepEqual(stream.events.map(e => e.id), [remoteEvent.id])
+  t.is(stream.events[0].type, 'remote_stream_event')
+})
+
+test('cannot resume events stream from unknown event', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['event:list:all'] })
+
+  const stream = await openEventStream({
+    t,
+    query: '?lastEventId=evt_unknownStreamEvent',
+    headers: authorizationHeaders
+  })
+  stream.close()
+
+  t.is(stream.statusCode, 422)
+})
+
+test('cannot stream events without permission', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: [] })
+
+  const stream = await openEventStream({ t, headers: authorizationHeaders })
+  stream.close()
+
+  t.is(stream.statusCode, 403)
+})
+
+// Must run serially because the test manipulates time
+test.serial('archives events older than the retention period by day', async (t) => {
+  if (!t.context.server) {
+    // can happen if the server is run outside of AVA process (e.g. `npm run test:uniqueserver`)
+    console.log('Warning: This test cannot be running because instance server is not accessible to manipulate time')
+    t.pass()
+    return
+  }
+
+  // use an api key without roles instead of access token for authentication
+  // because roles checking doesn't work well with time manipulation
+  const apiKey = await getApiKey({
+    t,
+    type: 'custom',
+    permissions: [
+      'event:create:all',
+      'event:archive:all'
+    ]
+  })
+
+  const authorizationHeaders = {
+    authorization: `Basic ${encodeBase64(apiKey.key + ':')}`
+  }
+
+  const createEvent = async () => {
+    const { body: event } = await request(t.context.serverUrl)
+      .post('/events')
+      .set(authorizationHeaders)
+      .send({ type: 'archived_event' })
+      .expect(200)
+
+    return event
+  }
+
+  t.context.server._stopCrons()
+  t.context.server._initClock({
+    now: new Date('2019-02-01T10:00:00.000Z'),
+    toFake: ['Date', 'setTimeout'],
+    shouldAdvanceTime: true
+  })
+
+  const event1 = await createEvent()
+  const event2 = await createEvent()
+
+  t.context.server._clock.tick(ms('1d'))
+
+  const event3 = await createEvent()
+
+  t.context.server._clock.restore()
+
+  // archive job runs every day at 3am, events are now older than the retention period
+  t.context.server._initClock({
+    now: new Date('2019-03-15T02:59:50.000Z'),
+    toFake: ['Date', 'setTimeout'],
+    shouldAdvanceTime: true
+  })
+  t.context.server._startCrons()
+
+  t.context.server._clock.tick(ms('1m'))
+
+  // restore the clock so we can use `setTimeout` to wait for archives creation
+  t.context.server._stopCrons()
+  t.context.server._clock.restore()
+  t.context.server._startCrons()
+  await new Promise(resolve => setTimeout(resolve, 5000))
+
+  const { body: manifest } = await request(t.context.serverUrl)
+    .get('/events/archives')
+    .set(authorizationHeaders)
+    .expect(200)
+
+  const archive1 = manifest.archives.find(archive => archive.date === '2019-02-01')
+  const archive2 = manifest.archives.find(archive => archive.date === '2019-02-02')
+
+  t.is(archive1.fileName, '2019-02-01.ndjson.gz')
+  t.is(archive1.nbEvents, 2)
+  t.is(archive1.firstEventDate, event1.createdDate)
+  t.is(archive1.lastEventDate, event2.createdDate)
+  t.truthy(archive1.checksum)
+  t.is(archive2.nbEvents, 1)
+
+  const { body: file } = await request(t.context.serverUrl)
+    .get('/events/archives/2019-02-02')
+    .set(authorizationHeaders)
+    .buffer(true)
+    .parse((res, callback) => {
+      const chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('end', () => callback(null, Buffer.concat(chunks)))
+    })
+    .expect('content-type', 'application/gzip')
+    .expect(200)
+
+  t.is(file.length, archive2.size)
+
+  const lines = zlib.gunzipSync(file).toString().split('\n').filter(Boolean)
+  const archivedEvents = lines.map(line => JSON.parse(line))
+
+  t.deepEqual(archivedEvents.map(e => e.id), [event3.id])
+  t.is(archivedEvents[0].type, 'archived_event')
+
+  await request(t.context.serverUrl)
+    .get('/events/archives/2019-01-01')
+    .set(authorizationHeaders)
+    .expect(404)
+})
+
 test('creates an event', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({
     t,
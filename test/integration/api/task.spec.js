@@ -20,6 +20,8 @@ const {
 const { getRoundedDate } = require('../../../src/util/time')
 const { encodeBase64 } = require('../../../src/util/encoding')
 
+/* eslint-disable no-template-curly-in-string */
+
 test.before(async t => {
   // disable signal because there is time manipulation in this test suite
   // that can cause signal tests to fail
@@ -145,6 +147,7 @@ test.serial('creates a task with an execution date and checks events', async (t)
     t,
     type: 'custom',
     permissions: [
+      'task:read:all',
       'task:create:all',
       'event:list:all'
     ]
@@ -209,6 +212,18 @@ test.serial('creates a task with an execution date and checks events', async (t)
   t.is(afterEvents.length, 1)
 
   afterEvents.forEach(event => t.is(event.emitterId, task.id))
+
+  const { body: { results: executions } } = await request(t.context.serverUrl)
+    .get(`/tasks/${task.id}/executions`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(executions.length, 1)
+  t.is(executions[0].taskId, task.id)
+  t.is(executions[0].eventId, afterEvents[0].id)
+  t.is(executions[0].scheduledDate, task.executionDate)
+  t.true(executions[0].executedDate >= executions[0].scheduledDate)
+  t.false(executions[0].manual)
 })
 
 test('creates a task with recurring parameters', async (t) => {
@@ -316,6 +331,358 @@ test.serial('creates a task with recurring parameters and checks events', async
   afterEvents.forEach(event => t.is(event.emitterId, task.id))
 })
 
+// Must run serially because the test manipulates time
+test.serial('completes bounded recurring tasks and emits events', async (t) => {
+  if (!t.context.server) {
+    // can happen if the server is run outside of AVA process (e.g. `npm run test:uniqueserver`)
+    console.log('Warning: This test cannot be running because instance server is not accessible to manipulate time')
+    t.pass()
+    return
+  }
+
+  // use an api key without roles instead of access token for authentication
+  // because roles checking doesn't work well with time manipulation
+  // (server run indefinitely)
+  const apiKey = await getApiKey({
+    t,
+    type: 'custom',
+    permissions: [
+      'task:read:all',
+      'task:create:all',
+      'event:list:all'
+    ]
+  })
+
+  const now = '2019-05-01T00:00:00.000Z'
+
+  // mock timing functions and restart crons so the mock can work
+  t.context.server._stopCrons()
+  t.context.server._initClock({
+    now: new Date(now),
+    toFake: ['Date', 'setTimeout'],
+    shouldAdvanceTime: true
+  })
+  t.context.server._startCrons()
+
+  const authorizationHeaders = {
+    authorization: `Basic ${encodeBase64(apiKey.key + ':')}`
+  }
+
+  const { body: maxOccurrencesTask } = await request(t.context.serverUrl)
+    .post('/tasks')
+    .set(authorizationHeaders)
+    .send({
+      recurringPattern: '*/15 * * * *',
+      maxOccurrences: 3,
+      eventType: 'bounded_task_max_occurrences'
+    })
+    .expect(200)
+
+  t.is(maxOccurrencesTask.maxOccurrences, 3)
+
+  const { body: endDateTask } = await request(t.context.serverUrl)
+    .post('/tasks')
+    .set(authorizationHeaders)
+    .send({
+      recurringPattern: '*/15 * * * *',
+      recurringStartDate: computeDate(now, '30m'),
+      recurringEndDate: computeDate(now, '1h'),
+      eventType: 'bounded_task_end_date'
+    })
+    .expect(200)
+
+  t.is(endDateTask.recurringStartDate, '2019-05-01T00:30:00.000Z')
+  t.is(endDateTask.recurringEndDate, '2019-05-01T01:00:00.000Z')
+
+  // do not use a long duration, because crons function logic will trigger every simulated minute
+  t.context.server._clock.tick(ms('3h'))
+
+  await restoreClock(t, 5000)
+
+  const checkCompletedTask = async ({ task, reason, expectedDates }) => {
+    const { body: { results: events } } = await request(t.context.serverUrl)
+      .get(`/events?type=${task.eventType}`)
+      .set(authorizationHeaders)
+      .expect(200)
+
+    t.is(events.length, expectedDates.length)
+
+    const { body: { results: executions } } = await request(t.context.serverUrl)
+      .get(`/tasks/${task.id}/executions?order=asc`)
+      .set(authorizationHeaders)
+      .expect(200)
+
+    t.deepEqual(executions.map(e => e.scheduledDate), expectedDates)
+
+    const { body: { results: completedEvents } } = await request(t.context.serverUrl)
+      .get(`/events?type=task__completed&objectId=${task.id}`)
+      .set(authorizationHeaders)
+      .expect(200)
+
+    t.is(completedEvents.length, 1)
+    t.is(completedEvents[0].object.id, task.id)
+    t.false(completedEvents[0].object.active)
+    t.is(completedEvents[0].metadata.reason, reason)
+    t.is(completedEvents[0].metadata.nbOccurrences, expectedDates.length)
+
+    const { body: completedTask } = await request(t.context.serverUrl)
+      .get(`/tasks/${task.id}`)
+      .set(authorizationHeaders)
+      .expect(200)
+
+    t.false(completedTask.active)
+  }
+
+  await checkCompletedTask({
+    task: maxOccurrencesTask,
+    reason: 'maxOccurrences',
+    expectedDates: [
+      '2019-05-01T00:15:00.000Z',
+      '2019-05-01T00:30:00.000Z',
+      '2019-05-01T00:45:00.000Z'
+    ]
+  })
+
+  await checkCompletedTask({
+    task: endDateTask,
+    reason: 'recurringEndDate',
+    expectedDates: [
+      '2019-05-01T00:30:00.000Z',
+      '2019-05-01T00:45:00.000Z',
+      '2019-05-01T01:00:00.000Z'
+    ]
+  })
+})
+
+// Must run serially because the test manipulates time
+test.serial('catches up missed executions depending on task policy', async (t) => {
+  if (!t.context.server) {
+    // can happen if the server is run outside of AVA process (e.g. `npm run test:uniqueserver`)
+    console.log('Warning: This test cannot be running because instance server is not accessible to manipulate time')
+    t.pass()
+    return
+  }
+
+  const apiKey = await getApiKey({
+    t,
+    type: 'custom',
+    permissions: [
+      'task:read:all',
+      'task:create:all',
+      'task:edit:all',
+      'event:list:all'
+    ]
+  })
+
+  const authorizationHeaders = {
+    authorization: `Basic ${encodeBase64(apiKey.key + ':')}`
+  }
+
+  const now = '2019-06-01T00:00:00.000Z'
+
+  // simulate a downtime: no cron is running when tasks should be executed
+  t.context.server._stopCrons()
+  t.context.server._initClock({
+    now: new Date(now),
+    toFake: ['Date', 'setTimeout'],
+    shouldAdvanceTime: true
+  })
+
+  const createTask = async (catchUpPolicy, catchUpMaxLookback, { eventType, active } = {}) => {
+    const { body: task } = await request(t.context.serverUrl)
+      .post('/tasks')
+      .set(authorizationHeaders)
+      .send({
+        recurringPattern: '10,20,30,40 0 * * *',
+        eventType: eventType || `catch_up_task_${catchUpPolicy}`,
+        catchUpPolicy,
+        catchUpMaxLookback,
+        active
+      })
+      .expect(200)
+
+    return task
+  }
+
+  const skipTask = await createTask('skip')
+  const runOnceTask = await createTask('runOnce')
+  const runAllTask = await createTask('runAll')
+  const lookbackTask = await createTask('runAll', { m: 20 })
+  const reactivatedTask = await createTask('runAll', null, {
+    eventType: 'catch_up_task_reactivated',
+    active: false
+  })
+
+  t.is(skipTask.catchUpPolicy, 'skip')
+  t.is(runAllTask.catchUpMaxLookback, null)
+  t.deepEqual(lookbackTask.catchUpMaxLookback, { m: 20 })
+
+  t.context.server._clock.tick(ms('25m'))
+
+  // dates are not missed while the task is inactive
+  await request(t.context.serverUrl)
+    .patch(`/tasks/${reactivatedTask.id}`)
+    .set(authorizationHeaders)
+    .send({ active: true })
+    .expect(200)
+
+  t.context.server._clock.tick(ms('20m'))
+
+  // missed executions are caught up when starting crons
+  t.context.server._startCrons()
+
+  await restoreClock(t, 5000)
+
+  const checkExecutions = async ({ task, expectedDates }) => {
+    const { body: { results: executions } } = await request(t.context.serverUrl)
+      .get(`/tasks/${task.id}/executions?order=asc`)
+      .set(authorizationHeaders)
+      .expect(200)
+
+    t.deepEqual(executions.map(e => e.scheduledDate), expectedDates)
+    executions.forEach(e => t.true(e.catchUp))
+
+    const { body: { results: catchUpExecutions } } = await request(t.context.serverUrl)
+      .get(`/tasks/${task.id}/executions?catchUp=true`)
+      .set(authorizationHeaders)
+      .expect(200)
+
+    t.is(catchUpExecutions.length, expectedDates.length)
+
+    const { body: { results: scheduledExecutions } } = await request(t.context.serverUrl)
+      .get(`/tasks/${task.id}/executions?catchUp=false`)
+      .set(authorizationHeaders)
+      .expect(200)
+
+    t.is(scheduledExecutions.length, 0)
+
+    const { body: { results: events } } = await request(t.context.serverUrl)
+      .get(`/events?type=${task.eventType}`)
+      .set(authorizationHeaders)
+      .expect(200)
+
+    t.is(events.length, expectedDates.length)
+    events.forEach(e => t.true(e.metadata.catchUp))
+
+    // prevent any execution after the test
+    await request(t.context.serverUrl)
+      .patch(`/tasks/${task.id}`)
+      .set(authorizationHeaders)
+      .send({ active: false })
+      .expect(200)
+  }
+
+  await checkExecutions({ task: skipTask, expectedDates: [] })
+  await checkExecutions({ task: runOnceTask, expectedDates: ['2019-06-01T00:40:00.000Z'] })
+  await checkExecutions({
+    task: runAllTask,
+    expectedDates: [
+      '2019-06-01T00:10:00.000Z',
+      '2019-06-01T00:20:00.000Z',
+      '2019-06-01T00:30:00.000Z',
+      '2019-06-01T00:40:00.000Z'
+    ]
+  })
+  await checkExecutions({
+    task: lookbackTask,
+    expectedDates: [
+      '2019-06-01T00:30:00.000Z',
+      '2019-06-01T00:40:00.000Z'
+    ]
+  })
+  await checkExecutions({
+    task: reactivatedTask,
+    expectedDates: [
+      '2019-06-01T00:30:00.000Z',
+      '2019-06-01T00:40:00.000Z'
+    ]
+  })
+})
+
+test('previews the next execution dates of a task', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'task:read:all',
+      'task:create:all'
+    ]
+  })
+
+  const { body: task } = await request(t.context.serverUrl)
+    .post('/tasks')
+    .set(authorizationHeaders)
+    .send({
+      recurringPattern: '0 0 * * *',
+      recurringTimezone: 'Europe/Paris',
+      recurringStartDate: '2100-01-01T00:00:00.000Z',
+      recurringEndDate: '2100-01-10T00:00:00.000Z',
+      eventType: 'task_preview'
+    })
+    .expect(200)
+
+  const { body: preview } = await request(t.context.serverUrl)
+    .get(`/tasks/${task.id}/preview?nbDates=3`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(preview.taskId, task.id)
+  t.deepEqual(preview.executionDates, [
+    '2100-01-01T23:00:00.000Z',
+    '2100-01-02T23:00:00.000Z',
+    '2100-01-03T23:00:00.000Z'
+  ])
+
+  const { body: boundedTask } = await request(t.context.serverUrl)
+    .post('/tasks')
+    .set(authorizationHeaders)
+    .send({
+      recurringPattern: '0 0 * * *',
+      recurringStartDate: '2100-01-01T00:00:00.000Z',
+      maxOccurrences: 2,
+      eventType: 'task_preview'
+    })
+    .expect(200)
+
+  const { body: boundedPreview } = await request(t.context.serverUrl)
+    .get(`/tasks/${boundedTask.id}/preview`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.deepEqual(boundedPreview.executionDates, [
+    '2100-01-01T00:00:00.000Z',
+    '2100-01-02T00:00:00.000Z'
+  ])
+
+  await request(t.context.serverUrl)
+    .get('/tasks/task_unknownTaskPreview/preview')
+    .set(authorizationHeaders)
+    .expect(404)
+
+  // number of dates is also bounded with older API versions
+  const { body: unboundedTask } = await request(t.context.serverUrl)
+    .post('/tasks')
+    .set(authorizationHeaders)
+    .send({
+      recurringPattern: '* * * * *',
+      eventType: 'task_preview'
+    })
+    .expect(200)
+
+  const oldVersionHeaders = Object.assign({}, authorizationHeaders, { 'x-stelace-version': '2019-05-20' })
+
+  const { body: unboundedPreview } = await request(t.context.serverUrl)
+    .get(`/tasks/${unboundedTask.id}/preview`)
+    .set(oldVersionHeaders)
+    .expect(200)
+
+  t.is(unboundedPreview.executionDates.length, 10)
+
+  await request(t.context.serverUrl)
+    .get(`/tasks/${unboundedTask.id}/preview?nbDates=1000`)
+    .set(oldVersionHeaders)
+    .expect(400)
+})
+
 test('cannot provide both execution date and recurring parameters', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['task:create:all'] })
 
@@ -355,6 +722,33 @@ test('updates a task', async (t) => {
   t.is(task.metadata.dummy, true)
 })
 
+test('cannot provide recurring bounds without recurring pattern', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['task:create:all'] })
+
+  const { body: error } = await request(t.context.serverUrl)
+    .post('/tasks')
+    .set(authorizationHeaders)
+    .send({
+      executionDate: computeDate(new Date().toISOString(), '1d'),
+      maxOccurrences: 2,
+      eventType: 'random'
+    })
+    .expect(400)
+
+  t.true(error.message.includes('recurringPattern'))
+
+  await request(t.context.serverUrl)
+    .post('/tasks')
+    .set(authorizationHeaders)
+    .send({
+      recurringPattern: '0 0 * * *',
+      recurringStartDate: '2100-01-02T00:00:00.000Z',
+      recurringEndDate: '2100-01-01T00:00:00.000Z',
+      eventType: 'random'
+    })
+    .expect(400)
+})
+
 test('cannot update a task to have both executionDate and recurring parameters', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['task:edit:all'] })
 
@@ -400,6 +794,305 @@ test('removes a task', async (t) => {
     .expect(404)
 })
 
+test('runs a task immediately and lists its executions', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'task:read:all',
+      'task:create:all',
+      'task:edit:all',
+      'event:read:all'
+    ]
+  })
+
+  const { body: task } = await request(t.context.serverUrl)
+    .post('/tasks')
+    .set(authorizationHeaders)
+    .send({
+      executionDate: computeDate(new Date().toISOString(), '1d'),
+      eventType: 'task_run_now',
+      eventMetadata: { test: true },
+      active: false // can be run manually even if inactive
+    })
+    .expect(200)
+
+  const { body: execution } = await request(t.context.serverUrl)
+    .post(`/tasks/${task.id}/run`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.true(execution.id.startsWith('tkx_'))
+  t.is(execution.taskId, task.id)
+  t.is(execution.scheduledDate, null)
+  t.truthy(execution.executedDate)
+  t.true(execution.manual)
+
+  const { body: event } = await request(t.context.serverUrl)
+    .get(`/events/${execution.eventId}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(event.type, 'task_run_now')
+  t.is(event.emitterId, task.id)
+  t.deepEqual(event.metadata, { test: true })
+
+  const { body: obj } = await request(t.context.serverUrl)
+    .get(`/tasks/${task.id}/executions`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  checkCursorPaginatedListObject(t, obj)
+  t.is(obj.results.length, 1)
+  t.deepEqual(obj.results[0], execution)
+
+  const { body: { results: scheduledExecutions } } = await request(t.context.serverUrl)
+    .get(`/tasks/${task.id}/executions?manual=false`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(scheduledExecutions.length, 0)
+
+  await request(t.context.serverUrl)
+    .post('/tasks/task_unknownTaskRunNow/run')
+    .set(authorizationHeaders)
+    .expect(404)
+
+  await request(t.context.serverUrl)
+    .get('/tasks/task_unknownTaskRunNow/executions')
+    .set(authorizationHeaders)
+    .expect(404)
+})
+
+test('runs task actions calling API endpoints or workflows', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'asset:read:all',
+      'asset:create:all',
+      'task:create:all',
+      'task:edit:all',
+      'workflow:create:all',
+      'apiKey:edit:all' // needed for endpoint actions
+    ]
+  })
+
+  const { body: asset } = await request(t.context.serverUrl)
+    .post('/assets')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Asset deactivated by task',
+      active: true
+    })
+    .expect(200)
+
+  const apiKey = await getApiKey({ t, type: 'custom', permissions: ['asset:edit:all'] })
+  const apiKeyWithoutPermissions = await getApiKey({ t, type: 'custom', permissions: [] })
+
+  const getEndpointTask = async (apiKeyId) => {
+    const { body: task } = await request(t.context.serverUrl)
+      .post('/tasks')
+      .set(authorizationHeaders)
+      .send({
+        recurringPattern: '0 0 * * *',
+        eventType: 'asset_deactivation',
+        eventObjectId: asset.id,
+        action: {
+          type: 'endpoint',
+          endpointMethod: 'PATCH',
+          endpointUri: `/assets/${asset.id}`,
+          endpointPayload: { active: false },
+          apiKeyId
+        }
+      })
+      .expect(200)
+
+    return task
+  }
+
+  const forbiddenTask = await getEndpointTask(apiKeyWithoutPermissions.id)
+
+  const { body: forbiddenExecution } = await request(t.context.serverUrl)
+    .post(`/tasks/${forbiddenTask.id}/run`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(forbiddenExecution.actionResult.type, 'endpoint')
+  t.is(forbiddenExecution.actionResult.statusCode, 403)
+  t.truthy(forbiddenExecution.actionResult.error.message)
+
+  const endpointTask = await getEndpointTask(apiKey.id)
+  t.is(endpointTask.action.apiKeyId, apiKey.id)
+
+  const { body: endpointExecution } = await request(t.context.serverUrl)
+    .post(`/tasks/${endpointTask.id}/run`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.deepEqual(endpointExecution.actionResult, { type: 'endpoint', statusCode: 200 })
+
+  const { body: deactivatedAsset } = await request(t.context.serverUrl)
+    .get(`/assets/${asset.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.false(deactivatedAsset.active)
+
+  const { body: workflow } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Workflow invoked by task',
+      event: 'unrelated_task_event', // not listening to task event
+      run: [{
+        endpointMethod: 'PATCH',
+        endpointUri: '/assets/${objectId}',
+        endpointPayload: {
+          metadata: {
+            taskEventId: 'id'
+          }
+        }
+      }]
+    })
+    .expect(200)
+
+  const { body: workflowTask } = await request(t.context.serverUrl)
+    .post('/tasks')
+    .set(authorizationHeaders)
+    .send({
+      recurringPattern: '0 0 * * *',
+      eventType: 'asset_workflow_task',
+      eventObjectId: asset.id,
+      action: {
+        type: 'workflow',
+        workflowId: workflow.id
+      }
+    })
+    .expect(200)
+
+  const { body: workflowExecution } = await request(t.context.serverUrl)
+    .post(`/tasks/${workflowTask.id}/run`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(workflowExecution.actionResult.type, 'workflow')
+  t.is(workflowExecution.actionResult.workflowId, workflow.id)
+  t.truthy(workflowExecution.actionResult.runId)
+  t.is(workflowExecution.actionResult.outcome, 'success')
+
+  const { body: updatedAsset } = await request(t.context.serverUrl)
+    .get(`/assets/${asset.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(updatedAsset.metadata.taskEventId, workflowExecution.eventId)
+
+  // action targets must exist
+  await request(t.context.serverUrl)
+    .post('/tasks')
+    .set(authorizationHeaders)
+    .send({
+      recurringPattern: '0 0 * * *',
+      eventType: 'asset_workflow_task',
+      action: {
+        type: 'workflow',
+        workflowId: 'wfw_unknownTaskWorkflow'
+      }
+    })
+    .expect(422)
+
+  await request(t.context.serverUrl)
+    .post('/tasks')
+    .set(authorizationHeaders)
+    .send({
+      recurringPattern: '0 0 * * *',
+      eventType: 'asset_deactivation',
+      action: {
+        type: 'endpoint',
+        endpointMethod: 'PATCH',
+        endpointUri: `/assets/${asset.id}`,
+        apiKeyId: 'apik_unknownTaskApiKey'
+      }
+    })
+    .expect(422)
+})
+
+test('cannot use API keys in task actions without API key permissions', async (t) => {
+  // restricted API key trying to run requests with a secret API key
+  const restrictedApiKey = await getApiKey({
+    t,
+    type: 'custom',
+    permissions: [
+      'task:create:all',
+      'task:edit:all'
+    ]
+  })
+  const secretApiKey = await getApiKey({ t, type: 'seck' })
+
+  const authorizationHeaders = {
+    authorization: `Basic ${encodeBase64(restrictedApiKey.key + ':')}`
+  }
+
+  const endpointAction = {
+    type: 'endpoint',
+    endpointMethod: 'POST',
+    endpointUri: '/api-keys',
+    endpointPayload: { name: 'Escalated API key', type: 'seck' },
+    apiKeyId: secretApiKey.id
+  }
+
+  await request(t.context.serverUrl)
+    .post('/tasks')
+    .set(authorizationHeaders)
+    .send({
+      recurringPattern: '0 0 * * *',
+      eventType: 'api_key_escalation',
+      action: endpointAction
+    })
+    .expect(403)
+
+  const { body: task } = await request(t.context.serverUrl)
+    .post('/tasks')
+    .set(authorizationHeaders)
+    .send({
+      recurringPattern: '0 0 * * *',
+      eventType: 'api_key_escalation'
+    })
+    .expect(200)
+
+  await request(t.context.serverUrl)
+    .patch(`/tasks/${task.id}`)
+    .set(authorizationHeaders)
+    .send({ action: endpointAction })
+    .expect(403)
+
+  // same for access tokens
+  const tokenHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'task:create:all',
+      'task:edit:all'
+    ]
+  })
+
+  await request(t.context.serverUrl)
+    .patch(`/tasks/${task.id}`)
+    .set(tokenHeaders)
+    .send({ action: endpointAction })
+    .expect(403)
+
+  const secretApiKeyHeaders = {
+    authorization: `Basic ${encodeBase64(secretApiKey.key + ':')}`
+  }
+
+  const { body: taskWithAction } = await request(t.context.serverUrl)
+    .patch(`/tasks/${task.id}`)
+    .set(secretApiKeyHeaders)
+    .send({ action: endpointAction, active: false })
+    .expect(200)
+
+  t.is(taskWithAction.action.apiKeyId, secretApiKey.id)
+})
+
 test('tasks are removed if the targeted event object is removed', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({
     t,
@@ -492,6 +1185,119 @@ test('tasks are removed if the targeted event object is removed', async (t) => {
   t.is(task3.id, foundTask3.id)
 })
 
+test('tasks are deactivated or kept after object removal depending on cascadeOnDelete', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'asset:create:all',
+      'asset:remove:all',
+      'task:read:all',
+      'task:create:all'
+    ]
+  })
+
+  const { body: asset } = await request(t.context.serverUrl)
+    .post('/assets')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Asset to remove with bound tasks'
+    })
+    .expect(200)
+
+  const createTask = async (cascadeOnDelete) => {
+    const { body: task } = await request(t.context.serverUrl)
+      .post('/tasks')
+      .set(authorizationHeaders)
+      .send({
+        recurringPattern: '15 * * * 2,4,5',
+        eventType: 'asset_reminder',
+        eventObjectId: asset.id,
+        cascadeOnDelete
+      })
+      .expect(200)
+
+    return task
+  }
+
+  const deactivatedTask = await createTask('deactivate')
+  const keptTask = await createTask('none')
+
+  t.is(deactivatedTask.cascadeOnDelete, 'deactivate')
+
+  await request(t.context.serverUrl)
+    .delete(`/assets/${asset.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, 1000))
+
+  const { body: foundDeactivatedTask } = await request(t.context.serverUrl)
+    .get(`/tasks/${deactivatedTask.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.false(foundDeactivatedTask.active)
+
+  const { body: foundKeptTask } = await request(t.context.serverUrl)
+    .get(`/tasks/${keptTask.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.true(foundKeptTask.active)
+})
+
+test('removes tasks by event object', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'task:read:all',
+      'task:create:all',
+      'task:remove:all'
+    ]
+  })
+
+  const createTask = async (eventObjectId) => {
+    const { body: task } = await request(t.context.serverUrl)
+      .post('/tasks')
+      .set(authorizationHeaders)
+      .send({
+        recurringPattern: '15 * * * 2,4,5',
+        eventType: 'object_reminder',
+        eventObjectId
+      })
+      .expect(200)
+
+    return task
+  }
+
+  const task1 = await createTask('ast_removeManyTasks1')
+  const task2 = await createTask('ast_removeManyTasks1')
+  const task3 = await createTask('ast_removeManyTasks2')
+  const task4 = await createTask('ast_removeManyTasks3')
+
+  const { body: { ids } } = await request(t.context.serverUrl)
+    .delete('/tasks?eventObjectId[]=ast_removeManyTasks1&eventObjectId[]=ast_removeManyTasks2')
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.deepEqual(ids.sort(), [task1.id, task2.id, task3.id].sort())
+
+  await request(t.context.serverUrl)
+    .get(`/tasks/${task1.id}`)
+    .set(authorizationHeaders)
+    .expect(404)
+
+  await request(t.context.serverUrl)
+    .get(`/tasks/${task4.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  await request(t.context.serverUrl)
+    .delete('/tasks')
+    .set(authorizationHeaders)
+    .expect(400)
+})
+
 // ////////// //
 // VALIDATION //
 // ////////// //
@@ -539,6 +1345,8 @@ test('fails to create a task if missing or invalid parameters', async (t) => {
       eventType: true,
       eventMetadata: true,
       eventObjectId: true,
+      catchUpPolicy: 'invalid',
+      catchUpMaxLookback: { s: 30 },
       active: 'invalid',
       metadata: true,
       platformData: true
@@ -552,6 +1360,8 @@ test('fails to create a task if missing or invalid parameters', async (t) => {
   t.true(error.message.includes('"eventType" must be a string'))
   t.true(error.message.includes('"eventMetadata" must be of type object'))
   t.true(error.message.includes('"eventObjectId" must be a string'))
+  t.true(error.message.includes('"catchUpPolicy" must be one of'))
+  t.true(error.message.includes('"catchUpMaxLookback.s" is not allowed'))
   t.true(error.message.includes('"active" must be a boolean'))
   t.true(error.message.includes('"metadata" must be of type object'))
   t.true(error.message.includes('"platformData" must be of type object'))
@@ -587,6 +1397,7 @@ test('fails to update a task if missing or invalid parameters', async (t) => {
       eventType: true,
       eventMetadata: true,
       eventObjectId: true,
+      catchUpMaxLookback: { d: 30 },
       active: 'invalid',
       metadata: true,
       platformData: true
@@ -600,6 +1411,7 @@ test('fails to update a task if missing or invalid parameters', async (t) => {
   t.true(error.message.includes('"eventType" must be a string'))
   t.true(error.message.includes('"eventMetadata" must be of type object'))
   t.true(error.message.includes('"eventObjectId" must be a string'))
+  t.true(error.message.includes('"catchUpMaxLookback.d" must be less than or equal to 7'))
   t.true(error.message.includes('"active" must be a boolean'))
   t.true(error.message.includes('"metadata" must be of type object'))
   t.true(error.message.includes('"platformData" must be of type object'))
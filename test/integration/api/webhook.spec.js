@@ -2,16 +2,19 @@ require('dotenv').config()
 
 const test = require('ava')
 const request = require('supertest')
+const ms = require('ms')
 const express = require('express')
 const bodyParser = require('body-parser')
 
 const userServer = express()
 let userServerPort
 const userServerCalls = {}
+const userServerCallsHeaders = {}
+const userServerCallsRawBodies = {}
 let userApp
 
 const { before, beforeEach, after } = require('../../lifecycle')
-const { getAccessTokenHeaders } = require('../../auth')
+const { getAccessTokenHeaders, getApiKey } = require('../../auth')
 const {
   testEventDelay,
 
@@ -19,27 +22,48 @@ const {
   checkCursorPaginatedListObject,
 } = require('../../util')
 const { apiVersions } = require('../../../src/versions')
+const { encodeBase64 } = require('../../../src/util/encoding')
+const {
+  timestampHeader,
+  signatureHeader,
+  computeWebhookSignature,
+} = require('../../../src/util/webhook')
 
 let userWebhookUrl
+let userServerRecovered = false
 
 const getIds = (elements) => elements.map(e => e.id)
 
 /* eslint-disable no-template-curly-in-string */
 
 test.before(async (t) => {
-  await before({ name: 'webhook' })(t)
+  // disable signal because there is time manipulation in this test suite
+  await before({ name: 'webhook', enableSignal: false })(t)
   await beforeEach()(t)
 
-  userServer.use(bodyParser.json())
+  userServer.use(bodyParser.json({
+    // keep the raw body to check webhook signatures
+    verify: (req, res, buf) => { req.rawBody = buf.toString() }
+  }))
   userServer.post('/error', function (req, res) {
     res.status(500).json({ message: 'Webhook target server error' })
   })
+  userServer.post('/errorUntilRecovered', function (req, res) {
+    if (userServerRecovered) res.json({ ok: true })
+    else res.status(500).json({ message: 'Webhook target server error' })
+  })
   userServer.post('*', function (req, res) {
     const webhookName = req.path.replace('/', '')
 
     if (!Array.isArray(userServerCalls[webhookName])) userServerCalls[webhookName] = []
     userServerCalls[webhookName].unshift(req.body)
 
+    if (!Array.isArray(userServerCallsHeaders[webhookName])) userServerCallsHeaders[webhookName] = []
+    userServerCallsHeaders[webhookName].unshift(req.headers)
+
+    if (!Array.isArray(userServerCallsRawBodies[webhookName])) userServerCallsRawBodies[webhookName] = []
+    userServerCallsRawBodies[webhookName].unshift(req.rawBody)
+
     res.json({ ok: true })
   })
 
@@ -151,6 +175,7 @@ test('creates a webhook', async (t) => {
 
   t.is(webhook.name, 'Custom webhook')
   t.is(webhook.apiVersion, apiVersions[0]) // we don't specify the api version, so it's the latest
+  t.is(typeof webhook.secret, 'string')
   t.is(userServerCalls.webhook1, undefined)
 
   const { body: asset } = await request(t.context.serverUrl)
@@ -188,6 +213,26 @@ test('creates a webhook', async (t) => {
   t.is(webhookAfterCall.logs.length, 1)
   t.is(webhookAfterCall.logs[0].status, 'success')
   t.is(webhookAfterCall.logs[0].metadata.eventObjectId, asset.id)
+
+  // the secret is only revealed on creation
+  t.is(webhookAfterCall.secret, undefined)
+
+  t.is(webhookAfterCall.stats.nbAttempts, 1)
+  t.is(webhookAfterCall.stats.successRate, 1)
+  t.is(webhookAfterCall.stats.nbConsecutiveFailures, 0)
+  t.is(typeof webhookAfterCall.stats.latency.p50, 'number')
+  t.is(typeof webhookAfterCall.stats.latency.p95, 'number')
+  t.is(typeof webhookAfterCall.logs[0].metadata.duration, 'number')
+
+  const headers = userServerCallsHeaders.webhook1[0]
+  const timestamp = parseInt(headers[timestampHeader], 10)
+
+  t.true(Math.abs(timestamp - Date.now() / 1000) < 60)
+  t.is(headers[signatureHeader], `v1=${computeWebhookSignature({
+    secret: webhook.secret,
+    timestamp,
+    body: userServerCallsRawBodies.webhook1[0]
+  })}`)
 })
 
 test('creates a webhook with specified API version', async (t) => {
@@ -355,47 +400,239 @@ test('creates a webhook with targetUrl server returning errors', async (t) => {
   t.is(webhookAfterCall.logs.length, 1)
   t.is(webhookAfterCall.logs[0].status, 'error')
   t.is(webhookAfterCall.logs[0].metadata.eventObjectId, category.id)
+  t.is(webhookAfterCall.logs[0].metadata.attempt, 1)
+  t.truthy(webhookAfterCall.logs[0].metadata.deliveryId)
+  t.truthy(webhookAfterCall.logs[0].metadata.nextAttemptDate)
+
+  t.is(webhookAfterCall.stats.nbAttempts, 1)
+  t.is(webhookAfterCall.stats.successRate, 0)
+  t.is(webhookAfterCall.stats.nbConsecutiveFailures, 1)
 })
 
-test('cannot create a webhook with a invalid event', async (t) => {
-  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['webhook:create:all'] })
+test('disables a webhook after too many consecutive failures', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'webhook:create:all',
+      'webhook:read:all',
+      'webhook:edit:all',
+      'event:list:all',
+      'category:create:all'
+    ]
+  })
 
-  await request(t.context.serverUrl)
+  const { body: webhook } = await request(t.context.serverUrl)
     .post('/webhooks')
     .set(authorizationHeaders)
     .send({
-      name: 'Custom webhook',
-      targetUrl: 'https://example.com',
-      event: 'incorrect__event_type'
+      name: 'Webhook disabled after failures',
+      targetUrl: userWebhookUrl + 'error',
+      event: 'category__created',
+      retry: { maxAttempts: 1 },
+      maxConsecutiveFailures: 2
     })
-    .expect(422)
+    .expect(200)
 
-  t.pass()
+  t.is(webhook.maxConsecutiveFailures, 2)
+
+  const createCategory = (name) => request(t.context.serverUrl)
+    .post('/categories')
+    .set(authorizationHeaders)
+    .send({ name })
+    .expect(200)
+
+  await createCategory('Category 1 triggering failing webhook')
+  await new Promise(resolve => setTimeout(resolve, testEventDelay))
+
+  const { body: webhookAfterFirstFailure } = await request(t.context.serverUrl)
+    .get(`/webhooks/${webhook.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.true(webhookAfterFirstFailure.active)
+  t.is(webhookAfterFirstFailure.stats.nbConsecutiveFailures, 1)
+
+  await createCategory('Category 2 triggering failing webhook')
+  await new Promise(resolve => setTimeout(resolve, testEventDelay))
+
+  const { body: disabledWebhook } = await request(t.context.serverUrl)
+    .get(`/webhooks/${webhook.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.false(disabledWebhook.active)
+  t.is(disabledWebhook.stats.nbConsecutiveFailures, 2)
+
+  const { body: { results: events } } = await request(t.context.serverUrl)
+    .get(`/events?type=webhook__disabled&objectId=${webhook.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(events.length, 1)
+  t.is(events[0].object.id, webhook.id)
+  t.false(events[0].object.active)
+  t.is(events[0].metadata.nbConsecutiveFailures, 2)
+
+  // no more delivery for the disabled webhook
+  await createCategory('Category 3 not triggering disabled webhook')
+  await new Promise(resolve => setTimeout(resolve, testEventDelay))
+
+  const { body: webhookAfterDisabling } = await request(t.context.serverUrl)
+    .get(`/webhooks/${webhook.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(webhookAfterDisabling.stats.nbAttempts, 2)
+
+  // reactivating the webhook resets consecutive failures
+  const { body: reactivatedWebhook } = await request(t.context.serverUrl)
+    .patch(`/webhooks/${webhook.id}`)
+    .set(authorizationHeaders)
+    .send({ active: true })
+    .expect(200)
+
+  t.true(reactivatedWebhook.active)
+
+  const { body: webhookAfterReactivation } = await request(t.context.serverUrl)
+    .get(`/webhooks/${webhook.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(webhookAfterReactivation.stats.nbConsecutiveFailures, 0)
 })
 
-test('updates a webhook', async (t) => {
-  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['webhook:edit:all'] })
+test('creates a webhook with a custom retry policy', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'webhook:create:all',
+      'webhook:edit:all'
+    ]
+  })
 
   const { body: webhook } = await request(t.context.serverUrl)
-    .patch('/webhooks/whk_SEIfQps1I3a1gJYz2I3a')
+    .post('/webhooks')
     .set(authorizationHeaders)
     .send({
-      active: true,
-      event: 'asset__deleted'
+      name: 'Custom webhook with retry policy',
+      targetUrl: userWebhookUrl + 'webhookWithRetryPolicy',
+      event: 'category__created',
+      retry: {
+        maxAttempts: 3,
+        initialDelay: { m: 5 }
+      }
     })
     .expect(200)
 
-  t.is(webhook.id, 'whk_SEIfQps1I3a1gJYz2I3a')
-  t.is(webhook.event, 'asset__deleted')
+  t.deepEqual(webhook.retry, { maxAttempts: 3, initialDelay: { m: 5 } })
+
+  const { body: updatedWebhook } = await request(t.context.serverUrl)
+    .patch(`/webhooks/${webhook.id}`)
+    .set(authorizationHeaders)
+    .send({
+      retry: null
+    })
+    .expect(200)
+
+  t.is(updatedWebhook.retry, null)
 })
 
-test('removes a webhook', async (t) => {
+// Must run serially because the test manipulates time
+test.serial('retries failed webhook deliveries until the delivery is dead', async (t) => {
+  if (!t.context.server) {
+    // can happen if the server is run outside of AVA process (e.g. `npm run test:uniqueserver`)
+    console.log('Warning: This test cannot be running because instance server is not accessible to manipulate time')
+    t.pass()
+    return
+  }
+
+  // use an api key without roles instead of access token for authentication
+  // because roles checking doesn't work well with time manipulation
+  const apiKey = await getApiKey({
+    t,
+    type: 'custom',
+    permissions: [
+      'webhook:create:all',
+      'webhookLog:list:all',
+      'category:create:all'
+    ]
+  })
+
+  const authorizationHeaders = {
+    authorization: `Basic ${encodeBase64(apiKey.key + ':')}`
+  }
+
+  const { body: webhook } = await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Custom webhook with retries',
+      targetUrl: userWebhookUrl + 'error',
+      event: 'category__created',
+      retry: {
+        maxAttempts: 3,
+        initialDelay: { m: 1 }
+      }
+    })
+    .expect(200)
+
+  // mock timing functions and restart crons so the mock can work
+  t.context.server._stopCrons()
+  t.context.server._initClock({
+    now: new Date(),
+    toFake: ['Date', 'setTimeout'],
+    shouldAdvanceTime: true
+  })
+  t.context.server._startCrons()
+
+  await request(t.context.serverUrl)
+    .post('/categories')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Category triggering webhook retries',
+    })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, testEventDelay))
+
+  // retries are scheduled 1 minute then 2 minutes after the previous attempt
+  t.context.server._clock.tick(ms('2m'))
+  await new Promise(resolve => setTimeout(resolve, testEventDelay))
+  t.context.server._clock.tick(ms('3m'))
+
+  // restore the clock so we can use `setTimeout` to wait for deliveries
+  t.context.server._stopCrons()
+  t.context.server._clock.restore()
+  t.context.server._startCrons()
+  await new Promise(resolve => setTimeout(resolve, 3000))
+
+  const { body: { results: webhookLogs } } = await request(t.context.serverUrl)
+    .get(`/webhook-logs?webhookId=${webhook.id}&order=asc`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.deepEqual(webhookLogs.map(l => l.status), ['error', 'error', 'dead'])
+  t.deepEqual(webhookLogs.map(l => l.metadata.attempt), [1, 2, 3])
+  t.true(webhookLogs.every(l => l.metadata.deliveryId === webhookLogs[0].metadata.deliveryId))
+  t.falsy(webhookLogs[2].metadata.nextAttemptDate)
+
+  const { body: { results: deadWebhookLogs } } = await request(t.context.serverUrl)
+    .get(`/webhook-logs?webhookId=${webhook.id}&status=dead`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(deadWebhookLogs.length, 1)
+  t.is(deadWebhookLogs[0].id, webhookLogs[2].id)
+})
+
+test('rotates the webhook secret with an overlap window', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({
     t,
     permissions: [
-      'webhook:read:all',
       'webhook:create:all',
-      'webhook:remove:all'
+      'webhook:read:all',
+      'webhook:edit:all',
+      'category:create:all'
     ]
   })
 
@@ -403,98 +640,739 @@ test('removes a webhook', async (t) => {
     .post('/webhooks')
     .set(authorizationHeaders)
     .send({
-      name: 'Webhook to remove',
-      targetUrl: userWebhookUrl + 'webhookToRemove',
+      name: 'Webhook with secret rotation',
+      targetUrl: userWebhookUrl + 'webhookSecretRotation',
       event: 'category__created'
     })
     .expect(200)
 
-  const { body: payload } = await request(t.context.serverUrl)
-    .delete(`/webhooks/${webhook.id}`)
+  t.truthy(webhook.secret)
+  t.is(webhook.previousSecretExpirationDate, null)
+
+  const { body: rotatedWebhook } = await request(t.context.serverUrl)
+    .post(`/webhooks/${webhook.id}/rotate-secret`)
     .set(authorizationHeaders)
+    .send({
+      overlapDuration: { h: 1 }
+    })
     .expect(200)
 
-  t.is(payload.id, webhook.id)
+  t.truthy(rotatedWebhook.secret)
+  t.not(rotatedWebhook.secret, webhook.secret)
+  t.true(rotatedWebhook.previousSecretExpirationDate > new Date().toISOString())
 
-  await request(t.context.serverUrl)
+  const { body: readWebhook } = await request(t.context.serverUrl)
     .get(`/webhooks/${webhook.id}`)
     .set(authorizationHeaders)
-    .expect(404)
-})
-
-// ////////// //
-// VALIDATION //
-// ////////// //
+    .expect(200)
 
-test('fails to create a webhook if missing or invalid parameters', async (t) => {
-  let result
-  let error
+  t.is(readWebhook.secret, undefined)
+  t.is(readWebhook.previousSecretExpirationDate, rotatedWebhook.previousSecretExpirationDate)
 
-  // missing body
-  result = await request(t.context.serverUrl)
-    .post('/webhooks')
-    .set({
-      'x-platform-id': t.context.platformId,
-      'x-stelace-env': t.context.env
+  await request(t.context.serverUrl)
+    .post('/categories')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Category triggering webhook with rotated secret',
     })
-    .expect(400)
+    .expect(200)
 
-  error = result.body
-  t.true(error.message.includes('"body" is required'))
+  await new Promise(resolve => setTimeout(resolve, testEventDelay))
 
-  // missing required parameters
-  result = await request(t.context.serverUrl)
-    .post('/webhooks')
-    .set({
-      'x-platform-id': t.context.platformId,
-      'x-stelace-env': t.context.env
+  t.is(userServerCalls.webhookSecretRotation.length, 1)
+
+  const headers = userServerCallsHeaders.webhookSecretRotation[0]
+  const timestamp = parseInt(headers[timestampHeader], 10)
+  const body = userServerCallsRawBodies.webhookSecretRotation[0]
+
+  // signed with both the new and the previous secrets during the overlap window
+  t.is(headers[signatureHeader], [
+    `v1=${computeWebhookSignature({ secret: rotatedWebhook.secret, timestamp, body })}`,
+    `v1=${computeWebhookSignature({ secret: webhook.secret, timestamp, body })}`
+  ].join(','))
+
+  const { body: webhookAfterRevocation } = await request(t.context.serverUrl)
+    .post(`/webhooks/${webhook.id}/rotate-secret`)
+    .set(authorizationHeaders)
+    .send({
+      overlapDuration: { m: 0 }
     })
-    .send({})
-    .expect(400)
+    .expect(200)
 
-  error = result.body
-  t.true(error.message.includes('"name" is required'))
+  t.not(webhookAfterRevocation.secret, rotatedWebhook.secret)
+  t.is(webhookAfterRevocation.previousSecretExpirationDate, null)
+})
 
-  // parameters with wrong type
-  result = await request(t.context.serverUrl)
+test('redelivers a logged webhook event', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'webhook:create:all',
+      'webhook:edit:all',
+      'webhookLog:list:all',
+      'category:create:all'
+    ]
+  })
+
+  const { body: webhook } = await request(t.context.serverUrl)
     .post('/webhooks')
-    .set({
-      'x-platform-id': t.context.platformId,
-      'x-stelace-env': t.context.env
+    .set(authorizationHeaders)
+    .send({
+      name: 'Webhook with redelivery',
+      targetUrl: userWebhookUrl + 'webhookRedelivery',
+      event: 'category__created'
     })
+    .expect(200)
+
+  const { body: category } = await request(t.context.serverUrl)
+    .post('/categories')
+    .set(authorizationHeaders)
     .send({
-      name: true,
-      targetUrl: true,
-      event: true,
-      active: 'invalid',
-      metadata: true,
-      platformData: true
+      name: 'Category triggering webhook redelivery',
     })
-    .expect(400)
+    .expect(200)
 
-  error = result.body
-  t.true(error.message.includes('"name" must be a string'))
-  t.true(error.message.includes('"targetUrl" must be a string'))
-  t.true(error.message.includes('"event" must be a string'))
-  t.true(error.message.includes('"active" must be a boolean'))
-  t.true(error.message.includes('"metadata" must be of type object'))
-  t.true(error.message.includes('"platformData" must be of type object'))
+  await new Promise(resolve => setTimeout(resolve, testEventDelay))
+
+  const { body: { results: webhookLogs } } = await request(t.context.serverUrl)
+    .get(`/webhook-logs?webhookId=${webhook.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(webhookLogs.length, 1)
+  const originalWebhookLog = webhookLogs[0]
+
+  const { body: newWebhookLog } = await request(t.context.serverUrl)
+    .post(`/webhooks/${webhook.id}/logs/${originalWebhookLog.id}/redeliver`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.not(newWebhookLog.id, originalWebhookLog.id)
+  t.is(newWebhookLog.webhookId, webhook.id)
+  t.is(newWebhookLog.eventId, originalWebhookLog.eventId)
+  t.is(newWebhookLog.status, 'success')
+  t.is(newWebhookLog.metadata.originalWebhookLogId, originalWebhookLog.id)
+  t.not(newWebhookLog.metadata.deliveryId, originalWebhookLog.metadata.deliveryId)
+
+  t.is(userServerCalls.webhookRedelivery.length, 2)
+  t.deepEqual(userServerCalls.webhookRedelivery[0], userServerCalls.webhookRedelivery[1])
+  t.is(userServerCalls.webhookRedelivery[0].event.objectId, category.id)
 })
 
-test('fails to create a webhook with an invalid API version', async (t) => {
-  await request(t.context.serverUrl)
+test('cannot redeliver a webhook log belonging to another webhook', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'webhook:create:all',
+      'webhook:edit:all',
+      'webhookLog:list:all',
+      'category:create:all'
+    ]
+  })
+
+  const { body: webhook } = await request(t.context.serverUrl)
     .post('/webhooks')
-    .set({
-      'x-platform-id': t.context.platformId,
-      'x-stelace-env': t.context.env
-    })
+    .set(authorizationHeaders)
     .send({
-      name: 'Invalid API version webhook',
-      apiVersion: '2016-01-01'
+      name: 'Webhook with logs',
+      targetUrl: userWebhookUrl + 'webhookWithLogs',
+      event: 'category__created'
     })
-    .expect(400)
+    .expect(200)
 
-  t.pass()
+  const { body: otherWebhook } = await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Webhook without logs',
+      targetUrl: userWebhookUrl + 'webhookWithoutLogs',
+      event: 'asset__created'
+    })
+    .expect(200)
+
+  await request(t.context.serverUrl)
+    .post('/categories')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Category triggering webhook with logs',
+    })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, testEventDelay))
+
+  const { body: { results: webhookLogs } } = await request(t.context.serverUrl)
+    .get(`/webhook-logs?webhookId=${webhook.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  await request(t.context.serverUrl)
+    .post(`/webhooks/${otherWebhook.id}/logs/${webhookLogs[0].id}/redeliver`)
+    .set(authorizationHeaders)
+    .expect(404)
+
+  await request(t.context.serverUrl)
+    .post(`/webhooks/${webhook.id}/logs/whl_UnknownWebhookLog/redeliver`)
+    .set(authorizationHeaders)
+    .expect(404)
+})
+
+test('redelivers failed webhook events in bulk', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'webhook:create:all',
+      'webhook:edit:all',
+      'webhookLog:list:all',
+      'category:create:all'
+    ]
+  })
+
+  const { body: webhook } = await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Webhook with bulk redelivery',
+      targetUrl: userWebhookUrl + 'error',
+      event: 'category__created'
+    })
+    .expect(200)
+
+  const minDate = new Date().toISOString()
+
+  await request(t.context.serverUrl)
+    .post('/categories')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Category 1 triggering webhook bulk redelivery',
+    })
+    .expect(200)
+
+  await request(t.context.serverUrl)
+    .post('/categories')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Category 2 triggering webhook bulk redelivery',
+    })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, testEventDelay))
+
+  const { body: { results: webhookLogs } } = await request(t.context.serverUrl)
+    .get(`/webhook-logs?webhookId=${webhook.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(webhookLogs.length, 2)
+  t.true(webhookLogs.every(l => l.status === 'error'))
+
+  const { body: successResult } = await request(t.context.serverUrl)
+    .post(`/webhooks/${webhook.id}/logs/redeliver`)
+    .set(authorizationHeaders)
+    .send({
+      createdDate: { gte: minDate },
+      status: 'dead'
+    })
+    .expect(200)
+
+  t.is(successResult.webhookId, webhook.id)
+  t.deepEqual(successResult.webhookLogIds, [])
+
+  const { body: result } = await request(t.context.serverUrl)
+    .post(`/webhooks/${webhook.id}/logs/redeliver`)
+    .set(authorizationHeaders)
+    .send({
+      createdDate: { gte: minDate }
+    })
+    .expect(200)
+
+  t.is(result.webhookId, webhook.id)
+  t.deepEqual(result.webhookLogIds.sort(), getIds(webhookLogs).sort())
+})
+
+test('does not redeliver in bulk events already delivered successfully', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'webhook:create:all',
+      'webhook:edit:all',
+      'webhookLog:list:all',
+      'category:create:all'
+    ]
+  })
+
+  const { body: webhook } = await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Webhook with bulk redelivery after recovery',
+      targetUrl: userWebhookUrl + 'errorUntilRecovered',
+      event: 'category__created'
+    })
+    .expect(200)
+
+  const minDate = new Date().toISOString()
+
+  await request(t.context.serverUrl)
+    .post('/categories')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Category 1 triggering webhook bulk redelivery after recovery',
+    })
+    .expect(200)
+
+  await request(t.context.serverUrl)
+    .post('/categories')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Category 2 triggering webhook bulk redelivery after recovery',
+    })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, testEventDelay))
+
+  const { body: { results: webhookLogs } } = await request(t.context.serverUrl)
+    .get(`/webhook-logs?webhookId=${webhook.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(webhookLogs.length, 2)
+  t.true(webhookLogs.every(l => l.status === 'error'))
+
+  userServerRecovered = true
+
+  const { body: newWebhookLog } = await request(t.context.serverUrl)
+    .post(`/webhooks/${webhook.id}/logs/${webhookLogs[0].id}/redeliver`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(newWebhookLog.status, 'success')
+
+  const { body: result } = await request(t.context.serverUrl)
+    .post(`/webhooks/${webhook.id}/logs/redeliver`)
+    .set(authorizationHeaders)
+    .send({
+      createdDate: { gte: minDate }
+    })
+    .expect(200)
+
+  t.deepEqual(result.webhookLogIds, [webhookLogs[1].id])
+})
+
+test('delivers events of the same object in creation order with an ordered webhook', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'webhook:create:all',
+      'webhook:edit:all',
+      'webhookLog:list:all',
+      'category:create:all',
+      'category:edit:all'
+    ]
+  })
+
+  const { body: webhook } = await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Ordered webhook',
+      targetUrl: userWebhookUrl + 'orderedWebhook',
+      event: 'category__*',
+      ordered: true
+    })
+    .expect(200)
+
+  t.true(webhook.ordered)
+
+  const { body: category } = await request(t.context.serverUrl)
+    .post('/categories')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Category 0',
+    })
+    .expect(200)
+
+  const nbUpdates = 5
+
+  for (let i = 1; i <= nbUpdates; i++) {
+    await request(t.context.serverUrl)
+      .patch(`/categories/${category.id}`)
+      .set(authorizationHeaders)
+      .send({
+        name: `Category ${i}`,
+      })
+      .expect(200)
+  }
+
+  await new Promise(resolve => setTimeout(resolve, testEventDelay * 2))
+
+  // calls are stored from the most recent one
+  const calls = userServerCalls.orderedWebhook.slice().reverse()
+
+  t.is(calls.length, nbUpdates + 1)
+  t.is(calls[0].event.type, 'category__created')
+  calls.forEach((call, i) => {
+    t.is(call.event.objectId, category.id)
+    t.is(call.event.object.name, `Category ${i}`)
+  })
+
+  // redelivered events would be delivered out of order
+  const { body: { results: webhookLogs } } = await request(t.context.serverUrl)
+    .get(`/webhook-logs?webhookId=${webhook.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  await request(t.context.serverUrl)
+    .post(`/webhooks/${webhook.id}/logs/${webhookLogs[0].id}/redeliver`)
+    .set(authorizationHeaders)
+    .expect(422)
+
+  await request(t.context.serverUrl)
+    .post(`/webhooks/${webhook.id}/logs/redeliver`)
+    .set(authorizationHeaders)
+    .send({ status: 'error' })
+    .expect(422)
+})
+
+test('cannot create a webhook with a invalid event', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['webhook:create:all'] })
+
+  await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Custom webhook',
+      targetUrl: 'https://example.com',
+      event: 'incorrect__event_type'
+    })
+    .expect(422)
+
+  await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Custom webhook',
+      targetUrl: 'https://example.com',
+      event: ['asset__created', 'incorrect__*']
+    })
+    .expect(422)
+
+  await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Custom webhook',
+      targetUrl: 'https://example.com',
+      event: 'asset__created',
+      filter: 'object.assetTypeId ==='
+    })
+    .expect(422)
+
+  t.pass()
+})
+
+test('creates a webhook listening to a list of events and patterns', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'webhook:create:all',
+      'webhook:list:all',
+      'category:create:all',
+      'category:edit:all',
+      'asset:create:all'
+    ]
+  })
+
+  const { body: webhook } = await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Webhook with event patterns',
+      targetUrl: userWebhookUrl + 'webhookWithEventPatterns',
+      event: ['category__*', 'asset__created']
+    })
+    .expect(200)
+
+  t.deepEqual(webhook.event, ['category__*', 'asset__created'])
+
+  const { body: { results: webhooks } } = await request(t.context.serverUrl)
+    .get('/webhooks?event=asset__created')
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.true(webhooks.some(w => w.id === webhook.id))
+
+  const { body: category } = await request(t.context.serverUrl)
+    .post('/categories')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Category triggering webhook with event patterns',
+    })
+    .expect(200)
+
+  await request(t.context.serverUrl)
+    .patch(`/categories/${category.id}`)
+    .set(authorizationHeaders)
+    .send({
+      name: 'Updated category triggering webhook with event patterns',
+    })
+    .expect(200)
+
+  const { body: asset } = await request(t.context.serverUrl)
+    .post('/assets')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Asset triggering webhook with event patterns',
+      assetTypeId: 'typ_MWNfQps1I3a1gJYz2I3a'
+    })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, testEventDelay))
+
+  const calls = userServerCalls.webhookWithEventPatterns
+
+  t.is(calls.length, 3)
+  t.truthy(calls.find(call => call.event.type === 'category__created' && call.event.objectId === category.id))
+  t.truthy(calls.find(call => call.event.type === 'category__updated' && call.event.objectId === category.id))
+  t.truthy(calls.find(call => call.event.type === 'asset__created' && call.event.objectId === asset.id))
+})
+
+test('creates a webhook with a filter expression', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'webhook:create:all',
+      'asset:create:all'
+    ]
+  })
+
+  const { body: webhook } = await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Webhook with filter',
+      targetUrl: userWebhookUrl + 'webhookWithFilter',
+      event: 'asset__created',
+      filter: "object.assetTypeId === 'typ_MWNfQps1I3a1gJYz2I3a' && object.name.startsWith('Filtered')"
+    })
+    .expect(200)
+
+  t.truthy(webhook.filter)
+
+  const { body: filteredAsset } = await request(t.context.serverUrl)
+    .post('/assets')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Filtered asset triggering webhook',
+      assetTypeId: 'typ_MWNfQps1I3a1gJYz2I3a'
+    })
+    .expect(200)
+
+  await request(t.context.serverUrl)
+    .post('/assets')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Asset not triggering webhook',
+      assetTypeId: 'typ_MWNfQps1I3a1gJYz2I3a'
+    })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, testEventDelay))
+
+  t.is(userServerCalls.webhookWithFilter.length, 1)
+  t.is(userServerCalls.webhookWithFilter[0].event.objectId, filteredAsset.id)
+})
+
+test('updates a webhook', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['webhook:edit:all'] })
+
+  const { body: webhook } = await request(t.context.serverUrl)
+    .patch('/webhooks/whk_SEIfQps1I3a1gJYz2I3a')
+    .set(authorizationHeaders)
+    .send({
+      active: true,
+      event: 'asset__deleted'
+    })
+    .expect(200)
+
+  t.is(webhook.id, 'whk_SEIfQps1I3a1gJYz2I3a')
+  t.is(webhook.event, 'asset__deleted')
+})
+
+test('removes a webhook', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'webhook:read:all',
+      'webhook:create:all',
+      'webhook:remove:all'
+    ]
+  })
+
+  const { body: webhook } = await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Webhook to remove',
+      targetUrl: userWebhookUrl + 'webhookToRemove',
+      event: 'category__created'
+    })
+    .expect(200)
+
+  const { body: payload } = await request(t.context.serverUrl)
+    .delete(`/webhooks/${webhook.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(payload.id, webhook.id)
+
+  await request(t.context.serverUrl)
+    .get(`/webhooks/${webhook.id}`)
+    .set(authorizationHeaders)
+    .expect(404)
+})
+
+// ////////// //
+// VALIDATION //
+// ////////// //
+
+test('fails to create a webhook if missing or invalid parameters', async (t) => {
+  let result
+  let error
+
+  // missing body
+  result = await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set({
+      'x-platform-id': t.context.platformId,
+      'x-stelace-env': t.context.env
+    })
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"body" is required'))
+
+  // missing required parameters
+  result = await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set({
+      'x-platform-id': t.context.platformId,
+      'x-stelace-env': t.context.env
+    })
+    .send({})
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"name" is required'))
+
+  // parameters with wrong type
+  result = await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set({
+      'x-platform-id': t.context.platformId,
+      'x-stelace-env': t.context.env
+    })
+    .send({
+      name: true,
+      targetUrl: true,
+      event: true,
+      active: 'invalid',
+      ordered: 'invalid',
+      retry: true,
+      maxConsecutiveFailures: 0,
+      metadata: true,
+      platformData: true
+    })
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"name" must be a string'))
+  t.true(error.message.includes('"targetUrl" must be a string'))
+  t.true(error.message.includes('"event" must be one of [string, array]'))
+  t.true(error.message.includes('"active" must be a boolean'))
+  t.true(error.message.includes('"ordered" must be a boolean'))
+  t.true(error.message.includes('"retry" must be of type object'))
+  t.true(error.message.includes('"maxConsecutiveFailures" must be larger than or equal to 1'))
+  t.true(error.message.includes('"metadata" must be of type object'))
+  t.true(error.message.includes('"platformData" must be of type object'))
+})
+
+test('fails to create a webhook with an invalid API version', async (t) => {
+  await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set({
+      'x-platform-id': t.context.platformId,
+      'x-stelace-env': t.context.env
+    })
+    .send({
+      name: 'Invalid API version webhook',
+      apiVersion: '2016-01-01'
+    })
+    .expect(400)
+
+  t.pass()
+})
+
+test('fails to create a webhook with an invalid retry policy', async (t) => {
+  const { body: error } = await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set({
+      'x-platform-id': t.context.platformId,
+      'x-stelace-env': t.context.env
+    })
+    .send({
+      name: 'Invalid retry policy webhook',
+      retry: {
+        maxAttempts: 0,
+        initialDelay: { s: 10 },
+        backoffFactor: 0.5
+      }
+    })
+    .expect(400)
+
+  t.true(error.message.includes('"retry.maxAttempts" must be larger than or equal to 1'))
+  t.true(error.message.includes('"retry.initialDelay.s" is not allowed'))
+  t.true(error.message.includes('"retry.backoffFactor" must be larger than or equal to 1'))
+})
+
+test('fails to rotate the webhook secret with invalid parameters', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: ['webhook:edit:all']
+  })
+
+  const { body: error } = await request(t.context.serverUrl)
+    .post('/webhooks/whk_SEIfQps1I3a1gJYz2I3a/rotate-secret')
+    .set(authorizationHeaders)
+    .send({
+      overlapDuration: { s: 10 }
+    })
+    .expect(400)
+
+  t.true(error.message.includes('"overlapDuration.s" is not allowed'))
+
+  await request(t.context.serverUrl)
+    .post('/webhooks/whk_UnknownSecretRotation/rotate-secret')
+    .set(authorizationHeaders)
+    .expect(404)
+})
+
+test('fails to redeliver webhook events with invalid parameters', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: ['webhook:edit:all']
+  })
+
+  const { body: error } = await request(t.context.serverUrl)
+    .post('/webhooks/whk_SEIfQps1I3a1gJYz2I3a/logs/redeliver')
+    .set(authorizationHeaders)
+    .send({
+      createdDate: true,
+      status: 'success'
+    })
+    .expect(400)
+
+  t.true(error.message.includes('"createdDate"'))
+  t.true(error.message.includes('"status" must be one of'))
 })
 
 test('fails to update a webhook if missing or invalid parameters', async (t) => {
@@ -531,7 +1409,7 @@ test('fails to update a webhook if missing or invalid parameters', async (t) =>
 
   error = result.body
   t.true(error.message.includes('"name" must be a string'))
-  t.true(error.message.includes('"event" must be a string'))
+  t.true(error.message.includes('"event" must be one of [string, array]'))
   t.true(error.message.includes('"active" must be a boolean'))
   t.true(error.message.includes('"metadata" must be of type object'))
   t.true(error.message.includes('"platformData" must be of type object'))
@@ -3,6 +3,7 @@ require('dotenv').config()
 const test = require('ava')
 const request = require('supertest')
 const _ = require('lodash')
+const ms = require('ms')
 const express = require('express')
 const bodyParser = require('body-parser')
 
@@ -13,8 +14,14 @@ const userServerCallsHeaders = {}
 let userApp
 
 const { apiVersions } = require('../../../src/versions')
+const { getModels } = require('../../../src/models')
+const {
+  getPublisher,
+  getRequester,
+  COMMUNICATION_ID
+} = require('../../../src/communication')
 const { before, beforeEach, after } = require('../../lifecycle')
-const { getAccessTokenHeaders } = require('../../auth')
+const { getAccessTokenHeaders, getApiKey } = require('../../auth')
 const {
   getObjectEvent,
   testEventMetadata,
@@ -28,10 +35,44 @@ const { encodeBase64 } = require('../../../src/util/encoding')
 const getIds = (elements) => elements.map(e => e.id)
 const areSameIds = (ids1, ids2) => _.difference(ids1, ids2).length === 0
 
+// services subscribing to created events: task, webhook, workflow and event stream route
+const nbEventSubscribers = 4
+
+/**
+ * Publishes an event again, as if it were received by another server
+ * @param {Object} params
+ * @param {Object} params.event - as saved in database
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @return {Object} publisher - to close once the event is handled
+ */
+async function publishEventAgain ({ event, platformId, env }) {
+  const publisher = getPublisher({
+    name: 'Test duplicate event publisher',
+    key: 'event',
+    namespace: COMMUNICATION_ID
+  })
+
+  // messages are only received by subscribers that have discovered the publisher
+  const maxWaitingTime = 20000
+  const startTime = Date.now()
+  while (publisher.sock.sock.socks.length < nbEventSubscribers) {
+    if (Date.now() - startTime > maxWaitingTime) throw new Error('Event subscribers not connected')
+    await new Promise(resolve => setTimeout(resolve, 100))
+  }
+
+  publisher.publish('eventCreated', { event, platformId, env })
+  return publisher
+}
+
 let userWebhookUrl
 /* eslint-disable no-template-curly-in-string */
 
 const defaultTestDelay = 8000
+const slowResponseDelay = 3000
+const nbFlakyResponses = 2 // failed responses before the flaky endpoint recovers
+let nbFlakyServiceCalls = 0
+let nbSlowFlakyServiceCalls = 0
 
 const isErrorLog = log => ['preRunError', 'runError'].includes(log.type)
 const isActionLog = log => log.type === 'action'
@@ -57,6 +98,32 @@ test.before(async (t) => {
   userServer.post('/error', function (req, res) {
     res.status(500).json({ message: 'Webhook target server error' })
   })
+  userServer.post(/^\/slow/, function (req, res, next) {
+    setTimeout(next, slowResponseDelay)
+  })
+  userServer.post('/flakyService', function (req, res) {
+    nbFlakyServiceCalls++
+    if (nbFlakyServiceCalls <= nbFlakyResponses) {
+      return res.status(503).json({ message: 'Service temporarily unavailable' })
+    }
+
+    res.json({ ok: true, nbCalls: nbFlakyServiceCalls })
+  })
+  userServer.post('/slowFlakyService', function (req, res) {
+    nbSlowFlakyServiceCalls++
+    if (nbSlowFlakyServiceCalls === 1) {
+      return res.status(503).json({ message: 'Service temporarily unavailable' })
+    }
+
+    res.json({ ok: true, nbCalls: nbSlowFlakyServiceCalls })
+  })
+  userServer.put('/externalService', function (req, res) {
+    if (!Array.isArray(userServerCalls.externalService)) {
+      userServerCalls.externalService = []
+    }
+    userServerCalls.externalService.unshift(req.body)
+    res.json({ updated: true, method: req.method })
+  })
   userServer.post('*', function (req, res) {
     // Filtered workflows logs could also be stored separately
     if (req._stopped) return res.json({ ok: true })
@@ -209,6 +276,122 @@ test('creates and updates a workflow', async (t) => {
   t.is(workflowUpdated.apiVersion, '2019-05-20')
 })
 
+test('saves workflow revisions and rolls back to a previous one', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'workflow:create:all',
+      'workflow:read:all',
+      'workflow:edit:all'
+    ]
+  })
+
+  const initialRun = [{
+    endpointMethod: 'PATCH',
+    endpointUri: '/assets/${asset.id}',
+    endpointPayload: { metadata: { version: 1 } }
+  }]
+
+  const { body: workflow } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Workflow with revisions',
+      event: 'asset__updated',
+      run: initialRun
+    })
+    .expect(200)
+
+  t.is(workflow.revision, 1)
+
+  // no revision if revisioned fields are unchanged
+  const { body: renamedWorkflow } = await request(t.context.serverUrl)
+    .patch(`/workflows/${workflow.id}`)
+    .set(authorizationHeaders)
+    .send({ name: 'Renamed workflow with revisions', run: initialRun })
+    .expect(200)
+
+  t.is(renamedWorkflow.revision, 1)
+
+  const { body: updatedWorkflow } = await request(t.context.serverUrl)
+    .patch(`/workflows/${workflow.id}`)
+    .set(authorizationHeaders)
+    .send({
+      computed: { version: '2' },
+      run: [{
+        endpointMethod: 'PATCH',
+        endpointUri: '/assets/${asset.id}',
+        endpointPayload: { metadata: { version: 'computed.version' } }
+      }]
+    })
+    .expect(200)
+
+  t.is(updatedWorkflow.revision, 2)
+
+  const { body: { results: revisions } } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflow.id}/revisions`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.deepEqual(revisions.map(r => r.revision), [2, 1])
+  t.true(revisions.every(r => r.workflowId === workflow.id))
+  t.true(revisions.every(r => r.authorId === 'usr_QVQfQps1I3a1gJYz2I3a'))
+  t.deepEqual(revisions[1].run, workflow.run)
+  t.is(revisions[1].computed, null)
+  t.deepEqual(revisions[0].computed, { version: '2' })
+
+  const { body: rolledBackWorkflow } = await request(t.context.serverUrl)
+    .post(`/workflows/${workflow.id}/rollback`)
+    .set(authorizationHeaders)
+    .send({ revision: 1 })
+    .expect(200)
+
+  t.is(rolledBackWorkflow.revision, 3)
+  t.is(rolledBackWorkflow.name, 'Renamed workflow with revisions')
+  t.deepEqual(rolledBackWorkflow.run, workflow.run)
+  t.is(rolledBackWorkflow.computed, null)
+
+  const { body: { results: revisionsAfterRollback } } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflow.id}/revisions?order=asc`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.deepEqual(revisionsAfterRollback.map(r => r.revision), [1, 2, 3])
+  t.is(revisionsAfterRollback[2].restoredRevision, 1)
+
+  // logs record the executed revision
+  const { body: dryRun } = await request(t.context.serverUrl)
+    .post(`/workflows/${workflow.id}/test`)
+    .set(authorizationHeaders)
+    .send({
+      event: {
+        type: 'asset__updated',
+        object: { id: 'ast_dmM034s1gi81giDergi8' }
+      }
+    })
+    .expect(200)
+
+  t.is(dryRun.steps[0].metadata.workflowRevision, 3)
+
+  await request(t.context.serverUrl)
+    .post(`/workflows/${workflow.id}/rollback`)
+    .set(authorizationHeaders)
+    .send({ revision: 3 })
+    .expect(422)
+
+  await request(t.context.serverUrl)
+    .post(`/workflows/${workflow.id}/rollback`)
+    .set(authorizationHeaders)
+    .send({ revision: 10 })
+    .expect(404)
+
+  await request(t.context.serverUrl)
+    .post(`/workflows/${workflow.id}/rollback`)
+    .set(authorizationHeaders)
+    .send({ revision: 'invalid' })
+    .expect(400)
+})
+
 test('creates several single-step Stelace workflows', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({
     t,
@@ -1034,520 +1217,486 @@ test('creates multi-step workflow triggered by custom events and calling externa
   t.true(asset.metadata.stelaceGreeting.includes('/docs'))
 })
 
-test('keeps filtered workflow running when handleErrors option is enabled in erroneous step', async (t) => {
+test('calls external endpoints whose host is allowed in private config', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({
     t,
     permissions: [
       'workflow:create:all',
-      'workflow:edit:all',
       'workflow:read:all',
       'workflowLog:list:all',
-      'event:create:all',
-      'asset:read:all'
+      'event:create:all'
     ]
   })
-  const workflowName = 'workflowHandlingErrors'
-  const notifyUrl = userWebhookUrl + workflowName
-  const assetName = 'Workflow Asset - handleErrors enabled'
-  const assetDescription = 'handleErrors test description'
 
-  const { body: workflowHandlingErrors } = await request(t.context.serverUrl)
+  const { body: workflow } = await request(t.context.serverUrl)
     .post('/workflows')
     .set(authorizationHeaders)
     .send({
-      name: workflowName,
-      notifyUrl,
-      event: 'test_handleErrors',
-      computed: {
-        filter: 'true'
-      },
-      run: [{
-        filter: 'computed.filter',
-        name: 'createAsset',
-        endpointMethod: 'POST',
-        endpointUri: '/assets',
-        endpointPayload: {
-          name: 'metadata.assetName',
-          description: 'metadata.assetDescription'
-        }
-      },
-      {
-        name: 'skippedError',
-        skip: 'lastResponses[0].description', // truthy
-        stop: 'lastResponses[0].category', // falsy
-        endpointMethod: 'POST',
-        endpointUri: '/assets',
-        endpointPayload: {
-          invalidBody: true
-        }
-      },
-      {
-        name: 'handledError',
-        handleErrors: true,
-        endpointMethod: 'GET',
-        endpointUri: '/unknown'
-      },
-      {
-        computed: {
-          assetId: 'responses.createAsset.id' // referring to named step response
+      name: 'Workflow calling external service',
+      event: 'external_service_called',
+      context: ['test'],
+      run: [
+        {
+          name: 'externalCall',
+          endpointMethod: 'PUT',
+          endpointUri: userWebhookUrl + 'externalService',
+          endpointHeaders: {
+            'x-api-key': '${env.TEST_ENV_VARIABLE_2}'
+          },
+          endpointPayload: {
+            objectId: 'objectId'
+          },
+          handleErrors: true
         },
-        // Checking that statusCode is available in filters
-        filter: 'statusCode === 404',
-        skip: 'statusCode !== 404',
-        endpointMethod: 'PATCH',
-        endpointUri: '/assets/${responses.createAsset.id}',
-        endpointPayload: {
-          metadata: {
-            patched: true,
-            assetId: 'computed.assetId',
-            handledStatusCode: 'statusCode',
-            // lastResponses ars sorted from last to oldest
-            // skipped step are NOT included, unlike stopping steps or steps with errors
-            // That’s why using named steps (and responses) is preferred.
-            assetName: '_.get(lastResponses, "[1].name")',
-            // expected to be null
-            lastResponse: 'lastResponses[0]'
-          }
+        {
+          name: 'forbiddenHostCall',
+          filter: 'responses.externalCall.updated === true',
+          endpointMethod: 'POST',
+          endpointUri: 'https://forbidden.example.com/hook'
         }
-      }]
+      ]
     })
     .expect(200)
 
-  t.is(workflowHandlingErrors.name, workflowName)
-  t.is(userServerCalls[workflowName], undefined)
-
-  // Trigger workflow
   await request(t.context.serverUrl)
     .post('/events')
-    .set(authorizationHeaders)
+    .set({
+      authorization: `Basic ${encodeBase64('seck_live_iuJzTKo5wumuE1imSjmcgimR:')}`,
+      'x-platform-id': t.context.platformId,
+      'x-stelace-env': t.context.env
+    })
     .send({
-      type: 'test_handleErrors',
-      metadata: { assetName, assetDescription }
+      type: 'external_service_called',
+      objectId: 'ast_externalService'
     })
     .expect(200)
 
   await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
 
-  t.is(userServerCalls[workflowName].length, 1)
+  t.is(userServerCalls.externalService.length, 1)
+  t.deepEqual(userServerCalls.externalService[0], { objectId: 'ast_externalService' })
 
-  const { body: workflowHandlingErrorsAfterRun } = await request(t.context.serverUrl)
-    .get(`/workflows/${workflowHandlingErrors.id}?logs=`)
-    .set(authorizationHeaders)
-    .expect(200)
+  const headersSent = userServerCallsHeaders.externalService[0]
+  t.is(headersSent['x-api-key'], 'Not overwritten')
+  t.is(headersSent['x-webhook-source'], 'stelace')
+  t.is(headersSent['x-stelace-workflow-key'], undefined)
 
-  const { body: { results: workflowLogsHandlingErrorsAfterRun } } = await request(t.context.serverUrl)
-    .get(`/workflow-logs?workflowId=${workflowHandlingErrors.id}`)
+  const { body: { results: logs } } = await request(t.context.serverUrl)
+    .get(`/workflow-logs?workflowId=${workflow.id}`)
     .set(authorizationHeaders)
     .expect(200)
 
-  t.true(areSameIds(getIds(workflowHandlingErrorsAfterRun.logs), getIds(workflowLogsHandlingErrorsAfterRun)))
-
-  const afterRunLogs = workflowHandlingErrorsAfterRun.logs
-  const afterRunErrorLogs = afterRunLogs.filter(isErrorLog)
-  const afterRunActions = afterRunLogs.filter(l => isActionLog(l) || isSkippedLog(l))
-
-  t.is(afterRunErrorLogs.length, 1)
-  t.is(afterRunErrorLogs[0].statusCode, 404)
-  t.is(afterRunErrorLogs[0].step.name, 'handledError')
-  t.is(afterRunActions.length, workflowHandlingErrors.run.length - 1)
-  t.truthy(afterRunLogs.find(l => !isErrorLog(l) && l.step.name === 'skippedError'))
-
-  let lastAction = afterRunActions[0]
-  t.is(lastAction.metadata.endpointMethod, 'PATCH')
-  t.is(lastAction.statusCode, 200)
-  t.deepEqual(lastAction.step, {
-    name: null,
-    handleErrors: false
-  })
+  const actionLog = logs.find(log => log.type === 'action')
+  t.is(actionLog.metadata.endpointMethod, 'PUT')
+  t.is(actionLog.metadata.endpointHeaders['x-api-key'], '[REDACTED]') // secret not saved
 
-  const assetId = lastAction.metadata.endpointPayload.metadata.assetId
-  t.truthy(assetId)
+  // response is exposed to next step filter
+  const errorLog = logs.find(log => log.type === 'preRunError')
+  t.is(errorLog.statusCode, 422)
+  t.true(errorLog.metadata.message.includes('forbidden.example.com'))
+  t.is(errorLog.metadata.endpointUri, 'https://forbidden.example.com/hook')
+})
 
-  // No other Workflow can trigger this one as long as they don’t emit 'test_handleErrors' custom event
-  t.deepEqual(workflowHandlingErrorsAfterRun.stats, {
-    nbTimesRun: 1,
-    nbActionsCompleted: workflowHandlingErrors.run.length - 1, // 1 skipped step
-    nbActions: workflowHandlingErrors.run.length,
-    nbWorkflowNotifications: 1
+test('retries workflow steps failing with transient errors', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'workflow:create:all',
+      'workflow:read:all',
+      'workflowLog:list:all'
+    ]
   })
 
-  const { body: asset } = await request(t.context.serverUrl)
-    .get(`/assets/${assetId}`)
+  const { body: workflow } = await request(t.context.serverUrl)
+    .post('/workflows')
     .set(authorizationHeaders)
+    .send({
+      name: 'Workflow calling flaky service',
+      event: 'flaky_service_called',
+      run: [
+        {
+          name: 'flakyCall',
+          endpointMethod: 'POST',
+          endpointUri: userWebhookUrl + 'flakyService',
+          retry: {
+            maxAttempts: 3,
+            initialDelay: '100ms'
+          }
+        },
+        {
+          filter: 'responses.flakyCall.nbCalls === 3',
+          endpointMethod: 'POST',
+          endpointUri: userWebhookUrl + 'afterFlakyService'
+        }
+      ]
+    })
     .expect(200)
 
-  t.is(asset.metadata.patched, true)
-  t.is(asset.metadata.assetName, assetName)
-  t.is(asset.metadata.handledStatusCode, 404)
-  // Stelace API response
-  t.is(asset.metadata.lastResponse.message, '/unknown does not exist')
-
-  // Setting handleErrors back to false default value must stop the workflow
-  // in first erroneous (and not skipped) step
-  const workflowRunNotHandlingErrors = _.cloneDeep(workflowHandlingErrors.run)
-  workflowRunNotHandlingErrors[2].handleErrors = false
-  workflowRunNotHandlingErrors[2].name = 'unhandledError'
-  await request(t.context.serverUrl)
-    .patch(`/workflows/${workflowHandlingErrors.id}`)
-    .set(authorizationHeaders)
-    .send({ run: workflowRunNotHandlingErrors })
+  t.deepEqual(workflow.run[0].retry, { maxAttempts: 3, initialDelay: '100ms' })
 
-  // Trigger workflow
   await request(t.context.serverUrl)
     .post('/events')
-    .set(authorizationHeaders)
-    .send({
-      type: 'test_handleErrors',
-      metadata: {
-        assetName: `${assetName} - 2`,
-        assetDescription: 'notHandlingErrorsAnymore'
-      }
+    .set({
+      authorization: `Basic ${encodeBase64('seck_live_iuJzTKo5wumuE1imSjmcgimR:')}`,
+      'x-platform-id': t.context.platformId,
+      'x-stelace-env': t.context.env
     })
+    .send({ type: 'flaky_service_called' })
     .expect(200)
 
   await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
 
-  t.is(userServerCalls[workflowName].length, 2)
+  t.is(nbFlakyServiceCalls, 3)
+  t.is(userServerCalls.afterFlakyService.length, 1)
 
-  const { body: workflowNotHandlingErrorsAfterRun } = await request(t.context.serverUrl)
-    .get(`/workflows/${workflowHandlingErrors.id}?logs=`)
+  const { body: { results: logs } } = await request(t.context.serverUrl)
+    .get(`/workflow-logs?workflowId=${workflow.id}`)
     .set(authorizationHeaders)
     .expect(200)
 
-  const { body: { results: workflowLogsNotHandlingErrorsAfterRun } } = await request(t.context.serverUrl)
-    .get(`/workflow-logs?workflowId=${workflowHandlingErrors.id}`)
+  const retryLogs = _.sortBy(logs.filter(log => log.type === 'retry'), 'metadata.attempt')
+  t.is(retryLogs.length, 2)
+  retryLogs.forEach((log, i) => {
+    t.is(log.statusCode, 503)
+    t.is(log.step.name, 'flakyCall')
+    t.is(log.metadata.attempt, i + 1)
+    t.is(log.metadata.retryDelay, 100 * Math.pow(2, i))
+  })
+
+  const flakyCallLog = logs.find(log => log.type === 'action' && log.step.name === 'flakyCall')
+  t.is(flakyCallLog.statusCode, 200)
+  t.is(flakyCallLog.metadata.attempt, 3)
+
+  const { body: workflowAfterRun } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflow.id}?logs=`)
     .set(authorizationHeaders)
     .expect(200)
 
-  t.true(areSameIds(getIds(workflowNotHandlingErrorsAfterRun.logs), getIds(workflowLogsNotHandlingErrorsAfterRun)))
+  // failed attempts are not counted
+  t.deepEqual(workflowAfterRun.stats, {
+    nbTimesRun: 1,
+    nbActions: 2,
+    nbActionsCompleted: 2,
+    nbWorkflowNotifications: 0
+  })
+})
 
-  const notHandlingErrLogs = workflowNotHandlingErrorsAfterRun.logs.filter(
-    l => l.runId !== lastAction.runId
-  )
-  const notHandlingErrErrorLogs = notHandlingErrLogs.filter(isErrorLog)
-  const notHandlingErrActions = notHandlingErrLogs.filter(
-    log => isActionLog(log) || isSkippedLog(log) || isStoppedLog(log)
-  )
-  t.is(notHandlingErrErrorLogs.length, 1)
-  t.is(notHandlingErrErrorLogs[0].statusCode, 404)
-  t.is(notHandlingErrErrorLogs[0].step.name, 'unhandledError')
-
-  lastAction = notHandlingErrActions[0]
-  // last Workflow step (PATCH) is not executed after workflow being interrupted by error
-  t.is(lastAction.metadata.endpointMethod, 'POST')
-  // not logged as an error since erroneous code was skipped
-  t.is(lastAction.step.name, 'skippedError')
-  t.is(lastAction.type, 'skipped')
-})
-
-test('creates workflow and uses related objects', async (t) => {
+test('retries workflow steps failing without response only for connection errors', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({
     t,
     permissions: [
       'workflow:create:all',
-      'workflow:read:all',
-      'workflowLog:list:all',
-      'transaction:read:all',
-      'transaction:edit:all',
-      'transaction:config:all'
+      'workflowLog:list:all'
     ]
   })
-  const workflowName = 'Related objects workflow'
 
-  const { body: workflowRelatedObjects } = await request(t.context.serverUrl)
+  const { body: workflow } = await request(t.context.serverUrl)
     .post('/workflows')
     .set(authorizationHeaders)
     .send({
-      name: workflowName,
-      event: 'transaction__status_changed',
-      computed: {
-        transactionId: 'transaction.id',
-        transactionStatus: 'transaction.status',
-        ownerDisplayName: 'owner.displayName',
-        takerDisplayName: 'taker.displayName',
-      },
-      run: [{
-        filter: 'computed.transactionStatus === "customStatus"',
-        endpointMethod: 'PATCH',
-        endpointUri: '/transactions/${computed.transactionId}',
-        endpointPayload: JSON.stringify({
-          metadata: {
-            ownerDisplayName: 'computed.ownerDisplayName',
-            takerDisplayName: 'computed.takerDisplayName'
+      name: 'Workflow calling unreachable service',
+      event: 'unreachable_service_called',
+      run: [
+        {
+          name: 'unreachableCall',
+          endpointMethod: 'POST',
+          // no server is listening on this port so the connection is refused
+          endpointUri: 'http://localhost:1/unreachableService',
+          retry: {
+            maxAttempts: 2,
+            initialDelay: '100ms'
           }
-        })
-      }]
+        }
+      ]
     })
     .expect(200)
 
-  t.is(workflowRelatedObjects.name, workflowName)
-  t.is(typeof workflowRelatedObjects.run[0].endpointPayload, 'object')
-
-  const transactionId = 'trn_ph6nyKe15hU1hU0Wz5hU'
-
-  // Trigger workflow
-
   await request(t.context.serverUrl)
-    .patch(`/transactions/${transactionId}`)
-    .set(authorizationHeaders)
-    .send({
-      status: 'customStatus'
+    .post('/events')
+    .set({
+      authorization: `Basic ${encodeBase64('seck_live_iuJzTKo5wumuE1imSjmcgimR:')}`,
+      'x-platform-id': t.context.platformId,
+      'x-stelace-env': t.context.env
     })
+    .send({ type: 'unreachable_service_called' })
     .expect(200)
 
   await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
 
-  const { body: workflowRelatedObjectsAfterRun } = await request(t.context.serverUrl)
-    .get(`/workflows/${workflowRelatedObjects.id}?logs=`)
+  const { body: { results: logs } } = await request(t.context.serverUrl)
+    .get(`/workflow-logs?workflowId=${workflow.id}`)
     .set(authorizationHeaders)
     .expect(200)
 
-  const { body: { results: workflowLogsRelatedObjectsAfterRun } } = await request(t.context.serverUrl)
-    .get(`/workflow-logs?workflowId=${workflowRelatedObjects.id}`)
+  const retryLogs = logs.filter(log => log.type === 'retry')
+  t.is(retryLogs.length, 1)
+  t.is(retryLogs[0].metadata.attempt, 1)
+  t.is(retryLogs[0].statusCode, null)
+})
+
+test('runs workflow only once when the same event is received twice', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'workflow:create:all',
+      'workflow:read:all',
+      'workflowLog:list:all'
+    ]
+  })
+
+  const { body: workflow } = await request(t.context.serverUrl)
+    .post('/workflows')
     .set(authorizationHeaders)
+    .send({
+      name: 'Workflow receiving duplicate events',
+      event: 'duplicate_event_received',
+      run: [
+        {
+          endpointMethod: 'POST',
+          endpointUri: userWebhookUrl + 'duplicateEventWorkflow'
+        }
+      ]
+    })
     .expect(200)
 
-  t.true(areSameIds(getIds(workflowRelatedObjectsAfterRun.logs), getIds(workflowLogsRelatedObjectsAfterRun)))
+  const { body: exposedEvent } = await request(t.context.serverUrl)
+    .post('/events')
+    .set({
+      authorization: `Basic ${encodeBase64('seck_live_iuJzTKo5wumuE1imSjmcgimR:')}`,
+      'x-platform-id': t.context.platformId,
+      'x-stelace-env': t.context.env
+    })
+    .send({ type: 'duplicate_event_received' })
+    .expect(200)
 
-  const workflowRelatedObjectsAfterRunErrorLogs = workflowRelatedObjectsAfterRun.logs.filter(isErrorLog)
-  const workflowRelatedObjectsAfterRunActions = workflowRelatedObjectsAfterRun.logs.filter(isActionLog)
+  const { Event } = await getModels({ platformId: t.context.platformId, env: t.context.env })
+  const event = await Event.query().findById(exposedEvent.id)
 
-  t.is(workflowRelatedObjectsAfterRunErrorLogs.length, 0)
-  t.is(workflowRelatedObjectsAfterRunActions.length, workflowRelatedObjects.run.length)
+  const publisher = await publishEventAgain({ event, platformId: t.context.platformId, env: t.context.env })
 
-  const workflowRelatedObjectsLogsCall = workflowRelatedObjectsAfterRunActions[0]
-  t.is(workflowRelatedObjectsLogsCall.metadata.endpointMethod, 'PATCH')
-  t.is(workflowRelatedObjectsLogsCall.metadata.endpointUri, `/transactions/${transactionId}`)
-  t.truthy(workflowRelatedObjectsLogsCall.metadata.endpointPayload.metadata.ownerDisplayName)
-  t.truthy(workflowRelatedObjectsLogsCall.metadata.endpointPayload.metadata.takerDisplayName)
+  try {
+    await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+  } finally {
+    publisher.close()
+  }
 
-  // No other Workflow can trigger this one as long as they don’t emit 'transaction__status_changed' custom event
-  t.deepEqual(workflowRelatedObjectsAfterRun.stats, {
-    nbTimesRun: 1,
-    nbActionsCompleted: workflowRelatedObjects.run.length,
-    nbActions: workflowRelatedObjects.run.length,
-    nbWorkflowNotifications: 0
-  })
+  t.is(userServerCalls.duplicateEventWorkflow.length, 1)
 
-  const { body: transaction } = await request(t.context.serverUrl)
-    .get(`/transactions/${transactionId}`)
+  const { body: { results: logs } } = await request(t.context.serverUrl)
+    .get(`/workflow-logs?workflowId=${workflow.id}`)
     .set(authorizationHeaders)
     .expect(200)
 
-  t.truthy(transaction.metadata.ownerDisplayName)
-  t.truthy(transaction.metadata.takerDisplayName)
+  t.is(logs.length, 2)
+  t.true(logs.every(log => log.eventId === event.id))
+
+  const actionLog = logs.find(log => log.type === 'action')
+  t.truthy(actionLog)
+
+  const skippedLog = logs.find(log => log.type === 'skipped')
+  t.is(skippedLog.metadata.reason, 'duplicateRun')
+  t.truthy(skippedLog.metadata.claimedRunId)
+
+  const { body: workflowAfterRun } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflow.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  // duplicate runs are not counted
+  t.is(workflowAfterRun.stats.nbTimesRun, 1)
 })
 
-test('accepts nested arrays of literals as endpoint payload parameters', async (t) => {
+test('runs workflow only once when run for an event it is listening to', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({
     t,
     permissions: [
-      'workflow:read:all',
       'workflow:create:all',
-      'workflowLog:list:all',
+      'workflowLog:list:all'
     ]
   })
-  const workflowName = 'Workflow test array'
-  const username = `user${_.uniqueId()}@example.com`
-  const customAttributeId = 'attr_SWtQps1I3a1gJYz2I3a'
 
-  const { body: workflowTestArray } = await request(t.context.serverUrl)
+  const platformId = t.context.platformId
+  const env = t.context.env
+
+  const { body: workflow } = await request(t.context.serverUrl)
     .post('/workflows')
     .set(authorizationHeaders)
     .send({
-      name: workflowName,
-      notifyUrl: userWebhookUrl + 'workflowTestArray',
-      event: 'user__created',
-      computed: {
-        isCurrentTest: `_.get(user, "metadata.workflowName") === '${workflowName}'`
-      },
-      run: {
-        filter: 'computed.isCurrentTest',
-        endpointMethod: 'PATCH',
-        computed: {
-          customAttributeId: '_.get(user, "metadata.customAttributeId")',
-          test: '"computed".split(\'\').join(\'\')'
-        },
-        endpointUri: '/custom-attributes/${computed.customAttributeId}',
-        endpointPayload: JSON.stringify({ // simulate real API call (string JSON only)
-          listValues: ['"Toyota"', '"Chevrolet"'], // In array literal, strings need nested quotes to avoid being evaluated as JS
-          metadata: {
-            quotedArray: '["unique", "quotes"]', // Cleaner way to pass array of strings than nesting quotes
-            computedArray: ['computed.test'], // computed gets evaluated (no nested quotes)
-            computedArray2: '[computed.test]', // Same
-            nestedArray: [['"inception"'], '"test"', 'computed.test', 1, { object: true }] // literals are accepted too
-            // note that string must be double-quoted to avoid being evaluated as JS like 'computed.test'
-          }
-        })
-      }
+      name: 'Workflow run concurrently for the same event',
+      event: 'concurrent_workflow_run_requested',
+      run: [
+        {
+          endpointMethod: 'POST',
+          endpointUri: userWebhookUrl + 'concurrentWorkflowRun'
+        }
+      ]
     })
     .expect(200)
 
-  t.is(workflowTestArray.name, workflowName)
-  t.is(typeof workflowTestArray.run[0].endpointPayload, 'object')
-  t.is(userServerCalls.workflowTestArray, undefined)
-
-  // Trigger workflow
+  const workflowRequester = getRequester({
+    name: 'Test workflow requester',
+    key: 'workflow'
+  })
 
-  await request(t.context.serverUrl)
-    .post('/users')
-    .set({
-      authorization: `Basic ${encodeBase64('seck_live_iuJzTKo5wumuE1imSjmcgimR:')}`,
-      'x-platform-id': t.context.platformId,
-      'x-stelace-env': t.context.env
-    })
-    .send({
-      username,
-      password: username,
-      metadata: { workflowName, customAttributeId }
+  try {
+    // ensures the requester is connected so the run is requested while the event is handled
+    await t.throwsAsync(workflowRequester.send({
+      type: '_runForEvent',
+      platformId,
+      env,
+      workflowId: 'wfw_unknownWorkflow',
+      eventId: 'evt_unknownEvent'
+    }))
+
+    const { body: event } = await request(t.context.serverUrl)
+      .post('/events')
+      .set({
+        authorization: `Basic ${encodeBase64('seck_live_iuJzTKo5wumuE1imSjmcgimR:')}`,
+        'x-platform-id': platformId,
+        'x-stelace-env': env
+      })
+      .send({ type: 'concurrent_workflow_run_requested' })
+      .expect(200)
+
+    // races with the workflow service handling the created event
+    const result = await workflowRequester.send({
+      type: '_runForEvent',
+      platformId,
+      env,
+      workflowId: workflow.id,
+      eventId: event.id
     })
-    .expect(200)
-
-  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
-
-  t.is(userServerCalls.workflowTestArray.length, 1)
 
-  const { body: workflowTestArrayAfterRun } = await request(t.context.serverUrl)
-    .get(`/workflows/${workflowTestArray.id}?logs=`)
-    .set(authorizationHeaders)
-    .expect(200)
+    await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
 
-  const { body: { results: workflowLogsTestArrayAfterRun } } = await request(t.context.serverUrl)
-    .get(`/workflow-logs?workflowId=${workflowTestArray.id}`)
-    .set(authorizationHeaders)
-    .expect(200)
+    t.is(userServerCalls.concurrentWorkflowRun.length, 1)
 
-  t.true(areSameIds(getIds(workflowTestArrayAfterRun.logs), getIds(workflowLogsTestArrayAfterRun)))
+    const { body: { results: logs } } = await request(t.context.serverUrl)
+      .get(`/workflow-logs?workflowId=${workflow.id}`)
+      .set(authorizationHeaders)
+      .expect(200)
 
-  const workflowTestArrayAfterRunErrorLogs = workflowTestArrayAfterRun.logs.filter(isErrorLog)
-  const workflowTestArrayAfterRunActions = workflowTestArrayAfterRun.logs.filter(isActionLog)
+    t.is(logs.filter(log => log.type === 'action').length, 1)
 
-  t.is(workflowTestArrayAfterRunErrorLogs.length, 0)
-  t.is(workflowTestArrayAfterRunActions.length, 1)
-  const workflowTestArrayLogsCall = workflowTestArrayAfterRunActions[0]
-  t.is(workflowTestArrayLogsCall.metadata.endpointMethod, 'PATCH')
-  t.is(workflowTestArrayLogsCall.metadata.endpointUri, `/custom-attributes/${customAttributeId}`)
-  t.deepEqual(workflowTestArrayLogsCall.metadata.endpointPayload.listValues, ['Toyota', 'Chevrolet'])
-  t.deepEqual(workflowTestArrayLogsCall.metadata.endpointPayload.metadata.quotedArray, ['unique', 'quotes'])
-  t.deepEqual(workflowTestArrayLogsCall.metadata.endpointPayload.metadata.computedArray, ['computed'])
-  t.deepEqual(workflowTestArrayLogsCall.metadata.endpointPayload.metadata.computedArray2, ['computed'])
-  t.deepEqual(workflowTestArrayLogsCall.metadata.endpointPayload.metadata.nestedArray, [
-    ['inception'],
-    'test',
-    'computed',
-    1,
-    { object: true }
-  ])
-  const stats = workflowTestArrayAfterRun.stats
-  t.is(stats.nbActionsCompleted, 1)
-  t.is(stats.nbTimesRun, stats.nbWorkflowNotifications)
-  t.true(stats.nbTimesRun >= 1)
+    // the run triggered by the event is skipped if the requested run is started first
+    const skippedLogs = logs.filter(log => log.type === 'skipped')
+    if (result.outcome) {
+      t.is(skippedLogs.length, 1)
+      t.is(skippedLogs[0].metadata.reason, 'duplicateRun')
+    } else {
+      t.is(skippedLogs.length, 0)
+    }
+  } finally {
+    workflowRequester.close()
+  }
 })
 
-test('accepts nested object as endpoint payload parameters', async (t) => {
+test('runs workflow step for each item of an array', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({
     t,
     permissions: [
-      'workflow:read:all',
       'workflow:create:all',
-      'workflowLog:list:all',
+      'workflow:edit:all',
+      'workflowLog:list:all'
     ]
   })
-  const workflowName = 'Workflow test nested object'
 
-  const { body: workflowTestNestedObject } = await request(t.context.serverUrl)
+  const { body: workflow } = await request(t.context.serverUrl)
     .post('/workflows')
     .set(authorizationHeaders)
     .send({
-      name: workflowName,
-      notifyUrl: userWebhookUrl + 'workflowTestNestedObject',
-      event: 'asset_type__created',
-      run: {
-        endpointMethod: 'PATCH',
-        computed: {
-          assetTypeId: 'assetType.id'
+      name: 'Workflow iterating over order lines',
+      event: 'order_lines_created',
+      run: [
+        {
+          name: 'lines',
+          forEach: 'metadata.lines',
+          concurrency: 2,
+          endpointMethod: 'POST',
+          endpointUri: userWebhookUrl + 'forEachLine',
+          endpointPayload: {
+            assetId: 'item.assetId',
+            quantity: 'item.quantity',
+            position: 'index'
+          }
         },
-        endpointUri: '/asset-types/${computed.assetTypeId}',
-        endpointPayload: JSON.stringify({
-          metadata: {
-            nestedParent: {
-              nestedChild: {
-                test: true
-              }
-            }
+        {
+          name: 'noLines',
+          forEach: '[]',
+          endpointMethod: 'POST',
+          endpointUri: userWebhookUrl + 'forEachNoLine'
+        },
+        {
+          filter: 'responses.lines.length === 3 && responses.lines.every(res => res.ok)',
+          endpointMethod: 'POST',
+          endpointUri: userWebhookUrl + 'afterForEachLines',
+          endpointPayload: {
+            nbLines: 'lastResponses[0].length' // skipped steps have no response
           }
-        })
-      }
+        }
+      ]
     })
     .expect(200)
 
-  t.is(workflowTestNestedObject.name, workflowName)
-  t.is(typeof workflowTestNestedObject.run[0].endpointPayload, 'object')
-  t.is(userServerCalls.workflowTestNestedObject, undefined)
-
-  // Trigger workflow
+  const lines = [
+    { assetId: 'ast_0TYM7rs1OwP1gQRuCOwP', quantity: 1 },
+    { assetId: 'ast_dmM034s1gi81giDergi8', quantity: 2 },
+    { assetId: 'ast_lCfxJNs10rP1g2Mww0rP', quantity: 3 }
+  ]
 
-  const { body: assetType } = await request(t.context.serverUrl)
-    .post('/asset-types')
+  await request(t.context.serverUrl)
+    .post('/events')
     .set({
       authorization: `Basic ${encodeBase64('seck_live_iuJzTKo5wumuE1imSjmcgimR:')}`,
       'x-platform-id': t.context.platformId,
       'x-stelace-env': t.context.env
     })
     .send({
-      name: 'Created Asset Type triggering Workflow',
-      timeBased: true,
-      infiniteStock: false,
-      metadata: { workflowName }
+      type: 'order_lines_created',
+      metadata: { lines }
     })
     .expect(200)
 
   await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
 
-  t.is(userServerCalls.workflowTestNestedObject.length, 1)
+  t.is(userServerCalls.forEachLine.length, 3)
+  t.deepEqual(
+    _.sortBy(userServerCalls.forEachLine, 'position'),
+    lines.map((line, index) => Object.assign({ position: index }, line))
+  )
+  t.is(userServerCalls.forEachNoLine, undefined)
+  t.deepEqual(userServerCalls.afterForEachLines, [{ nbLines: 3 }])
 
-  const { body: workflowTestNestedObjectAfterRun } = await request(t.context.serverUrl)
-    .get(`/workflows/${workflowTestNestedObject.id}?logs=`)
+  const { body: { results: logs } } = await request(t.context.serverUrl)
+    .get(`/workflow-logs?workflowId=${workflow.id}`)
     .set(authorizationHeaders)
     .expect(200)
 
-  const { body: { results: workflowLogsTestNestedObjectAfterRun } } = await request(t.context.serverUrl)
-    .get(`/workflow-logs?workflowId=${workflowTestNestedObject.id}`)
-    .set(authorizationHeaders)
-    .expect(200)
-
-  t.true(areSameIds(getIds(workflowTestNestedObjectAfterRun.logs), getIds(workflowLogsTestNestedObjectAfterRun)))
+  const linesLogs = logs.filter(log => log.step.name === 'lines')
+  t.is(linesLogs.length, 3)
+  t.true(linesLogs.every(log => log.type === 'action'))
+  t.deepEqual(_.map(linesLogs, 'metadata.forEachIndex').sort(), [0, 1, 2])
+  t.is(_.uniq(_.map(logs, 'eventId')).length, 1) // same run
 
-  const workflowTestNestedObjectAfterRunErrorLogs = workflowTestNestedObjectAfterRun.logs.filter(isErrorLog)
-  const workflowTestNestedObjectAfterRunActions = workflowTestNestedObjectAfterRun.logs.filter(isActionLog)
+  t.is(logs.find(log => log.step.name === 'noLines').type, 'skipped')
 
-  t.is(workflowTestNestedObjectAfterRunErrorLogs.length, 0)
-  t.is(workflowTestNestedObjectAfterRunActions.length, 1)
-  const workflowTestNestedObjectLogsCall = workflowTestNestedObjectAfterRunActions[0]
-  t.is(workflowTestNestedObjectLogsCall.metadata.endpointMethod, 'PATCH')
-  t.is(workflowTestNestedObjectLogsCall.metadata.endpointUri, `/asset-types/${assetType.id}`)
-  t.deepEqual(workflowTestNestedObjectLogsCall.metadata.endpointPayload.metadata, {
-    nestedParent: {
-      nestedChild: {
-        test: true
+  // forEach expression must return an array
+  const { body: { steps } } = await request(t.context.serverUrl)
+    .post(`/workflows/${workflow.id}/test`)
+    .set(authorizationHeaders)
+    .send({
+      event: {
+        type: 'order_lines_created',
+        metadata: { lines: 'invalid' }
       }
-    }
-  })
-  const stats = workflowTestNestedObjectAfterRun.stats
-  t.is(stats.nbActionsCompleted, 1)
-  t.is(stats.nbTimesRun, stats.nbWorkflowNotifications)
-  t.true(stats.nbTimesRun >= 1)
-})
+    })
+    .expect(200)
 
-/*
-Testing asset__updated ==> Workflow A (logs x1 state to update from x0 state with no logs)
-==> Some action & PATCH (update) same asset
-==> Workflow A running again (logs x2 to add, should add to x1 logs but can add to x0 state with race condition
-    in particular if Workflow A has several steps_)
+  t.is(steps[0].type, 'preRunError')
+  t.true(steps[0].metadata.message.includes('forEach expression must return an array'))
+})
 
-These tests of logs urged to create a new workflowLog table handling concurrency.
-*/
-test('handles filters and logs errors properly when executing Stelace Workflow', async (t) => {
+test('keeps filtered workflow running when handleErrors option is enabled in erroneous step', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({
     t,
     permissions: [
@@ -1555,477 +1704,1850 @@ test('handles filters and logs errors properly when executing Stelace Workflow',
       'workflow:edit:all',
       'workflow:read:all',
       'workflowLog:list:all',
-      'user:read:all',
-      'user:edit:all'
-    ],
-    readNamespaces: ['private']
+      'event:create:all',
+      'asset:read:all'
+    ]
   })
-  const workflowName = 'User Updated Workflow'
-  const userId = 'usr_Y0tfQps1I3a1gJYz2I3a'
-  const newUsername = 'Workflow Test User (user)'
+  const workflowName = 'workflowHandlingErrors'
+  const notifyUrl = userWebhookUrl + workflowName
+  const assetName = 'Workflow Asset - handleErrors enabled'
+  const assetDescription = 'handleErrors test description'
 
-  const { body: workflow } = await request(t.context.serverUrl)
+  const { body: workflowHandlingErrors } = await request(t.context.serverUrl)
     .post('/workflows')
     .set(authorizationHeaders)
     .send({
       name: workflowName,
-      event: 'user__updated',
+      notifyUrl,
+      event: 'test_handleErrors',
       computed: {
-        isCurrentTest: `_.get(changesRequested, "metadata.workflowName") === '${workflowName}'`,
-        hasSalesCallDate: '_.get(user, "metadata.salesCallDate")' // falsy since no salesCallDate is set yet
+        filter: 'true'
       },
       run: [{
-        filter: 'computed.isCurrentTest && !computed.hasSalesCallDate',
-        // handleErrors: false, // default, changed below to check we can reach step 2 despite error
-        endpointMethod: 'PATCH',
-        endpointUri: '/users/${user.id}',
-        computed: {
-          workflowSelfUpdate: '!!_.get(changesRequested, "metadata.salesCallDate")'
-        },
+        filter: 'computed.filter',
+        name: 'createAsset',
+        endpointMethod: 'POST',
+        endpointUri: '/assets',
         endpointPayload: {
-          invalidAttribute: true, // will trigger 400 error
-          metadata: {
-            salesCallDate: 'new Date(new Date().getTime() + (72 * 60 * 60 * 1000)).toISOString()'
-          }
+          name: 'metadata.assetName',
+          description: 'metadata.assetDescription'
         }
       },
       {
+        name: 'skippedError',
+        skip: 'lastResponses[0].description', // truthy
+        stop: 'lastResponses[0].category', // falsy
         endpointMethod: 'POST',
         endpointUri: '/assets',
         endpointPayload: {
-          name: '`${user.username || "user"}’s asset`',
-          assetTypeId: 'typ_MWNfQps1I3a1gJYz2I3a', // syntax error, missing quotes
-          ownerId: 'user.id'
+          invalidBody: true
+        }
+      },
+      {
+        name: 'handledError',
+        handleErrors: true,
+        endpointMethod: 'GET',
+        endpointUri: '/unknown'
+      },
+      {
+        computed: {
+          assetId: 'responses.createAsset.id' // referring to named step response
         },
-        // dummy truthy value
-        filter: 'true'
+        // Checking that statusCode is available in filters
+        filter: 'statusCode === 404',
+        skip: 'statusCode !== 404',
+        endpointMethod: 'PATCH',
+        endpointUri: '/assets/${responses.createAsset.id}',
+        endpointPayload: {
+          metadata: {
+            patched: true,
+            assetId: 'computed.assetId',
+            handledStatusCode: 'statusCode',
+            // lastResponses ars sorted from last to oldest
+            // skipped step are NOT included, unlike stopping steps or steps with errors
+            // That’s why using named steps (and responses) is preferred.
+            assetName: '_.get(lastResponses, "[1].name")',
+            // expected to be null
+            lastResponse: 'lastResponses[0]'
+          }
+        }
       }]
     })
     .expect(200)
 
-  // Trigger Workflow
+  t.is(workflowHandlingErrors.name, workflowName)
+  t.is(userServerCalls[workflowName], undefined)
+
+  // Trigger workflow
   await request(t.context.serverUrl)
-    .patch(`/users/${userId}`)
+    .post('/events')
     .set(authorizationHeaders)
     .send({
-      username: newUsername,
-      metadata: { workflowName }
+      type: 'test_handleErrors',
+      metadata: { assetName, assetDescription }
     })
     .expect(200)
 
   await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
 
-  const { body: userAfterStepsErrors } = await request(t.context.serverUrl)
-    .get(`/users/${userId}`)
+  t.is(userServerCalls[workflowName].length, 1)
+
+  const { body: workflowHandlingErrorsAfterRun } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflowHandlingErrors.id}?logs=`)
     .set(authorizationHeaders)
     .expect(200)
 
-  t.is(userAfterStepsErrors.username, newUsername)
-  t.deepEqual(Object.values(userAfterStepsErrors.metadata), [workflowName])
+  const { body: { results: workflowLogsHandlingErrorsAfterRun } } = await request(t.context.serverUrl)
+    .get(`/workflow-logs?workflowId=${workflowHandlingErrors.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
 
-  const { body: workflowAfterStepsErrors } = await request(t.context.serverUrl)
-    .get(`/workflows/${workflow.id}?logs=`)
+  t.true(areSameIds(getIds(workflowHandlingErrorsAfterRun.logs), getIds(workflowLogsHandlingErrorsAfterRun)))
+
+  const afterRunLogs = workflowHandlingErrorsAfterRun.logs
+  const afterRunErrorLogs = afterRunLogs.filter(isErrorLog)
+  const afterRunActions = afterRunLogs.filter(l => isActionLog(l) || isSkippedLog(l))
+
+  t.is(afterRunErrorLogs.length, 1)
+  t.is(afterRunErrorLogs[0].statusCode, 404)
+  t.is(afterRunErrorLogs[0].step.name, 'handledError')
+  t.is(afterRunActions.length, workflowHandlingErrors.run.length - 1)
+  t.truthy(afterRunLogs.find(l => !isErrorLog(l) && l.step.name === 'skippedError'))
+
+  let lastAction = afterRunActions[0]
+  t.is(lastAction.metadata.endpointMethod, 'PATCH')
+  t.is(lastAction.statusCode, 200)
+  t.deepEqual(lastAction.step, {
+    name: null,
+    handleErrors: false
+  })
+
+  const assetId = lastAction.metadata.endpointPayload.metadata.assetId
+  t.truthy(assetId)
+
+  // No other Workflow can trigger this one as long as they don’t emit 'test_handleErrors' custom event
+  t.deepEqual(workflowHandlingErrorsAfterRun.stats, {
+    nbTimesRun: 1,
+    nbActionsCompleted: workflowHandlingErrors.run.length - 1, // 1 skipped step
+    nbActions: workflowHandlingErrors.run.length,
+    nbWorkflowNotifications: 1
+  })
+
+  const { body: asset } = await request(t.context.serverUrl)
+    .get(`/assets/${assetId}`)
     .set(authorizationHeaders)
     .expect(200)
 
-  const { body: { results: workflowLogsAfterStepsErrors } } = await request(t.context.serverUrl)
-    .get(`/workflow-logs?workflowId=${workflow.id}`)
+  t.is(asset.metadata.patched, true)
+  t.is(asset.metadata.assetName, assetName)
+  t.is(asset.metadata.handledStatusCode, 404)
+  // Stelace API response
+  t.is(asset.metadata.lastResponse.message, '/unknown does not exist')
+
+  // Setting handleErrors back to false default value must stop the workflow
+  // in first erroneous (and not skipped) step
+  const workflowRunNotHandlingErrors = _.cloneDeep(workflowHandlingErrors.run)
+  workflowRunNotHandlingErrors[2].handleErrors = false
+  workflowRunNotHandlingErrors[2].name = 'unhandledError'
+  await request(t.context.serverUrl)
+    .patch(`/workflows/${workflowHandlingErrors.id}`)
+    .set(authorizationHeaders)
+    .send({ run: workflowRunNotHandlingErrors })
+
+  // Trigger workflow
+  await request(t.context.serverUrl)
+    .post('/events')
     .set(authorizationHeaders)
+    .send({
+      type: 'test_handleErrors',
+      metadata: {
+        assetName: `${assetName} - 2`,
+        assetDescription: 'notHandlingErrorsAnymore'
+      }
+    })
     .expect(200)
 
-  t.true(areSameIds(getIds(workflowAfterStepsErrors.logs), getIds(workflowLogsAfterStepsErrors)))
+  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
 
-  // Exclude any log due to workflow events from concurrent tests
-  const afterStepsErrorsLogs = workflowAfterStepsErrors.logs.filter(
-    log => log.metadata.eventObjectId === userId
-  )
-  // Workflow got stopped after step 1 error as expected (handleErrors defaults to false)
-  t.is(afterStepsErrorsLogs.length, 1)
+  t.is(userServerCalls[workflowName].length, 2)
 
-  let lastErrorLog = afterStepsErrorsLogs[0]
-  const AfterStepsErrorsRunId = afterStepsErrorsLogs[0].runId
-  t.truthy(typeof AfterStepsErrorsRunId, 'string')
-  t.is(AfterStepsErrorsRunId.length, 36)
-  t.is(lastErrorLog.type, 'runError')
-  t.is(lastErrorLog.statusCode, 400)
-  t.is(lastErrorLog.metadata.endpointMethod, 'PATCH')
+  const { body: workflowNotHandlingErrorsAfterRun } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflowHandlingErrors.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
 
-  // These are automatically populated after error
-  t.regex(lastErrorLog.metadata.statusCodeName, /Bad Request/i)
-  t.regex(lastErrorLog.metadata.message, /invalidattribute/i)
+  const { body: { results: workflowLogsNotHandlingErrorsAfterRun } } = await request(t.context.serverUrl)
+    .get(`/workflow-logs?workflowId=${workflowHandlingErrors.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
 
-  t.is(lastErrorLog.metadata.eventObjectId, userId)
-  t.is(Object.keys(lastErrorLog.metadata.endpointPayload).length, 2)
-  t.true(lastErrorLog.metadata.endpointPayload.invalidAttribute)
+  t.true(areSameIds(getIds(workflowNotHandlingErrorsAfterRun.logs), getIds(workflowLogsNotHandlingErrorsAfterRun)))
 
-  const workflowAfterStepsErrorsLogs = afterStepsErrorsLogs.filter(log => log.type === 'runError')
-  // no successful action
-  t.is(workflowAfterStepsErrorsLogs.length, afterStepsErrorsLogs.length)
+  const notHandlingErrLogs = workflowNotHandlingErrorsAfterRun.logs.filter(
+    l => l.runId !== lastAction.runId
+  )
+  const notHandlingErrErrorLogs = notHandlingErrLogs.filter(isErrorLog)
+  const notHandlingErrActions = notHandlingErrLogs.filter(
+    log => isActionLog(log) || isSkippedLog(log) || isStoppedLog(log)
+  )
+  t.is(notHandlingErrErrorLogs.length, 1)
+  t.is(notHandlingErrErrorLogs[0].statusCode, 404)
+  t.is(notHandlingErrErrorLogs[0].step.name, 'unhandledError')
 
-  t.is(workflowAfterStepsErrors.stats.nbActionsCompleted, 0)
-  // Workflow events from concurrent tests can trigger this workflow
-  t.true(workflowAfterStepsErrors.stats.nbTimesRun >= 1)
+  lastAction = notHandlingErrActions[0]
+  // last Workflow step (PATCH) is not executed after workflow being interrupted by error
+  t.is(lastAction.metadata.endpointMethod, 'POST')
+  // not logged as an error since erroneous code was skipped
+  t.is(lastAction.step.name, 'skippedError')
+  t.is(lastAction.type, 'skipped')
+})
 
-  // Setting handleErrors to true to execute first step despite error and move to second
+test('runs workflows triggered by the same event concurrently in isolated sandboxes', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'workflow:create:all',
+      'workflowLog:list:all',
+      'event:create:all',
+      'asset:read:all'
+    ]
+  })
+
+  const assetId = 'ast_dmM034s1gi81giDergi8'
+  const eventType = 'concurrent_workflows_event'
+
+  const { body: asset } = await request(t.context.serverUrl)
+    .get(`/assets/${assetId}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  const { body: alteringWorkflow } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Workflow altering its context',
+      event: eventType,
+      computed: {
+        // overwriting globals must not impact other workflows
+        altered: '(object.name = "Altered name") && (env = { altered: true }) && true'
+      },
+      run: [{
+        endpointMethod: 'POST',
+        endpointUri: `${userWebhookUrl}slowAlteringWorkflow`,
+        endpointPayload: {
+          objectName: 'object.name'
+        }
+      }]
+    })
+    .expect(200)
+
+  const { body: isolatedWorkflow } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Isolated workflow',
+      event: eventType,
+      run: [{
+        endpointMethod: 'POST',
+        endpointUri: `${userWebhookUrl}slowIsolatedWorkflow`,
+        endpointPayload: {
+          objectName: 'object.name',
+          altered: '_.get(env, "altered", false)'
+        }
+      }]
+    })
+    .expect(200)
+
+  await request(t.context.serverUrl)
+    .post('/events')
+    .set(authorizationHeaders)
+    .send({
+      type: eventType,
+      objectId: assetId
+    })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+
+  t.is(userServerCalls.slowAlteringWorkflow[0].objectName, 'Altered name')
+  t.is(userServerCalls.slowIsolatedWorkflow[0].objectName, asset.name)
+  t.false(userServerCalls.slowIsolatedWorkflow[0].altered)
+
+  const { body: { results: logs } } = await request(t.context.serverUrl)
+    .get(`/workflow-logs?workflowId[]=${alteringWorkflow.id}&workflowId[]=${isolatedWorkflow.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  const actionLogs = logs.filter(isActionLog)
+  t.is(actionLogs.length, 2)
+
+  // each workflow waits for a slow response, that would take twice as long if run serially
+  const logsDatesDiff = Math.abs(new Date(actionLogs[0].createdDate) - new Date(actionLogs[1].createdDate))
+  t.true(logsDatesDiff < slowResponseDelay)
+})
+
+test('creates workflow and uses related objects', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'workflow:create:all',
+      'workflow:read:all',
+      'workflowLog:list:all',
+      'transaction:read:all',
+      'transaction:edit:all',
+      'transaction:config:all'
+    ]
+  })
+  const workflowName = 'Related objects workflow'
+
+  const { body: workflowRelatedObjects } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: workflowName,
+      event: 'transaction__status_changed',
+      computed: {
+        transactionId: 'transaction.id',
+        transactionStatus: 'transaction.status',
+        ownerDisplayName: 'owner.displayName',
+        takerDisplayName: 'taker.displayName',
+      },
+      run: [{
+        filter: 'computed.transactionStatus === "customStatus"',
+        endpointMethod: 'PATCH',
+        endpointUri: '/transactions/${computed.transactionId}',
+        endpointPayload: JSON.stringify({
+          metadata: {
+            ownerDisplayName: 'computed.ownerDisplayName',
+            takerDisplayName: 'computed.takerDisplayName'
+          }
+        })
+      }]
+    })
+    .expect(200)
+
+  t.is(workflowRelatedObjects.name, workflowName)
+  t.is(typeof workflowRelatedObjects.run[0].endpointPayload, 'object')
+
+  const transactionId = 'trn_ph6nyKe15hU1hU0Wz5hU'
+
+  // Trigger workflow
+
+  await request(t.context.serverUrl)
+    .patch(`/transactions/${transactionId}`)
+    .set(authorizationHeaders)
+    .send({
+      status: 'customStatus'
+    })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+
+  const { body: workflowRelatedObjectsAfterRun } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflowRelatedObjects.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  const { body: { results: workflowLogsRelatedObjectsAfterRun } } = await request(t.context.serverUrl)
+    .get(`/workflow-logs?workflowId=${workflowRelatedObjects.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.true(areSameIds(getIds(workflowRelatedObjectsAfterRun.logs), getIds(workflowLogsRelatedObjectsAfterRun)))
+
+  const workflowRelatedObjectsAfterRunErrorLogs = workflowRelatedObjectsAfterRun.logs.filter(isErrorLog)
+  const workflowRelatedObjectsAfterRunActions = workflowRelatedObjectsAfterRun.logs.filter(isActionLog)
+
+  t.is(workflowRelatedObjectsAfterRunErrorLogs.length, 0)
+  t.is(workflowRelatedObjectsAfterRunActions.length, workflowRelatedObjects.run.length)
+
+  const workflowRelatedObjectsLogsCall = workflowRelatedObjectsAfterRunActions[0]
+  t.is(workflowRelatedObjectsLogsCall.metadata.endpointMethod, 'PATCH')
+  t.is(workflowRelatedObjectsLogsCall.metadata.endpointUri, `/transactions/${transactionId}`)
+  t.truthy(workflowRelatedObjectsLogsCall.metadata.endpointPayload.metadata.ownerDisplayName)
+  t.truthy(workflowRelatedObjectsLogsCall.metadata.endpointPayload.metadata.takerDisplayName)
+
+  // No other Workflow can trigger this one as long as they don’t emit 'transaction__status_changed' custom event
+  t.deepEqual(workflowRelatedObjectsAfterRun.stats, {
+    nbTimesRun: 1,
+    nbActionsCompleted: workflowRelatedObjects.run.length,
+    nbActions: workflowRelatedObjects.run.length,
+    nbWorkflowNotifications: 0
+  })
+
+  const { body: transaction } = await request(t.context.serverUrl)
+    .get(`/transactions/${transactionId}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.truthy(transaction.metadata.ownerDisplayName)
+  t.truthy(transaction.metadata.takerDisplayName)
+})
+
+test('accepts nested arrays of literals as endpoint payload parameters', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'workflow:read:all',
+      'workflow:create:all',
+      'workflowLog:list:all',
+    ]
+  })
+  const workflowName = 'Workflow test array'
+  const username = `user${_.uniqueId()}@example.com`
+  const customAttributeId = 'attr_SWtQps1I3a1gJYz2I3a'
+
+  const { body: workflowTestArray } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: workflowName,
+      notifyUrl: userWebhookUrl + 'workflowTestArray',
+      event: 'user__created',
+      computed: {
+        isCurrentTest: `_.get(user, "metadata.workflowName") === '${workflowName}'`
+      },
+      run: {
+        filter: 'computed.isCurrentTest',
+        endpointMethod: 'PATCH',
+        computed: {
+          customAttributeId: '_.get(user, "metadata.customAttributeId")',
+          test: '"computed".split(\'\').join(\'\')'
+        },
+        endpointUri: '/custom-attributes/${computed.customAttributeId}',
+        endpointPayload: JSON.stringify({ // simulate real API call (string JSON only)
+          listValues: ['"Toyota"', '"Chevrolet"'], // In array literal, strings need nested quotes to avoid being evaluated as JS
+          metadata: {
+            quotedArray: '["unique", "quotes"]', // Cleaner way to pass array of strings than nesting quotes
+            computedArray: ['computed.test'], // computed gets evaluated (no nested quotes)
+            computedArray2: '[computed.test]', // Same
+            nestedArray: [['"inception"'], '"test"', 'computed.test', 1, { object: true }] // literals are accepted too
+            // note that string must be double-quoted to avoid being evaluated as JS like 'computed.test'
+          }
+        })
+      }
+    })
+    .expect(200)
+
+  t.is(workflowTestArray.name, workflowName)
+  t.is(typeof workflowTestArray.run[0].endpointPayload, 'object')
+  t.is(userServerCalls.workflowTestArray, undefined)
+
+  // Trigger workflow
+
+  await request(t.context.serverUrl)
+    .post('/users')
+    .set({
+      authorization: `Basic ${encodeBase64('seck_live_iuJzTKo5wumuE1imSjmcgimR:')}`,
+      'x-platform-id': t.context.platformId,
+      'x-stelace-env': t.context.env
+    })
+    .send({
+      username,
+      password: username,
+      metadata: { workflowName, customAttributeId }
+    })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+
+  t.is(userServerCalls.workflowTestArray.length, 1)
+
+  const { body: workflowTestArrayAfterRun } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflowTestArray.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  const { body: { results: workflowLogsTestArrayAfterRun } } = await request(t.context.serverUrl)
+    .get(`/workflow-logs?workflowId=${workflowTestArray.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.true(areSameIds(getIds(workflowTestArrayAfterRun.logs), getIds(workflowLogsTestArrayAfterRun)))
+
+  const workflowTestArrayAfterRunErrorLogs = workflowTestArrayAfterRun.logs.filter(isErrorLog)
+  const workflowTestArrayAfterRunActions = workflowTestArrayAfterRun.logs.filter(isActionLog)
+
+  t.is(workflowTestArrayAfterRunErrorLogs.length, 0)
+  t.is(workflowTestArrayAfterRunActions.length, 1)
+  const workflowTestArrayLogsCall = workflowTestArrayAfterRunActions[0]
+  t.is(workflowTestArrayLogsCall.metadata.endpointMethod, 'PATCH')
+  t.is(workflowTestArrayLogsCall.metadata.endpointUri, `/custom-attributes/${customAttributeId}`)
+  t.deepEqual(workflowTestArrayLogsCall.metadata.endpointPayload.listValues, ['Toyota', 'Chevrolet'])
+  t.deepEqual(workflowTestArrayLogsCall.metadata.endpointPayload.metadata.quotedArray, ['unique', 'quotes'])
+  t.deepEqual(workflowTestArrayLogsCall.metadata.endpointPayload.metadata.computedArray, ['computed'])
+  t.deepEqual(workflowTestArrayLogsCall.metadata.endpointPayload.metadata.computedArray2, ['computed'])
+  t.deepEqual(workflowTestArrayLogsCall.metadata.endpointPayload.metadata.nestedArray, [
+    ['inception'],
+    'test',
+    'computed',
+    1,
+    { object: true }
+  ])
+  const stats = workflowTestArrayAfterRun.stats
+  t.is(stats.nbActionsCompleted, 1)
+  t.is(stats.nbTimesRun, stats.nbWorkflowNotifications)
+  t.true(stats.nbTimesRun >= 1)
+})
+
+test('accepts nested object as endpoint payload parameters', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'workflow:read:all',
+      'workflow:create:all',
+      'workflowLog:list:all',
+    ]
+  })
+  const workflowName = 'Workflow test nested object'
+
+  const { body: workflowTestNestedObject } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: workflowName,
+      notifyUrl: userWebhookUrl + 'workflowTestNestedObject',
+      event: 'asset_type__created',
+      run: {
+        endpointMethod: 'PATCH',
+        computed: {
+          assetTypeId: 'assetType.id'
+        },
+        endpointUri: '/asset-types/${computed.assetTypeId}',
+        endpointPayload: JSON.stringify({
+          metadata: {
+            nestedParent: {
+              nestedChild: {
+                test: true
+              }
+            }
+          }
+        })
+      }
+    })
+    .expect(200)
+
+  t.is(workflowTestNestedObject.name, workflowName)
+  t.is(typeof workflowTestNestedObject.run[0].endpointPayload, 'object')
+  t.is(userServerCalls.workflowTestNestedObject, undefined)
+
+  // Trigger workflow
+
+  const { body: assetType } = await request(t.context.serverUrl)
+    .post('/asset-types')
+    .set({
+      authorization: `Basic ${encodeBase64('seck_live_iuJzTKo5wumuE1imSjmcgimR:')}`,
+      'x-platform-id': t.context.platformId,
+      'x-stelace-env': t.context.env
+    })
+    .send({
+      name: 'Created Asset Type triggering Workflow',
+      timeBased: true,
+      infiniteStock: false,
+      metadata: { workflowName }
+    })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+
+  t.is(userServerCalls.workflowTestNestedObject.length, 1)
+
+  const { body: workflowTestNestedObjectAfterRun } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflowTestNestedObject.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  const { body: { results: workflowLogsTestNestedObjectAfterRun } } = await request(t.context.serverUrl)
+    .get(`/workflow-logs?workflowId=${workflowTestNestedObject.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.true(areSameIds(getIds(workflowTestNestedObjectAfterRun.logs), getIds(workflowLogsTestNestedObjectAfterRun)))
+
+  const workflowTestNestedObjectAfterRunErrorLogs = workflowTestNestedObjectAfterRun.logs.filter(isErrorLog)
+  const workflowTestNestedObjectAfterRunActions = workflowTestNestedObjectAfterRun.logs.filter(isActionLog)
+
+  t.is(workflowTestNestedObjectAfterRunErrorLogs.length, 0)
+  t.is(workflowTestNestedObjectAfterRunActions.length, 1)
+  const workflowTestNestedObjectLogsCall = workflowTestNestedObjectAfterRunActions[0]
+  t.is(workflowTestNestedObjectLogsCall.metadata.endpointMethod, 'PATCH')
+  t.is(workflowTestNestedObjectLogsCall.metadata.endpointUri, `/asset-types/${assetType.id}`)
+  t.deepEqual(workflowTestNestedObjectLogsCall.metadata.endpointPayload.metadata, {
+    nestedParent: {
+      nestedChild: {
+        test: true
+      }
+    }
+  })
+  const stats = workflowTestNestedObjectAfterRun.stats
+  t.is(stats.nbActionsCompleted, 1)
+  t.is(stats.nbTimesRun, stats.nbWorkflowNotifications)
+  t.true(stats.nbTimesRun >= 1)
+})
+
+/*
+Testing asset__updated ==> Workflow A (logs x1 state to update from x0 state with no logs)
+==> Some action & PATCH (update) same asset
+==> Workflow A running again (logs x2 to add, should add to x1 logs but can add to x0 state with race condition
+    in particular if Workflow A has several steps_)
+
+These tests of logs urged to create a new workflowLog table handling concurrency.
+*/
+test('handles filters and logs errors properly when executing Stelace Workflow', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'workflow:create:all',
+      'workflow:edit:all',
+      'workflow:read:all',
+      'workflowLog:list:all',
+      'user:read:all',
+      'user:edit:all'
+    ],
+    readNamespaces: ['private']
+  })
+  const workflowName = 'User Updated Workflow'
+  const userId = 'usr_Y0tfQps1I3a1gJYz2I3a'
+  const newUsername = 'Workflow Test User (user)'
+
+  const { body: workflow } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: workflowName,
+      event: 'user__updated',
+      computed: {
+        isCurrentTest: `_.get(changesRequested, "metadata.workflowName") === '${workflowName}'`,
+        hasSalesCallDate: '_.get(user, "metadata.salesCallDate")' // falsy since no salesCallDate is set yet
+      },
+      run: [{
+        filter: 'computed.isCurrentTest && !computed.hasSalesCallDate',
+        // handleErrors: false, // default, changed below to check we can reach step 2 despite error
+        endpointMethod: 'PATCH',
+        endpointUri: '/users/${user.id}',
+        computed: {
+          workflowSelfUpdate: '!!_.get(changesRequested, "metadata.salesCallDate")'
+        },
+        endpointPayload: {
+          invalidAttribute: true, // will trigger 400 error
+          metadata: {
+            salesCallDate: 'new Date(new Date().getTime() + (72 * 60 * 60 * 1000)).toISOString()'
+          }
+        }
+      },
+      {
+        endpointMethod: 'POST',
+        endpointUri: '/assets',
+        endpointPayload: {
+          name: '`${user.username || "user"}’s asset`',
+          assetTypeId: 'typ_MWNfQps1I3a1gJYz2I3a', // syntax error, missing quotes
+          ownerId: 'user.id'
+        },
+        // dummy truthy value
+        filter: 'true'
+      }]
+    })
+    .expect(200)
+
+  // Trigger Workflow
+  await request(t.context.serverUrl)
+    .patch(`/users/${userId}`)
+    .set(authorizationHeaders)
+    .send({
+      username: newUsername,
+      metadata: { workflowName }
+    })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+
+  const { body: userAfterStepsErrors } = await request(t.context.serverUrl)
+    .get(`/users/${userId}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(userAfterStepsErrors.username, newUsername)
+  t.deepEqual(Object.values(userAfterStepsErrors.metadata), [workflowName])
+
+  const { body: workflowAfterStepsErrors } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflow.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  const { body: { results: workflowLogsAfterStepsErrors } } = await request(t.context.serverUrl)
+    .get(`/workflow-logs?workflowId=${workflow.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.true(areSameIds(getIds(workflowAfterStepsErrors.logs), getIds(workflowLogsAfterStepsErrors)))
+
+  // Exclude any log due to workflow events from concurrent tests
+  const afterStepsErrorsLogs = workflowAfterStepsErrors.logs.filter(
+    log => log.metadata.eventObjectId === userId
+  )
+  // Workflow got stopped after step 1 error as expected (handleErrors defaults to false)
+  t.is(afterStepsErrorsLogs.length, 1)
+
+  let lastErrorLog = afterStepsErrorsLogs[0]
+  const AfterStepsErrorsRunId = afterStepsErrorsLogs[0].runId
+  t.truthy(typeof AfterStepsErrorsRunId, 'string')
+  t.is(AfterStepsErrorsRunId.length, 36)
+  t.is(lastErrorLog.type, 'runError')
+  t.is(lastErrorLog.statusCode, 400)
+  t.is(lastErrorLog.metadata.endpointMethod, 'PATCH')
+
+  // These are automatically populated after error
+  t.regex(lastErrorLog.metadata.statusCodeName, /Bad Request/i)
+  t.regex(lastErrorLog.metadata.message, /invalidattribute/i)
+
+  t.is(lastErrorLog.metadata.eventObjectId, userId)
+  t.is(Object.keys(lastErrorLog.metadata.endpointPayload).length, 2)
+  t.true(lastErrorLog.metadata.endpointPayload.invalidAttribute)
+
+  const workflowAfterStepsErrorsLogs = afterStepsErrorsLogs.filter(log => log.type === 'runError')
+  // no successful action
+  t.is(workflowAfterStepsErrorsLogs.length, afterStepsErrorsLogs.length)
+
+  t.is(workflowAfterStepsErrors.stats.nbActionsCompleted, 0)
+  // Workflow events from concurrent tests can trigger this workflow
+  t.true(workflowAfterStepsErrors.stats.nbTimesRun >= 1)
+
+  // Setting handleErrors to true to execute first step despite error and move to second
+
+  const runWithHandleErrorsEnabled = _.cloneDeep(workflow.run)
+  runWithHandleErrorsEnabled[0].handleErrors = true
+  await request(t.context.serverUrl)
+    .patch(`/workflows/${workflow.id}`)
+    .set(authorizationHeaders)
+    .send({ run: runWithHandleErrorsEnabled })
+
+  // Trigger Workflow
+  await request(t.context.serverUrl)
+    .patch(`/users/${userId}`)
+    .set(authorizationHeaders)
+    .send({
+      username: `${newUsername} - Handling errors`,
+      metadata: { workflowName }
+    })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+
+  const { body: userWithHandleErrorsEnabled } = await request(t.context.serverUrl)
+    .get(`/users/${userId}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(userWithHandleErrorsEnabled.username, `${newUsername} - Handling errors`)
+
+  const { body: workflowWithHandleErrorsEnabled } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflow.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  const { body: { results: workflowLogsWithHandleErrorsEnabled } } = await request(t.context.serverUrl)
+    .get(`/workflow-logs?workflowId=${workflow.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.true(areSameIds(getIds(workflowWithHandleErrorsEnabled.logs), getIds(workflowLogsWithHandleErrorsEnabled)))
+
+  // Step 2 is started but not executed since it has its own error
+  t.is(workflowWithHandleErrorsEnabled.stats.nbActionsCompleted, 1)
+
+  const afterHandleErrorsEnabledLogs = workflowWithHandleErrorsEnabled.logs.filter(
+    log => log.metadata.eventObjectId === userId
+  )
+  const workflowWithHandleErrorsEnabledErrorLogs = afterHandleErrorsEnabledLogs.filter(isErrorLog)
+  t.is(workflowWithHandleErrorsEnabledErrorLogs.filter(
+    log => log.runId !== AfterStepsErrorsRunId
+  ).length, 2)
+
+  lastErrorLog = workflowWithHandleErrorsEnabledErrorLogs[0]
+  t.is(lastErrorLog.type, 'preRunError')
+  t.is(lastErrorLog.metadata.endpointMethod, 'POST')
+  t.true(lastErrorLog.metadata.message.includes('ReferenceError'))
+  t.true(lastErrorLog.metadata.message.includes('typ_MWNfQps1I3a1gJYz2I3a is not defined'))
+
+  // Fixing step 2 error to check this step is still filtered out (since step 1 keeps failing)
+  // after restoring handleErrors default value
+
+  const runWithPayloadAfterStep2Fix = _.cloneDeep(workflow.run)
+  runWithPayloadAfterStep2Fix[1].endpointPayload.assetTypeId = `"${
+    runWithPayloadAfterStep2Fix[1].endpointPayload.assetTypeId
+  }"`
+  await request(t.context.serverUrl)
+    .patch(`/workflows/${workflow.id}`)
+    .set(authorizationHeaders)
+    .send({ run: runWithPayloadAfterStep2Fix })
+
+  // Trigger Workflow
+  await request(t.context.serverUrl)
+    .patch(`/users/${userId}`)
+    .set(authorizationHeaders)
+    .send({
+      username: `${newUsername} - After Step 2 Fix`,
+      metadata: { workflowName }
+    })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+
+  const { body: userAfterStep2Fix } = await request(t.context.serverUrl)
+    .get(`/users/${userId}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(userAfterStep2Fix.username, `${newUsername} - After Step 2 Fix`)
+  t.deepEqual(Object.values(userAfterStep2Fix.metadata), [workflowName])
+
+  const { body: workflowAfterStep2Fix } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflow.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  const { body: { results: workflowLogsAfterStep2Fix } } = await request(t.context.serverUrl)
+    .get(`/workflow-logs?workflowId=${workflow.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.true(areSameIds(getIds(workflowAfterStep2Fix.logs), getIds(workflowLogsAfterStep2Fix)))
+
+  const afterStep2FixLogs = workflowAfterStep2Fix.logs.filter(
+    log => log.metadata.eventObjectId === userId
+  )
+  const workflowAfterStep2FixErrorLogs = afterStep2FixLogs.filter(isErrorLog)
+  const AfterStep2FixRunId = workflowAfterStep2FixErrorLogs[0].runId
+  t.is(AfterStep2FixRunId.length, 36)
+  t.not(AfterStep2FixRunId, AfterStepsErrorsRunId)
+  t.is(workflowAfterStep2FixErrorLogs.length, workflowWithHandleErrorsEnabledErrorLogs.length + 1)
+  // no successful action, same error as above
+  t.is(afterStep2FixLogs.length, workflowAfterStep2FixErrorLogs.length)
+
+  lastErrorLog = workflowAfterStep2FixErrorLogs[0]
+  t.is(lastErrorLog.metadata.endpointMethod, 'PATCH')
+  t.regex(lastErrorLog.metadata.message, /invalidattribute/i)
+
+  // Fixing step 1 error and see if both steps run smoothly
+  const runWithPayloadAfterStepsFixed = _.cloneDeep(workflowAfterStep2Fix.run)
+  delete runWithPayloadAfterStepsFixed[0].endpointPayload.invalidAttribute
+
+  await request(t.context.serverUrl)
+    .patch(`/workflows/${workflow.id}`)
+    .set(authorizationHeaders)
+    .send({
+      run: runWithPayloadAfterStepsFixed
+    })
+
+  // Trigger Workflow
+  await request(t.context.serverUrl)
+    .patch(`/users/${userId}`)
+    .set(authorizationHeaders)
+    .send({
+      username: `${newUsername} - After Steps 1 & 2 Fixes`,
+      metadata: { workflowName }
+    })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+
+  const { body: userAfterStepsFixed } = await request(t.context.serverUrl)
+    .get(`/users/${userId}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(userAfterStepsFixed.username, `${newUsername} - After Steps 1 & 2 Fixes`)
+  t.is(Object.keys(userAfterStepsFixed.metadata).length, 2)
+  t.truthy(userAfterStepsFixed.metadata.salesCallDate)
+
+  const { body: workflowAfterStepsFixed } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflow.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  const { body: { results: workflowLogsAfterStepsFixed } } = await request(t.context.serverUrl)
+    .get(`/workflow-logs?workflowId=${workflow.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.true(areSameIds(getIds(workflowAfterStepsFixed.logs), getIds(workflowLogsAfterStepsFixed)))
+
+  const workflowAfterStepsFixedErrorLogs = workflowAfterStepsFixed.logs.filter(isErrorLog)
+  const workflowAfterStepsFixedActions = workflowAfterStepsFixed.logs.filter(isActionLog)
+  const AfterStepsFixedRunId1 = workflowAfterStepsFixedActions[0].runId
+  const AfterStepsFixedRunId2 = workflowAfterStepsFixedActions[1].runId
+
+  // No additional errors
+  t.deepEqual(workflowAfterStep2FixErrorLogs, workflowAfterStepsFixedErrorLogs)
+  t.is(workflowAfterStepsFixedActions.length, 2)
+  t.not(AfterStepsFixedRunId1, AfterStep2FixRunId)
+  t.is(AfterStepsFixedRunId1, AfterStepsFixedRunId2)
+})
+
+test('passes basic security checks', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'workflow:create:all',
+      'workflow:edit:all',
+      'workflow:read:all',
+      'workflowLog:list:all',
+    ]
+  })
+  const workflowName = 'Evil Workflow'
+
+  const { body: workflow } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: workflowName,
+      notifyUrl: userWebhookUrl + 'evil',
+      event: 'category__updated',
+      computed: {
+        patchLodash: '_.get = () => "p4wned"' // lodash should be frozen
+      },
+      // TODO: test future control of infinite Workflow event loops
+      run: [{
+        computed: {
+          // should be true despite patchLodash attempt
+          isCurrentTest: `_.get(changesRequested, "metadata.workflowName") === '${workflowName}'`,
+        },
+        endpointMethod: 'GET',
+        endpointUri: '/assets'
+      },
+      {
+        filter: 'computed.isCurrentTest',
+        endpointMethod: 'PATCH',
+        computed: {
+          forever: '(() => { let i = 0; while (true) { i++ } })()'
+        },
+        endpointUri: '/categories/${object.id}',
+        endpointPayload: {
+          name: '"6x6"',
+          metadata: { not: 'computed.forever' }
+        }
+      }]
+    })
+    .expect(200)
+
+  t.is(workflow.name, workflowName)
+  t.is(userServerCalls.evil, undefined)
+
+  const categoryId = 'ctgy_N1FQps1I3a1gJYz2I3a'
+
+  // Trigger
+
+  await request(t.context.serverUrl)
+    .patch(`/categories/${categoryId}`)
+    .set({
+      authorization: `Basic ${encodeBase64('seck_live_iuJzTKo5wumuE1imSjmcgimR:')}`,
+      'x-platform-id': t.context.platformId,
+      'x-stelace-env': t.context.env
+    })
+    .send({
+      name: 'Category triggering evil Workflow (infinite loop)',
+      metadata: { workflowName }
+    })
+    .expect(200)
+
+  // Wait for Workflow run step timeout (max 1000ms per step + some margin)
+  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+
+  t.is(userServerCalls.evil.length, 1)
+
+  const { body: workflowAfterRun } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflow.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  const { body: { results: workflowLogsAfterRun } } = await request(t.context.serverUrl)
+    .get(`/workflow-logs?workflowId=${workflow.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.true(areSameIds(getIds(workflowAfterRun.logs), getIds(workflowLogsAfterRun)))
+
+  const workflowAfterRunErrorLogs = workflowAfterRun.logs.filter(isErrorLog)
+  const workflowAfterRunActions = workflowAfterRun.logs.filter(isActionLog)
+  const workflowAfterRunNotifications = workflowAfterRun.logs.filter(isNotificationLog)
+
+  t.is(workflowAfterRunErrorLogs.length, 1)
+  t.is(workflowAfterRunActions.length, 1)
+  t.is(workflowAfterRunNotifications.length, 1)
+
+  let workflowLastError = workflowAfterRunErrorLogs[0]
+  t.true(workflowLastError.metadata.message.includes('timed out'))
+  t.is(workflowLastError.metadata.cause, 'timeout')
+  t.is(workflowLastError.statusCode, 422)
+  t.is(workflowLastError.metadata.eventObjectId, categoryId)
+  t.is(workflowLastError.metadata.endpointMethod, 'PATCH')
+  t.is(workflowLastError.metadata.endpointUri, `/categories/${categoryId}`)
+  t.is(workflowLastError.metadata.endpointPayload.name, '6x6')
+  // No other Workflow can trigger this workflow as long as they don’t update a category
+  t.deepEqual(workflowAfterRun.stats, {
+    nbTimesRun: 1,
+    nbActions: 1,
+    nbActionsCompleted: 1,
+    nbWorkflowNotifications: 1
+  })
+
+  t.is(workflowAfterRunNotifications[0].metadata.notifyPayload.type, 'preRunError')
+
+  const runProcessPatch = workflow.run
+  runProcessPatch[0].computed = {
+    try: 'S.set.constructor.constructor("return process")().exit()',
+    forever: '"no"'
+  }
+
+  await request(t.context.serverUrl)
+    .patch(`/workflows/${workflow.id}`)
+    .set(authorizationHeaders)
+    .send({ run: runProcessPatch })
+    .expect(200)
+
+  // Trigger
+
+  await request(t.context.serverUrl)
+    .patch(`/categories/${categoryId}`)
+    .set({
+      authorization: `Basic ${encodeBase64('seck_live_iuJzTKo5wumuE1imSjmcgimR:')}`,
+      'x-platform-id': t.context.platformId,
+      'x-stelace-env': t.context.env
+    })
+    .send({
+      name: 'Category triggering evil Workflow (process)',
+      metadata: { workflowName }
+    })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+
+  const { body: workflowWithProcess } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflow.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  const { body: { results: workflowLogsWithProcess } } = await request(t.context.serverUrl)
+    .get(`/workflow-logs?workflowId=${workflow.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.true(areSameIds(getIds(workflowWithProcess.logs), getIds(workflowLogsWithProcess)))
+
+  const workflowWithProcessErrorLogs = workflowWithProcess.logs.filter(isErrorLog)
+  workflowLastError = workflowWithProcessErrorLogs[0]
+  t.is(workflowWithProcessErrorLogs.length, 2)
+  t.is(workflowLastError.statusCode, 422)
+  t.true(workflowLastError.metadata.message.includes('ReferenceError'))
+  t.is(workflowLastError.metadata.cause, 'scriptError')
+})
+
+test('reports sandbox resource limits as distinct preRunError causes', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'workflow:create:all',
+      'workflow:edit:all'
+    ]
+  })
+
+  const { body: workflow } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Workflow exhausting sandbox memory',
+      event: 'custom_event_sandbox_limits',
+      active: false,
+      run: [
+        {
+          computed: {
+            memoryHog: '(() => { const a = []; while (true) { a.push(new Array(1e6).fill(1)) } })()'
+          },
+          endpointMethod: 'GET',
+          endpointUri: '/assets',
+          handleErrors: true
+        },
+        {
+          endpointMethod: 'GET',
+          endpointUri: '/categories'
+        }
+      ]
+    })
+    .expect(200)
+
+  const { body: { steps } } = await request(t.context.serverUrl)
+    .post(`/workflows/${workflow.id}/test`)
+    .set(authorizationHeaders)
+    .send({ event: { type: 'custom_event_sandbox_limits' } })
+    .expect(200)
+
+  t.is(steps.length, 2)
+
+  t.is(steps[0].type, 'preRunError')
+  t.is(steps[0].statusCode, 422)
+  t.is(steps[0].metadata.cause, 'memoryLimit')
+  t.true(steps[0].metadata.message.includes('memory limit'))
+
+  // sandbox cannot be used anymore for the rest of the run
+  t.is(steps[1].type, 'preRunError')
+  t.is(steps[1].metadata.cause, 'memoryLimit')
+})
+
+test('cannot create a Stelace workflow with multiple events', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['workflow:create:all'] })
+  const workflowName = 'Transaction status Workflow'
+
+  await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: workflowName,
+      event: ['asset__updated', 'asset__created'],
+      run: [{
+        endpointMethod: 'PATCH',
+        computed: {
+          futurePrice: '_.get(asset, "doesNotExist", 23) + 1',
+          assetId: 'asset.id'
+        },
+        endpointUri: '/assets',
+        endpointPayload: {}
+      }]
+    })
+    .expect(400)
+
+  t.pass()
+})
+
+test('removes a workflow', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'workflow:read:all',
+      'workflow:create:all',
+      'workflow:remove:all'
+    ]
+  })
+
+  const { body: workflow } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Workflow to remove',
+      event: 'custom'
+    })
+    .expect(200)
+
+  const { body: deletePayload } = await request(t.context.serverUrl)
+    .delete(`/workflows/${workflow.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(deletePayload.id, workflow.id)
+
+  await request(t.context.serverUrl)
+    .get(`/workflows/${workflow.id}`)
+    .set(authorizationHeaders)
+    .expect(404)
+})
+
+// Must run serially because the test manipulates time
+test.serial('pauses workflow run on delayed step and resumes it later unless stopped', async (t) => {
+  if (!t.context.server) {
+    // can happen if the server is run outside of AVA process (e.g. `npm run test:uniqueserver`)
+    console.log('Warning: This test cannot be running because instance server is not accessible to manipulate time')
+    t.pass()
+    return
+  }
+
+  // use an api key without roles instead of access token for authentication
+  // because roles checking doesn't work well with time manipulation
+  const apiKey = await getApiKey({
+    t,
+    type: 'custom',
+    permissions: [
+      'workflow:create:all',
+      'workflowLog:list:all',
+      'asset:read:all',
+      'asset:create:all',
+      'asset:edit:all'
+    ]
+  })
+
+  const authorizationHeaders = {
+    authorization: `Basic ${encodeBase64(apiKey.key + ':')}`
+  }
+
+  const { body: workflow } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Delayed reminder workflow',
+      event: 'asset__created',
+      run: [
+        {
+          name: 'reminder',
+          filter: 'asset.metadata.delayedWorkflow',
+          stop: 'asset.metadata.cancelReminder',
+          delay: '1h',
+          endpointMethod: 'PATCH',
+          endpointUri: '/assets/${asset.id}',
+          endpointPayload: {
+            metadata: {
+              reminded: true
+            }
+          }
+        }
+      ]
+    })
+    .expect(200)
+
+  // mock timing functions and restart crons so the mock can work
+  t.context.server._stopCrons()
+  t.context.server._initClock({
+    now: new Date(),
+    toFake: ['Date', 'setTimeout'],
+    shouldAdvanceTime: true
+  })
+  t.context.server._startCrons()
+
+  const { body: asset } = await request(t.context.serverUrl)
+    .post('/assets')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Asset with reminder',
+      assetTypeId: 'typ_MWNfQps1I3a1gJYz2I3a',
+      metadata: { delayedWorkflow: true }
+    })
+    .expect(200)
+
+  const { body: cancelledAsset } = await request(t.context.serverUrl)
+    .post('/assets')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Asset with cancelled reminder',
+      assetTypeId: 'typ_MWNfQps1I3a1gJYz2I3a',
+      metadata: { delayedWorkflow: true }
+    })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+
+  const { body: { results: logsBeforeResume } } = await request(t.context.serverUrl)
+    .get(`/workflow-logs?workflowId=${workflow.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(logsBeforeResume.length, 2)
+  t.true(logsBeforeResume.every(log => log.type === 'delayed'))
+  t.true(logsBeforeResume.every(log => log.metadata.resumeDate > new Date().toISOString()))
+
+  await request(t.context.serverUrl)
+    .patch(`/assets/${cancelledAsset.id}`)
+    .set(authorizationHeaders)
+    .send({ metadata: { cancelReminder: true } })
+    .expect(200)
+
+  t.context.server._clock.tick(ms('2h'))
+
+  // restore the clock so we can use `setTimeout` to wait for resumed runs
+  t.context.server._stopCrons()
+  t.context.server._clock.restore()
+  t.context.server._startCrons()
+  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+
+  const { body: { results: logsAfterResume } } = await request(t.context.serverUrl)
+    .get(`/workflow-logs?workflowId=${workflow.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  const getAssetLogs = assetId => logsAfterResume.filter(log => log.metadata.eventObjectId === assetId)
+
+  const assetLogs = getAssetLogs(asset.id)
+  t.deepEqual(assetLogs.map(log => log.type).sort(), ['action', 'delayed'])
+  t.is(assetLogs[0].eventId, assetLogs[1].eventId)
+
+  const cancelledAssetLogs = getAssetLogs(cancelledAsset.id)
+  t.deepEqual(cancelledAssetLogs.map(log => log.type).sort(), ['delayed', 'stopped'])
+
+  const { body: assetAfterResume } = await request(t.context.serverUrl)
+    .get(`/assets/${asset.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  const { body: cancelledAssetAfterResume } = await request(t.context.serverUrl)
+    .get(`/assets/${cancelledAsset.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.true(assetAfterResume.metadata.reminded)
+  t.falsy(cancelledAssetAfterResume.metadata.reminded)
+})
+
+test.serial('pauses workflow run to retry steps after long delays', async (t) => {
+  if (!t.context.server) {
+    // can happen if the server is run outside of AVA process (e.g. `npm run test:uniqueserver`)
+    console.log('Warning: This test cannot be running because instance server is not accessible to manipulate time')
+    t.pass()
+    return
+  }
+
+  // use an api key without roles instead of access token for authentication
+  // because roles checking doesn't work well with time manipulation
+  const apiKey = await getApiKey({
+    t,
+    type: 'custom',
+    permissions: [
+      'workflow:create:all',
+      'workflowLog:list:all',
+      'event:create:all'
+    ]
+  })
 
-  const runWithHandleErrorsEnabled = _.cloneDeep(workflow.run)
-  runWithHandleErrorsEnabled[0].handleErrors = true
-  await request(t.context.serverUrl)
-    .patch(`/workflows/${workflow.id}`)
-    .set(authorizationHeaders)
-    .send({ run: runWithHandleErrorsEnabled })
+  const authorizationHeaders = {
+    authorization: `Basic ${encodeBase64(apiKey.key + ':')}`
+  }
 
-  // Trigger Workflow
-  await request(t.context.serverUrl)
-    .patch(`/users/${userId}`)
+  const { body: workflow } = await request(t.context.serverUrl)
+    .post('/workflows')
     .set(authorizationHeaders)
     .send({
-      username: `${newUsername} - Handling errors`,
-      metadata: { workflowName }
+      name: 'Workflow calling slow flaky service',
+      event: 'slow_flaky_service_called',
+      run: [
+        {
+          name: 'slowFlakyCall',
+          endpointMethod: 'POST',
+          endpointUri: userWebhookUrl + 'slowFlakyService',
+          retry: {
+            maxAttempts: 2,
+            initialDelay: '1m'
+          }
+        }
+      ]
     })
     .expect(200)
 
-  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+  // mock timing functions and restart crons so the mock can work
+  t.context.server._stopCrons()
+  t.context.server._initClock({
+    now: new Date(),
+    toFake: ['Date', 'setTimeout'],
+    shouldAdvanceTime: true
+  })
+  t.context.server._startCrons()
 
-  const { body: userWithHandleErrorsEnabled } = await request(t.context.serverUrl)
-    .get(`/users/${userId}`)
+  await request(t.context.serverUrl)
+    .post('/events')
     .set(authorizationHeaders)
+    .send({ type: 'slow_flaky_service_called' })
     .expect(200)
 
-  t.is(userWithHandleErrorsEnabled.username, `${newUsername} - Handling errors`)
+  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
 
-  const { body: workflowWithHandleErrorsEnabled } = await request(t.context.serverUrl)
-    .get(`/workflows/${workflow.id}?logs=`)
+  const { body: { results: logsBeforeRetry } } = await request(t.context.serverUrl)
+    .get(`/workflow-logs?workflowId=${workflow.id}`)
     .set(authorizationHeaders)
     .expect(200)
 
-  const { body: { results: workflowLogsWithHandleErrorsEnabled } } = await request(t.context.serverUrl)
+  t.is(nbSlowFlakyServiceCalls, 1)
+  t.deepEqual(logsBeforeRetry.map(log => log.type).sort(), ['delayed', 'retry'])
+
+  const retryLog = logsBeforeRetry.find(log => log.type === 'retry')
+  t.is(retryLog.metadata.attempt, 1)
+  t.is(retryLog.metadata.retryDelay, 60 * 1000)
+
+  const delayedLog = logsBeforeRetry.find(log => log.type === 'delayed')
+  t.is(delayedLog.metadata.attempt, 1)
+  t.true(delayedLog.metadata.resumeDate > new Date().toISOString())
+
+  t.context.server._clock.tick(ms('2m'))
+
+  // restore the clock so we can use `setTimeout` to wait for resumed runs
+  t.context.server._stopCrons()
+  t.context.server._clock.restore()
+  t.context.server._startCrons()
+  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+
+  const { body: { results: logsAfterRetry } } = await request(t.context.serverUrl)
     .get(`/workflow-logs?workflowId=${workflow.id}`)
     .set(authorizationHeaders)
     .expect(200)
 
-  t.true(areSameIds(getIds(workflowWithHandleErrorsEnabled.logs), getIds(workflowLogsWithHandleErrorsEnabled)))
-
-  // Step 2 is started but not executed since it has its own error
-  t.is(workflowWithHandleErrorsEnabled.stats.nbActionsCompleted, 1)
-
-  const afterHandleErrorsEnabledLogs = workflowWithHandleErrorsEnabled.logs.filter(
-    log => log.metadata.eventObjectId === userId
-  )
-  const workflowWithHandleErrorsEnabledErrorLogs = afterHandleErrorsEnabledLogs.filter(isErrorLog)
-  t.is(workflowWithHandleErrorsEnabledErrorLogs.filter(
-    log => log.runId !== AfterStepsErrorsRunId
-  ).length, 2)
+  t.is(nbSlowFlakyServiceCalls, 2)
+  t.deepEqual(logsAfterRetry.map(log => log.type).sort(), ['action', 'delayed', 'retry'])
 
-  lastErrorLog = workflowWithHandleErrorsEnabledErrorLogs[0]
-  t.is(lastErrorLog.type, 'preRunError')
-  t.is(lastErrorLog.metadata.endpointMethod, 'POST')
-  t.true(lastErrorLog.metadata.message.includes('ReferenceError'))
-  t.true(lastErrorLog.metadata.message.includes('typ_MWNfQps1I3a1gJYz2I3a is not defined'))
+  const actionLog = logsAfterRetry.find(log => log.type === 'action')
+  t.is(actionLog.statusCode, 200)
+  t.is(actionLog.metadata.attempt, 2)
+  t.is(actionLog.eventId, retryLog.eventId)
+})
 
-  // Fixing step 2 error to check this step is still filtered out (since step 1 keeps failing)
-  // after restoring handleErrors default value
+test('tests a workflow against a synthetic event without calling endpoints', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'workflow:create:all',
+      'workflow:read:all',
+      'workflow:edit:all',
+      'workflowLog:list:all'
+    ]
+  })
 
-  const runWithPayloadAfterStep2Fix = _.cloneDeep(workflow.run)
-  runWithPayloadAfterStep2Fix[1].endpointPayload.assetTypeId = `"${
-    runWithPayloadAfterStep2Fix[1].endpointPayload.assetTypeId
-  }"`
-  await request(t.context.serverUrl)
-    .patch(`/workflows/${workflow.id}`)
+  const { body: workflow } = await request(t.context.serverUrl)
+    .post('/workflows')
     .set(authorizationHeaders)
-    .send({ run: runWithPayloadAfterStep2Fix })
+    .send({
+      name: 'Dry run workflow',
+      event: 'dry_run_event',
+      context: 'test',
+      computed: {
+        assetId: 'object.id'
+      },
+      run: [
+        {
+          name: 'fetchAsset',
+          endpointMethod: 'GET',
+          endpointUri: '/assets/${computed.assetId}',
+          endpointHeaders: {
+            'x-custom-header': '${env.TEST_ENV_VARIABLE}'
+          }
+        },
+        {
+          name: 'skipped',
+          skip: 'true',
+          endpointMethod: 'POST',
+          endpointUri: '/events',
+          endpointPayload: {
+            type: '"should_not_be_emitted"'
+          }
+        },
+        {
+          name: 'updateAsset',
+          computed: {
+            newPrice: '_.get(responses, "fetchAsset.price", 0) * 2'
+          },
+          filter: 'computed.newPrice > 100',
+          endpointMethod: 'PATCH',
+          endpointUri: '/assets/${computed.assetId}',
+          endpointPayload: {
+            price: 'computed.newPrice'
+          }
+        },
+        {
+          name: 'notifyExternalService',
+          endpointMethod: 'POST',
+          endpointUri: 'https://example.com/webhook',
+          endpointPayload: {
+            assetId: 'computed.assetId'
+          }
+        }
+      ]
+    })
+    .expect(200)
 
-  // Trigger Workflow
-  await request(t.context.serverUrl)
-    .patch(`/users/${userId}`)
+  const { body: result } = await request(t.context.serverUrl)
+    .post(`/workflows/${workflow.id}/test`)
     .set(authorizationHeaders)
     .send({
-      username: `${newUsername} - After Step 2 Fix`,
-      metadata: { workflowName }
+      event: {
+        type: 'dry_run_event',
+        object: { id: 'ast_dmM034s1gi81giDergi8' }
+      },
+      mockedResponses: [
+        { body: { id: 'ast_dmM034s1gi81giDergi8', price: 60 } },
+        null,
+        { statusCode: 422, body: { message: 'Mocked error' } }
+      ]
     })
     .expect(200)
 
-  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+  t.is(result.workflowId, workflow.id)
+  t.is(result.eventId, null)
+  t.is(result.steps.length, 3) // last step is not run because of mocked error
 
-  const { body: userAfterStep2Fix } = await request(t.context.serverUrl)
-    .get(`/users/${userId}`)
+  const [fetchStep, skippedStep, updateStep] = result.steps
+
+  t.is(fetchStep.index, 0)
+  t.is(fetchStep.type, 'action')
+  t.is(fetchStep.statusCode, 200)
+  t.true(fetchStep.passFilter)
+  t.false(fetchStep.skipStep)
+  t.is(fetchStep.metadata.endpointUri, '/assets/ast_dmM034s1gi81giDergi8')
+  t.truthy(fetchStep.metadata.endpointHeaders['x-custom-header'])
+  t.deepEqual(fetchStep.metadata.response, { id: 'ast_dmM034s1gi81giDergi8', price: 60 })
+
+  t.is(skippedStep.type, 'skipped')
+  t.true(skippedStep.skipStep)
+
+  t.is(updateStep.index, 2)
+  t.is(updateStep.type, 'runError')
+  t.is(updateStep.statusCode, 422)
+  t.true(updateStep.passFilter)
+  t.is(updateStep.computed.newPrice, 120)
+  t.deepEqual(updateStep.metadata.endpointPayload, { price: 120 })
+
+  const { body: resultWithoutMocks } = await request(t.context.serverUrl)
+    .post(`/workflows/${workflow.id}/test`)
     .set(authorizationHeaders)
+    .send({
+      event: {
+        type: 'dry_run_event',
+        object: { id: 'ast_dmM034s1gi81giDergi8' }
+      }
+    })
     .expect(200)
 
-  t.is(userAfterStep2Fix.username, `${newUsername} - After Step 2 Fix`)
-  t.deepEqual(Object.values(userAfterStep2Fix.metadata), [workflowName])
+  t.is(resultWithoutMocks.steps.length, 3)
+  t.is(resultWithoutMocks.steps[0].metadata.response, null)
+  t.is(resultWithoutMocks.steps[2].type, 'stopped') // no mocked price
+  t.false(resultWithoutMocks.steps[2].passFilter)
+  t.is(resultWithoutMocks.steps[2].computed.newPrice, 0)
 
-  const { body: workflowAfterStep2Fix } = await request(t.context.serverUrl)
-    .get(`/workflows/${workflow.id}?logs=`)
+  const { body: resultWithExternalCall } = await request(t.context.serverUrl)
+    .post(`/workflows/${workflow.id}/test`)
     .set(authorizationHeaders)
+    .send({
+      event: {
+        type: 'dry_run_event',
+        object: { id: 'ast_dmM034s1gi81giDergi8' }
+      },
+      mockedResponses: [
+        { body: { price: 100 } }
+      ]
+    })
     .expect(200)
 
-  const { body: { results: workflowLogsAfterStep2Fix } } = await request(t.context.serverUrl)
-    .get(`/workflow-logs?workflowId=${workflow.id}`)
+  t.is(resultWithExternalCall.steps.length, 4)
+  t.is(resultWithExternalCall.steps[2].statusCode, 200)
+  t.is(resultWithExternalCall.steps[3].type, 'action')
+  t.is(resultWithExternalCall.steps[3].metadata.endpointUri, 'https://example.com/webhook')
+  t.deepEqual(resultWithExternalCall.steps[3].metadata.endpointPayload, { assetId: 'ast_dmM034s1gi81giDergi8' })
+
+  // dry runs are neither logged nor counted
+  const { body: workflowAfterTests } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflow.id}?logs=`)
     .set(authorizationHeaders)
     .expect(200)
 
-  t.true(areSameIds(getIds(workflowAfterStep2Fix.logs), getIds(workflowLogsAfterStep2Fix)))
+  t.is(workflowAfterTests.logs.length, 0)
+  t.is(workflowAfterTests.stats.nbTimesRun, 0)
+})
 
-  const afterStep2FixLogs = workflowAfterStep2Fix.logs.filter(
-    log => log.metadata.eventObjectId === userId
-  )
-  const workflowAfterStep2FixErrorLogs = afterStep2FixLogs.filter(isErrorLog)
-  const AfterStep2FixRunId = workflowAfterStep2FixErrorLogs[0].runId
-  t.is(AfterStep2FixRunId.length, 36)
-  t.not(AfterStep2FixRunId, AfterStepsErrorsRunId)
-  t.is(workflowAfterStep2FixErrorLogs.length, workflowWithHandleErrorsEnabledErrorLogs.length + 1)
-  // no successful action, same error as above
-  t.is(afterStep2FixLogs.length, workflowAfterStep2FixErrorLogs.length)
+test('jumps to other workflow steps with next branches', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'workflow:create:all',
+      'workflow:edit:all'
+    ]
+  })
 
-  lastErrorLog = workflowAfterStep2FixErrorLogs[0]
-  t.is(lastErrorLog.metadata.endpointMethod, 'PATCH')
-  t.regex(lastErrorLog.metadata.message, /invalidattribute/i)
+  const { body: workflow } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Workflow with branches',
+      event: 'payment_requested',
+      active: false,
+      computed: {
+        nbAttempts: '0'
+      },
+      run: [
+        {
+          name: 'charge',
+          computed: {
+            nbAttempts: 'computed.nbAttempts + 1'
+          },
+          endpointMethod: 'POST',
+          endpointUri: '/transactions',
+          handleErrors: true,
+          next: [
+            { if: 'statusCode === 503 && computed.nbAttempts < 3', goto: 'charge' },
+            { if: 'statusCode >= 400', goto: 'notifyFailure' }
+          ]
+        },
+        {
+          name: 'confirm',
+          endpointMethod: 'PATCH',
+          endpointUri: '/transactions/${responses.charge.id}',
+          next: 'done'
+        },
+        {
+          name: 'notifyFailure',
+          endpointMethod: 'POST',
+          endpointUri: '/events',
+          endpointPayload: {
+            type: '"payment_failed"'
+          }
+        },
+        {
+          name: 'done',
+          endpointMethod: 'GET',
+          endpointUri: '/assets'
+        }
+      ]
+    })
+    .expect(200)
 
-  // Fixing step 1 error and see if both steps run smoothly
-  const runWithPayloadAfterStepsFixed = _.cloneDeep(workflowAfterStep2Fix.run)
-  delete runWithPayloadAfterStepsFixed[0].endpointPayload.invalidAttribute
+  const getStepsNames = steps => steps.map(step => step.step.name)
 
-  await request(t.context.serverUrl)
-    .patch(`/workflows/${workflow.id}`)
+  const { body: { steps: successSteps } } = await request(t.context.serverUrl)
+    .post(`/workflows/${workflow.id}/test`)
     .set(authorizationHeaders)
     .send({
-      run: runWithPayloadAfterStepsFixed
+      event: { type: 'payment_requested' },
+      mockedResponses: [{ body: { id: 'trn_payment' } }]
     })
+    .expect(200)
 
-  // Trigger Workflow
-  await request(t.context.serverUrl)
-    .patch(`/users/${userId}`)
+  t.deepEqual(getStepsNames(successSteps), ['charge', 'confirm', 'done'])
+  t.is(successSteps[1].metadata.endpointUri, '/transactions/trn_payment')
+
+  const { body: { steps: failureSteps } } = await request(t.context.serverUrl)
+    .post(`/workflows/${workflow.id}/test`)
     .set(authorizationHeaders)
     .send({
-      username: `${newUsername} - After Steps 1 & 2 Fixes`,
-      metadata: { workflowName }
+      event: { type: 'payment_requested' },
+      mockedResponses: [{ statusCode: 402 }]
     })
     .expect(200)
 
-  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+  t.deepEqual(getStepsNames(failureSteps), ['charge', 'notifyFailure', 'done'])
 
-  const { body: userAfterStepsFixed } = await request(t.context.serverUrl)
-    .get(`/users/${userId}`)
+  // jumping back to the same step
+  const { body: { steps: retriedSteps } } = await request(t.context.serverUrl)
+    .post(`/workflows/${workflow.id}/test`)
     .set(authorizationHeaders)
+    .send({
+      event: { type: 'payment_requested' },
+      mockedResponses: [{ statusCode: 503 }]
+    })
     .expect(200)
 
-  t.is(userAfterStepsFixed.username, `${newUsername} - After Steps 1 & 2 Fixes`)
-  t.is(Object.keys(userAfterStepsFixed.metadata).length, 2)
-  t.truthy(userAfterStepsFixed.metadata.salesCallDate)
+  t.deepEqual(getStepsNames(retriedSteps), ['charge', 'charge', 'charge', 'notifyFailure', 'done'])
+  t.deepEqual(_.map(retriedSteps, 'computed.nbAttempts'), [1, 2, 3, 3, 3])
 
-  const { body: workflowAfterStepsFixed } = await request(t.context.serverUrl)
-    .get(`/workflows/${workflow.id}?logs=`)
+  // loop protection
+  const { body: loopingWorkflow } = await request(t.context.serverUrl)
+    .post('/workflows')
     .set(authorizationHeaders)
+    .send({
+      name: 'Workflow looping forever',
+      event: 'payment_requested',
+      active: false,
+      run: [
+        {
+          name: 'poll',
+          endpointMethod: 'GET',
+          endpointUri: '/assets',
+          next: { if: 'true', goto: 'poll' } // condition always met
+        }
+      ]
+    })
     .expect(200)
 
-  const { body: { results: workflowLogsAfterStepsFixed } } = await request(t.context.serverUrl)
-    .get(`/workflow-logs?workflowId=${workflow.id}`)
+  const { body: { steps: loopingSteps } } = await request(t.context.serverUrl)
+    .post(`/workflows/${loopingWorkflow.id}/test`)
     .set(authorizationHeaders)
+    .send({ event: { type: 'payment_requested' } })
     .expect(200)
 
-  t.true(areSameIds(getIds(workflowAfterStepsFixed.logs), getIds(workflowLogsAfterStepsFixed)))
-
-  const workflowAfterStepsFixedErrorLogs = workflowAfterStepsFixed.logs.filter(isErrorLog)
-  const workflowAfterStepsFixedActions = workflowAfterStepsFixed.logs.filter(isActionLog)
-  const AfterStepsFixedRunId1 = workflowAfterStepsFixedActions[0].runId
-  const AfterStepsFixedRunId2 = workflowAfterStepsFixedActions[1].runId
+  t.is(loopingSteps.length, 101)
+  t.true(loopingSteps.slice(0, 100).every(step => step.type === 'action'))
 
-  // No additional errors
-  t.deepEqual(workflowAfterStep2FixErrorLogs, workflowAfterStepsFixedErrorLogs)
-  t.is(workflowAfterStepsFixedActions.length, 2)
-  t.not(AfterStepsFixedRunId1, AfterStep2FixRunId)
-  t.is(AfterStepsFixedRunId1, AfterStepsFixedRunId2)
+  const lastStep = _.last(loopingSteps)
+  t.is(lastStep.type, 'preRunError')
+  t.is(lastStep.statusCode, 422)
+  t.is(lastStep.metadata.cause, 'stepsLimit')
 })
 
-test('passes basic security checks', async (t) => {
+test('tests a workflow against a past event', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({
     t,
     permissions: [
       'workflow:create:all',
       'workflow:edit:all',
-      'workflow:read:all',
-      'workflowLog:list:all',
+      'event:list:all'
     ]
   })
-  const workflowName = 'Evil Workflow'
+
+  const { body: { results: events } } = await request(t.context.serverUrl)
+    .get('/events?type=asset__created')
+    .set(authorizationHeaders)
+    .expect(200)
+
+  const event = events[0]
 
   const { body: workflow } = await request(t.context.serverUrl)
     .post('/workflows')
     .set(authorizationHeaders)
     .send({
-      name: workflowName,
-      notifyUrl: userWebhookUrl + 'evil',
-      event: 'category__updated',
-      computed: {
-        patchLodash: '_.get = () => "p4wned"' // lodash should be frozen
-      },
-      // TODO: test future control of infinite Workflow event loops
+      name: 'Dry run workflow with past event',
+      event: 'asset__created',
+      active: false,
       run: [{
-        computed: {
-          // should be true despite patchLodash attempt
-          isCurrentTest: `_.get(changesRequested, "metadata.workflowName") === '${workflowName}'`,
-        },
-        endpointMethod: 'GET',
-        endpointUri: '/assets'
-      },
-      {
-        filter: 'computed.isCurrentTest',
+        filter: 'asset.id === objectId',
         endpointMethod: 'PATCH',
-        computed: {
-          forever: '(() => { let i = 0; while (true) { i++ } })()'
-        },
-        endpointUri: '/categories/${object.id}',
+        endpointUri: '/assets/${asset.id}',
+        endpointPayload: {
+          metadata: {
+            eventId: 'id'
+          }
+        }
+      }]
+    })
+    .expect(200)
+
+  const { body: result } = await request(t.context.serverUrl)
+    .post(`/workflows/${workflow.id}/test`)
+    .set(authorizationHeaders)
+    .send({ eventId: event.id })
+    .expect(200)
+
+  t.is(result.eventId, event.id)
+  t.is(result.steps.length, 1)
+  t.is(result.steps[0].type, 'action')
+  t.is(result.steps[0].metadata.endpointUri, `/assets/${event.objectId}`)
+  t.deepEqual(result.steps[0].metadata.endpointPayload, { metadata: { eventId: event.id } })
+
+  await request(t.context.serverUrl)
+    .post(`/workflows/${workflow.id}/test`)
+    .set(authorizationHeaders)
+    .send({ eventId: 'evt_unknownEventDryRun' })
+    .expect(422)
+
+  await request(t.context.serverUrl)
+    .post('/workflows/wfw_unknownWorkflowDryRun/test')
+    .set(authorizationHeaders)
+    .send({ eventId: event.id })
+    .expect(404)
+})
+
+test('re-runs a workflow for past events', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'workflow:create:all',
+      'workflow:edit:all',
+      'workflowLog:list:all'
+    ]
+  })
+
+  const { body: workflow } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Workflow to re-run',
+      event: 'workflow_rerun_event',
+      run: [{
+        endpointMethod: 'POST',
+        endpointUri: userWebhookUrl + 'workflowRerun',
         endpointPayload: {
-          name: '"6x6"',
-          metadata: { not: 'computed.forever' }
+          eventId: 'id',
+          greeting: 'metadata.greeting'
         }
       }]
     })
     .expect(200)
 
-  t.is(workflow.name, workflowName)
-  t.is(userServerCalls.evil, undefined)
-
-  const categoryId = 'ctgy_N1FQps1I3a1gJYz2I3a'
-
-  // Trigger
-
-  await request(t.context.serverUrl)
-    .patch(`/categories/${categoryId}`)
+  const { body: event } = await request(t.context.serverUrl)
+    .post('/events')
     .set({
       authorization: `Basic ${encodeBase64('seck_live_iuJzTKo5wumuE1imSjmcgimR:')}`,
       'x-platform-id': t.context.platformId,
       'x-stelace-env': t.context.env
     })
     .send({
-      name: 'Category triggering evil Workflow (infinite loop)',
-      metadata: { workflowName }
+      type: 'workflow_rerun_event',
+      metadata: { greeting: 'hello' }
     })
     .expect(200)
 
-  // Wait for Workflow run step timeout (max 1000ms per step + some margin)
   await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
 
-  t.is(userServerCalls.evil.length, 1)
-
-  const { body: workflowAfterRun } = await request(t.context.serverUrl)
-    .get(`/workflows/${workflow.id}?logs=`)
-    .set(authorizationHeaders)
-    .expect(200)
+  t.is(userServerCalls.workflowRerun.length, 1)
 
-  const { body: { results: workflowLogsAfterRun } } = await request(t.context.serverUrl)
+  const { body: { results: logsBeforeRerun } } = await request(t.context.serverUrl)
     .get(`/workflow-logs?workflowId=${workflow.id}`)
     .set(authorizationHeaders)
     .expect(200)
 
-  t.true(areSameIds(getIds(workflowAfterRun.logs), getIds(workflowLogsAfterRun)))
-
-  const workflowAfterRunErrorLogs = workflowAfterRun.logs.filter(isErrorLog)
-  const workflowAfterRunActions = workflowAfterRun.logs.filter(isActionLog)
-  const workflowAfterRunNotifications = workflowAfterRun.logs.filter(isNotificationLog)
+  t.is(logsBeforeRerun.length, 1)
+  t.is(logsBeforeRerun[0].metadata.originalRunId, undefined)
 
-  t.is(workflowAfterRunErrorLogs.length, 1)
-  t.is(workflowAfterRunActions.length, 1)
-  t.is(workflowAfterRunNotifications.length, 1)
+  const originalLog = logsBeforeRerun[0]
 
-  let workflowLastError = workflowAfterRunErrorLogs[0]
-  t.true(workflowLastError.metadata.message.includes('timed out'))
-  t.is(workflowLastError.statusCode, 422)
-  t.is(workflowLastError.metadata.eventObjectId, categoryId)
-  t.is(workflowLastError.metadata.endpointMethod, 'PATCH')
-  t.is(workflowLastError.metadata.endpointUri, `/categories/${categoryId}`)
-  t.is(workflowLastError.metadata.endpointPayload.name, '6x6')
-  // No other Workflow can trigger this workflow as long as they don’t update a category
-  t.deepEqual(workflowAfterRun.stats, {
-    nbTimesRun: 1,
-    nbActions: 1,
-    nbActionsCompleted: 1,
-    nbWorkflowNotifications: 1
-  })
+  const { body: result } = await request(t.context.serverUrl)
+    .post(`/workflows/${workflow.id}/runs`)
+    .set(authorizationHeaders)
+    .send({ eventIds: [event.id] })
+    .expect(200)
 
-  t.is(workflowAfterRunNotifications[0].metadata.notifyPayload.type, 'preRunError')
+  t.is(result.workflowId, workflow.id)
+  t.is(result.runs.length, 1)
+  t.is(result.runs[0].eventId, event.id)
+  t.truthy(result.runs[0].runId)
+  t.not(result.runs[0].runId, result.runs[0].originalRunId)
 
-  const runProcessPatch = workflow.run
-  runProcessPatch[0].computed = {
-    try: 'S.set.constructor.constructor("return process")().exit()',
-    forever: '"no"'
-  }
+  // runs are completed when the response is sent
+  t.is(userServerCalls.workflowRerun.length, 2)
+  t.deepEqual(userServerCalls.workflowRerun[0], userServerCalls.workflowRerun[1])
+  t.deepEqual(userServerCalls.workflowRerun[0], { eventId: event.id, greeting: 'hello' })
 
-  await request(t.context.serverUrl)
-    .patch(`/workflows/${workflow.id}`)
+  const { body: { results: logsAfterRerun } } = await request(t.context.serverUrl)
+    .get(`/workflow-logs?workflowId=${workflow.id}`)
     .set(authorizationHeaders)
-    .send({ run: runProcessPatch })
     .expect(200)
 
-  // Trigger
+  t.is(logsAfterRerun.length, 2)
+  const rerunLog = logsAfterRerun.find(log => log.id !== originalLog.id)
+  t.is(rerunLog.type, 'action')
+  t.is(rerunLog.eventId, event.id)
+  t.is(rerunLog.metadata.originalRunId, result.runs[0].originalRunId)
 
-  await request(t.context.serverUrl)
-    .patch(`/categories/${categoryId}`)
-    .set({
-      authorization: `Basic ${encodeBase64('seck_live_iuJzTKo5wumuE1imSjmcgimR:')}`,
-      'x-platform-id': t.context.platformId,
-      'x-stelace-env': t.context.env
-    })
-    .send({
-      name: 'Category triggering evil Workflow (process)',
-      metadata: { workflowName }
-    })
+  // re-running again is still linked to the original run
+  const { body: secondResult } = await request(t.context.serverUrl)
+    .post(`/workflows/${workflow.id}/runs`)
+    .set(authorizationHeaders)
+    .send({ eventIds: event.id })
     .expect(200)
 
-  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+  t.is(secondResult.runs[0].originalRunId, result.runs[0].originalRunId)
 
-  const { body: workflowWithProcess } = await request(t.context.serverUrl)
-    .get(`/workflows/${workflow.id}?logs=`)
+  await request(t.context.serverUrl)
+    .post(`/workflows/${workflow.id}/runs`)
     .set(authorizationHeaders)
-    .expect(200)
+    .send({ eventIds: ['evt_unknownEventRerun'] })
+    .expect(422)
 
-  const { body: { results: workflowLogsWithProcess } } = await request(t.context.serverUrl)
-    .get(`/workflow-logs?workflowId=${workflow.id}`)
+  await request(t.context.serverUrl)
+    .post('/workflows/wfw_unknownWorkflowRerun/runs')
     .set(authorizationHeaders)
-    .expect(200)
-
-  t.true(areSameIds(getIds(workflowWithProcess.logs), getIds(workflowLogsWithProcess)))
-
-  const workflowWithProcessErrorLogs = workflowWithProcess.logs.filter(isErrorLog)
-  workflowLastError = workflowWithProcessErrorLogs[0]
-  t.is(workflowWithProcessErrorLogs.length, 2)
-  t.is(workflowLastError.statusCode, 422)
-  t.true(workflowLastError.metadata.message.includes('ReferenceError'))
-})
+    .send({ eventIds: [event.id] })
+    .expect(404)
 
-test('cannot create a Stelace workflow with multiple events', async (t) => {
-  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['workflow:create:all'] })
-  const workflowName = 'Transaction status Workflow'
+  await request(t.context.serverUrl)
+    .patch(`/workflows/${workflow.id}`)
+    .set(authorizationHeaders)
+    .send({ active: false })
+    .expect(200)
 
   await request(t.context.serverUrl)
-    .post('/workflows')
+    .post(`/workflows/${workflow.id}/runs`)
     .set(authorizationHeaders)
-    .send({
-      name: workflowName,
-      event: ['asset__updated', 'asset__created'],
-      run: [{
-        endpointMethod: 'PATCH',
-        computed: {
-          futurePrice: '_.get(asset, "doesNotExist", 23) + 1',
-          assetId: 'asset.id'
-        },
-        endpointUri: '/assets',
-        endpointPayload: {}
-      }]
-    })
-    .expect(400)
+    .send({ eventIds: [event.id] })
+    .expect(422)
 
-  t.pass()
+  t.is(userServerCalls.workflowRerun.length, 3)
 })
 
-test('removes a workflow', async (t) => {
+test('groups workflow logs by run with steps timeline', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({
     t,
     permissions: [
-      'workflow:read:all',
       'workflow:create:all',
-      'workflow:remove:all'
+      'workflowLog:list:all',
+      'workflowLog:read:all'
     ]
   })
 
@@ -2033,22 +3555,117 @@ test('removes a workflow', async (t) => {
     .post('/workflows')
     .set(authorizationHeaders)
     .send({
-      name: 'Workflow to remove',
-      event: 'custom'
+      name: 'Workflow with runs timeline',
+      event: 'workflow_runs_timeline_event',
+      run: [
+        {
+          name: 'first',
+          endpointMethod: 'POST',
+          endpointUri: userWebhookUrl + 'workflowRunsTimeline',
+          endpointPayload: {
+            eventId: 'id'
+          }
+        },
+        {
+          name: 'second',
+          stop: '!metadata.proceed',
+          endpointMethod: 'POST',
+          endpointUri: userWebhookUrl + 'error'
+        }
+      ]
     })
     .expect(200)
 
-  const { body: deletePayload } = await request(t.context.serverUrl)
-    .delete(`/workflows/${workflow.id}`)
+  const createEvent = async (metadata) => {
+    const { body: event } = await request(t.context.serverUrl)
+      .post('/events')
+      .set({
+        authorization: `Basic ${encodeBase64('seck_live_iuJzTKo5wumuE1imSjmcgimR:')}`,
+        'x-platform-id': t.context.platformId,
+        'x-stelace-env': t.context.env
+      })
+      .send({
+        type: 'workflow_runs_timeline_event',
+        metadata
+      })
+      .expect(200)
+
+    return event
+  }
+
+  const stoppedEvent = await createEvent({ proceed: false })
+  const failedEvent = await createEvent({ proceed: true })
+
+  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+
+  const { body: obj } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflow.id}/runs`)
     .set(authorizationHeaders)
     .expect(200)
 
-  t.is(deletePayload.id, workflow.id)
+  checkCursorPaginatedListObject(t, obj)
+  t.is(obj.results.length, 2)
+
+  const stoppedRun = obj.results.find(run => run.eventId === stoppedEvent.id)
+  const failedRun = obj.results.find(run => run.eventId === failedEvent.id)
+
+  t.is(stoppedRun.workflowId, workflow.id)
+  t.is(stoppedRun.event.id, stoppedEvent.id)
+  t.is(stoppedRun.outcome, 'stop')
+  t.truthy(stoppedRun.startDate)
+  t.truthy(stoppedRun.endDate)
+  t.true(stoppedRun.duration >= 0)
+  t.deepEqual(stoppedRun.steps.map(s => [s.name, s.status]), [['first', 'success'], ['second', 'stop']])
+
+  const firstStep = stoppedRun.steps[0]
+  t.deepEqual(firstStep.request, { method: 'POST', uri: userWebhookUrl + 'workflowRunsTimeline' })
+  t.is(firstStep.response.statusCode, 200)
+  t.true(firstStep.duration >= 0)
+  t.is(firstStep.error, null)
+  t.is(stoppedRun.steps[1].request, null)
+
+  t.is(failedRun.outcome, 'error')
+  t.deepEqual(failedRun.steps.map(s => [s.name, s.status]), [['first', 'success'], ['second', 'error']])
+  t.is(failedRun.steps[1].response.statusCode, 500)
+  t.is(failedRun.steps[1].error.statusCode, 500)
+
+  const { body: filteredObj } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflow.id}/runs?outcome=error`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(filteredObj.results.length, 1)
+  t.is(filteredObj.results[0].id, failedRun.id)
+
+  const { body: successObj } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflow.id}/runs?outcome=success,skip`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(successObj.results.length, 0)
+
+  const { body: run } = await request(t.context.serverUrl)
+    .get(`/workflows/runs/${stoppedRun.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.deepEqual(run, stoppedRun)
 
   await request(t.context.serverUrl)
-    .get(`/workflows/${workflow.id}`)
+    .get('/workflows/runs/unknownRunId')
+    .set(authorizationHeaders)
+    .expect(404)
+
+  await request(t.context.serverUrl)
+    .get('/workflows/wfw_unknownWorkflowRuns/runs')
     .set(authorizationHeaders)
     .expect(404)
+
+  // cannot list runs beyond logs retention period
+  await request(t.context.serverUrl)
+    .get(`/workflows/${workflow.id}/runs?createdDate[gte]=${encodeURIComponent('2019-01-01T00:00:00.000Z')}`)
+    .set(authorizationHeaders)
+    .expect(400)
 })
 
 // ////////// //
@@ -2122,6 +3739,150 @@ test('fails to create a workflow if missing or invalid parameters', async (t) =>
   t.true(error.message.includes('"active" must be a boolean'))
   t.true(error.message.includes('"metadata" must be of type object'))
   t.true(error.message.includes('"platformData" must be of type object'))
+
+  // unknown step in next branch
+  result = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set({
+      'x-platform-id': t.context.platformId,
+      'x-stelace-env': t.context.env
+    })
+    .send({
+      name: 'Unknown next step',
+      event: 'asset__created',
+      run: [
+        { name: 'first', endpointMethod: 'GET', endpointUri: '/assets', next: { if: 'true', goto: 'unknown' } }
+      ]
+    })
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"run" step unknown used in "next" does not exist'))
+
+  // infinite loop
+  result = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set({
+      'x-platform-id': t.context.platformId,
+      'x-stelace-env': t.context.env
+    })
+    .send({
+      name: 'Infinite loop',
+      event: 'asset__created',
+      run: [
+        { name: 'first', endpointMethod: 'GET', endpointUri: '/assets' },
+        { name: 'second', endpointMethod: 'GET', endpointUri: '/assets', next: 'first' }
+      ]
+    })
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"run" steps first, second loop without any exit condition'))
+
+  // invalid retry policy
+  result = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set({
+      'x-platform-id': t.context.platformId,
+      'x-stelace-env': t.context.env
+    })
+    .send({
+      name: 'Invalid retry policy',
+      event: 'asset__created',
+      run: {
+        endpointMethod: 'GET',
+        endpointUri: '/assets',
+        retry: {
+          maxAttempts: 100,
+          initialDelay: '1h',
+          statusCodes: [200]
+        }
+      }
+    })
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"run.retry.maxAttempts" must be less than or equal to 10'))
+  t.true(error.message.includes('"run.retry.initialDelay"'))
+  t.true(error.message.includes('"run.retry.statusCodes[0]" must be greater than or equal to 400'))
+})
+
+test('fails to test a workflow if missing or invalid parameters', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['workflow:edit:all'] })
+
+  let result
+  let error
+
+  // missing event
+  result = await request(t.context.serverUrl)
+    .post('/workflows/wfw_SEIxTFs1Ckg1CkfHWCkf/test')
+    .set(authorizationHeaders)
+    .send({})
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"value" must contain at least one of [eventId, event]'))
+
+  // both event ID and inline event
+  result = await request(t.context.serverUrl)
+    .post('/workflows/wfw_SEIxTFs1Ckg1CkfHWCkf/test')
+    .set(authorizationHeaders)
+    .send({
+      eventId: 'evt_WWRfQps1I3a1gJYz2I3a',
+      event: { type: 'custom' }
+    })
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"value" contains a conflict between exclusive peers [eventId, event]'))
+
+  // parameters with wrong type
+  result = await request(t.context.serverUrl)
+    .post('/workflows/wfw_SEIxTFs1Ckg1CkfHWCkf/test')
+    .set(authorizationHeaders)
+    .send({
+      event: {},
+      mockedResponses: [{ statusCode: 'invalid' }]
+    })
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"event.type" is required'))
+  t.true(error.message.includes('"mockedResponses[0].statusCode" must be a number'))
+})
+
+test('fails to re-run a workflow if missing or invalid parameters', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['workflow:edit:all'] })
+
+  let result
+  let error
+
+  result = await request(t.context.serverUrl)
+    .post('/workflows/wfw_SEIxTFs1Ckg1CkfHWCkf/runs')
+    .set(authorizationHeaders)
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"body" is required'))
+
+  result = await request(t.context.serverUrl)
+    .post('/workflows/wfw_SEIxTFs1Ckg1CkfHWCkf/runs')
+    .set(authorizationHeaders)
+    .send({ eventIds: [] })
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"eventIds" must contain at least 1 items'))
+
+  // parameters with wrong type
+  result = await request(t.context.serverUrl)
+    .post('/workflows/wfw_SEIxTFs1Ckg1CkfHWCkf/runs')
+    .set(authorizationHeaders)
+    .send({ eventIds: [true] })
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"eventIds[0]" must be a string'))
 })
 
 test('fails to create a workflow with an invalid API version', async (t) => {
@@ -0,0 +1,29 @@
+require('dotenv').config()
+
+const test = require('ava')
+
+const {
+  Event
+} = require('../../../src/models')
+
+test('checks if event patterns are allowed', (t) => {
+  t.true(Event.isAllowedEventPattern('transaction__*'))
+  t.true(Event.isAllowedEventPattern('asset__*_changed'))
+  t.true(Event.isAllowedEventPattern('*__created'))
+  t.true(Event.isAllowedEventPattern('custom_event_*'))
+
+  t.false(Event.isAllowedEventPattern('transaction__created')) // not a pattern
+  t.false(Event.isAllowedEventPattern('unknown__*')) // matches no core event
+  t.false(Event.isAllowedEventPattern('custom__event*__name'))
+})
+
+test('matches event types against event types and patterns', (t) => {
+  t.true(Event.matchesEvents('transaction__created', 'transaction__created'))
+  t.true(Event.matchesEvents('transaction__status_changed', ['asset__created', 'transaction__*']))
+  t.true(Event.matchesEvents('asset__name_changed', ['asset__*_changed']))
+  t.true(Event.matchesEvents('custom_event.with.dots', ['custom_event.*']))
+
+  t.false(Event.matchesEvents('transaction__created', 'transaction__updated'))
+  t.false(Event.matchesEvents('asset__created', ['asset__*_changed']))
+  t.false(Event.matchesEvents('custom_eventXwith', ['custom_event.*']))
+})
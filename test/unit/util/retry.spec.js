@@ -0,0 +1,42 @@
+require('dotenv').config()
+
+const test = require('ava')
+
+const {
+  computeBackoffDelay,
+  getNextAttemptDate,
+} = require('../../../src/util/retry')
+
+test('computes exponential backoff delay', (t) => {
+  const policy = { initialDelay: { m: 1 } }
+
+  t.is(computeBackoffDelay(1, policy), 60 * 1000)
+  t.is(computeBackoffDelay(2, policy), 2 * 60 * 1000)
+  t.is(computeBackoffDelay(4, policy), 8 * 60 * 1000)
+
+  t.is(computeBackoffDelay(3, { initialDelay: '10s', backoffFactor: 3 }), 90 * 1000)
+  t.is(computeBackoffDelay(3, { initialDelay: '10s', backoffFactor: 1 }), 10 * 1000)
+})
+
+test('caps backoff delay with max delay', (t) => {
+  const policy = { initialDelay: { m: 1 }, maxDelay: { m: 5 } }
+
+  t.is(computeBackoffDelay(3, policy), 4 * 60 * 1000)
+  t.is(computeBackoffDelay(4, policy), 5 * 60 * 1000)
+  t.is(computeBackoffDelay(10, policy), 5 * 60 * 1000)
+})
+
+test('throws if backoff parameters are invalid', (t) => {
+  t.throws(() => computeBackoffDelay(0, { initialDelay: { m: 1 } }))
+  t.throws(() => computeBackoffDelay(1.5, { initialDelay: { m: 1 } }))
+  t.throws(() => computeBackoffDelay(1, {}))
+})
+
+test('gets the next attempt date', (t) => {
+  const policy = { maxAttempts: 3, initialDelay: { m: 1 } }
+  const fromDate = '2021-01-01T00:00:00.000Z'
+
+  t.is(getNextAttemptDate(1, policy, { fromDate }), '2021-01-01T00:01:00.000Z')
+  t.is(getNextAttemptDate(2, policy, { fromDate }), '2021-01-01T00:02:00.000Z')
+  t.is(getNextAttemptDate(3, policy, { fromDate }), null)
+})
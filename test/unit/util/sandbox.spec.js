@@ -0,0 +1,98 @@
+require('dotenv').config()
+
+const test = require('ava')
+
+const { createSandbox } = require('../../../src/util/sandbox')
+
+test('runs scripts with provided globals, lodash and Intl', async (t) => {
+  const sandbox = createSandbox({
+    sandbox: { ctx: { asset: { price: 10 } }, computed: {} }
+  })
+
+  try {
+    await sandbox.run('computed.price = ctx.asset.price * 2')
+
+    t.deepEqual(await sandbox.run('computed'), { price: 20 })
+    t.is(await sandbox.run('_.get(ctx, "asset.price")'), 10)
+    t.is(await sandbox.run('new Intl.NumberFormat("en-US").format(1000)'), '1,000')
+    t.is(await sandbox.run('undefined'), undefined)
+  } finally {
+    await sandbox.terminate()
+  }
+})
+
+test('rejects with script errors', async (t) => {
+  const sandbox = createSandbox()
+
+  try {
+    const error = await t.throwsAsync(sandbox.run('unknownVariable.prop'))
+    t.is(error.name, 'ReferenceError')
+    t.falsy(error.cause)
+
+    // sandbox is still usable after a script error
+    t.is(await sandbox.run('1 + 1'), 2)
+  } finally {
+    await sandbox.terminate()
+  }
+})
+
+test('stops scripts exceeding timeout', async (t) => {
+  const sandbox = createSandbox({ timeout: 100 })
+
+  try {
+    const error = await t.throwsAsync(sandbox.run('while (true) {}'))
+    t.is(error.cause, 'timeout')
+  } finally {
+    await sandbox.terminate()
+  }
+})
+
+test('terminates sandbox exceeding wall-clock limit', async (t) => {
+  const sandbox = createSandbox({ timeout: 200, wallClockLimit: 400 })
+
+  const script = '(() => { const start = Date.now(); while (Date.now() - start < 150) {} })()'
+
+  await sandbox.run(script)
+  await sandbox.run(script)
+
+  const error = await t.throwsAsync(sandbox.run(script))
+  t.is(error.cause, 'wallClockLimit')
+  t.is(error.statusCode, 422)
+
+  const nextError = await t.throwsAsync(sandbox.run('1 + 1'))
+  t.is(nextError.cause, 'wallClockLimit')
+})
+
+test('terminates sandbox exceeding memory limit', async (t) => {
+  const sandbox = createSandbox({ timeout: 10000, wallClockLimit: 20000, maxHeapSizeMb: 16 })
+
+  const error = await t.throwsAsync(sandbox.run('const arr = []; while (true) { arr.push(new Array(10000).fill("x")) }'))
+  t.is(error.cause, 'memoryLimit')
+  t.is(error.statusCode, 422)
+})
+
+test('rejects scripts after termination', async (t) => {
+  const sandbox = createSandbox()
+  await sandbox.terminate()
+
+  const error = await t.throwsAsync(sandbox.run('1 + 1'))
+  t.is(error.cause, 'terminated')
+})
+
+test('isolates scripts from the API process', async (t) => {
+  const sandbox = createSandbox({
+    sandbox: { ctx: { asset: { price: 10 } } }
+  })
+
+  try {
+    t.true(await sandbox.run('typeof process === "undefined" && typeof require === "undefined"'))
+    t.is(await sandbox.run('ctx.constructor.constructor("return typeof process")()'), 'undefined')
+    t.is(await sandbox.run('_.constructor("return typeof process")()'), 'undefined')
+    t.is(await sandbox.run('this.constructor.constructor("return typeof process")()'), 'undefined')
+
+    const error = await t.throwsAsync(sandbox.run('throw "Custom error"'))
+    t.is(error.message, 'Custom error')
+  } finally {
+    await sandbox.terminate()
+  }
+})
@@ -12,6 +12,7 @@ const {
   isValidCronPattern,
   isValidTimezone,
   computeRecurringDates,
+  computeLastRecurringDate,
   computeRecurringPeriods
 } = require('../../../src/util/time')
 
@@ -228,6 +229,49 @@ test('computes recurring dates with custom timezone', (t) => {
   }, 'day', { timezone })
 })
 
+test('computes a limited number of recurring dates', (t) => {
+  const recurringDates = computeRecurringDates('0 0 * * *', {
+    startDate: '2018-01-01T00:00:00.000Z',
+    endDate: '2118-01-01T00:00:00.000Z',
+    limit: 3
+  })
+
+  t.deepEqual(recurringDates, [
+    '2018-01-01T00:00:00.000Z',
+    '2018-01-02T00:00:00.000Z',
+    '2018-01-03T00:00:00.000Z'
+  ])
+})
+
+test('computes the last recurring date', (t) => {
+  const patterns = ['0 0 * * *', '0-5 4,6 * * 1,5', '0 0 1 */3 *']
+
+  patterns.forEach(pattern => {
+    const params = {
+      startDate: '2018-01-01T00:00:00.000Z',
+      endDate: '2018-07-15T12:34:00.000Z',
+      timezone: 'Europe/Paris'
+    }
+
+    t.is(computeLastRecurringDate(pattern, params), _.last(computeRecurringDates(pattern, params)))
+  })
+
+  t.is(computeLastRecurringDate('* * * * *', {
+    startDate: '2018-01-01T00:00:00.000Z',
+    endDate: '2018-07-15T12:34:00.000Z'
+  }), '2018-07-15T12:33:00.000Z')
+
+  t.is(computeLastRecurringDate('0 0 1 * *', {
+    startDate: '2018-01-02T00:00:00.000Z',
+    endDate: '2018-02-01T00:00:00.000Z'
+  }), null)
+
+  t.is(computeLastRecurringDate('0 0 * * *', {
+    startDate: '2018-01-01T00:00:00.000Z',
+    endDate: '2018-01-01T00:00:00.000Z'
+  }), null)
+})
+
 test('computes recurring dates with fancy pattern', (t) => {
   const recurringDates = computeRecurringDates('0-5 4,6 * * 1,5', {
     startDate: '2018-01-01T00:00:00.000Z',
@@ -0,0 +1,84 @@
+require('dotenv').config()
+
+const test = require('ava')
+const crypto = require('crypto')
+
+const {
+  timestampHeader,
+  signatureHeader,
+  computeWebhookSignature,
+  getWebhookSignatureHeaders,
+  compileWebhookFilter,
+} = require('../../../src/util/webhook')
+
+test('computes webhook signature', (t) => {
+  const body = JSON.stringify({ event: { id: 'evt_1' } })
+  const timestamp = 1609459200
+
+  const signature = computeWebhookSignature({ secret: 'secret', timestamp, body })
+  const expectedSignature = crypto.createHmac('sha256', 'secret')
+    .update(`${timestamp}.${body}`)
+    .digest('hex')
+
+  t.is(signature, expectedSignature)
+  t.not(signature, computeWebhookSignature({ secret: 'secret', timestamp: timestamp + 1, body }))
+  t.not(signature, computeWebhookSignature({ secret: 'otherSecret', timestamp, body }))
+})
+
+test('gets webhook signature headers with one signature per secret', (t) => {
+  const body = JSON.stringify({ event: { id: 'evt_1' } })
+  const timestamp = 1609459200
+
+  const headers = getWebhookSignatureHeaders({ secrets: ['secret1', 'secret2'], body, timestamp })
+
+  t.is(headers[timestampHeader], '1609459200')
+  t.is(headers[signatureHeader], [
+    `v1=${computeWebhookSignature({ secret: 'secret1', timestamp, body })}`,
+    `v1=${computeWebhookSignature({ secret: 'secret2', timestamp, body })}`
+  ].join(','))
+})
+
+test('evaluates compiled webhook filters against events', (t) => {
+  const filter = "object.assetTypeId === 'typ_x' && event.type === 'asset__created'"
+  const evaluate = compileWebhookFilter(filter)
+
+  t.is(compileWebhookFilter(filter), evaluate)
+  t.true(evaluate({ type: 'asset__created', object: { assetTypeId: 'typ_x' } }))
+  t.false(evaluate({ type: 'asset__created', object: { assetTypeId: 'typ_y' } }))
+  t.false(evaluate({ type: 'asset__updated', object: { assetTypeId: 'typ_x' } }))
+})
+
+test('supports a safe subset of JavaScript expressions in webhook filters', (t) => {
+  const event = {
+    type: 'asset__created',
+    object: {
+      name: 'Filtered asset',
+      quantity: 2,
+      categoryId: null,
+      tags: ['new', 'promoted'],
+      metadata: { 'custom-key': 'value' }
+    }
+  }
+
+  const check = filter => compileWebhookFilter(filter)(event)
+
+  t.true(check("object.name.startsWith('Filtered') && !object.name.endsWith('x')"))
+  t.true(check("object.tags.includes('new') && ['asset__created', 'asset__updated'].includes(type)"))
+  t.true(check('object.quantity >= 2 && object.quantity < 3 && object.tags.length === 2'))
+  t.true(check("(object.quantity > 5 || object.metadata['custom-key'] === \"value\") && object.categoryId == undefined"))
+  t.true(check('object.missing.property === undefined'))
+  t.false(check('object.metadata > 1'))
+})
+
+test('isolates webhook filters from the API process', (t) => {
+  const event = { type: 'asset__created', object: {} }
+
+  t.true(compileWebhookFilter('process === undefined && require === undefined')(event))
+  t.true(compileWebhookFilter('event.constructor === undefined && object.__proto__ === undefined')(event))
+
+  t.throws(() => compileWebhookFilter("event.constructor.constructor('return process')()"), { instanceOf: SyntaxError })
+  t.throws(() => compileWebhookFilter('while (true) {}'), { instanceOf: SyntaxError })
+  t.throws(() => compileWebhookFilter('} process.exit(1); {'), { instanceOf: SyntaxError })
+  t.throws(() => compileWebhookFilter("object.type = 'changed'"), { instanceOf: SyntaxError })
+  t.throws(() => compileWebhookFilter('object.assetTypeId ==='), { instanceOf: SyntaxError })
+})